@@ -1,67 +1,177 @@
 /**
  * Service principal d'intelligence artificielle
- * Gere les appels a l'API Groq et la generation de suggestions
+ * Gere les appels au fournisseur LLM et la generation de suggestions
  */
 
-import Groq from 'groq-sdk';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import ConversationAnalyzer from './conversation-analyzer.js';
 import PromptBuilder from './prompt-builder.js';
+import QuickReplyEngine from './quick-reply-engine.js';
+import PIIRedactor from './pii-redactor.js';
+import { StyleProfileLearner } from './style-profiler.js';
+import { getTransformationLabel } from './rewrite-transformations.js';
+import { detectLanguage } from './lexicons/index.js';
+import { createProvider } from './providers/index.js';
+import { recordTokens } from '../metrics/index.js';
+import { createKeyValueStore } from '../storage/index.js';
+
+/**
+ * Retire les emojis d'un fragment de texte, espaces compris tels quels
+ */
+function removeEmojis(text) {
+  return text.replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, '');
+}
+
+/**
+ * Retire les emojis d'un texte genere
+ */
+function stripEmojis(text) {
+  return removeEmojis(text).replace(/\s{2,}/g, ' ').trim();
+}
 
 /**
  * Service IA pour la generation de suggestions
  */
 export class AIService {
-  constructor() {
-    this.groq = null;
+  /**
+   * @param {Object} options
+   * @param {LLMProvider} options.provider - Fournisseur a utiliser (defaut: selon config.ai.provider)
+   * @param {PIIRedactor} options.redactor - Masquage des donnees personnelles (defaut: selon config.redaction)
+   * @param {StyleProfileLearner} options.styleProfiles - Profils de style (defaut: selon config.styleProfile)
+   */
+  constructor({ provider, redactor, styleProfiles } = {}) {
+    this.provider = null;
     this.isInitialized = false;
-    this.initializeGroq();
+    this.redactor = redactor || new PIIRedactor(config.redaction);
+    this.styleProfiles = styleProfiles || new StyleProfileLearner({
+      enabled: config.styleProfile.enabled,
+      store: config.styleProfile.store === 'none'
+        ? null
+        : createKeyValueStore(config.styleProfile.store, { filePath: config.styleProfile.filePath }),
+      fingerprintKey: config.styleProfile.fingerprintKey,
+    });
+    this.initializeProvider(provider);
   }
 
   /**
-   * Initialise le client Groq
+   * Initialise le fournisseur LLM
    */
-  initializeGroq() {
-    if (!config.groq.apiKey) {
-      logger.warn('Cle API Groq non configuree - Le service IA sera limite');
+  initializeProvider(provider) {
+    try {
+      this.provider = provider || createProvider(config.ai.provider);
+    } catch (error) {
+      logger.error('Erreur lors de l\'initialisation du service IA', { error: error.message });
       return;
     }
 
-    try {
-      this.groq = new Groq({
-        apiKey: config.groq.apiKey,
-      });
-      this.isInitialized = true;
-      logger.info('Service IA initialise avec succes');
-    } catch (error) {
-      logger.error('Erreur lors de l\'initialisation du service IA', { error });
+    if (!this.provider.isAvailable()) {
+      logger.warn(`Fournisseur IA '${this.provider.name}' non configure - Le service IA sera limite`);
+      return;
     }
+
+    this.isInitialized = true;
+    logger.info('Service IA initialise avec succes', {
+      provider: this.provider.name,
+      model: this.provider.model,
+    });
   }
 
   /**
    * Verifie si le service est disponible
    */
   isAvailable() {
-    return this.isInitialized && this.groq !== null;
+    return this.isInitialized && this.provider !== null && this.provider.isAvailable();
+  }
+
+  /**
+   * Informations sur le fournisseur actif
+   * @returns {{ provider: string, model: string } | null}
+   */
+  getProviderInfo() {
+    if (!this.provider) return null;
+    return { provider: this.provider.name, model: this.provider.model };
+  }
+
+  /**
+   * Etat du disjoncteur du fournisseur (null si non applicable)
+   * @returns {{ state: string, failures: number, openedAt: string, retryAfterMs: number } | null}
+   */
+  getCircuitState() {
+    return this.provider?.getCircuitState?.() || null;
+  }
+
+  /**
+   * Indique si une generation doit etre servie par le moteur heuristique
+   * (fournisseur indisponible ou disjoncteur ouvert ; mode suggest uniquement)
+   * Le repli cesse des que le delai d'ouverture est ecoule, pour laisser passer l'appel d'essai
+   * @param {string} mode - 'suggest' | 'improve'
+   */
+  shouldUseHeuristics(mode) {
+    if (!config.ai.heuristicFallback || mode !== 'suggest') return false;
+    return !this.isAvailable() || this.getCircuitState()?.retryAfterMs > 0;
+  }
+
+  /**
+   * Genere des reponses rapides sans appel au fournisseur LLM
+   * @param {Object} params - messages, currentUserId, currentUserName, language, replyTo
+   * @param {number} count - Nombre de reponses (1 a 3)
+   * @returns {Object} - Reponses (meme forme que generateMultipleSuggestions), situation et metadonnees
+   */
+  generateQuickReplies(params, count = QuickReplyEngine.MAX_REPLIES) {
+    const startTime = Date.now();
+    const { replies, situation, register, language, analysis } = QuickReplyEngine.generate(params, count);
+
+    return {
+      suggestions: replies.map((suggestion) => ({ suggestion, temperature: 0, tokensUsed: 0 })),
+      mode: 'suggest',
+      situation: { type: situation, register, language },
+      analysis: analysis.toJSON(),
+      metadata: {
+        engine: QuickReplyEngine.ENGINE,
+        provider: null,
+        model: null,
+        processingTime: Date.now() - startTime,
+        tokensUsed: 0,
+      },
+    };
   }
 
   /**
    * Genere une suggestion de message
+   * Sans fournisseur disponible, le mode suggest est servi par le moteur heuristique
    * @param {Object} params - Parametres de generation
    * @param {string} params.currentInput - Texte actuel (vide = suggest, rempli = improve)
    * @param {Array} params.messages - Messages de la conversation
    * @param {string} params.currentUserId - ID de l'utilisateur courant
    * @param {string} params.currentUserName - Nom de l'utilisateur courant
+   * @param {string} params.language - Langue de reponse imposee (defaut: langue detectee)
+   * @param {string} params.replyTo - Destinataire de la reponse (senderId ou 'group', defaut: detecte)
+   * @param {string} params.summary - Resume des echanges anterieurs aux messages (voir summarize)
+   * @param {Object} params.preferences - Preferences enregistrees de l'utilisateur (voir PreferencesService)
+   * @param {Object} options - Options de generation propres a cet appel
+   * @param {number} options.temperature - Temperature (defaut: config.ai.temperature)
    * @returns {Promise<Object>} - Suggestion et metadonnees
    */
-  async generateSuggestion({ currentInput, messages, currentUserId, currentUserName }) {
+  async generateSuggestion(
+    { currentInput, messages, currentUserId, currentUserName, language, replyTo, summary, preferences },
+    { temperature = config.ai.temperature } = {}
+  ) {
+    const mode = currentInput?.trim() ? 'improve' : 'suggest';
+
+    if (this.shouldUseHeuristics(mode)) {
+      logger.warn('Fournisseur IA indisponible - Suggestion heuristique');
+      const { suggestions, analysis, metadata } = this.generateHeuristicSuggestions(
+        { messages, currentUserId, currentUserName, language, replyTo, preferences }, 1
+      );
+      return { suggestion: suggestions[0].suggestion, mode, analysis, metadata };
+    }
+
     if (!this.isAvailable()) {
       throw new Error('Service IA non disponible - Verifiez la configuration');
     }
 
     const startTime = Date.now();
-    const mode = currentInput?.trim() ? 'improve' : 'suggest';
 
     logger.info('Generation de suggestion', {
       mode,
@@ -70,55 +180,43 @@ export class AIService {
     });
 
     try {
-      // Analyser la conversation
-      const analysis = ConversationAnalyzer.analyze(
-        messages || [],
-        currentUserId,
-        currentUserName
-      );
-
-      // Construire les prompts
-      const systemPrompt = PromptBuilder.buildSystemPrompt(mode, currentUserName, analysis);
-      const userPrompt = PromptBuilder.buildUserPrompt(
+      const { analysis, systemPrompt, userPrompt, styleProfile, preferences: applied } = await this.prepareGeneration({
         mode,
-        currentInput || '',
-        messages || [],
+        currentInput,
+        messages,
         currentUserId,
         currentUserName,
-        analysis
-      );
-
-      // Appeler l'API Groq
-      const completion = await this.groq.chat.completions.create({
-        model: config.ai.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt },
-        ],
-        max_tokens: config.ai.maxTokens,
-        temperature: config.ai.temperature,
+        language,
+        replyTo,
+        summary,
+        preferences,
       });
 
-      const suggestion = completion.choices[0]?.message?.content?.trim() || '';
+      const redaction = this.createRedactionSession(messages, currentUserName);
+      const completion = await this.complete({ systemPrompt, userPrompt }, { temperature, redaction });
       const processingTime = Date.now() - startTime;
-
-      // Nettoyer la suggestion (enlever les guillemets si presents)
-      const cleanedSuggestion = this.cleanSuggestion(suggestion);
+      recordTokens(this.provider.name, mode, completion.tokensUsed);
 
       logger.info('Suggestion generee avec succes', {
         mode,
         processingTime: `${processingTime}ms`,
-        tokensUsed: completion.usage?.total_tokens,
+        tokensUsed: completion.tokensUsed,
       });
 
       return {
-        suggestion: cleanedSuggestion,
+        suggestion: this.applyPreferences(completion.suggestion, applied),
         mode,
         analysis: analysis.toJSON(),
         metadata: {
-          model: config.ai.model,
+          engine: 'llm',
+          provider: this.provider.name,
+          model: completion.model,
           processingTime,
-          tokensUsed: completion.usage?.total_tokens,
+          tokensUsed: completion.tokensUsed,
+          promptVersion: PromptBuilder.getTemplateVersion(),
+          styleSampleSize: styleProfile?.sampleSize ?? 0,
+          preferencesApplied: applied !== null,
+          redactions: redaction.counts,
         },
       };
     } catch (error) {
@@ -130,6 +228,460 @@ export class AIService {
     }
   }
 
+  /**
+   * Profil de style de l'utilisateur, enrichi des messages de la requete
+   * Le meme profil est ensuite relu par la generation (messages deja comptes)
+   * @returns {Promise<Object | null>}
+   */
+  getStyleProfile(messages, currentUserId) {
+    return this.styleProfiles.getProfile(messages || [], currentUserId);
+  }
+
+  /**
+   * Analyse la conversation et construit les prompts d'une generation
+   * @param {Object} params - Parametres de generation (avec le mode resolu)
+   * @returns {Promise<{ analysis: ConversationAnalysis, systemPrompt: string, userPrompt: string, styleProfile: Object | null, preferences: Object | null }>}
+   */
+  async prepareGeneration({
+    mode, currentInput, messages, currentUserId, currentUserName, language, replyTo, summary, preferences,
+  }) {
+    // Analyser la conversation
+    const analysis = ConversationAnalyzer.analyze(
+      messages || [],
+      currentUserId,
+      currentUserName
+    );
+
+    // Habitudes d'ecriture de l'utilisateur, pour que la suggestion lui ressemble
+    const styleProfile = await this.styleProfiles.getProfile(messages, currentUserId);
+
+    // Preferences explicites applicables au destinataire de la reponse
+    const effective = PromptBuilder.resolvePreferences(preferences, PromptBuilder.resolveReplyTarget(analysis, replyTo));
+
+    // Construire les prompts
+    const systemPrompt = PromptBuilder.buildSystemPrompt(mode, currentUserName, analysis, {
+      language,
+      replyTo,
+      styleProfile,
+      preferences,
+    });
+    const userPrompt = PromptBuilder.buildUserPrompt(
+      mode,
+      currentInput || '',
+      messages || [],
+      currentUserId,
+      currentUserName,
+      analysis,
+      { replyTo, summary }
+    );
+
+    return { analysis, systemPrompt, userPrompt, styleProfile, preferences: effective };
+  }
+
+  /**
+   * Garantit les preferences verifiables quel que soit le respect des consignes par le modele
+   * @param {string} suggestion - Texte genere
+   * @param {Object} preferences - Preferences effectives (voir PromptBuilder.resolvePreferences)
+   */
+  applyPreferences(suggestion, preferences) {
+    return preferences?.emojis === 'never' ? stripEmojis(suggestion) : suggestion;
+  }
+
+  /**
+   * applyPreferences pour un fragment de flux : les espaces sont conserves,
+   * le texte se poursuivant au fragment suivant
+   */
+  applyDeltaPreferences(content, preferences) {
+    return preferences?.emojis === 'never' ? removeEmojis(content) : content;
+  }
+
+  /**
+   * Reponses du moteur heuristique (repli sans fournisseur), preferences verifiables appliquees
+   * @param {Object} params - Parametres de generation (dont preferences)
+   * @param {number} count - Nombre de reponses
+   * @returns {Object} - Meme forme que generateQuickReplies
+   */
+  generateHeuristicSuggestions({ preferences, ...params }, count) {
+    const result = this.generateQuickReplies(params, count);
+    const applied = PromptBuilder.resolvePreferences(
+      preferences,
+      PromptBuilder.resolveReplyTarget(result.analysis, params.replyTo)
+    );
+
+    const seen = new Set();
+    const suggestions = result.suggestions
+      .map((reply) => ({ ...reply, suggestion: this.applyPreferences(reply.suggestion, applied) }))
+      .filter(({ suggestion }) => suggestion && !seen.has(suggestion) && seen.add(suggestion));
+
+    return {
+      ...result,
+      suggestions,
+      metadata: { ...result.metadata, preferencesApplied: applied !== null },
+    };
+  }
+
+  /**
+   * Cree la session de masquage d'une requete
+   * @param {Array} messages - Messages de la conversation (noms des participants)
+   * @param {string} currentUserName - Nom de l'utilisateur courant
+   * @returns {RedactionSession}
+   */
+  createRedactionSession(messages, currentUserName) {
+    return this.redactor.createSession([currentUserName, ...(messages || []).map((m) => m.senderName)]);
+  }
+
+  /**
+   * Messages envoyes au fournisseur, donnees personnelles masquees
+   * @param {{ systemPrompt: string, userPrompt: string }} prompts
+   * @param {RedactionSession} redaction - Session de masquage de la requete
+   * @returns {Array<{ role: string, content: string }>}
+   */
+  buildProviderMessages({ systemPrompt, userPrompt }, redaction) {
+    const user = redaction.redact(userPrompt);
+    const system = redaction.redact(systemPrompt);
+
+    if (!redaction.hasRedactions()) {
+      return [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ];
+    }
+
+    logger.debug('Donnees personnelles masquees', { redactions: redaction.counts });
+    return [
+      { role: 'system', content: `${system}\n\n${PromptBuilder.buildRedactionNotice()}` },
+      { role: 'user', content: user },
+    ];
+  }
+
+  /**
+   * Appelle le fournisseur LLM pour des prompts deja construits
+   * @param {{ systemPrompt: string, userPrompt: string }} prompts
+   * @param {Object} options
+   * @param {number} options.temperature - Temperature de cet appel
+   * @param {number} options.maxTokens - Limite de tokens generes (defaut: config.ai.maxTokens)
+   * @param {RedactionSession} options.redaction - Session de masquage (defaut: sans noms de personnes)
+   * @returns {Promise<{ suggestion: string, temperature: number, tokensUsed: number, model: string }>}
+   */
+  async complete(
+    prompts,
+    {
+      temperature = config.ai.temperature,
+      maxTokens = config.ai.maxTokens,
+      redaction = this.redactor.createSession(),
+    } = {}
+  ) {
+    const completion = await this.provider.createCompletion({
+      messages: this.buildProviderMessages(prompts, redaction),
+      maxTokens,
+      temperature,
+    });
+
+    return {
+      // Restaurer les donnees masquees puis nettoyer (enlever les guillemets si presents)
+      suggestion: this.cleanSuggestion(redaction.restore(completion.content)),
+      temperature,
+      tokensUsed: completion.usage?.total_tokens,
+      model: completion.model,
+    };
+  }
+
+  /**
+   * Genere une suggestion en streaming
+   * Produit successivement un evenement 'analysis', des evenements 'delta'
+   * (fragments de texte) puis un evenement 'done' avec la suggestion nettoyee
+   * @param {Object} params - Memes parametres que generateSuggestion
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Signal d'annulation (deconnexion du client)
+   * @returns {AsyncGenerator<{ type: string, data: Object }>}
+   */
+  async *streamSuggestion(
+    { currentInput, messages, currentUserId, currentUserName, language, replyTo, summary, preferences },
+    { signal } = {}
+  ) {
+    if (!this.isAvailable()) {
+      throw new Error('Service IA non disponible - Verifiez la configuration');
+    }
+
+    const startTime = Date.now();
+    const mode = currentInput?.trim() ? 'improve' : 'suggest';
+
+    logger.info('Generation de suggestion en streaming', {
+      mode,
+      messageCount: messages?.length || 0,
+      userName: currentUserName,
+    });
+
+    const { analysis, systemPrompt, userPrompt, styleProfile, preferences: applied } = await this.prepareGeneration({
+      mode,
+      currentInput,
+      messages,
+      currentUserId,
+      currentUserName,
+      language,
+      replyTo,
+      summary,
+      preferences,
+    });
+
+    yield { type: 'analysis', data: { mode, analysis: analysis.toJSON() } };
+
+    const redaction = this.createRedactionSession(messages, currentUserName);
+
+    try {
+      const chunks = this.provider.streamCompletion({
+        messages: this.buildProviderMessages({ systemPrompt, userPrompt }, redaction),
+        maxTokens: config.ai.maxTokens,
+        temperature: config.ai.temperature,
+        signal,
+      });
+
+      // Les marqueurs coupes entre deux fragments sont restaures au fragment suivant
+      const restorer = redaction.createStreamRestorer();
+      let suggestion = '';
+      let usage;
+
+      for await (const chunk of chunks) {
+        if (chunk.content) {
+          suggestion += chunk.content;
+          const content = this.applyDeltaPreferences(restorer.push(chunk.content), applied);
+          if (content) {
+            yield { type: 'delta', data: { content } };
+          }
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      const rest = this.applyDeltaPreferences(restorer.flush(), applied);
+      if (rest) {
+        yield { type: 'delta', data: { content: rest } };
+      }
+
+      const processingTime = Date.now() - startTime;
+      recordTokens(this.provider.name, mode, usage?.total_tokens);
+
+      logger.info('Suggestion streamee avec succes', {
+        mode,
+        processingTime: `${processingTime}ms`,
+        tokensUsed: usage?.total_tokens,
+      });
+
+      yield {
+        type: 'done',
+        data: {
+          suggestion: this.applyPreferences(this.cleanSuggestion(redaction.restore(suggestion.trim())), applied),
+          mode,
+          metadata: {
+            engine: 'llm',
+            provider: this.provider.name,
+            model: this.provider.model,
+            processingTime,
+            tokensUsed: usage?.total_tokens,
+            promptVersion: PromptBuilder.getTemplateVersion(),
+            styleSampleSize: styleProfile?.sampleSize ?? 0,
+            preferencesApplied: applied !== null,
+            redactions: redaction.counts,
+          },
+        },
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.info('Streaming interrompu par le client', { mode });
+        return;
+      }
+
+      logger.error('Erreur lors du streaming de suggestion', {
+        error: error.message,
+        mode,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Reecrit un brouillon selon des transformations ciblees (plus formel, plus court...)
+   * @param {Object} params
+   * @param {string} params.draft - Brouillon a reecrire
+   * @param {Array<string>} params.transformations - Transformations a appliquer
+   * @param {Array} params.messages - Messages de la conversation (contexte)
+   * @param {string} params.currentUserId - ID de l'utilisateur courant
+   * @param {string} params.currentUserName - Nom de l'utilisateur courant
+   * @param {string} params.language - Langue de reponse imposee (defaut: langue detectee)
+   * @returns {Promise<Object>} - Texte reecrit, transformations appliquees (avec libelles) et metadonnees
+   */
+  async rewrite({ draft, transformations, messages, currentUserId, currentUserName, language }) {
+    if (!this.isAvailable()) {
+      throw new Error('Service IA non disponible - Verifiez la configuration');
+    }
+
+    const startTime = Date.now();
+    const applied = [...new Set(transformations)];
+
+    const analysis = ConversationAnalyzer.analyze(messages || [], currentUserId, currentUserName);
+    const systemPrompt = PromptBuilder.buildRewriteSystemPrompt(currentUserName, analysis, applied, { language });
+    const userPrompt = PromptBuilder.buildRewriteUserPrompt(draft, messages || [], currentUserId, currentUserName);
+
+    const redaction = this.createRedactionSession(messages, currentUserName);
+    const completion = await this.complete({ systemPrompt, userPrompt }, { redaction });
+
+    // Garantir l'absence d'emojis quel que soit le respect de la consigne par le modele
+    let rewritten = completion.suggestion;
+    if (applied.includes('remove_emojis')) {
+      rewritten = stripEmojis(rewritten);
+    }
+
+    const processingTime = Date.now() - startTime;
+    recordTokens(this.provider.name, 'rewrite', completion.tokensUsed);
+
+    logger.info('Brouillon reecrit', {
+      transformations: applied,
+      processingTime: `${processingTime}ms`,
+      tokensUsed: completion.tokensUsed,
+    });
+
+    const labelLanguage = language || analysis.language;
+
+    return {
+      rewritten,
+      original: draft,
+      transformations: applied.map((id) => ({ id, label: getTransformationLabel(id, labelLanguage) })),
+      analysis: analysis.toJSON(),
+      metadata: {
+        provider: this.provider.name,
+        model: completion.model,
+        processingTime,
+        tokensUsed: completion.tokensUsed,
+        promptVersion: PromptBuilder.getTemplateVersion(),
+        redactions: redaction.counts,
+      },
+    };
+  }
+
+  /**
+   * Resume une conversation, ou met a jour un resume existant avec de nouveaux messages
+   * Le resume obtenu peut etre renvoye dans le champ summary des generations
+   * @param {Object} params
+   * @param {Array} params.messages - Messages a resumer (posterieurs a previousSummary)
+   * @param {string} params.previousSummary - Resume precedent (mise a jour incrementale)
+   * @param {string} params.currentUserId - ID de l'utilisateur courant
+   * @param {string} params.currentUserName - Nom de l'utilisateur courant
+   * @param {string} params.language - Langue du resume (defaut: langue detectee)
+   * @returns {Promise<Object>} - Resume, nombre de messages integres et metadonnees
+   */
+  async summarize({ messages, previousSummary, currentUserId, currentUserName, language }) {
+    if (!this.isAvailable()) {
+      throw new Error('Service IA non disponible - Verifiez la configuration');
+    }
+
+    const startTime = Date.now();
+    const incremental = !!previousSummary?.trim();
+    const analysis = ConversationAnalyzer.analyze(messages, currentUserId, currentUserName);
+
+    const systemPrompt = PromptBuilder.buildSummarySystemPrompt(currentUserName, analysis, { language, incremental });
+    const userPrompt = PromptBuilder.buildSummaryUserPrompt(messages, currentUserId, currentUserName, previousSummary);
+
+    // Temperature basse : le resume doit rester factuel
+    const redaction = this.createRedactionSession(messages, currentUserName);
+    const completion = await this.complete(
+      { systemPrompt, userPrompt },
+      { temperature: 0.3, maxTokens: config.ai.summaryMaxTokens, redaction }
+    );
+    const processingTime = Date.now() - startTime;
+    recordTokens(this.provider.name, 'summarize', completion.tokensUsed);
+
+    logger.info('Conversation resumee', {
+      messageCount: messages.length,
+      incremental,
+      processingTime: `${processingTime}ms`,
+      tokensUsed: completion.tokensUsed,
+    });
+
+    return {
+      summary: completion.suggestion,
+      incremental,
+      messageCount: messages.length,
+      language: language || analysis.language,
+      metadata: {
+        provider: this.provider.name,
+        model: completion.model,
+        processingTime,
+        tokensUsed: completion.tokensUsed,
+        promptVersion: PromptBuilder.getTemplateVersion(),
+        redactions: redaction.counts,
+      },
+    };
+  }
+
+  /**
+   * Traduit un message recu ou un brouillon en tenant compte du registre de la conversation
+   * @param {Object} params
+   * @param {string} params.text - Texte a traduire
+   * @param {string} params.targetLanguage - Langue cible (ISO 639-1)
+   * @param {string} params.kind - 'incoming' (message recu) ou 'draft' (brouillon)
+   * @param {Array} params.messages - Messages de la conversation (contexte)
+   * @param {string} params.currentUserId - ID de l'utilisateur courant
+   * @param {string} params.currentUserName - Nom de l'utilisateur courant
+   * @returns {Promise<Object>} - Traduction, langue source detectee et metadonnees
+   */
+  async translate({ text, targetLanguage, kind = 'draft', messages, currentUserId, currentUserName }) {
+    if (!this.isAvailable()) {
+      throw new Error('Service IA non disponible - Verifiez la configuration');
+    }
+
+    const startTime = Date.now();
+    const detected = detectLanguage(text);
+    // Sans aucun indice lexical, la langue source est indeterminee
+    const sourceLanguage = detected.confidence > 0 ? detected.language : 'und';
+
+    const analysis = ConversationAnalyzer.analyze(messages || [], currentUserId, currentUserName);
+    const base = {
+      sourceLanguage: { code: sourceLanguage, confidence: detected.confidence },
+      targetLanguage,
+      kind,
+      analysis: analysis.toJSON(),
+    };
+
+    // La detection ne connait que les langues dotees d'un lexique (un texte espagnol peut
+    // passer pour du francais) : le modele est toujours appele, et une source identique
+    // a la cible n'est pas imposee au prompt
+    const systemPrompt = PromptBuilder.buildTranslationSystemPrompt(analysis, {
+      sourceLanguage: sourceLanguage === targetLanguage ? 'und' : sourceLanguage,
+      targetLanguage,
+      kind,
+      userName: currentUserName,
+    });
+    const userPrompt = PromptBuilder.buildTranslationUserPrompt(text, messages || [], currentUserId, currentUserName);
+
+    // Temperature basse : la fidelite prime sur la variete
+    const redaction = this.createRedactionSession(messages, currentUserName);
+    const completion = await this.complete({ systemPrompt, userPrompt }, { temperature: 0.3, redaction });
+    const processingTime = Date.now() - startTime;
+    recordTokens(this.provider.name, 'translate', completion.tokensUsed);
+
+    logger.info('Texte traduit', {
+      sourceLanguage,
+      targetLanguage,
+      kind,
+      processingTime: `${processingTime}ms`,
+      tokensUsed: completion.tokensUsed,
+    });
+
+    return {
+      translation: completion.suggestion,
+      ...base,
+      metadata: {
+        provider: this.provider.name,
+        model: completion.model,
+        processingTime,
+        tokensUsed: completion.tokensUsed,
+        promptVersion: PromptBuilder.getTemplateVersion(),
+        redactions: redaction.counts,
+      },
+    };
+  }
+
   /**
    * Nettoie la suggestion des artefacts non desires
    */
@@ -158,42 +710,107 @@ export class AIService {
   }
 
   /**
-   * Genere plusieurs suggestions alternatives
+   * Genere plusieurs suggestions alternatives en parallele
+   * L'analyse et les prompts sont calcules une seule fois ; chaque appel
+   * utilise sa propre temperature (legerement croissante pour la variete).
    * @param {Object} params - Parametres de generation
    * @param {number} count - Nombre de suggestions a generer
-   * @returns {Promise<Array>} - Liste de suggestions
+   * @returns {Promise<Object>} - Suggestions (texte, temperature, tokens), analyse et metadonnees
    */
   async generateMultipleSuggestions(params, count = 3) {
-    const suggestions = [];
+    const mode = params.currentInput?.trim() ? 'improve' : 'suggest';
 
-    for (let i = 0; i < count; i++) {
-      try {
-        // Augmenter legerement la temperature pour la variete
-        const originalTemp = config.ai.temperature;
-        config.ai.temperature = Math.min(1, originalTemp + (i * 0.1));
+    if (this.shouldUseHeuristics(mode)) {
+      logger.warn('Fournisseur IA indisponible - Suggestions heuristiques');
+      return this.generateHeuristicSuggestions(params, count);
+    }
+
+    if (!this.isAvailable()) {
+      throw new Error('Service IA non disponible - Verifiez la configuration');
+    }
+
+    const startTime = Date.now();
+    const {
+      analysis, systemPrompt, userPrompt, styleProfile, preferences: applied,
+    } = await this.prepareGeneration({ ...params, mode });
 
-        const result = await this.generateSuggestion(params);
-        suggestions.push(result.suggestion);
+    const baseTemperature = config.ai.temperature;
+    const temperatures = Array.from(
+      { length: count },
+      (_, i) => Math.round(Math.min(1, baseTemperature + i * 0.1) * 100) / 100
+    );
 
-        config.ai.temperature = originalTemp;
-      } catch (error) {
-        logger.warn(`Erreur generation suggestion ${i + 1}`, { error: error.message });
+    // Une seule session : les memes marqueurs pour toutes les generations
+    const redaction = this.createRedactionSession(params.messages, params.currentUserName);
+    const results = await Promise.allSettled(
+      temperatures.map((temperature) => this.complete({ systemPrompt, userPrompt }, { temperature, redaction }))
+    );
+
+    const suggestions = [];
+    const seen = new Set();
+    let tokensUsed = 0;
+    let model = this.provider.model;
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        logger.warn(`Erreur generation suggestion ${i + 1}`, { error: result.reason?.message });
+        return;
       }
+
+      const { suggestion, temperature, tokensUsed: tokens, model: completionModel } = result.value;
+      tokensUsed += tokens || 0;
+      model = completionModel || model;
+
+      // Dedupliquer (apres application des preferences, qui peut rapprocher deux textes)
+      const text = suggestion && this.applyPreferences(suggestion, applied);
+      if (!text || seen.has(text)) return;
+      seen.add(text);
+      suggestions.push({ suggestion: text, temperature, tokensUsed: tokens });
+    });
+
+    // Toutes les generations ont echoue : remonter la premiere erreur
+    if (suggestions.length === 0 && results.every((r) => r.status === 'rejected')) {
+      throw results[0].reason;
     }
 
-    // Dedupliquer
-    return [...new Set(suggestions)];
+    const processingTime = Date.now() - startTime;
+    recordTokens(this.provider.name, mode, tokensUsed);
+
+    logger.info('Suggestions multiples generees', {
+      mode,
+      count: suggestions.length,
+      processingTime: `${processingTime}ms`,
+      tokensUsed,
+    });
+
+    return {
+      suggestions,
+      mode,
+      analysis: analysis.toJSON(),
+      metadata: {
+        engine: 'llm',
+        provider: this.provider.name,
+        model,
+        processingTime,
+        tokensUsed,
+        promptVersion: PromptBuilder.getTemplateVersion(),
+        styleSampleSize: styleProfile?.sampleSize ?? 0,
+        preferencesApplied: applied !== null,
+        redactions: redaction.counts,
+      },
+    };
   }
 
   /**
    * Analyse une conversation sans generer de suggestion
+   * Inclut l'analyse par message, par participant et la trajectoire emotionnelle
    * @param {Array} messages - Messages de la conversation
    * @param {string} currentUserId - ID de l'utilisateur courant
    * @param {string} currentUserName - Nom de l'utilisateur courant
    * @returns {Object} - Analyse de la conversation
    */
   analyzeConversation(messages, currentUserId, currentUserName) {
-    const analysis = ConversationAnalyzer.analyze(messages, currentUserId, currentUserName);
+    const analysis = ConversationAnalyzer.analyze(messages, currentUserId, currentUserName, { detailed: true });
     return analysis.toJSON();
   }
 }
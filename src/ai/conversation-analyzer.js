@@ -4,6 +4,7 @@
  */
 
 import logger from '../utils/logger.js';
+import { detectLanguage, getLexicon, LEXICONS } from './lexicons/index.js';
 
 /**
  * Classe representant l'analyse d'une conversation
@@ -20,6 +21,14 @@ export class ConversationAnalysis {
     emotionalTone = 'neutre',
     urgency = 'normal',
     formality = 0.5,
+    language = 'fr',
+    isGroup = false,
+    participantCount = 0,
+    contacts = [],
+    addressing = null,
+    messageBreakdown = null,
+    participants = null,
+    emotionalTrajectory = null,
   } = {}) {
     this.tone = tone;
     this.relationship = relationship;
@@ -31,10 +40,19 @@ export class ConversationAnalysis {
     this.emotionalTone = emotionalTone;
     this.urgency = urgency;
     this.formality = formality; // 0 = tres informel, 1 = tres formel
+    this.language = language; // Code ISO 639-1 de la langue detectee
+    this.isGroup = isGroup; // Plus de deux participants
+    this.participantCount = participantCount;
+    this.contacts = contacts; // Relation et ton par interlocuteur
+    this.addressing = addressing; // Destinataire du dernier message recu
+    // Analyse detaillee (uniquement si demandee, voir ConversationAnalyzer.analyze)
+    this.messageBreakdown = messageBreakdown;
+    this.participants = participants;
+    this.emotionalTrajectory = emotionalTrajectory;
   }
 
   toJSON() {
-    return {
+    const json = {
       tone: this.tone,
       relationship: this.relationship,
       topics: this.topics,
@@ -45,7 +63,20 @@ export class ConversationAnalysis {
       emotionalTone: this.emotionalTone,
       urgency: this.urgency,
       formality: this.formality,
+      language: this.language,
+      isGroup: this.isGroup,
+      participantCount: this.participantCount,
+      contacts: this.contacts,
+      addressing: this.addressing,
     };
+
+    if (this.messageBreakdown) {
+      json.messages = this.messageBreakdown;
+      json.participants = this.participants;
+      json.emotionalTrajectory = this.emotionalTrajectory;
+    }
+
+    return json;
   }
 }
 
@@ -53,48 +84,27 @@ export class ConversationAnalysis {
  * Analyseur de conversation
  */
 export class ConversationAnalyzer {
-  // Dictionnaires de detection
-  static FORMAL_INDICATORS = [
-    'bonjour', 'bonsoir', 'merci', 'cordialement', 'sincèrement',
-    'pourriez', 'veuillez', 'je vous prie', 'permettez', 'monsieur',
-    'madame', 'respectueusement', 'bien à vous', 'salutations',
-  ];
-
-  static INFORMAL_INDICATORS = [
-    'salut', 'coucou', 'ouais', 'cool', 'lol', 'mdr', 'ptdr',
-    'tkt', 'jsp', 'wsh', 'bg', 'oklm', 'yo', 'hey', 'cc',
-    'tranquille', 'grave', 'trop', 'genre', 'quoi', 'nan',
-  ];
-
-  static POSITIVE_INDICATORS = [
-    'content', 'super', 'génial', 'cool', 'parfait', 'merci',
-    'top', 'excellent', 'bravo', 'magnifique', 'incroyable',
-    'heureux', 'ravi', 'adorable', 'formidable', 'chouette',
-  ];
-
-  static NEGATIVE_INDICATORS = [
-    'désolé', 'dommage', 'problème', 'malheureusement', 'triste',
-    'inquiet', 'stressé', 'difficile', 'compliqué', 'ennuyeux',
-    'frustrant', 'décevant', 'mauvais', 'terrible', 'horrible',
-  ];
+  // Lexiques par langue (voir ./lexicons)
+  static LEXICONS = LEXICONS;
+
+  // Seuils du score emotionnel moyen (-1 a 1) pour les libelles et les tendances
+  static EMOTION_THRESHOLD = 0.25;
+  static TREND_THRESHOLD = 0.3;
 
+  // Les emojis sont communs a toutes les langues
   static POSITIVE_EMOJIS = ['😊', '😂', '😄', '😃', '🙂', '❤️', '💕', '👍', '🎉', '✨', '🥳', '😁', '🤗', '💪', '👏'];
   static NEGATIVE_EMOJIS = ['😢', '😔', '😡', '💔', '😤', '😞', '😟', '😰', '😭', '🙁', '😕', '😣'];
 
-  static TOPIC_KEYWORDS = {
-    travail: ['travail', 'projet', 'réunion', 'bureau', 'chef', 'collègue', 'deadline', 'meeting', 'boss', 'boulot', 'job'],
-    'rendez-vous': ['rdv', 'rendez-vous', 'voir', 'rencontrer', 'heure', 'demain', 'ce soir', 'samedi', 'dimanche', 'week-end'],
-    loisirs: ['film', 'série', 'jeu', 'sport', 'musique', 'concert', 'soirée', 'sortie', 'resto', 'bar'],
-    nourriture: ['manger', 'restaurant', 'bouffe', 'dîner', 'déjeuner', 'petit-dej', 'café', 'boire', 'faim'],
-    voyage: ['voyage', 'vacances', 'partir', 'destination', 'avion', 'train', 'hôtel', 'plage', 'montagne'],
-    famille: ['famille', 'parents', 'maman', 'papa', 'frère', 'soeur', 'enfants', 'bébé', 'mariage'],
-    santé: ['santé', 'médecin', 'malade', 'hôpital', 'docteur', 'fatigue', 'repos', 'dormir'],
-    argent: ['argent', 'payer', 'prix', 'cher', 'budget', 'économies', 'acheter', 'vendre'],
-  };
-
-  static URGENCY_INDICATORS = {
-    high: ['urgent', 'vite', 'rapidement', 'asap', 'immédiatement', 'maintenant', 'tout de suite', 'dépêche'],
-    low: ['quand tu peux', 'pas pressé', 'tranquille', 'à l\'occasion', 'un jour'],
+  // Descriptions des types de reponse attendue (destinees au prompt)
+  static EXPECTED_RESPONSE_DESCRIPTIONS = {
+    temporelle: 'Question temporelle - necessite une date/heure',
+    lieu: 'Question de lieu - necessite une localisation',
+    explicative: 'Question explicative - necessite des details',
+    proposition: 'Proposition - necessite acceptation/refus',
+    ouverte: 'Question ouverte - necessite une reponse informative',
+    exclamation: 'Exclamation - reaction enthousiaste possible',
+    validation: 'Validation - peut clore le sujet ou continuer',
+    affirmation: 'Affirmation - reponse contextuelle appropriee',
   };
 
   /**
@@ -102,9 +112,11 @@ export class ConversationAnalyzer {
    * @param {Array} messages - Liste des messages
    * @param {string} currentUserId - ID de l'utilisateur courant
    * @param {string} currentUserName - Nom de l'utilisateur courant
+   * @param {Object} options
+   * @param {boolean} options.detailed - Ajouter l'analyse par message, par participant et la trajectoire emotionnelle
    * @returns {ConversationAnalysis}
    */
-  static analyze(messages, currentUserId, currentUserName) {
+  static analyze(messages, currentUserId, currentUserName, { detailed = false } = {}) {
     if (!messages || messages.length === 0) {
       logger.debug('Analyse: Conversation vide');
       return new ConversationAnalysis({
@@ -113,18 +125,34 @@ export class ConversationAnalyzer {
     }
 
     try {
-      const tone = this.detectTone(messages);
-      const relationship = this.detectRelationship(messages, tone);
-      const topics = this.extractTopics(messages);
-      const emotionalTone = this.detectEmotionalTone(messages);
+      // Les dictionnaires de detection dependent de la langue
+      const language = this.detectLanguage(messages);
+      const lexicon = getLexicon(language);
+
+      const tone = this.detectTone(messages, lexicon);
+      const relationship = this.detectRelationship(messages, tone, lexicon);
+      const topics = this.extractTopics(messages, lexicon);
+      const emotionalTone = this.detectEmotionalTone(messages, lexicon);
       const conversationFlow = this.analyzeConversationFlow(messages, currentUserId);
       const summary = this.createConversationSummary(messages, currentUserId, topics);
-      const urgency = this.detectUrgency(messages);
-      const formality = this.calculateFormality(messages);
+      const urgency = this.detectUrgency(messages, lexicon);
+      const formality = this.calculateFormality(messages, lexicon);
 
       const lastMessage = messages[messages.length - 1];
       const lastSpeaker = lastMessage.senderId === currentUserId ? 'moi' : lastMessage.senderName;
 
+      const contacts = this.analyzeContacts(messages, currentUserId, lexicon);
+      const participantCount = new Set([currentUserId, ...messages.map((m) => m.senderId)]).size;
+      const isGroup = participantCount > 2;
+      const addressing = this.detectAddressing(messages, currentUserId, currentUserName, isGroup);
+
+      const details = {};
+      if (detailed) {
+        details.messageBreakdown = this.analyzeMessages(messages, lexicon, language);
+        details.participants = this.analyzeParticipants(messages, details.messageBreakdown, currentUserId);
+        details.emotionalTrajectory = this.analyzeEmotionalTrajectory(details.messageBreakdown);
+      }
+
       const analysis = new ConversationAnalysis({
         tone,
         relationship,
@@ -136,6 +164,12 @@ export class ConversationAnalyzer {
         emotionalTone,
         urgency,
         formality,
+        language,
+        isGroup,
+        participantCount,
+        contacts,
+        addressing,
+        ...details,
       });
 
       logger.debug('Analyse terminee', { analysis: analysis.toJSON() });
@@ -146,22 +180,30 @@ export class ConversationAnalyzer {
     }
   }
 
+  /**
+   * Detecte la langue dominante de la conversation
+   * @returns {string} - Code ISO 639-1
+   */
+  static detectLanguage(messages) {
+    return detectLanguage(messages.map((m) => m.content).join(' ')).language;
+  }
+
   /**
    * Detecte le ton general de la conversation
    */
-  static detectTone(messages) {
+  static detectTone(messages, lexicon = getLexicon()) {
     let formalScore = 0;
     let informalScore = 0;
 
     const allContent = messages.map((m) => m.content.toLowerCase()).join(' ');
 
-    for (const word of this.FORMAL_INDICATORS) {
+    for (const word of lexicon.formal) {
       const regex = new RegExp(`\\b${word}\\b`, 'gi');
       const matches = allContent.match(regex);
       if (matches) formalScore += matches.length;
     }
 
-    for (const word of this.INFORMAL_INDICATORS) {
+    for (const word of lexicon.informal) {
       const regex = new RegExp(`\\b${word}\\b`, 'gi');
       const matches = allContent.match(regex);
       if (matches) informalScore += matches.length * 1.5; // Poids plus fort pour l'informel
@@ -175,36 +217,134 @@ export class ConversationAnalyzer {
   /**
    * Detecte le type de relation entre les interlocuteurs
    */
-  static detectRelationship(messages, tone) {
+  static detectRelationship(messages, tone, lexicon = getLexicon()) {
     const content = messages.map((m) => m.content.toLowerCase()).join(' ');
 
     if (tone === 'formel') return 'professionnel';
 
     // Detecter les indices de relation
-    if (/\b(patron|chef|manager|directeur|client)\b/i.test(content)) {
-      return 'professionnel';
+    for (const [relationship, pattern] of lexicon.relationships) {
+      if (pattern.test(content)) return relationship;
     }
-    if (/\b(maman|papa|famille|parents?|frère|soeur)\b/i.test(content)) {
-      return 'famille';
+
+    return 'ami';
+  }
+
+  /**
+   * Relation et ton propres a chaque interlocuteur (hors utilisateur courant)
+   * Permet de distinguer les membres d'une conversation de groupe
+   * @returns {Array<{ senderId: string, senderName: string, relationship: string, tone: string, messageCount: number }>}
+   */
+  static analyzeContacts(messages, currentUserId, lexicon = getLexicon()) {
+    const bySender = new Map();
+
+    for (const message of messages) {
+      if (message.senderId === currentUserId) continue;
+      if (!bySender.has(message.senderId)) bySender.set(message.senderId, []);
+      bySender.get(message.senderId).push(message);
     }
-    if (/\b(collègue|bureau|travail|réunion|projet)\b/i.test(content)) {
-      return 'collegue';
+
+    return [...bySender.entries()].map(([senderId, senderMessages]) => {
+      const tone = this.detectTone(senderMessages, lexicon);
+      return {
+        senderId,
+        senderName: senderMessages[senderMessages.length - 1].senderName,
+        relationship: this.detectRelationship(senderMessages, tone, lexicon),
+        tone,
+        messageCount: senderMessages.length,
+      };
+    });
+  }
+
+  /**
+   * Detecte a qui s'adresse le dernier message recu
+   * Indices, par ordre de priorite : mention @nom, nom cite, question
+   * posee juste apres un message de l'utilisateur, tete-a-tete
+   * @returns {Object | null} - null si aucun message recu
+   */
+  static detectAddressing(messages, currentUserId, currentUserName, isGroup) {
+    const lastIndex = messages.findLastIndex((m) => m.senderId !== currentUserId);
+    if (lastIndex === -1) return null;
+
+    const lastOther = messages[lastIndex];
+    const participants = new Map([[currentUserId, currentUserName]]);
+    for (const message of messages) {
+      if (message.senderId !== lastOther.senderId) participants.set(message.senderId, message.senderName);
     }
-    if (/\b(chéri|bébé|mon amour|ma puce|mon coeur)\b/i.test(content)) {
-      return 'couple';
+
+    const content = this.normalizeName(lastOther.content);
+    const findAddressees = (matches) => [...participants.entries()]
+      .filter(([, name]) => name && matches(this.nameVariants(name)))
+      .map(([senderId, senderName]) => ({ senderId, senderName }));
+
+    // Mentions explicites (@prenom ou @prenom_nom)
+    const mentions = (content.match(/@[\p{L}\p{N}_.-]+/gu) || [])
+      .map((mention) => mention.slice(1).replace(/[_.-]/g, ' '));
+    let addressees = findAddressees((variants) => mentions.some((mention) => variants.includes(mention)));
+    let signal = 'mention';
+
+    // Nom cite dans le message ("Alice, tu viens ?")
+    if (addressees.length === 0) {
+      addressees = findAddressees((variants) => variants.some((variant) =>
+        new RegExp(`(^|[^\\p{L}])${this.escapeRegExp(variant)}([^\\p{L}]|$)`, 'u').test(content)
+      ));
+      signal = 'nom';
     }
 
-    return 'ami';
+    // Question posee en reponse directe a un message de l'utilisateur
+    if (addressees.length === 0) {
+      const previous = messages[lastIndex - 1];
+      if (!isGroup) {
+        addressees = [{ senderId: currentUserId, senderName: currentUserName }];
+        signal = 'tete-a-tete';
+      } else if (lastOther.content.includes('?') && previous?.senderId === currentUserId) {
+        addressees = [{ senderId: currentUserId, senderName: currentUserName }];
+        signal = 'question';
+      } else {
+        signal = 'aucun';
+      }
+    }
+
+    return {
+      from: { senderId: lastOther.senderId, senderName: lastOther.senderName },
+      to: addressees,
+      scope: addressees.length === 0 ? 'groupe' : 'direct',
+      addressesMe: addressees.some((addressee) => addressee.senderId === currentUserId),
+      signal,
+    };
+  }
+
+  /**
+   * Normalise un nom ou un texte pour la comparaison (minuscules, sans accents)
+   */
+  static normalizeName(value) {
+    return value.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  /**
+   * Formes sous lesquelles un participant peut etre designe (nom complet, prenom)
+   */
+  static nameVariants(name) {
+    const normalized = this.normalizeName(name).trim();
+    const firstName = normalized.split(/\s+/)[0];
+    return [...new Set([normalized, firstName])].filter((variant) => variant.length >= 2);
+  }
+
+  /**
+   * Echappe les caracteres speciaux d'une expression reguliere
+   */
+  static escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
   /**
    * Extrait les sujets principaux de la conversation
    */
-  static extractTopics(messages) {
+  static extractTopics(messages, lexicon = getLexicon()) {
     const topics = [];
     const content = messages.map((m) => m.content.toLowerCase()).join(' ');
 
-    for (const [topic, keywords] of Object.entries(this.TOPIC_KEYWORDS)) {
+    for (const [topic, keywords] of Object.entries(lexicon.topics)) {
       const hasKeyword = keywords.some((keyword) => content.includes(keyword));
       if (hasKeyword) {
         topics.push(topic);
@@ -217,18 +357,34 @@ export class ConversationAnalyzer {
   /**
    * Detecte le ton emotionnel de la conversation
    */
-  static detectEmotionalTone(messages) {
+  static detectEmotionalTone(messages, lexicon = getLexicon()) {
+    return this.classifyEmotion(this.scoreEmotions(messages.map((m) => m.content).join(' '), lexicon));
+  }
+
+  /**
+   * Libelle emotionnel a partir des scores bruts
+   */
+  static classifyEmotion({ positiveScore, negativeScore }) {
+    if (positiveScore > negativeScore * 1.5) return 'positif';
+    if (negativeScore > positiveScore) return 'negatif';
+    return 'neutre';
+  }
+
+  /**
+   * Calcule les scores emotionnels bruts d'un texte (mots, emojis, exclamations)
+   * @returns {{ positiveScore: number, negativeScore: number }}
+   */
+  static scoreEmotions(allContent, lexicon = getLexicon()) {
     let positiveScore = 0;
     let negativeScore = 0;
 
-    const allContent = messages.map((m) => m.content).join(' ');
     const contentLower = allContent.toLowerCase();
 
     // Analyser les mots
-    for (const word of this.POSITIVE_INDICATORS) {
+    for (const word of lexicon.positive) {
       if (contentLower.includes(word)) positiveScore++;
     }
-    for (const word of this.NEGATIVE_INDICATORS) {
+    for (const word of lexicon.negative) {
       if (contentLower.includes(word)) negativeScore++;
     }
 
@@ -246,9 +402,7 @@ export class ConversationAnalyzer {
     const exclamations = (allContent.match(/!/g) || []).length;
     positiveScore += Math.min(exclamations, 3);
 
-    if (positiveScore > negativeScore * 1.5) return 'positif';
-    if (negativeScore > positiveScore) return 'negatif';
-    return 'neutre';
+    return { positiveScore, negativeScore };
   }
 
   /**
@@ -314,13 +468,13 @@ export class ConversationAnalyzer {
   /**
    * Detecte le niveau d'urgence
    */
-  static detectUrgency(messages) {
+  static detectUrgency(messages, lexicon = getLexicon()) {
     const recentContent = messages.slice(-3).map((m) => m.content.toLowerCase()).join(' ');
 
-    for (const word of this.URGENCY_INDICATORS.high) {
+    for (const word of lexicon.urgency.high) {
       if (recentContent.includes(word)) return 'urgent';
     }
-    for (const word of this.URGENCY_INDICATORS.low) {
+    for (const word of lexicon.urgency.low) {
       if (recentContent.includes(word)) return 'faible';
     }
 
@@ -330,16 +484,16 @@ export class ConversationAnalyzer {
   /**
    * Calcule un score de formalite (0-1)
    */
-  static calculateFormality(messages) {
+  static calculateFormality(messages, lexicon = getLexicon()) {
     let formalScore = 0;
     let informalScore = 0;
 
     const allContent = messages.map((m) => m.content.toLowerCase()).join(' ');
 
-    for (const word of this.FORMAL_INDICATORS) {
+    for (const word of lexicon.formal) {
       if (allContent.includes(word)) formalScore++;
     }
-    for (const word of this.INFORMAL_INDICATORS) {
+    for (const word of lexicon.informal) {
       if (allContent.includes(word)) informalScore++;
     }
 
@@ -349,37 +503,164 @@ export class ConversationAnalyzer {
     return formalScore / total;
   }
 
+  /**
+   * Analyse chaque message individuellement
+   * @returns {Array<Object>} - Ton, emotion, formalite et type de reponse attendue par message
+   */
+  static analyzeMessages(messages, lexicon, language) {
+    return messages.map((message, index) => {
+      const scores = this.scoreEmotions(message.content, lexicon);
+      const total = scores.positiveScore + scores.negativeScore;
+
+      return {
+        index,
+        senderId: message.senderId,
+        senderName: message.senderName,
+        tone: this.detectTone([message], lexicon),
+        emotion: this.classifyEmotion(scores),
+        // -1 (negatif) a 1 (positif), 0 sans indice emotionnel
+        emotionScore: total === 0 ? 0 : Math.round(((scores.positiveScore - scores.negativeScore) / total) * 100) / 100,
+        formality: Math.round(this.calculateFormality([message], lexicon) * 100) / 100,
+        expectedResponse: this.analyzeExpectedResponse(message.content, language).type,
+      };
+    });
+  }
+
+  /**
+   * Statistiques par participant : volume, longueur moyenne, emojis, ton dominant
+   * @param {Array} messages - Messages de la conversation
+   * @param {Array} breakdown - Resultat de analyzeMessages
+   * @param {string} currentUserId - ID de l'utilisateur courant
+   * @returns {Array<Object>} - Participants, du plus actif au moins actif
+   */
+  static analyzeParticipants(messages, breakdown, currentUserId) {
+    const participants = new Map();
+
+    messages.forEach((message, index) => {
+      if (!participants.has(message.senderId)) {
+        participants.set(message.senderId, {
+          senderId: message.senderId,
+          senderName: message.senderName,
+          messages: 0,
+          characters: 0,
+          emojis: 0,
+          questions: 0,
+          tones: {},
+          emotions: {},
+        });
+      }
+
+      const stats = participants.get(message.senderId);
+      const { tone, emotion } = breakdown[index];
+
+      stats.senderName = message.senderName;
+      stats.messages++;
+      stats.characters += message.content.length;
+      stats.emojis += (message.content.match(/\p{Extended_Pictographic}/gu) || []).length;
+      if (message.content.includes('?')) stats.questions++;
+      stats.tones[tone] = (stats.tones[tone] || 0) + 1;
+      stats.emotions[emotion] = (stats.emotions[emotion] || 0) + 1;
+    });
+
+    return [...participants.values()]
+      .map((stats) => ({
+        senderId: stats.senderId,
+        senderName: stats.senderName,
+        isCurrentUser: stats.senderId === currentUserId,
+        messageCount: stats.messages,
+        share: Math.round((stats.messages / messages.length) * 100) / 100,
+        averageLength: Math.round(stats.characters / stats.messages),
+        emojiRate: Math.round((stats.emojis / stats.messages) * 100) / 100,
+        questionCount: stats.questions,
+        dominantTone: this.mostFrequent(stats.tones),
+        dominantEmotion: this.mostFrequent(stats.emotions),
+      }))
+      .sort((a, b) => b.messageCount - a.messageCount);
+  }
+
+  /**
+   * Evolution du ton emotionnel au fil de la conversation
+   * Compare la premiere et la seconde moitie des messages
+   * @param {Array} breakdown - Resultat de analyzeMessages
+   * @returns {{ start: string, end: string, trend: string, description: string, points: Array<number> }}
+   */
+  static analyzeEmotionalTrajectory(breakdown) {
+    const points = breakdown.map((message) => message.emotionScore);
+    const middle = Math.ceil(points.length / 2);
+    const firstHalf = points.slice(0, middle);
+    const secondHalf = points.length > 1 ? points.slice(middle) : firstHalf;
+
+    const startScore = this.average(firstHalf);
+    const endScore = this.average(secondHalf);
+    const start = this.emotionLabel(startScore);
+    const end = this.emotionLabel(endScore);
+
+    // Changements de signe entre messages porteurs d'emotion
+    const signs = points.filter((score) => score !== 0).map(Math.sign);
+    const reversals = signs.filter((sign, i) => i > 0 && sign !== signs[i - 1]).length;
+
+    let trend = 'stable';
+    if (endScore - startScore >= this.TREND_THRESHOLD) trend = 'amelioration';
+    else if (startScore - endScore >= this.TREND_THRESHOLD) trend = 'degradation';
+    else if (reversals >= 3) trend = 'fluctuant';
+
+    const descriptions = {
+      stable: `Ton ${start} stable`,
+      amelioration: `Debut ${start}, evolution vers ${end}`,
+      degradation: `Debut ${start}, evolution vers ${end}`,
+      fluctuant: 'Ton changeant, alternance positif/negatif',
+    };
+
+    return { start, end, trend, description: descriptions[trend], points };
+  }
+
+  /**
+   * Libelle emotionnel d'un score moyen
+   */
+  static emotionLabel(score) {
+    if (score >= this.EMOTION_THRESHOLD) return 'positif';
+    if (score <= -this.EMOTION_THRESHOLD) return 'negatif';
+    return 'neutre';
+  }
+
+  /**
+   * Moyenne d'une liste de nombres (0 si vide)
+   */
+  static average(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Cle la plus frequente d'un objet { cle: occurrences }
+   */
+  static mostFrequent(counts) {
+    return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  }
+
   /**
    * Analyse ce qui est attendu comme reponse
+   * @param {string} message - Message recu
+   * @param {string} language - Langue du message (sinon detectee)
    */
-  static analyzeExpectedResponse(message) {
+  static analyzeExpectedResponse(message, language = detectLanguage(message).language) {
     const lower = message.toLowerCase();
+    const lexicon = getLexicon(language);
 
     if (message.includes('?')) {
-      if (/\b(quand|quelle heure|à quelle)\b/i.test(lower)) {
-        return { type: 'temporelle', description: 'Question temporelle - necessite une date/heure' };
-      }
-      if (/\b(où|quel endroit|quel lieu)\b/i.test(lower)) {
-        return { type: 'lieu', description: 'Question de lieu - necessite une localisation' };
-      }
-      if (/\b(comment|pourquoi|explique)\b/i.test(lower)) {
-        return { type: 'explicative', description: 'Question explicative - necessite des details' };
-      }
-      if (/\b(tu veux|on fait|ça te dit)\b/i.test(lower)) {
-        return { type: 'proposition', description: 'Proposition - necessite acceptation/refus' };
-      }
-      return { type: 'ouverte', description: 'Question ouverte - necessite une reponse informative' };
+      const [type] = lexicon.questions.find(([, pattern]) => pattern.test(lower)) || ['ouverte'];
+      return { type, description: this.EXPECTED_RESPONSE_DESCRIPTIONS[type] };
     }
 
     if (message.endsWith('!')) {
-      return { type: 'exclamation', description: 'Exclamation - reaction enthousiaste possible' };
+      return { type: 'exclamation', description: this.EXPECTED_RESPONSE_DESCRIPTIONS.exclamation };
     }
 
-    if (/\b(ok|d'accord|parfait|super|bien)\b/i.test(lower)) {
-      return { type: 'validation', description: 'Validation - peut clore le sujet ou continuer' };
+    if (lexicon.validation.test(lower)) {
+      return { type: 'validation', description: this.EXPECTED_RESPONSE_DESCRIPTIONS.validation };
     }
 
-    return { type: 'affirmation', description: 'Affirmation - reponse contextuelle appropriee' };
+    return { type: 'affirmation', description: this.EXPECTED_RESPONSE_DESCRIPTIONS.affirmation };
   }
 }
 
@@ -6,6 +6,18 @@
 export { AIService, aiService } from './ai-service.js';
 export { ConversationAnalyzer, ConversationAnalysis } from './conversation-analyzer.js';
 export { PromptBuilder } from './prompt-builder.js';
+export { QuickReplyEngine } from './quick-reply-engine.js';
+export { ResponseCache, responseCache } from './response-cache.js';
+export {
+  createProvider,
+  LLMProvider,
+  ProviderError,
+  GroqProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  ResilientProvider,
+  mapProviderError,
+} from './providers/index.js';
 
 // Export par defaut du service IA
 import aiService from './ai-service.js';
@@ -0,0 +1,148 @@
+/**
+ * Lexique anglais pour l'analyse de conversation
+ * Les identifiants de sujets et de relations restent ceux du lexique francais
+ */
+
+export default {
+  code: 'en',
+  name: 'anglais',
+
+  // Mots outils frequents, servent a la detection de langue
+  stopwords: [
+    'the', 'and', 'is', 'are', 'you', 'to', 'of', 'it', 'that', 'what', 'this', 'with',
+    'for', 'have', 'be', 'i', 'my', 'your', 'we', 'do', 'not', 'how', 'but', 'just',
+    'so', 'can', 'will', 'at', 'was', 'im', 'i\'m', 'don\'t', 'yes', 'no', 'about',
+    'would', 'there', 'they', 'he', 'she', 'if', 'or', 'where', 'when',
+  ],
+
+  formal: [
+    'hello', 'good morning', 'good evening', 'dear', 'regards', 'sincerely',
+    'please', 'kindly', 'could you', 'would you', 'thank you', 'mr', 'mrs',
+    'appreciate', 'best regards', 'yours faithfully',
+  ],
+
+  informal: [
+    'hi', 'hey', 'yo', 'lol', 'lmao', 'omg', 'btw', 'idk', 'tbh', 'gonna',
+    'wanna', 'yeah', 'yep', 'nope', 'cool', 'dude', 'bro', 'sup', 'ur', 'u',
+  ],
+
+  positive: [
+    'happy', 'great', 'awesome', 'amazing', 'perfect', 'thanks',
+    'love', 'excellent', 'congrats', 'wonderful', 'glad', 'nice',
+    'fantastic', 'cool', 'excited', 'brilliant',
+  ],
+
+  negative: [
+    'sorry', 'unfortunately', 'problem', 'sad', 'worried',
+    'stressed', 'difficult', 'complicated', 'annoying', 'frustrating',
+    'disappointed', 'bad', 'terrible', 'horrible', 'upset',
+  ],
+
+  topics: {
+    travail: ['work', 'project', 'meeting', 'office', 'boss', 'colleague', 'deadline', 'job', 'manager', 'client'],
+    'rendez-vous': ['appointment', 'meet', 'see you', 'tomorrow', 'tonight', 'saturday', 'sunday', 'weekend', 'o\'clock'],
+    loisirs: ['movie', 'film', 'series', 'game', 'sport', 'music', 'concert', 'party', 'going out', 'bar'],
+    nourriture: ['eat', 'restaurant', 'food', 'dinner', 'lunch', 'breakfast', 'coffee', 'drink', 'hungry'],
+    voyage: ['trip', 'travel', 'holiday', 'vacation', 'destination', 'flight', 'train', 'hotel', 'beach', 'mountain'],
+    famille: ['family', 'parents', 'mom', 'mum', 'dad', 'brother', 'sister', 'kids', 'baby', 'wedding'],
+    santé: ['health', 'doctor', 'sick', 'hospital', 'tired', 'rest', 'sleep'],
+    argent: ['money', 'pay', 'price', 'expensive', 'budget', 'savings', 'buy', 'sell'],
+  },
+
+  urgency: {
+    high: ['urgent', 'asap', 'quickly', 'immediately', 'right now', 'right away', 'hurry'],
+    low: ['whenever', 'no rush', 'no hurry', 'when you can', 'someday'],
+  },
+
+  // Indices de relation, testes dans l'ordre
+  relationships: [
+    ['professionnel', /\b(boss|manager|director|client|customer)\b/i],
+    ['famille', /\b(mom|mum|dad|family|parents?|brother|sister)\b/i],
+    ['collegue', /\b(colleague|coworker|office|work|meeting|project)\b/i],
+    ['couple', /\b(honey|babe|baby|my love|sweetheart|darling)\b/i],
+  ],
+
+  // Types de questions, testes dans l'ordre
+  questions: [
+    ['temporelle', /\b(when|what time|how long)\b/i],
+    ['lieu', /\b(where|which place)\b/i],
+    [
+      'proposition',
+      /\b(do you want|wanna|shall we|how about|would you like|are you up for|(see|meet) you|(are you|you) (free|available|around)|down for)\b/i,
+    ],
+    ['explicative', /\b(how|why|explain)\b/i],
+  ],
+
+  validation: /\b(ok|okay|alright|sure|perfect|great|fine)\b/i,
+
+  // Habitudes d'ecriture reperees par le profil de style (style-profiler.js)
+  style: {
+    abbreviations: [
+      'lol', 'brb', 'btw', 'idk', 'omg', 'thx', 'ty', 'pls', 'plz', 'u', 'ur', 'imo', 'imho', 'tbh',
+      'np', 'gonna', 'wanna', 'lmk', 'ttyl', 'rn', 'ngl', 'nvm', 'afaik', 'asap', 'cya',
+    ],
+    // Formules d'ouverture, reperees en debut de message
+    greetings: [
+      'hi', 'hello', 'hey', 'hiya', 'yo', 'good morning', 'good evening', 'hi all', 'hey guys', 'dear',
+    ],
+    // Formules de fin, reperees en fin de message
+    signOffs: [
+      'cheers', 'thanks', 'thank you', 'best', 'best regards', 'kind regards', 'regards', 'xoxo', 'xx',
+      'love', 'see you', 'see ya', 'cya', 'talk soon', 'take care', 'bye',
+    ],
+  },
+
+  // Reponses rapides du moteur heuristique (quick-reply-engine.js)
+  quickReplies: {
+    proposition: {
+      formel: ['I would be glad to, thank you.', 'Thank you, but I will not be available.', 'May I confirm a little later?'],
+      neutre: ['Yes, sounds good!', 'Sorry, I can\'t make it this time.', 'Can I let you know a bit later?'],
+      familier: ['Totally, I\'m in!', 'Ah sorry, can\'t this time', 'I\'ll let you know soon!'],
+    },
+    temporelle: {
+      formel: ['Tomorrow late morning, if that suits you.', 'I would suggest early afternoon.', 'I will get back to you with a precise time.'],
+      neutre: ['Tomorrow around 6pm, does that work?', 'Early afternoon would be best.', 'I\'ll let you know very soon.'],
+      familier: ['Around 6 works?', 'Tomorrow afternoon maybe', 'I\'ll tell you soon'],
+    },
+    lieu: {
+      formel: ['I suggest we meet at your office.', 'Would the usual place suit you?', 'I will send you the address shortly.'],
+      neutre: ['Same place as last time?', 'I\'ll send you the address.', 'Where works best for you?'],
+      familier: ['Usual spot?', 'I\'ll send you the address', 'Wherever you want!'],
+    },
+    explicative: {
+      formel: ['I will explain this in detail very soon.', 'Would you like to discuss it over the phone?', 'I will prepare a full update for you.'],
+      neutre: ['I\'ll explain it in detail later.', 'Easiest is to give you a call?', 'Good question, I\'ll check and let you know.'],
+      familier: ['I\'ll explain later', 'Easier if we call?', 'Good q, I\'ll check'],
+    },
+    ouverte: {
+      formel: ['I will get back to you as soon as possible.', 'Thank you for your question, I am on it.', 'Could you tell me a bit more about your request?'],
+      neutre: ['I\'ll get back to you soon.', 'Good question, let me check.', 'Can you tell me a bit more?'],
+      familier: ['I\'ll let you know!', 'Good q, let me check', 'Like what?'],
+    },
+    exclamation: {
+      formel: ['That is excellent news!', 'Congratulations!', 'Thank you very much for letting me know.'],
+      neutre: ['Awesome, so happy for you!', 'Great news!', 'Oh that\'s great!'],
+      familier: ['Sooo cool!! 🎉', 'Amazing!', 'Yesss 😄'],
+    },
+    validation: {
+      formel: ['Perfect, thank you very much.', 'Very well, duly noted.', 'Thank you, have a good day.'],
+      neutre: ['Perfect, thanks!', 'Great, noted.', 'Cool, talk later!'],
+      familier: ['Cool thx!', 'Sounds good 👍', 'Perfect, later!'],
+    },
+    affirmation: {
+      formel: ['Thank you for the information.', 'Duly noted, thank you.', 'I will get back to you shortly.'],
+      neutre: ['Thanks for letting me know!', 'Oh okay, I see.', 'Ok, I\'ll keep you posted.'],
+      familier: ['Ah ok I see', 'Thx for the info!', 'Cool, I\'ll let you know'],
+    },
+    soutien: {
+      formel: ['I am truly sorry to hear that.', 'If I can help in any way, please let me know.', 'I remain at your disposal.'],
+      neutre: ['Oh no, I\'m so sorry…', 'I\'m here if you need anything.', 'Do you want to talk about it?'],
+      familier: ['Oh nooo, hang in there 💪', 'Here if you need me', 'Wanna talk about it?'],
+    },
+    debut: {
+      formel: ['Hello, I hope you are well.', 'Hello, do you have a moment?', 'Hello, I am reaching out to you regarding a quick matter.'],
+      neutre: ['Hi, how are you?', 'Hey, got a minute?', 'Hello, what\'s new?'],
+      familier: ['Hey what\'s up?', 'Heyyy!', 'Yo, what\'s new?'],
+    },
+  },
+};
@@ -0,0 +1,152 @@
+/**
+ * Lexique francais pour l'analyse de conversation
+ */
+
+export default {
+  code: 'fr',
+  name: 'francais',
+
+  // Mots outils frequents, servent a la detection de langue
+  stopwords: [
+    'le', 'la', 'les', 'et', 'est', 'je', 'tu', 'il', 'elle', 'de', 'des', 'un', 'une',
+    'que', 'qui', 'pas', 'ce', 'ça', 'du', 'pour', 'avec', 'mais', 'vous', 'nous',
+    'mon', 'ton', 'ma', 'ta', 'moi', 'toi', 'oui', 'non', 'suis', 'es', 'sur', 'dans',
+    'bien', 'quoi', 'très', 'fait', 'au', 'aux', 'ou', 'où', 'si',
+  ],
+
+  formal: [
+    'bonjour', 'bonsoir', 'merci', 'cordialement', 'sincèrement',
+    'pourriez', 'veuillez', 'je vous prie', 'permettez', 'monsieur',
+    'madame', 'respectueusement', 'bien à vous', 'salutations',
+  ],
+
+  informal: [
+    'salut', 'coucou', 'ouais', 'cool', 'lol', 'mdr', 'ptdr',
+    'tkt', 'jsp', 'wsh', 'bg', 'oklm', 'yo', 'hey', 'cc',
+    'tranquille', 'grave', 'trop', 'genre', 'quoi', 'nan',
+  ],
+
+  positive: [
+    'content', 'super', 'génial', 'cool', 'parfait', 'merci',
+    'top', 'excellent', 'bravo', 'magnifique', 'incroyable',
+    'heureux', 'ravi', 'adorable', 'formidable', 'chouette',
+  ],
+
+  negative: [
+    'désolé', 'dommage', 'problème', 'malheureusement', 'triste',
+    'inquiet', 'stressé', 'difficile', 'compliqué', 'ennuyeux',
+    'frustrant', 'décevant', 'mauvais', 'terrible', 'horrible',
+  ],
+
+  topics: {
+    travail: ['travail', 'projet', 'réunion', 'bureau', 'chef', 'collègue', 'deadline', 'meeting', 'boss', 'boulot', 'job'],
+    'rendez-vous': ['rdv', 'rendez-vous', 'voir', 'rencontrer', 'heure', 'demain', 'ce soir', 'samedi', 'dimanche', 'week-end'],
+    loisirs: ['film', 'série', 'jeu', 'sport', 'musique', 'concert', 'soirée', 'sortie', 'resto', 'bar'],
+    nourriture: ['manger', 'restaurant', 'bouffe', 'dîner', 'déjeuner', 'petit-dej', 'café', 'boire', 'faim'],
+    voyage: ['voyage', 'vacances', 'partir', 'destination', 'avion', 'train', 'hôtel', 'plage', 'montagne'],
+    famille: ['famille', 'parents', 'maman', 'papa', 'frère', 'soeur', 'enfants', 'bébé', 'mariage'],
+    santé: ['santé', 'médecin', 'malade', 'hôpital', 'docteur', 'fatigue', 'repos', 'dormir'],
+    argent: ['argent', 'payer', 'prix', 'cher', 'budget', 'économies', 'acheter', 'vendre'],
+  },
+
+  urgency: {
+    high: ['urgent', 'vite', 'rapidement', 'asap', 'immédiatement', 'maintenant', 'tout de suite', 'dépêche'],
+    low: ['quand tu peux', 'pas pressé', 'tranquille', 'à l\'occasion', 'un jour'],
+  },
+
+  // Indices de relation, testes dans l'ordre
+  relationships: [
+    ['professionnel', /\b(patron|chef|manager|directeur|client)\b/i],
+    ['famille', /\b(maman|papa|famille|parents?|frère|soeur)\b/i],
+    ['collegue', /\b(collègue|bureau|travail|réunion|projet)\b/i],
+    ['couple', /\b(chéri|bébé|mon amour|ma puce|mon coeur)\b/i],
+  ],
+
+  // Types de questions, testes dans l'ordre
+  questions: [
+    ['temporelle', /\b(quand|quelle heure|à quelle)\b/i],
+    ['lieu', /\b(où|quel endroit|quel lieu)\b/i],
+    ['explicative', /\b(comment|pourquoi|explique)\b/i],
+    // Bornes explicites : \b ne reconnait pas les lettres accentuees (ex: ça en debut de message)
+    [
+      'proposition',
+      /(?<!\p{L})(tu veux|vous voulez|on fait|on se voit|on se retrouve|on se capte|ça te dit|ça vous dit|(tu es|t'es|tu serais|vous êtes) dispos?)(?!\p{L})/iu,
+    ],
+  ],
+
+  validation: /\b(ok|d'accord|parfait|super|bien)\b/i,
+
+  // Habitudes d'ecriture reperees par le profil de style (style-profiler.js)
+  style: {
+    abbreviations: [
+      'tkt', 'tqt', 'jsp', 'stp', 'svp', 'mdr', 'ptdr', 'dsl', 'bcp', 'pk', 'pq', 'pcq', 'jtm',
+      'cc', 'slt', 'bjr', 'tlm', 'ajd', 'auj', 'rdv', 'qqn', 'qqch', 'oklm', 'jpp', 'vrmt', 'grv',
+      'dac', 'jsuis', 'chui', 'msg', 'pr', 'ds', 'tt', 'bsr',
+    ],
+    // Formules d'ouverture, reperees en debut de message
+    greetings: [
+      'salut', 'coucou', 'bonjour', 'bonsoir', 'hello', 'hey', 'yo', 'cc', 'slt', 'bjr', 'wesh',
+      'bonjour à tous', 'salut à tous', 'hello tout le monde',
+    ],
+    // Formules de fin, reperees en fin de message
+    signOffs: [
+      'bisous', 'bises', 'biz', 'gros bisous', 'à plus', 'a+', 'à bientôt', 'à demain', 'à toute',
+      'bonne journée', 'bonne soirée', 'cordialement', 'bien à vous', 'merci', 'ciao', 'tchao', 'bye',
+    ],
+  },
+
+  // Reponses rapides du moteur heuristique (quick-reply-engine.js)
+  // Par situation puis par registre ; l'ordre des modeles est l'ordre de proposition
+  quickReplies: {
+    proposition: {
+      formel: ['Avec plaisir, c\'est entendu.', 'Je vous remercie, mais je ne serai pas disponible.', 'Puis-je vous confirmer un peu plus tard ?'],
+      neutre: ['Oui, avec plaisir !', 'Dommage, je ne peux pas cette fois.', 'Je te confirme un peu plus tard ?'],
+      familier: ['Carrément, j\'en suis !', 'Ah non dsl, je peux pas cette fois', 'Je te redis vite !'],
+    },
+    temporelle: {
+      formel: ['Demain en fin de matinée, si cela vous convient.', 'Je vous propose en début d\'après-midi.', 'Je reviens vers vous avec un horaire précis.'],
+      neutre: ['Demain vers 18h, ça te va ?', 'Plutôt en début d\'après-midi.', 'Je te dis ça très vite.'],
+      familier: ['Vers 18h ça te va ?', 'Demain aprem plutôt', 'Je te dis ça vite fait'],
+    },
+    lieu: {
+      formel: ['Je vous propose de nous retrouver à votre bureau.', 'Le lieu habituel vous conviendrait-il ?', 'Je vous transmets l\'adresse rapidement.'],
+      neutre: ['Au même endroit que la dernière fois ?', 'Je t\'envoie l\'adresse.', 'Où ça t\'arrange le mieux ?'],
+      familier: ['Au même endroit que d\'hab ?', 'Je t\'envoie l\'adresse', 'Où tu veux !'],
+    },
+    explicative: {
+      formel: ['Je vous explique cela en détail très prochainement.', 'Souhaitez-vous que nous en parlions de vive voix ?', 'Je vous prépare un point complet.'],
+      neutre: ['Je t\'explique ça en détail tout à l\'heure.', 'Le plus simple, c\'est qu\'on s\'appelle ?', 'Bonne question, je regarde et je te dis.'],
+      familier: ['Je t\'explique tout à l\'heure', 'Le plus simple c\'est qu\'on s\'appelle ?', 'Bonne question, je check et je te dis'],
+    },
+    ouverte: {
+      formel: ['Je vous réponds dans les plus brefs délais.', 'Merci pour votre question, je m\'en occupe.', 'Pourriez-vous me préciser votre demande ?'],
+      neutre: ['Je te réponds très vite.', 'Bonne question, je regarde ça.', 'Tu peux m\'en dire un peu plus ?'],
+      familier: ['Je te dis ça vite !', 'Bonne question, je regarde', 'Genre comment ?'],
+    },
+    exclamation: {
+      formel: ['C\'est une excellente nouvelle !', 'Toutes mes félicitations !', 'Merci beaucoup pour ce retour.'],
+      neutre: ['Génial, félicitations !', 'Super nouvelle !', 'Ah c\'est top ça !'],
+      familier: ['Trop bien !! 🎉', 'Énorme !', 'Grave, trop cool 😄'],
+    },
+    validation: {
+      formel: ['Parfait, merci beaucoup.', 'Très bien, c\'est noté.', 'Merci, bonne journée.'],
+      neutre: ['Parfait, merci !', 'Super, c\'est noté.', 'Top, à plus tard !'],
+      familier: ['Top merci !', 'Ça marche 👍', 'Parfait, à plus !'],
+    },
+    affirmation: {
+      formel: ['Merci pour l\'information.', 'C\'est bien noté, merci.', 'Je reviens vers vous rapidement.'],
+      neutre: ['Merci pour l\'info !', 'Ah d\'accord, je vois.', 'Ok, je te tiens au courant.'],
+      familier: ['Ah ok je vois', 'Merci pour l\'info !', 'Ça marche, je te redis'],
+    },
+    soutien: {
+      formel: ['Je compatis sincèrement.', 'Si je peux vous aider, n\'hésitez pas.', 'Je reste à votre disposition.'],
+      neutre: ['Oh mince, ça me fait de la peine…', 'Je suis là si tu as besoin.', 'Tu veux qu\'on en parle ?'],
+      familier: ['Oh nooon, courage 💪', 'Je suis là si besoin', 'Tu veux en parler ?'],
+    },
+    debut: {
+      formel: ['Bonjour, j\'espère que vous allez bien.', 'Bonjour, avez-vous un moment ?', 'Bonjour, je me permets de vous contacter.'],
+      neutre: ['Salut, comment ça va ?', 'Coucou, tu as un moment ?', 'Hello, quoi de neuf ?'],
+      familier: ['Hey ça va ?', 'Coucou toi !', 'Yo, quoi de neuf ?'],
+    },
+  },
+};
@@ -0,0 +1,75 @@
+/**
+ * Lexiques par langue et detection de langue
+ * Ajouter une langue = ajouter un fichier de lexique et l'enregistrer ici
+ */
+
+import fr from './fr.js';
+import en from './en.js';
+
+export const LEXICONS = { fr, en };
+
+export const DEFAULT_LANGUAGE = 'fr';
+
+/**
+ * Noms des langues utilises dans les prompts
+ * Plus large que les lexiques : le modele peut repondre dans une langue non analysee
+ */
+export const LANGUAGE_NAMES = {
+  fr: 'francais',
+  en: 'anglais',
+  es: 'espagnol',
+  de: 'allemand',
+  it: 'italien',
+  pt: 'portugais',
+  nl: 'neerlandais',
+  ar: 'arabe',
+};
+
+/**
+ * Retourne le lexique d'une langue (francais par defaut)
+ * @param {string} code - Code ISO 639-1
+ */
+export function getLexicon(code) {
+  return LEXICONS[code] || LEXICONS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Nom d'une langue pour les prompts
+ * @param {string} code - Code ISO 639-1
+ */
+export function getLanguageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Detecte la langue d'un texte en comptant les mots outils de chaque lexique
+ * @param {string} text - Texte a analyser
+ * @returns {{ language: string, confidence: number }}
+ */
+export function detectLanguage(text) {
+  const words = (text || '').toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+  if (words.length === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  const scores = {};
+  for (const [code, lexicon] of Object.entries(LEXICONS)) {
+    const stopwords = new Set(lexicon.stopwords);
+    scores[code] = words.filter((word) => stopwords.has(word)).length;
+  }
+
+  // Les lettres accentuees propres au francais departagent les textes courts
+  if (/[àâçéèêëîïôûùœ]/i.test(text)) {
+    scores.fr += 1;
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0 };
+  }
+
+  const [language, best] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return { language, confidence: Math.round((best / total) * 100) / 100 };
+}
+
+export default LEXICONS;
@@ -0,0 +1,249 @@
+/**
+ * Masquage des donnees personnelles avant envoi au fournisseur LLM
+ * Les valeurs detectees sont remplacees par des marqueurs stables ([EMAIL_1], [PHONE_2]...)
+ * puis restaurees dans le texte genere
+ */
+
+// Ordre d'application : les numeros bancaires avant les telephones (chiffres communs)
+export const PII_TYPES = ['email', 'iban', 'card', 'phone', 'address', 'name'];
+
+// Types actifs par defaut ; les noms de personnes sont optionnels
+export const DEFAULT_PII_TYPES = ['email', 'iban', 'card', 'phone', 'address'];
+
+// Types de voie, en minuscule ou avec une majuscule initiale
+const STREET_TYPES = [
+  'rue', 'avenue', 'av\\.', 'boulevard', 'bd', 'place', 'chemin', 'all[ée]e', 'impasse', 'quai', 'route',
+  'cours', 'square', 'street', 'st\\.', 'road', 'rd\\.', 'lane', 'drive', 'way',
+].map((type) => `[${type[0]}${type[0].toUpperCase()}]${type.slice(1)}`).join('|');
+
+// Numero de voie (12, 12 bis, 12ter), suivi d'une virgule optionnelle
+const STREET_NUMBER = '\\b\\d{1,4}(?: ?(?:bis|ter))?,?';
+
+// Nom de voie sans code postal : mots a majuscule initiale, relies par des articles
+// ("place du Marche", "rue de la Paix") ; le texte libre qui suit n'est pas absorbe
+const STREET_PARTICLE = "(?:d[eu]|des|la|le|les|l'|d'|of|the) ?";
+const STREET_NAME = `(?:${STREET_PARTICLE}){0,3}\\p{Lu}[\\p{L}'-]*(?: (?:${STREET_PARTICLE}){0,2}\\p{Lu}[\\p{L}'-]*){0,3}`;
+
+// Adresse complete : le code postal borne un nom de voie libre (minuscules acceptees)
+const POSTAL_ADDRESS = `[^\\n,.!?]{2,40}?,? \\d{5} \\p{L}[\\p{L}'-]*(?:[ -]\\p{Lu}[\\p{L}'-]*){0,2}`;
+
+/**
+ * Detecteurs par type : motif et verification optionnelle
+ */
+const DETECTORS = {
+  email: {
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: isValidIban,
+  },
+  card: {
+    pattern: /(?<!\d)\d{4}(?:[ -]?\d{4}){2}[ -]?\d{1,7}(?!\d)/g,
+    validate: isValidCardNumber,
+  },
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(0\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){2,4}|0\d(?:[ .-]?\d{2}){4}|\(\d{3}\) ?\d{3}-\d{4})(?![\w])/g,
+  },
+  address: {
+    // Sans drapeau i : \p{Lu} doit rester limite aux majuscules
+    pattern: new RegExp(
+      `${STREET_NUMBER} (?:${STREET_TYPES}) (?:${POSTAL_ADDRESS}|${STREET_NAME}(?:,? \\d{5} \\p{L}[\\p{L}'-]*)?)(?![\\p{L}\\p{N}])`,
+      'gu'
+    ),
+  },
+};
+
+/**
+ * Verifie la cle de controle d'un IBAN (modulo 97)
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Verifie un numero de carte bancaire (algorithme de Luhn)
+ */
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Echappe les caracteres speciaux d'une expression reguliere
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Motif des noms de personnes connus (nom complet et prenom)
+ * @param {Array<string>} names - Noms des participants
+ * @returns {RegExp | null}
+ */
+function buildNamePattern(names) {
+  const variants = new Set();
+  for (const name of names) {
+    const trimmed = name?.trim();
+    if (!trimmed) continue;
+    variants.add(trimmed);
+    const [firstName] = trimmed.split(/\s+/);
+    // Les prenoms trop courts produiraient trop de faux positifs
+    if (firstName.length >= 3) variants.add(firstName);
+  }
+  if (variants.size === 0) return null;
+
+  const alternatives = [...variants].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Masquage propre a une requete : un meme texte recoit toujours le meme marqueur
+ */
+export class RedactionSession {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.types - Types a masquer
+   * @param {Array<string>} options.names - Noms de personnes a masquer (type 'name')
+   */
+  constructor({ types = [], names = [] } = {}) {
+    this.detectors = types
+      .filter((type) => type !== 'name' && DETECTORS[type])
+      .map((type) => ({ type, ...DETECTORS[type] }));
+
+    const namePattern = types.includes('name') ? buildNamePattern(names) : null;
+    if (namePattern) {
+      this.detectors.push({ type: 'name', pattern: namePattern });
+    }
+
+    this.placeholders = new Map();
+    this.values = new Map();
+    this.counts = {};
+  }
+
+  /**
+   * Indique si au moins une valeur a ete masquee
+   */
+  hasRedactions() {
+    return this.values.size > 0;
+  }
+
+  /**
+   * Marqueur associe a une valeur (cree a la premiere occurrence)
+   */
+  placeholderFor(type, value) {
+    const key = `${type}:${type === 'name' || type === 'email' ? value.toLowerCase() : value.replace(/[ .-]/g, '')}`;
+
+    if (!this.placeholders.has(key)) {
+      const index = (this.counts[type] || 0) + 1;
+      this.counts[type] = index;
+      const placeholder = `[${type.toUpperCase()}_${index}]`;
+      this.placeholders.set(key, placeholder);
+      this.values.set(placeholder, value);
+    }
+
+    return this.placeholders.get(key);
+  }
+
+  /**
+   * Remplace les donnees personnelles par des marqueurs
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    if (!text) return text;
+
+    return this.detectors.reduce(
+      (result, { type, pattern, validate }) => result.replace(pattern, (match) => {
+        if (validate && !validate(match)) return match;
+        return this.placeholderFor(type, match);
+      }),
+      text
+    );
+  }
+
+  /**
+   * Remet les valeurs d'origine a la place des marqueurs
+   * @param {string} text
+   * @returns {string}
+   */
+  restore(text) {
+    if (!text || !this.hasRedactions()) return text;
+    return text.replace(/\[[A-Z]+_\d+\]/g, (placeholder) => this.values.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Restauration au fil d'un flux : retient un marqueur coupe entre deux fragments
+   * @returns {{ push: (chunk: string) => string, flush: () => string }}
+   */
+  createStreamRestorer() {
+    let pending = '';
+
+    return {
+      push: (chunk) => {
+        pending += chunk;
+        const start = pending.lastIndexOf('[');
+        // Marqueur potentiellement incomplet en fin de fragment
+        const keep = start !== -1 && !pending.includes(']', start) && pending.length - start <= 16
+          ? pending.length - start
+          : 0;
+        const ready = pending.slice(0, pending.length - keep);
+        pending = pending.slice(pending.length - keep);
+        return this.restore(ready);
+      },
+      flush: () => {
+        const rest = this.restore(pending);
+        pending = '';
+        return rest;
+      },
+    };
+  }
+}
+
+/**
+ * Configuration du masquage, partagee par les requetes
+ */
+export class PIIRedactor {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Active le masquage
+   * @param {Array<string>} options.types - Types a masquer (voir PII_TYPES)
+   */
+  constructor({ enabled = true, types = DEFAULT_PII_TYPES } = {}) {
+    this.enabled = enabled;
+    this.types = types.filter((type) => PII_TYPES.includes(type));
+  }
+
+  /**
+   * Cree une session de masquage pour une requete
+   * @param {Array<string>} names - Noms des participants (masques si le type 'name' est actif)
+   * @returns {RedactionSession}
+   */
+  createSession(names = []) {
+    return new RedactionSession({ types: this.enabled ? this.types : [], names });
+  }
+}
+
+export default PIIRedactor;
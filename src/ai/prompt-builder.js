@@ -1,146 +1,388 @@
 /**
  * Constructeur de prompts optimises pour l'IA
  * Genere des prompts systeme et utilisateur contextuels
+ * Les formulations proviennent des modeles versionnes (voir prompt-templates.js)
  */
 
 import logger from '../utils/logger.js';
 import ConversationAnalyzer from './conversation-analyzer.js';
+import { getLanguageName } from './lexicons/index.js';
+import { REWRITE_TRANSFORMATIONS } from './rewrite-transformations.js';
+import { StyleProfiler } from './style-profiler.js';
+import { PreferencesService } from '../preferences/preferences-service.js';
+import promptTemplates from './prompt-templates.js';
 
 /**
  * Classe pour construire des prompts optimises
  */
 export class PromptBuilder {
+  // Valeur de replyTo designant l'ensemble du groupe
+  static REPLY_TO_GROUP = 'group';
+
+  /**
+   * Version des modeles de prompts utilises (renvoyee dans les metadonnees)
+   */
+  static getTemplateVersion() {
+    return promptTemplates.version;
+  }
+
+  /**
+   * Variables de modele issues de l'analyse
+   * @param {ConversationAnalysis} analysis
+   */
+  static analysisVariables(analysis) {
+    return {
+      tone: analysis.tone,
+      relationship: analysis.relationship,
+      topics: analysis.topics.join(', '),
+      conversationSummary: analysis.conversationSummary,
+      emotionalTone: analysis.emotionalTone,
+      conversationFlow: analysis.conversationFlow,
+      urgency: analysis.urgency,
+      formality: Math.round(analysis.formality * 100),
+      languageName: getLanguageName(analysis.language),
+      messageCount: analysis.messageCount,
+      participantCount: analysis.participantCount,
+    };
+  }
+
+  /**
+   * Remplit un modele avec ses variables et, si fournie, celles de l'analyse
+   * @param {string} name - Nom du modele
+   * @param {Object} variables - Variables propres au modele
+   * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @returns {string}
+   */
+  static render(name, variables = {}, analysis = null) {
+    return promptTemplates.render(name, {
+      ...(analysis ? this.analysisVariables(analysis) : {}),
+      ...variables,
+    });
+  }
+
   /**
    * Construit le prompt systeme enrichi
    * @param {string} mode - 'suggest' ou 'improve'
    * @param {string} userName - Nom de l'utilisateur
    * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @param {Object} options
+   * @param {string} options.language - Langue de reponse imposee (defaut: langue detectee)
+   * @param {string} options.replyTo - Destinataire impose (senderId ou 'group')
+   * @param {Object} options.styleProfile - Profil de style de l'utilisateur (voir StyleProfiler)
+   * @param {Object} options.preferences - Preferences enregistrees de l'utilisateur (voir PreferencesService)
    * @returns {string}
    */
-  static buildSystemPrompt(mode, userName, analysis) {
+  static buildSystemPrompt(mode, userName, analysis, {
+    language, replyTo, styleProfile, preferences,
+  } = {}) {
+    const target = this.resolveReplyTarget(analysis, replyTo);
+    const effective = this.resolvePreferences(preferences, target);
+    // Langue : celle de la requete, puis celle des preferences, puis celle detectee
+    const replyLanguage = getLanguageName(language || effective?.language || analysis.language);
     const basePersonality = this.buildBasePersonality(userName, analysis);
+    const options = { target, styleProfile, preferences: effective };
     const missionPrompt = mode === 'suggest'
-      ? this.buildSuggestMission(userName, analysis)
-      : this.buildImproveMission(userName, analysis);
+      ? this.buildSuggestMission(userName, analysis, replyLanguage, options)
+      : this.buildImproveMission(userName, analysis, replyLanguage, options);
 
     return `${basePersonality}\n\n${missionPrompt}`;
   }
 
+  /**
+   * Preferences de l'utilisateur applicables au destinataire vise
+   * Les surcharges du contact l'emportent sur les valeurs par defaut
+   * @param {Object} preferences - Preferences enregistrees (voir PreferencesService)
+   * @param {Object} target - Destinataire (voir resolveReplyTarget)
+   * @returns {Object | null} - null si aucune preference ne s'applique
+   */
+  static resolvePreferences(preferences, target) {
+    return PreferencesService.resolve(preferences, target?.scope === 'participant' ? target.contact.senderId : null);
+  }
+
+  /**
+   * Determine a qui s'adresse la reponse
+   * Sans replyTo : l'auteur du dernier message s'il s'adresse a l'utilisateur,
+   * sinon le groupe (dans un tete-a-tete, l'interlocuteur)
+   * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @param {string} replyTo - senderId d'un participant, 'group', ou vide
+   * @returns {{ scope: 'participant', contact: Object } | { scope: 'group' } | null} - null sans message recu
+   */
+  static resolveReplyTarget(analysis, replyTo) {
+    if (replyTo === this.REPLY_TO_GROUP) {
+      return { scope: 'group' };
+    }
+
+    const contacts = analysis.contacts || [];
+    const chosen = replyTo && contacts.find((contact) => contact.senderId === replyTo);
+    if (chosen) {
+      return { scope: 'participant', contact: chosen };
+    }
+
+    const addressing = analysis.addressing;
+    if (!addressing) return null;
+
+    if (analysis.isGroup && !addressing.addressesMe) {
+      return { scope: 'group' };
+    }
+
+    const sender = contacts.find((contact) => contact.senderId === addressing.from.senderId);
+    return sender ? { scope: 'participant', contact: sender } : null;
+  }
+
+  /**
+   * Decrit le destinataire pour les prompts
+   */
+  static describeTarget(target) {
+    return target?.scope === 'participant' ? target.contact.senderName : promptTemplates.fragment('target.group');
+  }
+
   /**
    * Construit la personnalite de base de l'assistant
    */
   static buildBasePersonality(userName, analysis) {
-    return `Tu es un assistant IA conversationnel expert qui aide ${userName} a communiquer efficacement.
-
-CONTEXTE DE LA CONVERSATION:
-- Ton general: ${analysis.tone}
-- Type de relation: ${analysis.relationship}
-- Sujets abordes: ${analysis.topics.join(', ')}
-- Resume: ${analysis.conversationSummary}
-- Ton emotionnel: ${analysis.emotionalTone}
-- Flux: ${analysis.conversationFlow}
-- Urgence: ${analysis.urgency}
-- Formalite: ${Math.round(analysis.formality * 100)}%
-
-EXPERTISE:
-- Analyse psychologique des conversations
-- Adaptation du ton et du style au contexte
-- Communication empathique et naturelle
-- Detection des nuances emotionnelles
-- Suggestions pertinentes et authentiques`;
+    return this.render('base-personality', { userName, groupContext: this.buildGroupContext(analysis) }, analysis);
+  }
+
+  /**
+   * Decrit les participants d'une conversation de groupe (vide en tete-a-tete)
+   */
+  static buildGroupContext(analysis) {
+    if (!analysis.isGroup) return '';
+
+    const contacts = (analysis.contacts || [])
+      .map((contact) => `${contact.senderName} (${contact.relationship}, ${contact.tone})`)
+      .join(', ');
+
+    return `\n${this.render('group-context', { contacts }, analysis)}`;
   }
 
   /**
    * Construit la mission pour le mode suggestion
+   * @param {Object} options
+   * @param {Object} options.target - Destinataire (voir resolveReplyTarget)
+   * @param {Object} options.styleProfile - Profil de style de l'utilisateur
+   * @param {Object} options.preferences - Preferences effectives (voir resolvePreferences)
    */
-  static buildSuggestMission(userName, analysis) {
-    const styleGuidelines = this.getStyleGuidelines(analysis);
-
-    return `MISSION - SUGGESTION DE REPONSE:
-Tu dois proposer une reponse que ${userName} peut envoyer directement.
-
-PRINCIPES CLES:
-1. AUTHENTICITE: La reponse doit sembler venir naturellement de ${userName}
-2. ADAPTATION: Respecte le ton ${analysis.tone} et la relation ${analysis.relationship}
-3. PERTINENCE: Reponds en coherence avec les sujets: ${analysis.topics.join(', ')}
-4. EMOTION: Maintiens un ton ${analysis.emotionalTone}
-5. FLUIDITE: Continue le flux ${analysis.conversationFlow} de la conversation
-${analysis.urgency === 'urgent' ? '6. URGENCE: Le contexte semble urgent, sois reactif' : ''}
-
-REGLES ABSOLUES:
-- Reponds UNIQUEMENT avec le message suggere (aucune explication)
-- Pas de guillemets, pas de preambule, pas de "Voici ma suggestion:"
-- 1-3 phrases maximum selon le contexte
-- Langage naturel et humain
-- En francais
-- Ne dis JAMAIS "En tant qu'assistant..." ou formulations similaires
-- Adapte la longueur au ton: ${analysis.tone === 'informel' ? 'court et direct' : 'complet mais concis'}
-
-STYLE A ADOPTER:
-${styleGuidelines}`;
+  static buildSuggestMission(userName, analysis, replyLanguage, { target = null, styleProfile = null, preferences = null } = {}) {
+    // Le ton et la relation a respecter sont ceux du destinataire vise
+    const style = target?.scope === 'participant'
+      ? { tone: target.contact.tone, relationship: target.contact.relationship }
+      : { tone: analysis.tone, relationship: analysis.relationship };
+    // Un registre impose par l'utilisateur remplace le ton deduit
+    if (preferences?.formality) style.tone = preferences.formality;
+
+    return this.render('suggest-mission', {
+      userName,
+      recipientClause: analysis.isGroup
+        ? promptTemplates.fragment('suggestMission.recipientClause', { recipient: this.describeTarget(target) })
+        : '',
+      styleTone: style.tone,
+      styleRelationship: style.relationship,
+      urgencyRule: analysis.urgency === 'urgent' ? promptTemplates.fragment('suggestMission.urgencyRule') : '',
+      groupRule: target?.scope === 'group' ? promptTemplates.fragment('suggestMission.groupRule') : '',
+      replyLanguage,
+      lengthHint: promptTemplates.findFragment(`suggestMission.lengthHint.${style.tone}`)
+        ?? promptTemplates.fragment('suggestMission.lengthHint.default'),
+      styleGuidelines: this.getStyleGuidelines(analysis, style),
+      styleProfile: this.buildStyleProfile(userName, styleProfile),
+      preferences: this.buildPreferences(userName, preferences, target),
+    }, analysis);
   }
 
   /**
    * Construit la mission pour le mode amelioration
+   * @param {Object} options - Memes options que buildSuggestMission
    */
-  static buildImproveMission(userName, analysis) {
-    return `MISSION - AMELIORATION DE MESSAGE:
-Tu dois ameliorer le brouillon de ${userName} tout en preservant son intention.
-
-PRINCIPES CLES:
-1. FIDELITE: Garde le sens exact du message original
-2. AMELIORATION: Rends le message plus clair, fluide et impactant
-3. PERSONNALITE: Conserve la voix et le style de ${userName}
-4. ADAPTATION: Respecte le ton ${analysis.tone} de la conversation
-5. COHERENCE: Assure la continuite avec le ton ${analysis.emotionalTone}
-
-REGLES ABSOLUES:
-- Reponds UNIQUEMENT avec le message ameliore (aucune explication)
-- Pas de guillemets, pas de commentaires, pas de "Version amelioree:"
-- Garde la longueur similaire a l'original (+-20%)
-- Corrige les fautes sans changer le sens
-- En francais
-- Ne change pas radicalement le message
-- Preserve les emojis si presents dans l'original`;
+  static buildImproveMission(userName, analysis, replyLanguage, { target = null, styleProfile = null, preferences = null } = {}) {
+    return this.render('improve-mission', {
+      userName,
+      replyLanguage,
+      ...(preferences?.formality && { tone: preferences.formality }),
+      styleProfile: this.buildStyleProfile(userName, styleProfile),
+      preferences: this.buildPreferences(userName, preferences, target),
+    }, analysis);
   }
 
   /**
-   * Obtient les directives de style basees sur l'analyse
+   * Consignes issues des preferences explicites de l'utilisateur (vide sans consigne)
+   * Le registre et la langue sont appliques directement a la mission
+   * @param {string} userName - Nom de l'utilisateur
+   * @param {Object} preferences - Preferences effectives (voir resolvePreferences)
+   * @param {Object} target - Destinataire (voir resolveReplyTarget)
    */
-  static getStyleGuidelines(analysis) {
-    let guidelines = [];
-
-    // Style selon le ton
-    if (analysis.tone === 'formel') {
-      guidelines.push('- Utilise un langage poli et professionnel');
-      guidelines.push('- Evite les abreviations et le langage familier');
-      guidelines.push('- Structure claire et phrases completes');
-    } else if (analysis.tone === 'informel') {
-      guidelines.push('- Langage decontracte et naturel');
-      guidelines.push('- Tu peux utiliser des abreviations courantes (ok, rdv, etc.)');
-      guidelines.push('- Sois spontane et direct');
-    } else {
-      guidelines.push('- Equilibre entre simplicite et politesse');
-      guidelines.push('- Ton amical mais respectueux');
-    }
+  static buildPreferences(userName, preferences, target = null) {
+    if (!preferences) return '';
 
-    // Style selon la relation
-    if (analysis.relationship === 'professionnel') {
-      guidelines.push('- Maintiens une distance professionnelle appropriee');
-    } else if (analysis.relationship === 'couple') {
-      guidelines.push('- Ton affectueux autorise si coherent avec la conversation');
-    } else if (analysis.relationship === 'famille') {
-      guidelines.push('- Ton chaleureux et familier');
+    const rules = [];
+    if (preferences.maxWords) {
+      rules.push(promptTemplates.fragment('preferences.maxWords', { maxWords: preferences.maxWords }));
+    }
+    if (preferences.emojis) {
+      rules.push(promptTemplates.fragment(`preferences.emojis.${preferences.emojis}`));
+    }
+    if (preferences.address) {
+      const recipient = target ? this.describeTarget(target) : promptTemplates.fragment('preferences.anyRecipient');
+      rules.push(promptTemplates.fragment(`preferences.address.${preferences.address}`, { recipient }));
     }
+    if (rules.length === 0) return '';
 
-    // Style selon l'emotion
-    if (analysis.emotionalTone === 'positif') {
-      guidelines.push('- Maintiens l\'energie positive');
-    } else if (analysis.emotionalTone === 'negatif') {
-      guidelines.push('- Fais preuve d\'empathie et de soutien');
+    return `\n\n${this.render('preferences', { userName, rules: rules.map((rule) => `- ${rule}`).join('\n') })}`;
+  }
+
+  /**
+   * Decrit les habitudes d'ecriture de l'utilisateur (vide sans profil)
+   * @param {string} userName - Nom de l'utilisateur
+   * @param {Object} profile - Profil de style (voir StyleProfiler.summarize)
+   */
+  static buildStyleProfile(userName, profile) {
+    if (!profile) return '';
+
+    const traits = StyleProfiler.traits(profile)
+      .map(([key, variables]) => `- ${promptTemplates.fragment(key, variables)}`)
+      .join('\n');
+
+    return `\n\n${this.render('style-profile', { userName, sampleSize: profile.sampleSize, traits })}`;
+  }
+
+  /**
+   * Construit le prompt systeme de reecriture ciblee
+   * @param {string} userName - Nom de l'utilisateur
+   * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @param {Array<string>} transformations - Transformations demandees (voir rewrite-transformations.js)
+   * @param {Object} options
+   * @param {string} options.language - Langue de reponse imposee (defaut: langue detectee)
+   * @returns {string}
+   */
+  static buildRewriteSystemPrompt(userName, analysis, transformations, { language } = {}) {
+    const replyLanguage = getLanguageName(language || analysis.language);
+    const instructions = transformations
+      .map((id) => `- ${REWRITE_TRANSFORMATIONS[id].instruction}`)
+      .join('\n');
+
+    return this.render('rewrite-system', {
+      basePersonality: this.buildBasePersonality(userName, analysis),
+      userName,
+      instructions,
+      replyLanguage,
+    }, analysis);
+  }
+
+  /**
+   * Construit le prompt utilisateur de reecriture ciblee
+   * @param {string} draft - Brouillon a reecrire
+   * @param {Array} messages - Messages de la conversation
+   * @param {string} currentUserId - ID de l'utilisateur courant
+   * @param {string} currentUserName - Nom de l'utilisateur courant
+   * @returns {string}
+   */
+  static buildRewriteUserPrompt(draft, messages, currentUserId, currentUserName) {
+    const context = this.buildStructuredContext(messages, currentUserId, currentUserName);
+    return this.render('rewrite-user', { context, userName: currentUserName, draft });
+  }
+
+  /**
+   * Construit le prompt systeme de traduction contextuelle
+   * Le registre (ton, relation, formalite) de la conversation guide la traduction
+   * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @param {Object} options
+   * @param {string} options.sourceLanguage - Langue source detectee (ou 'und')
+   * @param {string} options.targetLanguage - Langue cible
+   * @param {string} options.kind - 'incoming' (message recu) ou 'draft' (brouillon de l'utilisateur)
+   * @param {string} options.userName - Nom de l'utilisateur
+   * @returns {string}
+   */
+  static buildTranslationSystemPrompt(analysis, { sourceLanguage, targetLanguage, kind, userName }) {
+    const source = sourceLanguage === 'und'
+      ? promptTemplates.fragment('translation.unknownSource')
+      : getLanguageName(sourceLanguage);
+    const purpose = promptTemplates.fragment(`translation.purpose.${kind === 'incoming' ? 'incoming' : 'draft'}`, { userName });
+
+    return this.render('translation-system', {
+      purpose,
+      sourceLanguage: source,
+      targetLanguage: getLanguageName(targetLanguage),
+    }, analysis);
+  }
+
+  /**
+   * Construit le prompt utilisateur de traduction
+   * @param {string} text - Texte a traduire
+   * @param {Array} messages - Messages de la conversation
+   * @param {string} currentUserId - ID de l'utilisateur courant
+   * @param {string} currentUserName - Nom de l'utilisateur courant
+   * @returns {string}
+   */
+  static buildTranslationUserPrompt(text, messages, currentUserId, currentUserName) {
+    const context = this.buildStructuredContext(messages, currentUserId, currentUserName);
+    return this.render('translation-user', { context, text });
+  }
+
+  /**
+   * Construit le prompt systeme de resume de conversation
+   * @param {string} userName - Nom de l'utilisateur
+   * @param {ConversationAnalysis} analysis - Analyse des messages a resumer
+   * @param {Object} options
+   * @param {string} options.language - Langue du resume (defaut: langue detectee)
+   * @param {boolean} options.incremental - Mise a jour d'un resume existant
+   * @returns {string}
+   */
+  static buildSummarySystemPrompt(userName, analysis, { language, incremental = false } = {}) {
+    return this.render('summary-system', {
+      userName,
+      task: promptTemplates.fragment(`summary.task.${incremental ? 'incremental' : 'initial'}`),
+      summaryLanguage: getLanguageName(language || analysis.language),
+    }, analysis);
+  }
+
+  /**
+   * Construit le prompt utilisateur de resume
+   * Contrairement a buildStructuredContext, tous les messages sont transmis
+   * @param {Array} messages - Messages a resumer
+   * @param {string} currentUserId - ID de l'utilisateur courant
+   * @param {string} currentUserName - Nom de l'utilisateur courant
+   * @param {string} previousSummary - Resume precedent (mise a jour incrementale)
+   * @returns {string}
+   */
+  static buildSummaryUserPrompt(messages, currentUserId, currentUserName, previousSummary) {
+    const transcript = messages.map((msg, i) => {
+      const prefix = msg.senderId === currentUserId ? `[MOI] ${currentUserName}` : msg.senderName;
+      return `${i + 1}. ${prefix}: "${msg.content}"`;
+    }).join('\n');
+
+    if (previousSummary?.trim()) {
+      return this.render('summary-user-incremental', {
+        previousSummary: previousSummary.trim(),
+        messageTotal: messages.length,
+        transcript,
+      });
     }
 
-    return guidelines.join('\n');
+    return this.render('summary-user', { messageTotal: messages.length, transcript });
+  }
+
+  /**
+   * Consigne ajoutee au prompt systeme lorsque des donnees personnelles ont ete masquees
+   * @returns {string}
+   */
+  static buildRedactionNotice() {
+    return this.render('redaction-notice');
+  }
+
+  /**
+   * Obtient les directives de style basees sur l'analyse
+   * Une directive par ton, relation et emotion, lorsque la version des modeles en definit une
+   * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @param {{ tone: string, relationship: string }} style - Ton et relation du destinataire
+   */
+  static getStyleGuidelines(analysis, { tone, relationship } = analysis) {
+    const guidelines = [
+      promptTemplates.findFragment(`styleGuidelines.tone.${tone}`)
+        ?? promptTemplates.fragment('styleGuidelines.tone.default'),
+      promptTemplates.findFragment(`styleGuidelines.relationship.${relationship}`),
+      promptTemplates.findFragment(`styleGuidelines.emotion.${analysis.emotionalTone}`),
+    ];
+
+    return guidelines.filter(Boolean).join('\n');
   }
 
   /**
@@ -151,44 +393,61 @@ REGLES ABSOLUES:
    * @param {string} currentUserId - ID de l'utilisateur courant
    * @param {string} currentUserName - Nom de l'utilisateur courant
    * @param {ConversationAnalysis} analysis - Analyse de la conversation
+   * @param {Object} options
+   * @param {string} options.replyTo - Destinataire impose (senderId ou 'group')
+   * @param {string} options.summary - Resume des echanges anterieurs aux messages
    * @returns {string}
    */
-  static buildUserPrompt(mode, currentInput, messages, currentUserId, currentUserName, analysis) {
-    const contextMessages = this.buildStructuredContext(messages, currentUserId, currentUserName);
+  static buildUserPrompt(mode, currentInput, messages, currentUserId, currentUserName, analysis, { replyTo, summary } = {}) {
+    const contextMessages = this.buildStructuredContext(messages, currentUserId, currentUserName, { summary });
+    const target = this.resolveReplyTarget(analysis, replyTo);
 
     if (mode === 'suggest') {
       return this.buildSuggestUserPrompt(
-        contextMessages, messages, currentUserId, currentUserName, analysis
+        contextMessages, messages, currentUserId, currentUserName, analysis, target
       );
     }
 
     return this.buildImproveUserPrompt(
-      contextMessages, currentInput, currentUserName, analysis
+      contextMessages, currentInput, currentUserName, analysis, target
     );
   }
 
   /**
    * Construit le contexte structure des messages
+   * @param {Object} options
+   * @param {string} options.summary - Resume des echanges anterieurs, place en tete
    */
-  static buildStructuredContext(messages, currentUserId, currentUserName) {
-    if (!messages || messages.length === 0) {
-      return '[Aucun message precedent - Nouvelle conversation]';
+  static buildStructuredContext(messages, currentUserId, currentUserName, { summary } = {}) {
+    const lines = [];
+
+    if (summary?.trim()) {
+      lines.push('[RESUME DES ECHANGES PRECEDENTS]');
+      lines.push(summary.trim());
+      lines.push('');
     }
 
-    const lines = [];
+    if (!messages || messages.length === 0) {
+      lines.push(summary?.trim() ? '[Aucun nouveau message]' : '[Aucun message precedent - Nouvelle conversation]');
+      return lines.join('\n');
+    }
 
     // Si beaucoup de messages, creer des sections
     if (messages.length > 8) {
       const oldMessages = messages.slice(0, messages.length - 6);
       const recentMessages = messages.slice(-6);
 
-      // Resume des anciens messages
+      // Resume des anciens messages (un compteur par interlocuteur)
       const myCount = oldMessages.filter((m) => m.senderId === currentUserId).length;
-      const otherCount = oldMessages.length - myCount;
-      const otherName = oldMessages.find((m) => m.senderId !== currentUserId)?.senderName || 'Contact';
-
-      lines.push(`[DEBUT DE CONVERSATION - ${oldMessages.length} messages]`);
-      lines.push(`Resume: ${myCount} messages de moi, ${otherCount} de ${otherName}`);
+      const otherCounts = new Map();
+      for (const m of oldMessages) {
+        if (m.senderId !== currentUserId) otherCounts.set(m.senderName, (otherCounts.get(m.senderName) || 0) + 1);
+      }
+      const others = [...otherCounts.entries()].map(([name, count]) => `${count} de ${name}`);
+
+      const sectionTitle = summary?.trim() ? 'MESSAGES ANTERIEURS' : 'DEBUT DE CONVERSATION';
+      lines.push(`[${sectionTitle} - ${oldMessages.length} messages]`);
+      lines.push(`Resume: ${[`${myCount} messages de moi`, ...others].join(', ')}`);
       lines.push('');
       lines.push('[MESSAGES RECENTS]');
 
@@ -212,77 +471,76 @@ REGLES ABSOLUES:
 
   /**
    * Construit le prompt utilisateur pour le mode suggestion
+   * @param {Object} target - Destinataire (voir resolveReplyTarget)
    */
-  static buildSuggestUserPrompt(contextMessages, messages, currentUserId, currentUserName, analysis) {
+  static buildSuggestUserPrompt(contextMessages, messages, currentUserId, currentUserName, analysis, target = null) {
     const otherMessages = messages.filter((m) => m.senderId !== currentUserId);
 
     if (otherMessages.length === 0) {
-      return `HISTORIQUE DE LA CONVERSATION:
-${contextMessages}
-
-RESUME CONTEXTUEL:
-${analysis.conversationSummary}
-
-INFORMATIONS CLES:
-- Relation: ${analysis.relationship}
-- Ton attendu: ${analysis.tone}
-- Ambiance: ${analysis.emotionalTone}
-
-MISSION:
-Propose un message pertinent pour que ${currentUserName} ${messages.length === 0 ? 'demarre' : 'relance'} cette conversation de maniere naturelle et engageante.`;
+      return this.render('suggest-user-opener', {
+        context: contextMessages,
+        userName: currentUserName,
+        openerAction: promptTemplates.fragment(`suggestUser.openerAction.${messages.length === 0 ? 'start' : 'relaunch'}`),
+      }, analysis);
     }
 
-    const lastOther = otherMessages[otherMessages.length - 1];
-    const expectedResponse = ConversationAnalyzer.analyzeExpectedResponse(lastOther.content);
-
-    return `HISTORIQUE DE LA CONVERSATION:
-${contextMessages}
-
----
-
-RESUME CONTEXTUEL:
-${analysis.conversationSummary}
+    // Message auquel repondre : le dernier du destinataire vise, sinon le dernier recu
+    const targetMessages = target?.scope === 'participant'
+      ? otherMessages.filter((m) => m.senderId === target.contact.senderId)
+      : otherMessages;
+    const lastOther = targetMessages[targetMessages.length - 1] || otherMessages[otherMessages.length - 1];
+    const recipient = target ? this.describeTarget(target) : lastOther.senderName;
+    const relationship = target?.scope === 'participant' ? target.contact.relationship : analysis.relationship;
+    const expectedResponse = ConversationAnalyzer.analyzeExpectedResponse(
+      lastOther.content,
+      analysis.language
+    );
 
-ANALYSE DU DERNIER MESSAGE:
-${lastOther.senderName} a ecrit: "${lastOther.content}"
-- Type de message: ${expectedResponse.description}
-- Ton utilise: ${analysis.tone}
-- Emotion: ${analysis.emotionalTone}
+    return this.render('suggest-user', {
+      context: contextMessages,
+      lastSenderName: lastOther.senderName,
+      lastContent: lastOther.content,
+      expectedResponse: expectedResponse.description,
+      addressingContext: this.buildAddressingContext(analysis, lastOther),
+      targetRelationship: relationship,
+      userName: currentUserName,
+      recipient,
+    }, analysis);
+  }
 
-INFORMATIONS CONTEXTUELLES:
-- Nombre de messages: ${analysis.messageCount}
-- Sujets en cours: ${analysis.topics.join(', ')}
-- Flux de conversation: ${analysis.conversationFlow}
-- Relation: ${analysis.relationship}
+  /**
+   * Decrit a qui s'adresse le dernier message recu (conversations de groupe)
+   * @param {Object} message - Message analyse dans le prompt
+   */
+  static buildAddressingContext(analysis, message) {
+    const addressing = analysis.addressing;
+    // La detection ne porte que sur le dernier message recu
+    if (!analysis.isGroup || !addressing || message.senderId !== addressing.from.senderId) return '';
 
-MISSION:
-Genere UNE reponse parfaite que ${currentUserName} peut envoyer a ${lastOther.senderName}.
-La reponse doit etre naturelle, appropriee au contexte, et reflete la personnalite de ${currentUserName}.`;
+    if (addressing.addressesMe) {
+      return `\n${promptTemplates.fragment('addressing.me')}`;
+    }
+    if (addressing.to.length > 0) {
+      return `\n${promptTemplates.fragment('addressing.others', { names: addressing.to.map((a) => a.senderName).join(', ') })}`;
+    }
+    return `\n${promptTemplates.fragment('addressing.group')}`;
   }
 
   /**
    * Construit le prompt utilisateur pour le mode amelioration
+   * @param {Object} target - Destinataire (voir resolveReplyTarget)
    */
-  static buildImproveUserPrompt(contextMessages, currentInput, currentUserName, analysis) {
-    return `CONTEXTE DE LA CONVERSATION:
-${contextMessages}
-
----
-
-RESUME:
-${analysis.conversationSummary}
-
-ANALYSE DU TON:
-- Style actuel: ${analysis.tone}
-- Relation: ${analysis.relationship}
-- Ambiance: ${analysis.emotionalTone}
-
-BROUILLON DE ${currentUserName}:
-"${currentInput}"
-
-MISSION:
-Ameliore ce brouillon pour qu'il soit plus fluide, naturel et impactant tout en gardant exactement le meme sens et l'intention de ${currentUserName}.
-Respecte le ton ${analysis.tone} et l'ambiance ${analysis.emotionalTone} de la conversation.`;
+  static buildImproveUserPrompt(contextMessages, currentInput, currentUserName, analysis, target = null) {
+    const recipientClause = analysis.isGroup && target
+      ? promptTemplates.fragment('improveUser.recipientClause', { recipient: this.describeTarget(target) })
+      : '';
+
+    return this.render('improve-user', {
+      context: contextMessages,
+      userName: currentUserName,
+      recipientClause,
+      draft: currentInput,
+    }, analysis);
   }
 }
 
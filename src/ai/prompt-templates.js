@@ -0,0 +1,250 @@
+/**
+ * Modeles de prompts externalises et versionnes
+ * Chaque version est un dossier (prompts/<version>/) contenant un fichier .txt par
+ * modele et fragments.json pour les formulations conditionnelles.
+ * Les variables s'ecrivent {{nom}} ; elles sont verifiees au chargement (demarrage).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+
+export const DEFAULT_PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Variables issues de ConversationAnalysis, disponibles dans tous les modeles
+export const ANALYSIS_VARIABLES = [
+  'tone', 'relationship', 'topics', 'conversationSummary', 'emotionalTone', 'conversationFlow',
+  'urgency', 'formality', 'languageName', 'messageCount', 'participantCount',
+];
+
+// Modeles attendus et variables propres a chacun
+export const TEMPLATE_VARIABLES = {
+  'base-personality': ['userName', 'groupContext'],
+  'group-context': ['contacts'],
+  'suggest-mission': [
+    'userName', 'recipientClause', 'styleTone', 'styleRelationship', 'urgencyRule', 'groupRule',
+    'replyLanguage', 'lengthHint', 'styleGuidelines', 'styleProfile', 'preferences',
+  ],
+  'improve-mission': ['userName', 'replyLanguage', 'styleProfile', 'preferences'],
+  'style-profile': ['userName', 'sampleSize', 'traits'],
+  'preferences': ['userName', 'rules'],
+  'suggest-user': [
+    'context', 'lastSenderName', 'lastContent', 'expectedResponse', 'addressingContext',
+    'targetRelationship', 'userName', 'recipient',
+  ],
+  'suggest-user-opener': ['context', 'userName', 'openerAction'],
+  'improve-user': ['context', 'userName', 'recipientClause', 'draft'],
+  'rewrite-system': ['basePersonality', 'userName', 'instructions', 'replyLanguage'],
+  'rewrite-user': ['context', 'userName', 'draft'],
+  'translation-system': ['purpose', 'sourceLanguage', 'targetLanguage'],
+  'translation-user': ['context', 'text'],
+  'summary-system': ['userName', 'task', 'summaryLanguage'],
+  'summary-user': ['messageTotal', 'transcript'],
+  'summary-user-incremental': ['previousSummary', 'messageTotal', 'transcript'],
+  'redaction-notice': [],
+};
+
+// Fragments obligatoires de fragments.json et variables utilisables ;
+// les autres fragments (styleGuidelines, lengthHint par ton...) sont optionnels et sans variable
+export const FRAGMENT_VARIABLES = {
+  'target.group': [],
+  'suggestMission.recipientClause': ['recipient'],
+  'suggestMission.urgencyRule': [],
+  'suggestMission.groupRule': [],
+  'suggestMission.lengthHint.default': [],
+  'styleGuidelines.tone.default': [],
+  'suggestUser.openerAction.start': [],
+  'suggestUser.openerAction.relaunch': [],
+  'improveUser.recipientClause': ['recipient'],
+  'addressing.me': [],
+  'addressing.others': ['names'],
+  'addressing.group': [],
+  'translation.purpose.incoming': ['userName'],
+  'translation.purpose.draft': ['userName'],
+  'translation.unknownSource': [],
+  'summary.task.initial': [],
+  'summary.task.incremental': [],
+  'styleProfile.length.short': ['average'],
+  'styleProfile.length.medium': ['average'],
+  'styleProfile.length.long': ['average'],
+  'styleProfile.emojis.frequent': ['favorites'],
+  'styleProfile.emojis.occasional': ['favorites'],
+  'styleProfile.emojis.none': [],
+  'styleProfile.abbreviations': ['examples'],
+  'styleProfile.capitalization.lowercase': [],
+  'styleProfile.capitalization.capitalized': [],
+  'styleProfile.punctuation.exclamation': [],
+  'styleProfile.punctuation.ellipsis': [],
+  'styleProfile.punctuation.noFinalPeriod': [],
+  'styleProfile.punctuation.finalPeriod': [],
+  'styleProfile.greetings': ['examples'],
+  'styleProfile.signOffs': ['examples'],
+  'preferences.maxWords': ['maxWords'],
+  'preferences.emojis.never': [],
+  'preferences.emojis.sparingly': [],
+  'preferences.emojis.freely': [],
+  'preferences.address.tu': ['recipient'],
+  'preferences.address.vous': ['recipient'],
+  'preferences.anyRecipient': [],
+};
+
+/**
+ * Variables referencees par un texte
+ */
+function findVariables(text) {
+  return [...text.matchAll(VARIABLE_PATTERN)].map(([, name]) => name);
+}
+
+/**
+ * Erreurs de variables inconnues d'un texte
+ */
+function checkVariables(source, text, allowed) {
+  return [...new Set(findVariables(text))]
+    .filter((name) => !allowed.includes(name))
+    .map((name) => `${source}: variable inconnue {{${name}}}`);
+}
+
+/**
+ * Aplatit fragments.json en cles pointees ; un tableau de chaines forme un texte multiligne
+ * @returns {Map<string, string>}
+ */
+function flattenFragments(node, prefix = '', fragments = new Map()) {
+  for (const [key, value] of Object.entries(node)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') {
+      fragments.set(fullKey, value);
+    } else if (Array.isArray(value)) {
+      fragments.set(fullKey, value.join('\n'));
+    } else if (value && typeof value === 'object') {
+      flattenFragments(value, fullKey, fragments);
+    }
+  }
+  return fragments;
+}
+
+/**
+ * Remplace les variables d'un texte
+ * Une variable referencee mais absente est une erreur de programmation
+ */
+function interpolate(text, variables, source) {
+  return text.replace(VARIABLE_PATTERN, (_, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) {
+      throw new Error(`Variable manquante pour ${source}: {{${name}}}`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Jeu de modeles d'une version
+ */
+export class PromptTemplates {
+  /**
+   * @param {Object} options
+   * @param {string} options.version - Identifiant de version (nom du dossier)
+   * @param {Map<string, string>} options.templates - Modeles par nom
+   * @param {Map<string, string>} options.fragments - Fragments par cle pointee
+   */
+  constructor({ version, templates, fragments }) {
+    this.version = version;
+    this.templates = templates;
+    this.fragments = fragments;
+  }
+
+  /**
+   * Charge et valide les modeles d'une version
+   * @param {Object} options
+   * @param {string} options.dir - Dossier racine des versions (defaut: src/ai/prompts)
+   * @param {string} options.version - Version a charger
+   * @returns {PromptTemplates}
+   * @throws {Error} - Fichier manquant, JSON invalide ou variable inconnue
+   */
+  static load({ dir = DEFAULT_PROMPTS_DIR, version }) {
+    const versionDir = path.join(dir, version);
+    const errors = [];
+
+    const templates = new Map();
+    for (const [name, variables] of Object.entries(TEMPLATE_VARIABLES)) {
+      const file = path.join(versionDir, `${name}.txt`);
+      if (!existsSync(file)) {
+        errors.push(`${name}.txt: fichier manquant`);
+        continue;
+      }
+
+      // Le retour a la ligne final de l'editeur ne fait pas partie du modele
+      const text = readFileSync(file, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+      errors.push(...checkVariables(`${name}.txt`, text, [...ANALYSIS_VARIABLES, ...variables]));
+      templates.set(name, text);
+    }
+
+    let fragments = null;
+    const fragmentsFile = path.join(versionDir, 'fragments.json');
+    try {
+      fragments = flattenFragments(JSON.parse(readFileSync(fragmentsFile, 'utf8')));
+    } catch (error) {
+      errors.push(`fragments.json: ${error.code === 'ENOENT' ? 'fichier manquant' : error.message}`);
+    }
+
+    // Un fichier lisible mais vide est verifie comme les autres (fragments manquants)
+    if (fragments) {
+      for (const key of Object.keys(FRAGMENT_VARIABLES)) {
+        if (!fragments.has(key)) errors.push(`fragments.json: fragment manquant "${key}"`);
+      }
+      for (const [key, text] of fragments) {
+        errors.push(...checkVariables(`fragments.json "${key}"`, text, FRAGMENT_VARIABLES[key] || []));
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Modeles de prompts invalides (${versionDir}):\n- ${errors.join('\n- ')}`);
+    }
+
+    return new PromptTemplates({ version, templates, fragments });
+  }
+
+  /**
+   * Remplit un modele
+   * @param {string} name - Nom du modele (voir TEMPLATE_VARIABLES)
+   * @param {Object} variables - Valeurs des variables
+   * @returns {string}
+   */
+  render(name, variables = {}) {
+    const template = this.templates.get(name);
+    if (template === undefined) {
+      throw new Error(`Modele de prompt inconnu: ${name}`);
+    }
+    return interpolate(template, variables, name);
+  }
+
+  /**
+   * Remplit un fragment obligatoire
+   * @param {string} key - Cle pointee (voir FRAGMENT_VARIABLES)
+   * @param {Object} variables - Valeurs des variables
+   * @returns {string}
+   */
+  fragment(key, variables = {}) {
+    const text = this.findFragment(key, variables);
+    if (text === null) {
+      throw new Error(`Fragment de prompt inconnu: ${key}`);
+    }
+    return text;
+  }
+
+  /**
+   * Remplit un fragment optionnel
+   * @returns {string | null} - null si le fragment n'existe pas dans cette version
+   */
+  findFragment(key, variables = {}) {
+    const text = this.fragments.get(key);
+    return text === undefined ? null : interpolate(text, variables, `fragment ${key}`);
+  }
+}
+
+// Charge au demarrage : un modele invalide empeche le serveur de demarrer
+export const promptTemplates = PromptTemplates.load(config.prompts);
+
+export default promptTemplates;
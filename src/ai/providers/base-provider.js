@@ -0,0 +1,69 @@
+/**
+ * Interface commune des fournisseurs LLM
+ * Chaque adaptateur (Groq, OpenAI-compatible, mock) etend cette classe
+ */
+
+/**
+ * Erreur levee par un fournisseur LLM
+ * Conserve le statut HTTP et les en-tetes de la reponse amont
+ * connection : le fournisseur n'a pas pu etre joint (erreur passagere)
+ */
+export class ProviderError extends Error {
+  constructor(message, {
+    provider, status, headers, connection = false, cause,
+  } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.headers = headers || {};
+    this.isConnectionError = connection;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Classe de base d'un fournisseur LLM
+ *
+ * Format des requetes (createCompletion / streamCompletion):
+ * - messages: Array<{ role, content }> - Messages au format chat
+ * - maxTokens: number - Nombre maximum de tokens generes
+ * - temperature: number - Temperature d'echantillonnage
+ * - signal: AbortSignal (optionnel) - Annulation de l'appel
+ */
+export class LLMProvider {
+  constructor({ name, model }) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Verifie si le fournisseur est utilisable
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Genere une completion complete
+   * @param {Object} _request - Requete de completion
+   * @returns {Promise<{ content: string, usage: Object, model: string }>}
+   */
+  async createCompletion(_request) {
+    throw new Error(`${this.name}: createCompletion non implemente`);
+  }
+
+  /**
+   * Genere une completion en streaming
+   * Produit des fragments { content } puis eventuellement { usage }
+   * @param {Object} _request - Requete de completion
+   * @returns {AsyncGenerator<{ content?: string, usage?: Object }>}
+   */
+  async *streamCompletion(_request) {
+    throw new Error(`${this.name}: streamCompletion non implemente`);
+  }
+}
+
+export default LLMProvider;
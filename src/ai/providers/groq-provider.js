@@ -0,0 +1,89 @@
+/**
+ * Adaptateur Groq
+ * Utilise le SDK officiel groq-sdk
+ */
+
+import Groq from 'groq-sdk';
+import { LLMProvider } from './base-provider.js';
+
+/**
+ * Marque les erreurs de connexion du SDK (fournisseur injoignable, delai depasse)
+ * pour que ResilientProvider les traite comme passageres
+ */
+function markConnectionError(error) {
+  if (error instanceof Groq.APIConnectionError) {
+    error.isConnectionError = true;
+  }
+  return error;
+}
+
+/**
+ * Fournisseur LLM base sur l'API Groq
+ */
+export class GroqProvider extends LLMProvider {
+  constructor({ apiKey, baseUrl, model }) {
+    super({ name: 'groq', model });
+
+    // Les tentatives sont gerees par ResilientProvider, pas par le SDK
+    this.client = apiKey
+      ? new Groq({ apiKey, baseURL: baseUrl, maxRetries: 0 })
+      : null;
+  }
+
+  isAvailable() {
+    return this.client !== null;
+  }
+
+  async createCompletion({ messages, maxTokens, temperature, signal }) {
+    const completion = await this.client.chat.completions.create(
+      {
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      },
+      { signal }
+    ).catch((error) => { throw markConnectionError(error); });
+
+    return {
+      content: completion.choices[0]?.message?.content?.trim() || '',
+      usage: completion.usage,
+      model: this.model,
+    };
+  }
+
+  async *streamCompletion({ messages, maxTokens, temperature, signal }) {
+    const stream = await this.client.chat.completions.create(
+      {
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+      },
+      { signal }
+    ).catch((error) => { throw markConnectionError(error); });
+
+    try {
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) {
+          yield { content };
+        }
+
+        // Groq renvoie l'usage dans x_groq sur le dernier fragment
+        const usage = chunk.usage || chunk.x_groq?.usage;
+        if (usage) {
+          yield { usage };
+        }
+      }
+    } catch (error) {
+      throw markConnectionError(error);
+    } finally {
+      // Liberer la connexion amont si le consommateur arrete l'iteration
+      stream.controller.abort();
+    }
+  }
+}
+
+export default GroqProvider;
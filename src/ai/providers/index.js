@@ -0,0 +1,58 @@
+/**
+ * Fabrique des fournisseurs LLM
+ * Selectionne l'adaptateur selon config.ai.provider
+ */
+
+import config from '../../config/index.js';
+import { GroqProvider } from './groq-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { MockProvider } from './mock-provider.js';
+import { ResilientProvider } from './resilient-provider.js';
+
+export { LLMProvider, ProviderError } from './base-provider.js';
+export { mapProviderError } from './resilient-provider.js';
+export { GroqProvider, OpenAICompatibleProvider, MockProvider, ResilientProvider };
+
+/**
+ * Cree le fournisseur correspondant au nom demande
+ * Enveloppe dans ResilientProvider (delai, nouvelles tentatives, disjoncteur)
+ * @param {string} name - 'groq' | 'openai-compatible' | 'mock'
+ * @returns {LLMProvider}
+ */
+export function createProvider(name = config.ai.provider) {
+  return new ResilientProvider(createBaseProvider(name), {
+    timeoutMs: config.ai.timeoutMs,
+    ...config.ai.retry,
+    ...config.ai.circuitBreaker,
+  });
+}
+
+/**
+ * Cree l'adaptateur brut, sans couche de resilience
+ * @param {string} name - 'groq' | 'openai-compatible' | 'mock'
+ * @returns {LLMProvider}
+ */
+export function createBaseProvider(name) {
+  switch (name) {
+    case 'groq':
+      return new GroqProvider({
+        apiKey: config.groq.apiKey,
+        baseUrl: config.groq.baseUrl,
+        model: config.ai.model,
+      });
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({
+        baseUrl: config.openaiCompatible.baseUrl,
+        apiKey: config.openaiCompatible.apiKey,
+        model: config.ai.model,
+      });
+    case 'mock':
+      return new MockProvider({
+        latencyMs: config.mock.latencyMs,
+      });
+    default:
+      throw new Error(`Fournisseur IA inconnu: ${name}`);
+  }
+}
+
+export default createProvider;
@@ -0,0 +1,91 @@
+/**
+ * Fournisseur deterministe en memoire
+ * Permet de faire tourner le backend hors ligne (developpement, CI)
+ */
+
+import { sleep } from '../../utils/async.js';
+import { estimateTokens } from '../../utils/token-quota.js';
+import { LLMProvider } from './base-provider.js';
+
+/**
+ * Reponses renvoyees par le mock, choisies selon un hash du prompt
+ */
+const MOCK_REPLIES = [
+  'Ça marche, je te tiens au courant !',
+  'Bonne idée, on en reparle demain ?',
+  'Merci pour ton message, je regarde ça rapidement.',
+  'Avec plaisir, dis-moi ce qui t\'arrange.',
+  'D\'accord, pas de souci.',
+];
+
+/**
+ * Hash djb2 d'une chaine (stable d'un appel a l'autre)
+ */
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Fournisseur LLM simule
+ * La meme requete produit toujours la meme reponse
+ */
+export class MockProvider extends LLMProvider {
+  constructor({ model = 'mock', latencyMs = 0 } = {}) {
+    super({ name: 'mock', model });
+    this.latencyMs = latencyMs;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Calcule la reponse et l'usage simule d'une requete
+   */
+  respond(messages, temperature = 0) {
+    const prompt = messages.map((m) => m.content).join('\n');
+    const index = hashString(`${prompt}|${temperature}`) % MOCK_REPLIES.length;
+    const content = MOCK_REPLIES[index];
+
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  async createCompletion({ messages, temperature, signal }) {
+    if (this.latencyMs > 0) {
+      await sleep(this.latencyMs, signal);
+    }
+
+    const { content, usage } = this.respond(messages, temperature);
+    return { content, usage, model: this.model };
+  }
+
+  async *streamCompletion({ messages, temperature, signal }) {
+    const { content, usage } = this.respond(messages, temperature);
+
+    // Decouper par mots en conservant les espaces
+    for (const piece of content.match(/\S+\s*/g)) {
+      if (this.latencyMs > 0) {
+        await sleep(this.latencyMs, signal);
+      }
+      yield { content: piece };
+    }
+
+    yield { usage };
+  }
+}
+
+export default MockProvider;
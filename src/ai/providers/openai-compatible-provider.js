@@ -0,0 +1,132 @@
+/**
+ * Adaptateur generique OpenAI-compatible
+ * Fonctionne avec tout serveur exposant /chat/completions (Ollama, llama.cpp, vLLM...)
+ */
+
+import logger from '../../utils/logger.js';
+import { LLMProvider, ProviderError } from './base-provider.js';
+
+/**
+ * Fournisseur LLM pour les API compatibles OpenAI
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseUrl, apiKey, model }) {
+    super({ name: 'openai-compatible', model });
+    this.baseUrl = baseUrl?.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Envoie la requete HTTP au serveur
+   */
+  async request(body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: this.model, ...body }),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ProviderError(`Connexion impossible: ${error.message}`, {
+        provider: this.name,
+        connection: true,
+        cause: error,
+      });
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new ProviderError(
+        `Erreur ${response.status} du fournisseur: ${text.slice(0, 200)}`,
+        {
+          provider: this.name,
+          status: response.status,
+          headers: Object.fromEntries(response.headers.entries()),
+        }
+      );
+    }
+
+    return response;
+  }
+
+  async createCompletion({ messages, maxTokens, temperature, signal }) {
+    const response = await this.request(
+      { messages, max_tokens: maxTokens, temperature },
+      signal
+    );
+    const completion = await response.json();
+
+    return {
+      content: completion.choices?.[0]?.message?.content?.trim() || '',
+      usage: completion.usage,
+      model: completion.model || this.model,
+    };
+  }
+
+  async *streamCompletion({ messages, maxTokens, temperature, signal }) {
+    const response = await this.request(
+      {
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      signal
+    );
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      // Les evenements SSE sont separes par une ligne vide
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+
+      for (const event of events) {
+        for (const line of event.split(/\r?\n/)) {
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          // Une ligne illisible est ignoree sans interrompre le flux
+          let chunk;
+          try {
+            chunk = JSON.parse(payload);
+          } catch {
+            logger.warn('Fragment de streaming illisible ignore', {
+              provider: this.name,
+              payload: payload.slice(0, 100),
+            });
+            continue;
+          }
+
+          const content = chunk.choices?.[0]?.delta?.content;
+          if (content) {
+            yield { content };
+          }
+          if (chunk.usage) {
+            yield { usage: chunk.usage };
+          }
+        }
+      }
+    }
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,362 @@
+/**
+ * Decorateur de resilience pour les fournisseurs LLM
+ * Ajoute delai maximal, nouvelles tentatives avec backoff exponentiel
+ * et disjoncteur, puis convertit les erreurs amont en erreurs API
+ */
+
+import { Errors, APIError } from '../../middleware/error-handler.js';
+import { sleep } from '../../utils/async.js';
+import { CircuitBreaker } from '../../utils/circuit-breaker.js';
+import logger from '../../utils/logger.js';
+import { providerRequestDuration, providerErrorsTotal } from '../../metrics/index.js';
+import { LLMProvider, ProviderError } from './base-provider.js';
+
+// Statuts HTTP pour lesquels une nouvelle tentative a du sens
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Codes des erreurs reseau (Node et undici) : fournisseur injoignable ou connexion coupee
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT',
+]);
+
+/**
+ * Lit l'en-tete Retry-After (secondes ou date HTTP)
+ * @returns {number | null} - Delai en secondes
+ */
+function parseRetryAfter(headers) {
+  const value = headers?.get?.('retry-after') ?? headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Indique si le fournisseur n'a pas pu etre joint
+ * Les autres erreurs sans statut (reponse illisible, bug) ne sont pas passageres
+ */
+function isConnectionError(error) {
+  if (error.isConnectionError) return true;
+
+  // fetch enveloppe l'erreur reseau dans error.cause
+  for (let current = error, depth = 0; current && depth < 3; current = current.cause, depth++) {
+    if (NETWORK_ERROR_CODES.has(current.code)) return true;
+  }
+  return false;
+}
+
+/**
+ * Indique si l'erreur est passagere (nouvelle tentative possible)
+ */
+function isTransient(error) {
+  return !!error.isTimeout || isConnectionError(error) || TRANSIENT_STATUSES.has(error.status);
+}
+
+/**
+ * Indique si l'erreur signale une panne du fournisseur (compte pour le disjoncteur)
+ * Les refus explicites (4xx, dont 429) prouvent que le fournisseur repond
+ */
+function isProviderFailure(error) {
+  return !!error.isTimeout || isConnectionError(error) || error.status >= 500;
+}
+
+/**
+ * Type d'erreur expose dans les metriques
+ */
+function getErrorType(error) {
+  if (error.isTimeout) return 'timeout';
+  if (isConnectionError(error)) return 'connection';
+  if (!error.status) return 'invalid_response';
+  if (error.status === 429) return 'rate_limited';
+  if (error.status === 401 || error.status === 403) return 'auth';
+  if (error.status >= 500) return 'server_error';
+  return 'rejected';
+}
+
+/**
+ * Convertit une erreur de fournisseur en erreur API typee
+ * @param {Error} error - Erreur levee par le fournisseur
+ * @returns {APIError}
+ */
+export function mapProviderError(error) {
+  if (error instanceof APIError) return error;
+
+  const retryAfter = parseRetryAfter(error.headers);
+  let mapped;
+
+  if (error.isTimeout) {
+    mapped = Errors.AIServiceError('Le service IA n\'a pas repondu a temps', { reason: 'timeout' });
+  } else if (error.status === 429) {
+    mapped = Errors.RateLimited('Service IA temporairement sature', { reason: 'provider_rate_limited' });
+  } else if (error.status === 401 || error.status === 403) {
+    mapped = Errors.AIServiceError('Service IA mal configure', { reason: 'provider_auth' });
+  } else if (isConnectionError(error) || error.status >= 500) {
+    mapped = Errors.AIServiceError('Service IA temporairement indisponible', { reason: 'provider_unavailable' });
+  } else if (!error.status) {
+    mapped = Errors.AIServiceError('Reponse inattendue du service IA', { reason: 'provider_invalid_response' });
+  } else {
+    mapped = Errors.AIServiceError('Requete refusee par le service IA', { reason: 'provider_rejected' });
+  }
+
+  if (retryAfter !== null) {
+    mapped.details.retryAfter = retryAfter;
+    mapped.headers['Retry-After'] = String(retryAfter);
+  }
+  mapped.cause = error;
+
+  return mapped;
+}
+
+/**
+ * Cree un signal combinant l'annulation appelante et un delai maximal
+ */
+function createTimeout(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort(new Error(`Delai de ${timeoutMs}ms depasse`));
+  }, timeoutMs);
+
+  const onAbort = () => controller.abort(parentSignal.reason);
+  if (parentSignal?.aborted) {
+    onAbort();
+  } else {
+    parentSignal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    didTimeout: () => timedOut,
+    clear: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Fournisseur enveloppant un autre fournisseur avec des garanties de resilience
+ */
+export class ResilientProvider extends LLMProvider {
+  /**
+   * @param {LLMProvider} provider - Fournisseur enveloppe
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Delai maximal d'un appel
+   * @param {number} options.maxRetries - Nombre de nouvelles tentatives
+   * @param {number} options.baseDelayMs - Delai initial du backoff
+   * @param {number} options.maxDelayMs - Delai maximal entre deux tentatives
+   * @param {number} options.failureThreshold - Echecs consecutifs avant ouverture du disjoncteur
+   * @param {number} options.resetTimeoutMs - Duree d'ouverture du disjoncteur
+   */
+  constructor(provider, {
+    timeoutMs = 15000,
+    maxRetries = 2,
+    baseDelayMs = 250,
+    maxDelayMs = 4000,
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+  } = {}) {
+    super({ name: provider.name, model: provider.model });
+    this.provider = provider;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.breaker = new CircuitBreaker({ failureThreshold, resetTimeoutMs });
+  }
+
+  isAvailable() {
+    return this.provider.isAvailable();
+  }
+
+  /**
+   * Etat du disjoncteur (monitoring)
+   */
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+
+  /**
+   * Refuse immediatement l'appel si le disjoncteur est ouvert
+   */
+  assertCircuitClosed() {
+    if (this.breaker.canRequest()) return;
+
+    providerErrorsTotal.inc({ provider: this.name, type: 'circuit_open' });
+
+    const retryAfter = Math.ceil(this.breaker.getRetryAfterMs() / 1000);
+    const error = Errors.AIServiceError('Service IA temporairement indisponible', {
+      reason: 'circuit_open',
+      retryAfter,
+    });
+    error.headers['Retry-After'] = String(retryAfter);
+    throw error;
+  }
+
+  /**
+   * Delai avant la prochaine tentative, ou null si aucune nouvelle tentative
+   * Backoff exponentiel avec jitter complet, borne par Retry-After si fourni
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= this.maxRetries || !isTransient(error)) return null;
+
+    const retryAfter = parseRetryAfter(error.headers);
+    if (retryAfter !== null) {
+      const delay = retryAfter * 1000;
+      return delay <= this.maxDelayMs ? delay : null;
+    }
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Enregistre l'echec definitif d'un appel et retourne l'erreur API a lever
+   */
+  fail(error) {
+    if (isProviderFailure(error)) {
+      this.breaker.recordFailure();
+    } else {
+      this.breaker.release();
+    }
+
+    logger.warn('Appel au fournisseur IA en echec', {
+      provider: this.name,
+      status: error.status,
+      timeout: !!error.isTimeout,
+      error: error.message,
+      circuit: this.breaker.state,
+    });
+
+    return mapProviderError(error);
+  }
+
+  /**
+   * Mesure la duree d'une tentative et compte ses erreurs
+   * @returns {Function} - (error?) => void, a appeler a la fin de la tentative
+   */
+  startAttempt(operation) {
+    const stopTimer = providerRequestDuration.startTimer({ provider: this.name, operation });
+
+    return (error) => {
+      stopTimer({ outcome: error ? 'error' : 'success' });
+      if (error) {
+        providerErrorsTotal.inc({ provider: this.name, type: getErrorType(error) });
+      }
+    };
+  }
+
+  /**
+   * Normalise l'erreur d'une tentative (delai depasse)
+   */
+  normalizeError(error, timeout) {
+    if (!timeout.didTimeout()) return error;
+
+    const timeoutError = new ProviderError(`Delai de ${this.timeoutMs}ms depasse`, { provider: this.name });
+    timeoutError.isTimeout = true;
+    return timeoutError;
+  }
+
+  /**
+   * Attend avant la tentative suivante
+   * Une annulation pendant l'attente libere l'appel d'essai du disjoncteur
+   */
+  async backoff(delay, signal) {
+    try {
+      await sleep(delay, signal);
+    } catch (error) {
+      this.breaker.release();
+      throw error;
+    }
+  }
+
+  async createCompletion(request) {
+    this.assertCircuitClosed();
+
+    for (let attempt = 0; ; attempt++) {
+      const timeout = createTimeout(request.signal, this.timeoutMs);
+      const endAttempt = this.startAttempt('completion');
+
+      try {
+        const result = await this.provider.createCompletion({ ...request, signal: timeout.signal });
+        endAttempt();
+        this.breaker.recordSuccess();
+        return result;
+      } catch (rawError) {
+        if (request.signal?.aborted) {
+          this.breaker.release();
+          throw rawError;
+        }
+
+        const error = this.normalizeError(rawError, timeout);
+        endAttempt(error);
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw this.fail(error);
+        }
+
+        logger.info(`Nouvelle tentative ${attempt + 1}/${this.maxRetries} dans ${delay}ms`, {
+          provider: this.name,
+          status: error.status,
+        });
+        await this.backoff(delay, request.signal);
+      } finally {
+        timeout.clear();
+      }
+    }
+  }
+
+  /**
+   * Streaming : les nouvelles tentatives ne sont possibles qu'avant le premier fragment
+   */
+  async *streamCompletion(request) {
+    this.assertCircuitClosed();
+
+    for (let attempt = 0; ; attempt++) {
+      const timeout = createTimeout(request.signal, this.timeoutMs);
+      const endAttempt = this.startAttempt('stream');
+      let started = false;
+      let settled = false;
+
+      try {
+        for await (const chunk of this.provider.streamCompletion({ ...request, signal: timeout.signal })) {
+          started = true;
+          yield chunk;
+        }
+        endAttempt();
+        this.breaker.recordSuccess();
+        settled = true;
+        return;
+      } catch (rawError) {
+        settled = true;
+
+        if (request.signal?.aborted) {
+          this.breaker.release();
+          throw rawError;
+        }
+
+        const error = this.normalizeError(rawError, timeout);
+        endAttempt(error);
+        const delay = started ? null : this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw this.fail(error);
+        }
+
+        await this.backoff(delay, request.signal);
+      } finally {
+        timeout.clear();
+        // Iteration interrompue par le consommateur
+        if (!settled) this.breaker.release();
+      }
+    }
+  }
+}
+
+export default ResilientProvider;
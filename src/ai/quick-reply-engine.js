@@ -0,0 +1,89 @@
+/**
+ * Moteur de reponses rapides heuristique
+ * Genere des reponses courtes a partir de modeles, sans appel au fournisseur LLM :
+ * repli lorsque le fournisseur est indisponible et mode "smart chips" instantane
+ */
+
+import ConversationAnalyzer from './conversation-analyzer.js';
+import PromptBuilder from './prompt-builder.js';
+import { LEXICONS, getLexicon } from './lexicons/index.js';
+
+/**
+ * Classe generant des reponses rapides deterministes
+ */
+export class QuickReplyEngine {
+  // Identifiant renvoye dans metadata.engine
+  static ENGINE = 'heuristic';
+
+  // Nombre de modeles disponibles par situation et registre
+  static MAX_REPLIES = 3;
+
+  // Situations pour lesquelles un message negatif appelle plutot du soutien
+  static SUPPORTABLE_SITUATIONS = ['affirmation', 'exclamation', 'ouverte'];
+
+  /**
+   * Genere des reponses rapides pour le dernier message recu
+   * @param {Object} params
+   * @param {Array} params.messages - Messages de la conversation
+   * @param {string} params.currentUserId - ID de l'utilisateur courant
+   * @param {string} params.currentUserName - Nom de l'utilisateur courant
+   * @param {string} params.language - Langue des reponses (defaut: langue detectee)
+   * @param {string} params.replyTo - Destinataire de la reponse (senderId ou 'group')
+   * @param {number} count - Nombre de reponses (1 a MAX_REPLIES)
+   * @returns {{ replies: Array<string>, situation: string, register: string, language: string, analysis: ConversationAnalysis }}
+   */
+  static generate({ messages = [], currentUserId, currentUserName, language, replyTo }, count = this.MAX_REPLIES) {
+    const analysis = ConversationAnalyzer.analyze(messages, currentUserId, currentUserName);
+    const replyLanguage = LEXICONS[language] ? language : analysis.language;
+    const lexicon = getLexicon(replyLanguage);
+    const target = PromptBuilder.resolveReplyTarget(analysis, replyTo);
+
+    // Registre du destinataire vise, sinon celui de la conversation
+    const { tone, relationship } = target?.scope === 'participant' ? target.contact : analysis;
+    const register = this.getRegister(tone, relationship);
+    const situation = this.detectSituation(messages, currentUserId, target, analysis.language);
+
+    const replies = lexicon.quickReplies[situation][register].slice(0, Math.min(count, this.MAX_REPLIES));
+
+    return { replies, situation, register, language: replyLanguage, analysis };
+  }
+
+  /**
+   * Registre des reponses selon le ton et la relation
+   * @returns {'formel' | 'neutre' | 'familier'}
+   */
+  static getRegister(tone, relationship) {
+    if (tone === 'formel' || relationship === 'professionnel') return 'formel';
+    if (tone === 'informel' || ['ami', 'famille', 'couple'].includes(relationship)) return 'familier';
+    return 'neutre';
+  }
+
+  /**
+   * Situation a laquelle repondre, a partir du dernier message du destinataire
+   * Reprend les types de ConversationAnalyzer.analyzeExpectedResponse, plus
+   * 'soutien' (message negatif) et 'debut' (aucun message recu)
+   * @param {string} language - Langue des messages (pour les motifs de questions)
+   * @returns {string}
+   */
+  static detectSituation(messages, currentUserId, target, language) {
+    const received = messages.filter((m) => m.senderId !== currentUserId);
+    const fromTarget = target?.scope === 'participant'
+      ? received.filter((m) => m.senderId === target.contact.senderId)
+      : received;
+    const message = fromTarget[fromTarget.length - 1] || received[received.length - 1];
+
+    if (!message) return 'debut';
+
+    const { type } = ConversationAnalyzer.analyzeExpectedResponse(message.content, language);
+    if (this.SUPPORTABLE_SITUATIONS.includes(type)) {
+      const emotion = ConversationAnalyzer.classifyEmotion(
+        ConversationAnalyzer.scoreEmotions(message.content, getLexicon(language))
+      );
+      if (emotion === 'negatif') return 'soutien';
+    }
+
+    return type;
+  }
+}
+
+export default QuickReplyEngine;
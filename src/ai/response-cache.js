@@ -0,0 +1,106 @@
+/**
+ * Cache des analyses et suggestions
+ * Evite de relancer l'analyse et l'appel au fournisseur pour une conversation identique
+ */
+
+import { createHash } from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { LRUCache } from '../utils/lru-cache.js';
+
+/**
+ * Serialise une valeur en JSON avec des cles triees (sortie stable)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache des resultats de l'API IA, indexe par un hash des parametres
+ */
+export class ResponseCache {
+  constructor({ enabled = true, maxEntries, ttlMs } = {}) {
+    this.enabled = enabled;
+    this.store = new LRUCache({ maxEntries, ttlMs });
+  }
+
+  /**
+   * Construit la cle de cache d'une requete
+   * Seuls les champs utilises par l'analyse sont retenus pour chaque message
+   * @param {string} kind - Type de resultat ('analyze', 'suggest')
+   * @param {Object} params - messages, currentUserId, currentUserName, currentInput, mode, language, replyTo, summary, preferences, styleProfile
+   * @returns {string}
+   */
+  buildKey(kind, {
+    messages = [], currentUserId, currentUserName, currentInput = '', mode, language, replyTo, summary, preferences,
+    styleProfile,
+  }) {
+    const normalized = {
+      kind,
+      user: { id: currentUserId, name: currentUserName },
+      input: currentInput,
+      mode,
+      language,
+      replyTo,
+      summary,
+      // Preferences enregistrees : une modification invalide les suggestions en cache
+      preferences,
+      // Profil de style appris : il evolue avec chaque conversation de l'utilisateur
+      styleProfile,
+      messages: messages.map((m) => [m.senderId, m.senderName, m.content]),
+    };
+
+    return createHash('sha256').update(stableStringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Retourne le resultat en cache ou le calcule
+   * @param {string} kind - Type de resultat
+   * @param {Object} params - Parametres servant a la cle
+   * @param {Function} compute - Calcul du resultat (sync ou async)
+   * @param {Object} options
+   * @param {boolean} options.bypass - Ignorer l'entree existante (Cache-Control: no-cache)
+   * @returns {Promise<{ value: *, cache: 'hit' | 'miss' | 'bypass' | 'disabled' }>}
+   */
+  async getOrCompute(kind, params, compute, { bypass = false } = {}) {
+    if (!this.enabled) {
+      return { value: await compute(), cache: 'disabled' };
+    }
+
+    const key = this.buildKey(kind, params);
+
+    if (!bypass) {
+      const cached = this.store.get(key);
+      if (cached !== undefined) {
+        logger.debug('Cache: hit', { kind });
+        return { value: cached, cache: 'hit' };
+      }
+    }
+
+    // Les erreurs ne sont pas mises en cache
+    const value = await compute();
+    this.store.set(key, value);
+
+    return { value, cache: bypass ? 'bypass' : 'miss' };
+  }
+
+  clear() {
+    this.store.clear();
+  }
+}
+
+// Export d'une instance singleton
+export const responseCache = new ResponseCache({
+  enabled: config.cache.enabled,
+  maxEntries: config.cache.maxEntries,
+  ttlMs: config.cache.ttlMs,
+});
+
+export default responseCache;
@@ -0,0 +1,71 @@
+/**
+ * Transformations disponibles pour la reecriture d'un brouillon (POST /api/ai/rewrite)
+ * Source unique pour la validation, les prompts et les libelles renvoyes au client
+ */
+
+/**
+ * Instruction destinee au modele et libelle court par langue
+ */
+export const REWRITE_TRANSFORMATIONS = {
+  formal: {
+    labels: { fr: 'Plus formel', en: 'More formal' },
+    instruction: 'Rends le message plus formel et professionnel (vouvoiement si la langue le permet, pas d\'abreviations ni d\'argot)',
+  },
+  casual: {
+    labels: { fr: 'Plus decontracte', en: 'More casual' },
+    instruction: 'Rends le message plus decontracte et familier, comme entre amis',
+  },
+  shorter: {
+    labels: { fr: 'Plus court', en: 'Shorter' },
+    instruction: 'Raccourcis nettement le message (environ la moitie) en gardant l\'essentiel',
+  },
+  warmer: {
+    labels: { fr: 'Plus chaleureux', en: 'Warmer' },
+    instruction: 'Rends le message plus chaleureux, bienveillant et attentionne',
+  },
+  assertive: {
+    labels: { fr: 'Plus affirme', en: 'More assertive' },
+    instruction: 'Rends le message plus affirme et direct, sans hesitation ni agressivite',
+  },
+  apologetic: {
+    labels: { fr: 'Avec excuses', en: 'More apologetic' },
+    instruction: 'Ajoute des excuses sinceres et adopte un ton conciliant',
+  },
+  add_emojis: {
+    labels: { fr: 'Avec emojis', en: 'With emojis' },
+    instruction: 'Ajoute un ou deux emojis pertinents, sans en abuser',
+  },
+  remove_emojis: {
+    labels: { fr: 'Sans emojis', en: 'No emojis' },
+    instruction: 'Supprime tous les emojis',
+  },
+};
+
+export const TRANSFORMATION_IDS = Object.keys(REWRITE_TRANSFORMATIONS);
+
+// Transformations contradictoires, refusees ensemble
+export const CONFLICTING_TRANSFORMATIONS = [
+  ['formal', 'casual'],
+  ['add_emojis', 'remove_emojis'],
+];
+
+/**
+ * Libelle court d'une transformation (francais par defaut)
+ * @param {string} id - Identifiant de la transformation
+ * @param {string} language - Code ISO 639-1
+ */
+export function getTransformationLabel(id, language) {
+  const { labels } = REWRITE_TRANSFORMATIONS[id];
+  return labels[language] || labels.fr;
+}
+
+/**
+ * Paires de transformations contradictoires presentes dans une demande
+ * @param {Array<string>} transformations - Transformations demandees
+ * @returns {Array<[string, string]>}
+ */
+export function findConflicts(transformations) {
+  return CONFLICTING_TRANSFORMATIONS.filter(([a, b]) => transformations.includes(a) && transformations.includes(b));
+}
+
+export default REWRITE_TRANSFORMATIONS;
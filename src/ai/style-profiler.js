@@ -0,0 +1,402 @@
+/**
+ * Profil de style d'ecriture de l'utilisateur
+ * Appris sur ses propres messages (senderId === currentUserId) : longueur, emojis,
+ * abreviations, ponctuation, majuscules, formules d'ouverture et de fin.
+ * Les compteurs se cumulent d'une requete a l'autre ; aucun texte n'est conserve,
+ * seulement des empreintes a cle (HMAC) des messages deja appris, inutilisables sans la cle.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import logger from '../utils/logger.js';
+import { LEXICONS } from './lexicons/index.js';
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+// Ponctuation et emojis ignores pour reperer la formule de fin
+const TRAILING_PATTERN = /[\s.!?,;:…~)\p{Extended_Pictographic}\uFE0F\u200D]+$/u;
+
+/**
+ * Minuscules sans accents, pour comparer aux expressions des lexiques
+ */
+function normalize(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Expressions de style de toutes les langues (un utilisateur peut en melanger plusieurs)
+ * Les plus longues d'abord pour que "salut a tous" l'emporte sur "salut"
+ */
+function collectStyle(field) {
+  const values = Object.values(LEXICONS).flatMap((lexicon) => lexicon.style[field]).map(normalize);
+  return [...new Set(values)].sort((a, b) => b.length - a.length);
+}
+
+const ABBREVIATIONS = new Set(collectStyle('abbreviations'));
+const GREETING_PATTERN = new RegExp(
+  `^(?:${collectStyle('greetings').map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+  'u'
+);
+const SIGN_OFF_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${collectStyle('signOffs').map(escapeRegExp).join('|')})$`,
+  'u'
+);
+
+/**
+ * Empreinte d'un message deja appris, dans son contexte (message precedent)
+ * Un meme "ok" envoye dans une autre conversation est ainsi compte a nouveau ;
+ * seule une conversation renvoyee telle quelle est reconnue.
+ */
+function fingerprint(key, previous, content) {
+  return createHmac('sha256', key).update(previous).update('\0').update(content).digest('hex').slice(0, 16);
+}
+
+function increment(counts, key, by = 1) {
+  counts[key] = (counts[key] || 0) + by;
+}
+
+/**
+ * Cles les plus frequentes d'un compteur
+ * @param {number} minCount - Occurrences minimales pour etre retenue
+ */
+function top(counts, limit, minCount = 1) {
+  return Object.entries(counts)
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key]) => key);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Classe d'extraction et de description du style d'ecriture
+ */
+export class StyleProfiler {
+  // En dessous, le profil n'est pas assez fiable pour etre transmis au modele
+  static MIN_MESSAGES = 3;
+
+  // Seuils de description du profil
+  static THRESHOLDS = {
+    shortLength: 40,
+    longLength: 140,
+    frequentEmojis: 0.3,
+    abbreviations: 0.15,
+    lowercase: 0.6,
+    capitalized: 0.8,
+    exclamation: 0.3,
+    ellipsis: 0.2,
+    noFinalPeriod: 0.1,
+    finalPeriod: 0.7,
+  };
+
+  /**
+   * Compteurs vides
+   */
+  static createCounters() {
+    return {
+      messages: 0,
+      characters: 0,
+      emojiMessages: 0,
+      emojis: {},
+      abbreviationMessages: 0,
+      abbreviations: {},
+      exclamationMessages: 0,
+      ellipsisMessages: 0,
+      finalPeriodMessages: 0,
+      letterStartMessages: 0,
+      capitalizedMessages: 0,
+      lowercaseMessages: 0,
+      greetings: {},
+      signOffs: {},
+      seen: [],
+    };
+  }
+
+  /**
+   * Compte les habitudes d'ecriture des messages de l'utilisateur
+   * @param {Array} messages - Messages de la conversation
+   * @param {string} currentUserId - ID de l'utilisateur courant
+   * @param {Object} options
+   * @param {Buffer | string} options.key - Cle des empreintes (sans cle, aucune empreinte n'est calculee)
+   * @param {Set<string>} options.skip - Empreintes des messages deja appris
+   * @returns {Object} - Compteurs cumulables (voir merge)
+   */
+  static extract(messages, currentUserId, { key = null, skip = new Set() } = {}) {
+    const counters = this.createCounters();
+    let previous = '';
+
+    for (const message of messages || []) {
+      const content = typeof message.content === 'string' ? message.content.trim() : '';
+      const context = previous;
+      previous = content;
+      if (message.senderId !== currentUserId || !content) continue;
+
+      if (key) {
+        const hash = fingerprint(key, context, content);
+        if (skip.has(hash)) continue;
+        counters.seen.push(hash);
+      }
+
+      this.countMessage(counters, content);
+    }
+
+    return counters;
+  }
+
+  /**
+   * Ajoute un message aux compteurs
+   */
+  static countMessage(counters, content) {
+    const normalized = normalize(content);
+    counters.messages++;
+    counters.characters += Array.from(content).length;
+
+    const emojis = content.match(EMOJI_PATTERN) || [];
+    if (emojis.length > 0) counters.emojiMessages++;
+    emojis.forEach((emoji) => increment(counters.emojis, emoji));
+
+    const abbreviations = normalized.split(/[^\p{L}\p{N}]+/u).filter((word) => ABBREVIATIONS.has(word));
+    if (abbreviations.length > 0) counters.abbreviationMessages++;
+    abbreviations.forEach((abbreviation) => increment(counters.abbreviations, abbreviation));
+
+    if (content.includes('!')) counters.exclamationMessages++;
+    if (/\.\.\.|…/.test(content)) counters.ellipsisMessages++;
+
+    const ending = content.replace(/[\s\p{Extended_Pictographic}\uFE0F\u200D]+$/u, '');
+    if (ending.endsWith('.') && !/(\.\.\.|…)$/.test(ending)) counters.finalPeriodMessages++;
+
+    const firstLetter = content.match(/\p{L}/u)?.[0];
+    if (firstLetter) {
+      if (content.startsWith(firstLetter)) {
+        counters.letterStartMessages++;
+        if (firstLetter !== firstLetter.toLowerCase()) counters.capitalizedMessages++;
+      }
+      if (content === content.toLowerCase()) counters.lowercaseMessages++;
+    }
+
+    const greeting = normalized.match(GREETING_PATTERN)?.[0];
+    if (greeting) increment(counters.greetings, greeting);
+
+    // Une formule de fin suit forcement un contenu (un "merci" seul n'en est pas une)
+    const body = normalized.replace(TRAILING_PATTERN, '');
+    const signOff = body.match(SIGN_OFF_PATTERN)?.[0];
+    if (signOff && body.length > signOff.length) increment(counters.signOffs, signOff);
+  }
+
+  /**
+   * Cumule deux jeux de compteurs
+   * @param {Object} a - Compteurs (ou null)
+   * @param {Object} b - Compteurs
+   * @returns {Object}
+   */
+  static merge(a, b) {
+    if (!a) return b;
+
+    const merged = this.createCounters();
+    for (const [key, value] of Object.entries(merged)) {
+      if (key === 'seen') {
+        merged.seen = [...(a.seen || []), ...(b.seen || [])];
+      } else if (typeof value === 'number') {
+        merged[key] = (a[key] || 0) + (b[key] || 0);
+      } else {
+        for (const source of [a[key], b[key]]) {
+          Object.entries(source || {}).forEach(([item, count]) => increment(merged[key], item, count));
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Reduit le poids des compteurs (les habitudes recentes comptent davantage)
+   * @param {Object} counters
+   * @param {number} factor - Facteur entre 0 et 1
+   */
+  static scale(counters, factor) {
+    const scaled = { ...counters };
+    for (const [key, value] of Object.entries(counters)) {
+      if (typeof value === 'number') {
+        scaled[key] = Math.round(value * factor);
+      } else if (key !== 'seen') {
+        scaled[key] = Object.fromEntries(
+          Object.entries(value)
+            .map(([item, count]) => [item, Math.round(count * factor)])
+            .filter(([, count]) => count > 0)
+        );
+      }
+    }
+    return scaled;
+  }
+
+  /**
+   * Profil lisible a partir des compteurs
+   * @param {Object} counters - Compteurs (voir extract)
+   * @returns {Object | null} - null si trop peu de messages
+   */
+  static summarize(counters) {
+    const { messages } = counters;
+    if (messages < this.MIN_MESSAGES) return null;
+
+    const rate = (count) => round(count / messages);
+
+    return {
+      sampleSize: messages,
+      averageLength: Math.round(counters.characters / messages),
+      emojiRate: rate(counters.emojiMessages),
+      favoriteEmojis: top(counters.emojis, 3),
+      abbreviationRate: rate(counters.abbreviationMessages),
+      abbreviations: top(counters.abbreviations, 5),
+      exclamationRate: rate(counters.exclamationMessages),
+      ellipsisRate: rate(counters.ellipsisMessages),
+      finalPeriodRate: rate(counters.finalPeriodMessages),
+      capitalizationRate: counters.letterStartMessages > 0
+        ? round(counters.capitalizedMessages / counters.letterStartMessages)
+        : null,
+      lowercaseRate: rate(counters.lowercaseMessages),
+      // Une formule n'est une habitude qu'a partir de deux emplois
+      greetings: top(counters.greetings, 3, 2),
+      signOffs: top(counters.signOffs, 3, 2),
+    };
+  }
+
+  /**
+   * Traits marquants du profil, sous forme de fragments de prompt
+   * @param {Object} profile - Profil (voir summarize)
+   * @returns {Array<[string, Object]>} - Cle du fragment et variables
+   */
+  static traits(profile) {
+    const t = this.THRESHOLDS;
+    const quote = (values) => values.map((value) => `"${value}"`).join(', ');
+    const traits = [];
+
+    let length = 'medium';
+    if (profile.averageLength < t.shortLength) length = 'short';
+    else if (profile.averageLength > t.longLength) length = 'long';
+    traits.push([`styleProfile.length.${length}`, { average: profile.averageLength }]);
+
+    const favorites = profile.favoriteEmojis.join(' ');
+    if (profile.emojiRate >= t.frequentEmojis) traits.push(['styleProfile.emojis.frequent', { favorites }]);
+    else if (profile.emojiRate > 0) traits.push(['styleProfile.emojis.occasional', { favorites }]);
+    else traits.push(['styleProfile.emojis.none', {}]);
+
+    if (profile.abbreviationRate >= t.abbreviations) {
+      traits.push(['styleProfile.abbreviations', { examples: quote(profile.abbreviations) }]);
+    }
+
+    if (profile.lowercaseRate >= t.lowercase) {
+      traits.push(['styleProfile.capitalization.lowercase', {}]);
+    } else if (profile.capitalizationRate >= t.capitalized) {
+      traits.push(['styleProfile.capitalization.capitalized', {}]);
+    }
+
+    if (profile.exclamationRate >= t.exclamation) traits.push(['styleProfile.punctuation.exclamation', {}]);
+    if (profile.ellipsisRate >= t.ellipsis) traits.push(['styleProfile.punctuation.ellipsis', {}]);
+    if (profile.finalPeriodRate <= t.noFinalPeriod) traits.push(['styleProfile.punctuation.noFinalPeriod', {}]);
+    else if (profile.finalPeriodRate >= t.finalPeriod) traits.push(['styleProfile.punctuation.finalPeriod', {}]);
+
+    if (profile.greetings.length > 0) {
+      traits.push(['styleProfile.greetings', { examples: quote(profile.greetings) }]);
+    }
+    if (profile.signOffs.length > 0) {
+      traits.push(['styleProfile.signOffs', { examples: quote(profile.signOffs) }]);
+    }
+
+    return traits;
+  }
+}
+
+/**
+ * Profils de style par utilisateur, calcules par requete ou cumules dans un stockage
+ */
+export class StyleProfileLearner {
+  // Au-dela, les compteurs sont divises par deux pour privilegier les habitudes recentes
+  static MAX_MESSAGES = 1000;
+
+  // Empreintes conservees pour ne pas recompter une conversation renvoyee
+  static MAX_SEEN = 500;
+
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Active le profil de style
+   * @param {{ get: Function, set: Function }} options.store - Stockage des compteurs par utilisateur (null = calcul par requete)
+   * @param {string} options.fingerprintKey - Cle des empreintes (defaut: aleatoire, propre au processus)
+   */
+  constructor({ enabled = true, store = null, fingerprintKey = null } = {}) {
+    this.enabled = enabled;
+    this.store = store;
+    this.fingerprintKey = fingerprintKey || randomBytes(32);
+    this.pending = new Map(); // userId -> derniere mise a jour en cours
+  }
+
+  /**
+   * Profil de l'utilisateur, enrichi des messages de la requete
+   * @param {Array} messages - Messages de la conversation
+   * @param {string} currentUserId - ID de l'utilisateur courant
+   * @returns {Promise<Object | null>} - null si desactive ou trop peu de messages
+   */
+  async getProfile(messages, currentUserId) {
+    if (!this.enabled) return null;
+
+    if (!this.store || !currentUserId) {
+      return StyleProfiler.summarize(StyleProfiler.extract(messages, currentUserId));
+    }
+
+    try {
+      return StyleProfiler.summarize(await this.learn(messages, currentUserId));
+    } catch (error) {
+      // Un stockage indisponible ne doit pas empecher la generation
+      logger.warn('Profil de style non persiste', { error: error.message });
+      return StyleProfiler.summarize(StyleProfiler.extract(messages, currentUserId));
+    }
+  }
+
+  /**
+   * Cumule les nouveaux messages de l'utilisateur dans ses compteurs enregistres
+   * Les mises a jour d'un meme utilisateur sont chainees : sans cela, deux requetes
+   * simultanees liraient les memes compteurs et la derniere ecriture effacerait l'autre
+   * @returns {Promise<Object>} - Compteurs a jour
+   */
+  learn(messages, currentUserId) {
+    const previous = this.pending.get(currentUserId) ?? Promise.resolve();
+    const update = previous
+      .catch(() => {})
+      .then(() => this.update(messages, currentUserId));
+
+    this.pending.set(currentUserId, update);
+    const cleanup = () => {
+      if (this.pending.get(currentUserId) === update) this.pending.delete(currentUserId);
+    };
+    update.then(cleanup, cleanup);
+
+    return update;
+  }
+
+  /**
+   * Lecture, fusion et ecriture des compteurs (appelee par learn, une a la fois par utilisateur)
+   */
+  async update(messages, currentUserId) {
+    const saved = await this.store.get(currentUserId);
+    const fresh = StyleProfiler.extract(messages, currentUserId, {
+      key: this.fingerprintKey,
+      skip: new Set(saved?.seen),
+    });
+    if (fresh.messages === 0) return saved || fresh;
+
+    let counters = StyleProfiler.merge(saved, fresh);
+    if (counters.messages > StyleProfileLearner.MAX_MESSAGES) {
+      counters = StyleProfiler.scale(counters, 0.5);
+    }
+    counters.seen = counters.seen.slice(-StyleProfileLearner.MAX_SEEN);
+
+    await this.store.set(currentUserId, counters);
+    return counters;
+  }
+}
+
+export default StyleProfiler;
@@ -0,0 +1,48 @@
+/**
+ * Verificateur de jetons Firebase
+ * Valide les ID tokens emis par Firebase Authentication
+ */
+
+import { initializeApp, getApps } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+/**
+ * Verifie les ID tokens Firebase via firebase-admin
+ */
+export class FirebaseTokenVerifier {
+  constructor({ projectId }) {
+    this.name = 'firebase';
+    this.projectId = projectId;
+    this.auth = null;
+  }
+
+  /**
+   * Initialise paresseusement l'application firebase-admin
+   * Seul le projectId est necessaire pour verifier les jetons
+   */
+  getAuth() {
+    if (!this.auth) {
+      const app = getApps()[0] || initializeApp({ projectId: this.projectId });
+      this.auth = getAuth(app);
+    }
+    return this.auth;
+  }
+
+  /**
+   * Verifie un ID token et retourne l'utilisateur decode
+   * @param {string} token - ID token Firebase
+   * @returns {Promise<{ uid: string, email?: string, name?: string, claims: Object }>}
+   */
+  async verify(token) {
+    const decoded = await this.getAuth().verifyIdToken(token);
+
+    return {
+      uid: decoded.uid,
+      email: decoded.email,
+      name: decoded.name,
+      claims: decoded,
+    };
+  }
+}
+
+export default FirebaseTokenVerifier;
@@ -0,0 +1,48 @@
+/**
+ * Module d'authentification - Verificateurs de jetons
+ * Le verificateur actif est remplacable (tests, developpement hors ligne)
+ */
+
+import config from '../config/index.js';
+import { FirebaseTokenVerifier } from './firebase-verifier.js';
+import { LocalTokenVerifier } from './local-verifier.js';
+
+export { FirebaseTokenVerifier, LocalTokenVerifier };
+
+/**
+ * Cree le verificateur correspondant au nom demande
+ * @param {string} name - 'firebase' | 'local'
+ * @returns {{ name: string, verify: (token: string) => Promise<Object> }}
+ */
+export function createTokenVerifier(name = config.auth.verifier) {
+  switch (name) {
+    case 'firebase':
+      return new FirebaseTokenVerifier({ projectId: config.firebase.projectId });
+    case 'local':
+      return new LocalTokenVerifier({ secret: config.auth.localSecret });
+    default:
+      throw new Error(`Verificateur d'authentification inconnu: ${name}`);
+  }
+}
+
+let activeVerifier = null;
+
+/**
+ * Retourne le verificateur actif (cree a la premiere utilisation)
+ */
+export function getTokenVerifier() {
+  if (!activeVerifier) {
+    activeVerifier = createTokenVerifier();
+  }
+  return activeVerifier;
+}
+
+/**
+ * Remplace le verificateur actif
+ * @param {{ verify: (token: string) => Promise<Object> }} verifier
+ */
+export function setTokenVerifier(verifier) {
+  activeVerifier = verifier;
+}
+
+export default getTokenVerifier;
@@ -0,0 +1,85 @@
+/**
+ * Verificateur de jetons local
+ * JWT HS256 signes avec une cle partagee, pour le developpement et les tests
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Verifie des JWT HS256 signes avec une cle locale
+ * Remplace Firebase quand aucun projet n'est joignable (CI, hors ligne)
+ */
+export class LocalTokenVerifier {
+  constructor({ secret }) {
+    if (!secret) {
+      throw new Error('LocalTokenVerifier: une cle secrete est requise');
+    }
+    this.name = 'local';
+    this.secret = secret;
+  }
+
+  /**
+   * Calcule la signature d'un en-tete et d'une charge encodes
+   */
+  signature(encodedHeader, encodedPayload) {
+    return createHmac('sha256', this.secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Emet un jeton signe (utile pour les tests et le developpement)
+   * @param {Object} payload - Charge du jeton (sub = uid)
+   * @param {number} expiresInSeconds - Duree de validite
+   * @returns {string}
+   */
+  sign(payload, expiresInSeconds = 3600) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ iat: now, exp: now + expiresInSeconds, ...payload }));
+
+    return `${header}.${body}.${this.signature(header, body)}`;
+  }
+
+  /**
+   * Verifie un jeton et retourne l'utilisateur decode
+   * @param {string} token - JWT HS256
+   * @returns {Promise<{ uid: string, email?: string, name?: string, claims: Object }>}
+   */
+  async verify(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new Error('Jeton mal forme');
+    }
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(this.signature(header, body));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      throw new Error('Signature invalide');
+    }
+
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+
+    if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) {
+      throw new Error('Jeton expire');
+    }
+    if (!claims.sub) {
+      throw new Error('Jeton sans sujet');
+    }
+
+    return {
+      uid: claims.sub,
+      email: claims.email,
+      name: claims.name,
+      claims,
+    };
+  }
+}
+
+export default LocalTokenVerifier;
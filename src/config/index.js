@@ -21,14 +21,42 @@ export const config = {
   // API Groq
   groq: {
     apiKey: process.env.GROQ_API_KEY,
-    baseUrl: 'https://api.groq.com/openai/v1/chat/completions',
+    baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com',
+  },
+
+  // Serveur OpenAI-compatible (Ollama, llama.cpp, vLLM...)
+  openaiCompatible: {
+    baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+  },
+
+  // Fournisseur simule (developpement hors ligne, CI)
+  mock: {
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS, 10) || 0,
   },
 
   // Configuration IA
   ai: {
+    provider: process.env.AI_PROVIDER || 'groq', // 'groq' | 'openai-compatible' | 'mock'
     model: process.env.AI_MODEL || 'mixtral-8x7b-32768', 
     maxTokens: parseInt(process.env.AI_MAX_TOKENS, 10) || 300,
+    // Les resumes de conversation sont plus longs qu'une suggestion
+    summaryMaxTokens: parseInt(process.env.AI_SUMMARY_MAX_TOKENS, 10) || 500,
     temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.7,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS, 10) || 15000,
+    // Reponses rapides heuristiques lorsque le fournisseur est indisponible
+    heuristicFallback: process.env.AI_HEURISTIC_FALLBACK !== 'false',
+    // Nouvelles tentatives sur erreurs passageres (backoff exponentiel avec jitter)
+    retry: {
+      maxRetries: parseInt(process.env.AI_MAX_RETRIES ?? '2', 10),
+      baseDelayMs: 250,
+      maxDelayMs: 4000,
+    },
+    // Disjoncteur : echec rapide tant que le fournisseur est en panne
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_THRESHOLD, 10) || 5,
+      resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_MS, 10) || 30000,
+    },
   },
 
   // Firebase
@@ -36,10 +64,97 @@ export const config = {
     projectId: process.env.FIREBASE_PROJECT_ID || 'ai-chat-23aa5',
   },
 
-  // Rate Limiting
+  // Authentification des routes /api/ai
+  auth: {
+    // Active par defaut en production, desactivable via AUTH_ENABLED=false
+    enabled: process.env.AUTH_ENABLED
+      ? process.env.AUTH_ENABLED === 'true'
+      : process.env.NODE_ENV === 'production',
+    verifier: process.env.AUTH_VERIFIER || 'firebase', // 'firebase' | 'local'
+    localSecret: process.env.AUTH_LOCAL_SECRET,
+    // Cles API serveur-a-serveur (en-tete X-API-Key), separees par des virgules
+    apiKeys: process.env.API_KEYS?.split(',').map((key) => key.trim()).filter(Boolean) || [],
+  },
+
+  // Rate Limiting (par utilisateur authentifie, cle API ou IP)
   rateLimit: {
     windowMs: 60 * 1000, // 1 minute
-    maxRequests: 30, // 30 requetes par minute
+    maxRequests: parseInt(process.env.RATE_LIMIT_MAX, 10) || 30, // 30 requetes par minute
+  },
+
+  // Quotas de tokens par client (0 = illimite)
+  quota: {
+    dailyTokens: parseInt(process.env.QUOTA_DAILY_TOKENS, 10) || 0,
+    monthlyTokens: parseInt(process.env.QUOTA_MONTHLY_TOKENS, 10) || 0,
+    // Tokens reserves par requete en cours, en attendant sa consommation reelle
+    reservedTokens: parseInt(process.env.QUOTA_RESERVED_TOKENS, 10) || 1000,
+  },
+
+  // Cache des analyses et suggestions
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    ttlMs: (parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300) * 1000, // 5 minutes
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  },
+
+  // Assistant de saisie en temps reel (WebSocket, voir realtime/)
+  assistant: {
+    enabled: process.env.ASSISTANT_ENABLED !== 'false',
+    path: '/api/ai/assist',
+    // Delai sans nouvelle modification avant de relancer analyse et suggestion
+    debounceMs: parseInt(process.env.ASSISTANT_DEBOUNCE_MS, 10) || 400,
+    maxPayloadBytes: 256 * 1024,
+  },
+
+  // Analyse groupee de conversations (POST /api/ai/analyze/batch)
+  analyzeBatch: {
+    // Nombre total de messages analyses par requete ; les conversations au-dela sont refusees une a une
+    maxMessages: parseInt(process.env.ANALYZE_BATCH_MAX_MESSAGES, 10) || 1000,
+  },
+
+  // Modeles de prompts versionnes (<dir>/<version>/, defaut: src/ai/prompts/v1)
+  prompts: {
+    dir: process.env.PROMPTS_DIR,
+    version: process.env.PROMPT_VERSION || 'v1',
+  },
+
+  // Masquage des donnees personnelles avant envoi au fournisseur LLM
+  redaction: {
+    enabled: process.env.PII_REDACTION_ENABLED !== 'false',
+    // Types masques : email, iban, card, phone, address, name (noms des participants)
+    types: process.env.PII_REDACTION_TYPES?.split(',').map((type) => type.trim()).filter(Boolean)
+      || ['email', 'iban', 'card', 'phone', 'address'],
+  },
+
+  // Profil de style d'ecriture, appris sur les messages de l'utilisateur
+  styleProfile: {
+    enabled: process.env.STYLE_PROFILE_ENABLED !== 'false',
+    // 'none' = calcul a chaque requete, 'memory' ou 'file' = cumul par utilisateur
+    store: process.env.STYLE_PROFILE_STORE || 'none',
+    filePath: process.env.STYLE_PROFILE_FILE || 'data/style-profiles.json',
+    // Cle des empreintes de messages deja appris ; sans elle, une cle aleatoire est tiree
+    // a chaque demarrage (une conversation renvoyee apres redemarrage est alors recomptee)
+    fingerprintKey: process.env.STYLE_PROFILE_KEY,
+  },
+
+  // Preferences explicites des utilisateurs (GET/PUT /api/users/:id/preferences)
+  preferences: {
+    store: process.env.PREFERENCES_STORE || 'memory', // 'memory' | 'file'
+    filePath: process.env.PREFERENCES_FILE || 'data/preferences.json',
+  },
+
+  // Suivi des retours sur les suggestions (POST /api/ai/feedback)
+  feedback: {
+    store: process.env.FEEDBACK_STORE || 'memory', // 'memory' | 'file'
+    filePath: process.env.FEEDBACK_FILE || 'data/feedback.jsonl',
+    maxEntries: parseInt(process.env.FEEDBACK_MAX_ENTRIES, 10) || 10000,
+  },
+
+  // Metriques Prometheus (GET /metrics)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // Jeton Bearer exige pour le scraping s'il est defini
+    token: process.env.METRICS_TOKEN,
   },
 
   // CORS
@@ -59,7 +174,8 @@ cors: {
  * Valide que toutes les variables requises sont presentes
  */
 export function validateConfig() {
-  const required = ['GROQ_API_KEY'];
+  // Seul le fournisseur Groq exige une cle API
+  const required = config.ai.provider === 'groq' ? ['GROQ_API_KEY'] : [];
   const missing = required.filter((key) => !process.env[key]);
 
   if (missing.length > 0) {
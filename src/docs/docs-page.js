@@ -0,0 +1,193 @@
+/**
+ * Page HTML de documentation generee a partir du document OpenAPI
+ * Autonome : aucun script ni ressource externe (compatible avec la CSP de helmet)
+ */
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 24px; color: #222; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 40px; }
+  details { border: 1px solid #ddd; border-radius: 6px; margin: 8px 0; }
+  summary { cursor: pointer; padding: 10px; font-family: monospace; font-size: 15px; }
+  details > div { padding: 0 14px 14px; }
+  .method { display: inline-block; min-width: 56px; color: #fff; border-radius: 4px; padding: 2px 6px;
+    margin-right: 8px; text-align: center; font-weight: bold; background: #555; }
+  .method.get { background: #2f7d32; }
+  .method.post { background: #1565c0; }
+  .method.put { background: #ef6c00; }
+  .method.delete { background: #c62828; }
+  .summary { font-family: system-ui, sans-serif; color: #555; margin-left: 8px; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; font-size: 14px; }
+  th, td { border: 1px solid #e0e0e0; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; }
+  code { background: #f5f5f5; padding: 1px 4px; border-radius: 3px; }
+  .muted { color: #777; }
+`;
+
+/**
+ * Echappe une valeur pour l'inserer dans du HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Nom du composant cible par un $ref
+ */
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+/**
+ * Decrit le type d'un schema (lien vers le composant pour un $ref)
+ */
+function renderType(schema = {}) {
+  if (schema.$ref) {
+    const target = refName(schema.$ref);
+    return `<a href="#schema-${escapeHtml(target)}">${escapeHtml(target)}</a>`;
+  }
+  if (schema.type === 'array') {
+    return `Array&lt;${renderType(schema.items)}&gt;`;
+  }
+  return escapeHtml(schema.type || 'any') + (schema.nullable ? ' | null' : '');
+}
+
+/**
+ * Liste les contraintes d'un schema (longueur, bornes, enum...)
+ */
+function renderConstraints(schema) {
+  const constraints = [];
+  const rules = ['minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems'];
+
+  for (const rule of rules) {
+    if (schema[rule] !== undefined) constraints.push(`${rule}: ${schema[rule]}`);
+  }
+  if (schema.pattern) constraints.push(`pattern: ${schema.pattern}`);
+  if (schema.enum) constraints.push(`enum: ${schema.enum.join(' | ')}`);
+  if (schema.items?.enum) constraints.push(`items: ${schema.items.enum.join(' | ')}`);
+
+  return constraints.map((constraint) => `<code>${escapeHtml(constraint)}</code>`).join(' ');
+}
+
+/**
+ * Tableau des proprietes d'un schema objet
+ */
+function renderSchema(schema) {
+  if (schema.$ref || !schema.properties) {
+    return `<p>${renderType(schema)} ${renderConstraints(schema)}</p>`;
+  }
+
+  const required = new Set(schema.required || []);
+  const rows = Object.entries(schema.properties).map(([name, property]) => `
+      <tr>
+        <td><code>${escapeHtml(name)}</code>${required.has(name) ? ' *' : ''}</td>
+        <td>${renderType(property)}</td>
+        <td>${renderConstraints(property)}</td>
+        <td>${escapeHtml(property.description || '')}</td>
+      </tr>`).join('');
+
+  return `
+    <table>
+      <tr><th>Champ</th><th>Type</th><th>Contraintes</th><th>Description</th></tr>${rows}
+    </table>`;
+}
+
+/**
+ * Bloc depliable d'une operation
+ */
+function renderOperation(path, method, operation) {
+  const parts = [];
+
+  if (operation.description) {
+    parts.push(`<p>${escapeHtml(operation.description)}</p>`);
+  }
+
+  if (operation.security?.length === 0) {
+    parts.push('<p class="muted">Aucune authentification requise.</p>');
+  }
+
+  if (operation.parameters?.length) {
+    const rows = operation.parameters.map((parameter) => `
+      <tr>
+        <td><code>${escapeHtml(parameter.name)}</code></td>
+        <td>${escapeHtml(parameter.in)}</td>
+        <td>${escapeHtml(parameter.description || '')}</td>
+      </tr>`).join('');
+    parts.push(`<h4>Parametres</h4><table><tr><th>Nom</th><th>Emplacement</th><th>Description</th></tr>${rows}</table>`);
+  }
+
+  if (operation.requestBody) {
+    const [contentType, { schema }] = Object.entries(operation.requestBody.content)[0];
+    parts.push(`<h4>Corps (${escapeHtml(contentType)})</h4>${renderSchema(schema)}`);
+  }
+
+  const responses = Object.entries(operation.responses).map(([status, response]) => {
+    const description = response.$ref ? `Erreur (${renderType({ $ref: '#/components/schemas/Error' })})` : escapeHtml(response.description);
+    const [contentType, media] = Object.entries(response.content || {})[0] || [];
+    const data = media?.schema?.properties?.data;
+    const payload = data ? ` &rarr; data: ${renderType(data)}` : contentType && !response.$ref ? ` (${escapeHtml(contentType)})` : '';
+    return `<tr><td><code>${escapeHtml(status)}</code></td><td>${description}${payload}</td></tr>`;
+  }).join('');
+  parts.push(`<h4>Reponses</h4><table><tr><th>Statut</th><th>Description</th></tr>${responses}</table>`);
+
+  return `
+  <details>
+    <summary><span class="method ${method}">${method.toUpperCase()}</span>${escapeHtml(path)}<span class="summary">${escapeHtml(operation.summary || '')}</span></summary>
+    <div>${parts.join('\n')}</div>
+  </details>`;
+}
+
+/**
+ * Genere la page HTML de documentation
+ * @param {Object} spec - Document OpenAPI
+ * @returns {string} - Document HTML complet
+ */
+export function renderDocsPage(spec) {
+  const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ path, method, operation }))
+  );
+
+  const sections = spec.tags.map((tag) => {
+    const blocks = operations
+      .filter(({ operation }) => operation.tags?.includes(tag.name))
+      .map(({ path, method, operation }) => renderOperation(path, method, operation))
+      .join('');
+    return `<h2>${escapeHtml(tag.name)}</h2><p class="muted">${escapeHtml(tag.description || '')}</p>${blocks}`;
+  }).join('\n');
+
+  const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => `
+  <details id="schema-${escapeHtml(name)}">
+    <summary>${escapeHtml(name)}</summary>
+    <div>${schema.description ? `<p>${escapeHtml(schema.description)}</p>` : ''}${renderSchema(schema)}</div>
+  </details>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(spec.info.title)} - Documentation</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(spec.info.title)} <small class="muted">v${escapeHtml(spec.info.version)}</small></h1>
+  <p>${escapeHtml(spec.info.description || '')}</p>
+  <p>
+    Specification OpenAPI : <a href="/openapi.json">/openapi.json</a>.
+    Authentification : <code>Authorization: Bearer &lt;token&gt;</code> ou <code>X-API-Key</code>
+    (lorsqu'elle est activee). Les erreurs suivent l'enveloppe
+    <code>{ success: false, error: { code, message, details?, requestId } }</code>.
+    Chaque reponse porte un en-tete <code>X-Request-Id</code> (repris de la requete s'il est fourni).
+  </p>
+  ${sections}
+  <h2>Schemas</h2>
+  ${schemas}
+</body>
+</html>`;
+}
+
+export default renderDocsPage;
@@ -0,0 +1,924 @@
+/**
+ * Specification OpenAPI 3 de l'API
+ * Les schemas des requetes sont ceux du middleware de validation (schemas/*.schemas.js),
+ * convertis au format OpenAPI : la documentation ne peut pas diverger de la validation
+ */
+
+import { readFileSync } from 'fs';
+import {
+  messageSchema,
+  suggestionSchema,
+  suggestMultipleSchema,
+  quickRepliesSchema,
+  analyzeSchema,
+  batchConversationSchema,
+  analyzeBatchSchema,
+  ANALYZE_BATCH_SORTS,
+  rewriteSchema,
+  summarizeSchema,
+  translateSchema,
+  feedbackSchema,
+} from '../schemas/ai.schemas.js';
+import { contactPreferencesSchema, preferencesSchema } from '../schemas/user.schemas.js';
+
+const { name, version, description } = JSON.parse(
+  readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+);
+
+/**
+ * Convertit un schema declaratif (voir middleware/validate-request.js) en schema OpenAPI
+ * - required par propriete -> tableau required sur l'objet parent
+ * - min / max -> minimum / maximum
+ * - sous-schemas presents dans refs -> $ref vers le composant correspondant
+ * @param {Object} schema - Schema declaratif
+ * @param {Map<Object, string>} refs - Sous-schemas publies comme composants
+ * @returns {Object} - Schema OpenAPI 3
+ */
+export function toOpenAPISchema(schema, refs = new Map()) {
+  if (schema.$ref) return { $ref: schema.$ref };
+
+  const result = {};
+
+  if (schema.type) result.type = schema.type;
+  if (schema.description) result.description = schema.description;
+  if (schema.enum) result.enum = [...schema.enum];
+  if (schema.nullable) result.nullable = true;
+
+  if (schema.minLength !== undefined) result.minLength = schema.minLength;
+  if (schema.maxLength !== undefined) result.maxLength = schema.maxLength;
+  if (schema.pattern) result.pattern = schema.pattern;
+
+  if (schema.min !== undefined) result.minimum = schema.min;
+  if (schema.max !== undefined) result.maximum = schema.max;
+
+  if (schema.minItems !== undefined) result.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) result.maxItems = schema.maxItems;
+  if (schema.items) result.items = convertNested(schema.items, refs);
+
+  if (schema.properties) {
+    result.properties = {};
+    const required = [];
+
+    for (const [property, propertySchema] of Object.entries(schema.properties)) {
+      result.properties[property] = convertNested(propertySchema, refs);
+      if (propertySchema.required) required.push(property);
+    }
+
+    if (required.length > 0) result.required = required;
+  }
+
+  if (schema.additionalProperties) {
+    result.additionalProperties = convertNested(schema.additionalProperties, refs);
+  } else if (!schema.properties && schema.type === 'object') {
+    result.additionalProperties = true;
+  }
+  if (schema.maxProperties !== undefined) result.maxProperties = schema.maxProperties;
+
+  return result;
+}
+
+/**
+ * Convertit un sous-schema, ou le remplace par un $ref s'il est publie comme composant
+ */
+function convertNested(schema, refs) {
+  return refs.has(schema)
+    ? { $ref: `#/components/schemas/${refs.get(schema)}` }
+    : toOpenAPISchema(schema, refs);
+}
+
+// ===== SCHEMAS DES REPONSES =====
+// Meme format declaratif que les requetes, utilises uniquement pour la documentation
+
+const emotionEnum = ['positif', 'negatif', 'neutre'];
+
+const messageAnalysisSchema = {
+  type: 'object',
+  properties: {
+    index: { type: 'integer', required: true },
+    senderId: { type: 'string', required: true },
+    senderName: { type: 'string', required: true },
+    tone: { type: 'string', required: true, enum: ['formel', 'informel', 'neutre'] },
+    emotion: { type: 'string', required: true, enum: emotionEnum },
+    emotionScore: { type: 'number', required: true, min: -1, max: 1 },
+    formality: { type: 'number', required: true, min: 0, max: 1 },
+    expectedResponse: { type: 'string', required: true, description: 'Type de reponse attendue' },
+  },
+};
+
+const participantSchema = {
+  type: 'object',
+  properties: {
+    senderId: { type: 'string', required: true },
+    senderName: { type: 'string', required: true },
+    isCurrentUser: { type: 'boolean', required: true },
+    messageCount: { type: 'integer', required: true },
+    share: { type: 'number', required: true, min: 0, max: 1, description: 'Part des messages de la conversation' },
+    averageLength: { type: 'integer', required: true, description: 'Longueur moyenne (caracteres)' },
+    emojiRate: { type: 'number', required: true, description: 'Emojis par message' },
+    questionCount: { type: 'integer', required: true },
+    dominantTone: { type: 'string', required: true },
+    dominantEmotion: { type: 'string', required: true, enum: emotionEnum },
+  },
+};
+
+const emotionalTrajectorySchema = {
+  type: 'object',
+  properties: {
+    start: { type: 'string', required: true, enum: emotionEnum },
+    end: { type: 'string', required: true, enum: emotionEnum },
+    trend: { type: 'string', required: true, enum: ['stable', 'amelioration', 'degradation', 'fluctuant'] },
+    description: { type: 'string', required: true },
+    points: {
+      type: 'array', required: true, items: { type: 'number' },
+      description: 'Score emotionnel de chaque message (-1 a 1)',
+    },
+  },
+};
+
+const participantRefSchema = {
+  type: 'object',
+  properties: {
+    senderId: { type: 'string', required: true },
+    senderName: { type: 'string', required: true },
+  },
+};
+
+const contactSchema = {
+  type: 'object',
+  properties: {
+    senderId: { type: 'string', required: true },
+    senderName: { type: 'string', required: true },
+    relationship: { type: 'string', required: true },
+    tone: { type: 'string', required: true, enum: ['formel', 'informel', 'neutre'] },
+    messageCount: { type: 'integer', required: true },
+  },
+};
+
+const addressingSchema = {
+  type: 'object',
+  nullable: true,
+  description: 'Destinataire du dernier message recu (null sans message recu)',
+  properties: {
+    from: { ...participantRefSchema, required: true },
+    to: { type: 'array', required: true, items: participantRefSchema },
+    scope: { type: 'string', required: true, enum: ['direct', 'groupe'] },
+    addressesMe: { type: 'boolean', required: true },
+    signal: {
+      type: 'string', required: true,
+      enum: ['mention', 'nom', 'question', 'tete-a-tete', 'aucun'],
+      description: 'Indice ayant permis la detection',
+    },
+  },
+};
+
+const analysisSchema = {
+  type: 'object',
+  description: 'Analyse de la conversation',
+  properties: {
+    tone: { type: 'string', required: true, enum: ['formel', 'informel', 'neutre'] },
+    relationship: {
+      type: 'string', required: true,
+      enum: ['ami', 'professionnel', 'famille', 'collegue', 'couple', 'inconnu'],
+    },
+    topics: { type: 'array', required: true, items: { type: 'string' } },
+    conversationSummary: { type: 'string', required: true },
+    messageCount: { type: 'integer', required: true, min: 0 },
+    lastSpeaker: { type: 'string', required: true },
+    conversationFlow: {
+      type: 'string', required: true,
+      enum: ['debut', 'interrogatif', 'actif', 'prolonge', 'fluide'],
+    },
+    emotionalTone: { type: 'string', required: true, enum: emotionEnum },
+    urgency: { type: 'string', required: true, enum: ['urgent', 'normal', 'faible'] },
+    formality: {
+      type: 'number', required: true, min: 0, max: 1,
+      description: '0 = tres informel, 1 = tres formel',
+    },
+    language: { type: 'string', required: true, description: 'Langue detectee (ISO 639-1)' },
+    isGroup: { type: 'boolean', required: true, description: 'Plus de deux participants' },
+    participantCount: { type: 'integer', required: true },
+    contacts: {
+      type: 'array', required: true, items: { $ref: '#/components/schemas/Contact' },
+      description: 'Relation et ton par interlocuteur',
+    },
+    addressing: { $ref: '#/components/schemas/Addressing', required: true },
+    messages: {
+      type: 'array', items: { $ref: '#/components/schemas/MessageAnalysis' },
+      description: 'Analyse par message (uniquement /analyze)',
+    },
+    participants: {
+      type: 'array', items: { $ref: '#/components/schemas/Participant' },
+      description: 'Statistiques par participant (uniquement /analyze)',
+    },
+    emotionalTrajectory: {
+      $ref: '#/components/schemas/EmotionalTrajectory',
+    },
+  },
+};
+
+const modeSchema = {
+  type: 'string',
+  enum: ['suggest', 'improve'],
+  description: 'suggest si currentInput est vide, improve sinon',
+};
+
+const generationMetadataSchema = {
+  type: 'object',
+  properties: {
+    engine: {
+      type: 'string',
+      enum: ['llm', 'heuristic'],
+      description: 'heuristic = reponses rapides locales (fournisseur indisponible ou /quick-replies)',
+    },
+    provider: { type: 'string', required: true, nullable: true, description: 'null pour le moteur heuristique' },
+    model: { type: 'string', required: true, nullable: true },
+    processingTime: { type: 'integer', required: true, description: 'Duree du traitement (ms)' },
+    tokensUsed: { type: 'integer', required: true },
+    promptVersion: { type: 'string', description: 'Version des modeles de prompts (absente pour le moteur heuristique)' },
+    styleSampleSize: {
+      type: 'integer',
+      description: 'Messages de l\'utilisateur ayant servi a son profil de style (0 = aucun profil transmis)',
+    },
+    preferencesApplied: {
+      type: 'boolean',
+      description: 'Preferences enregistrees de l\'utilisateur appliquees a la generation',
+    },
+    cache: {
+      type: 'string',
+      enum: ['hit', 'miss', 'bypass', 'disabled'],
+      description: 'Statut du cache (absent sur /suggest-multiple)',
+    },
+    redactions: {
+      type: 'object',
+      description: 'Nombre de valeurs personnelles masquees avant l\'appel au fournisseur, par type (email, phone...)',
+    },
+  },
+};
+
+const suggestionResultSchema = {
+  type: 'object',
+  properties: {
+    suggestion: { type: 'string', required: true, description: 'Message suggere' },
+    suggestionId: { type: 'string', required: true, description: 'A renvoyer a POST /api/ai/feedback' },
+    mode: { ...modeSchema, required: true },
+    analysis: { $ref: '#/components/schemas/Analysis', required: true },
+    metadata: { $ref: '#/components/schemas/GenerationMetadata', required: true },
+  },
+};
+
+const multipleSuggestionsResultSchema = {
+  type: 'object',
+  properties: {
+    suggestions: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          suggestion: { type: 'string', required: true },
+          suggestionId: { type: 'string', required: true, description: 'A renvoyer a POST /api/ai/feedback' },
+          temperature: { type: 'number', required: true },
+          tokensUsed: { type: 'integer', required: true },
+        },
+      },
+    },
+    mode: { ...modeSchema, required: true },
+    situation: {
+      type: 'object',
+      description: 'Moteur heuristique uniquement',
+      properties: {
+        type: { type: 'string', required: true, description: 'Type de reponse attendue, "soutien" ou "debut"' },
+        register: { type: 'string', required: true, enum: ['formel', 'neutre', 'familier'] },
+        language: { type: 'string', required: true },
+      },
+    },
+    analysis: { $ref: '#/components/schemas/Analysis', required: true },
+    metadata: { $ref: '#/components/schemas/GenerationMetadata', required: true },
+  },
+};
+
+const analyzeResultSchema = {
+  type: 'object',
+  properties: {
+    analysis: { $ref: '#/components/schemas/Analysis', required: true },
+    metadata: {
+      type: 'object',
+      required: true,
+      properties: {
+        cache: { type: 'string', required: true, enum: ['hit', 'miss', 'bypass', 'disabled'] },
+      },
+    },
+  },
+};
+
+const batchItemErrorSchema = {
+  type: 'object',
+  description: 'Erreur propre a la conversation (BAD_REQUEST, FORBIDDEN, MESSAGE_BUDGET_EXCEEDED, INTERNAL_ERROR)',
+  properties: {
+    code: { type: 'string', required: true },
+    message: { type: 'string', required: true },
+    details: { description: 'Erreurs de validation de la conversation' },
+    requestId: { type: 'string', description: 'Identifiant de correlation de la requete' },
+  },
+};
+
+const analyzeBatchResultSchema = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      required: true,
+      description: 'Un resultat par conversation, dans l\'ordre demande par sortBy',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true, nullable: true, description: 'null si l\'identifiant est invalide' },
+          success: { type: 'boolean', required: true },
+          analysis: { $ref: '#/components/schemas/Analysis' },
+          metadata: {
+            type: 'object',
+            properties: {
+              cache: { type: 'string', required: true, enum: ['hit', 'miss', 'bypass', 'disabled'] },
+            },
+          },
+          error: batchItemErrorSchema,
+        },
+      },
+    },
+    metadata: {
+      type: 'object',
+      required: true,
+      properties: {
+        total: { type: 'integer', required: true },
+        analyzed: { type: 'integer', required: true },
+        failed: { type: 'integer', required: true },
+        messageCount: { type: 'integer', required: true, description: 'Messages analyses (cache compris)' },
+        messageBudget: { type: 'integer', required: true, description: 'Budget de messages par requete' },
+        sortBy: { type: 'string', required: true, enum: ANALYZE_BATCH_SORTS },
+      },
+    },
+  },
+};
+
+const rewriteResultSchema = {
+  type: 'object',
+  properties: {
+    rewritten: { type: 'string', required: true, description: 'Texte reecrit' },
+    original: { type: 'string', required: true },
+    transformations: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true },
+          label: { type: 'string', required: true, description: 'Libelle court dans la langue de la reponse' },
+        },
+      },
+    },
+    analysis: { $ref: '#/components/schemas/Analysis', required: true },
+    metadata: { $ref: '#/components/schemas/GenerationMetadata', required: true },
+  },
+};
+
+const summarizeResultSchema = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', required: true, description: 'A renvoyer dans le champ summary de /suggest' },
+    incremental: { type: 'boolean', required: true, description: 'Mise a jour d\'un resume precedent' },
+    messageCount: { type: 'integer', required: true, description: 'Messages integres au resume' },
+    language: { type: 'string', required: true },
+    metadata: { $ref: '#/components/schemas/GenerationMetadata', required: true },
+  },
+};
+
+const translateResultSchema = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string', required: true },
+    sourceLanguage: {
+      type: 'object',
+      required: true,
+      properties: {
+        code: { type: 'string', required: true, description: 'ISO 639-1, ou "und" si indeterminee' },
+        confidence: { type: 'number', required: true, min: 0, max: 1 },
+      },
+    },
+    targetLanguage: { type: 'string', required: true },
+    kind: { type: 'string', required: true, enum: ['incoming', 'draft'] },
+    analysis: { $ref: '#/components/schemas/Analysis', required: true },
+    metadata: {
+      type: 'object',
+      required: true,
+      properties: {
+        provider: { type: 'string', required: true },
+        model: { type: 'string', required: true, nullable: true },
+        processingTime: { type: 'integer', required: true },
+        tokensUsed: { type: 'integer', required: true },
+        promptVersion: { type: 'string', description: 'Version des modeles de prompts' },
+        redactions: { type: 'object', description: 'Valeurs personnelles masquees par type' },
+      },
+    },
+  },
+};
+
+const feedbackResultSchema = {
+  type: 'object',
+  properties: {
+    suggestionId: { type: 'string', required: true },
+    outcome: { type: 'string', required: true, enum: ['accepted', 'edited', 'rejected'] },
+    editDistance: {
+      type: 'integer', required: true, nullable: true,
+      description: 'Distance de Levenshtein entre la suggestion et le texte envoye (edited uniquement)',
+    },
+    editRatio: { type: 'number', required: true, nullable: true, min: 0, max: 1 },
+  },
+};
+
+const feedbackStatsSchema = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer', required: true, description: 'Retours recus' },
+    accepted: { type: 'integer', required: true },
+    edited: { type: 'integer', required: true },
+    rejected: { type: 'integer', required: true },
+    acceptanceRate: { type: 'number', required: true, nullable: true, description: 'Envoyees sans modification' },
+    usageRate: { type: 'number', required: true, nullable: true, description: 'Envoyees, modifiees ou non' },
+    rejectionRate: { type: 'number', required: true, nullable: true },
+    averageEditDistance: { type: 'number', required: true, nullable: true },
+    averageEditRatio: { type: 'number', required: true, nullable: true },
+  },
+};
+
+const feedbackBreakdownSchema = {
+  type: 'object',
+  required: true,
+  description: 'Indicateurs (FeedbackStats) par valeur',
+};
+
+const feedbackReportSchema = {
+  type: 'object',
+  properties: {
+    since: { type: 'string', required: true, nullable: true },
+    suggestions: { type: 'integer', required: true, description: 'Suggestions generees sur la periode' },
+    feedbackRate: { type: 'number', required: true, nullable: true, description: 'Part des suggestions avec retour' },
+    overall: { $ref: '#/components/schemas/FeedbackStats', required: true },
+    byMode: feedbackBreakdownSchema,
+    byModel: feedbackBreakdownSchema,
+    byTone: feedbackBreakdownSchema,
+    byRelationship: feedbackBreakdownSchema,
+    generatedAt: { type: 'string', required: true },
+  },
+};
+
+const userPreferencesResultSchema = {
+  type: 'object',
+  properties: {
+    userId: { type: 'string', required: true },
+    // Tous les champs sont presents ; null = deduit de la conversation
+    preferences: { $ref: '#/components/schemas/PreferencesRequest', required: true },
+    updatedAt: { type: 'string', required: true, nullable: true, description: 'null si jamais enregistrees' },
+  },
+};
+
+const circuitSchema = {
+  type: 'object',
+  nullable: true,
+  description: 'Etat du disjoncteur du fournisseur IA',
+  properties: {
+    state: { type: 'string', required: true, enum: ['closed', 'open', 'half-open'] },
+    failures: { type: 'integer', required: true, description: 'Echecs consecutifs' },
+    openedAt: { type: 'string', required: true, nullable: true },
+    retryAfterMs: { type: 'integer', required: true },
+  },
+};
+
+const statusResultSchema = {
+  type: 'object',
+  properties: {
+    available: { type: 'boolean', required: true },
+    provider: { type: 'string', required: true, nullable: true },
+    model: { type: 'string', required: true, nullable: true },
+    circuit: { $ref: '#/components/schemas/CircuitState', required: true },
+    heuristicFallback: { type: 'boolean', required: true, description: 'Repli sur les reponses rapides actif' },
+    promptVersion: { type: 'string', required: true, description: 'Version des modeles de prompts chargee' },
+    timestamp: { type: 'string', required: true },
+  },
+};
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', required: true, enum: [false] },
+    error: {
+      type: 'object',
+      required: true,
+      properties: {
+        code: {
+          type: 'string',
+          required: true,
+          enum: [
+            'BAD_REQUEST', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND',
+            'RATE_LIMITED', 'AI_SERVICE_ERROR', 'INTERNAL_ERROR',
+          ],
+        },
+        message: { type: 'string', required: true },
+        details: {
+          description: 'Informations complementaires (ex: liste des erreurs de validation)',
+        },
+        requestId: { type: 'string', description: 'Identifiant de correlation (en-tete X-Request-Id)' },
+        stack: { type: 'string', description: 'Pile d\'appels (hors production)' },
+      },
+    },
+  },
+};
+
+// ===== CONSTRUCTION DU DOCUMENT =====
+
+/**
+ * Enveloppe { success: true, data } d'une reponse reussie
+ */
+function successEnvelope(dataRef) {
+  return {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: { $ref: `#/components/schemas/${dataRef}` },
+    },
+  };
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function jsonBody(schemaRef) {
+  return {
+    required: true,
+    content: jsonContent({ $ref: `#/components/schemas/${schemaRef}` }),
+  };
+}
+
+function okResponse(description, dataRef) {
+  return { description, content: jsonContent(successEnvelope(dataRef)) };
+}
+
+function errorRefs(...statuses) {
+  return Object.fromEntries(statuses.map((status) => [status, { $ref: `#/components/responses/${status}` }]));
+}
+
+function buildComponents() {
+  const schemas = {
+    Message: messageSchema,
+    SuggestionRequest: suggestionSchema,
+    SuggestMultipleRequest: suggestMultipleSchema,
+    QuickRepliesRequest: quickRepliesSchema,
+    AnalyzeRequest: analyzeSchema,
+    AnalyzeBatchConversation: batchConversationSchema,
+    AnalyzeBatchRequest: analyzeBatchSchema,
+    RewriteRequest: rewriteSchema,
+    SummarizeRequest: summarizeSchema,
+    TranslateRequest: translateSchema,
+    FeedbackRequest: feedbackSchema,
+    ContactPreferences: contactPreferencesSchema,
+    PreferencesRequest: preferencesSchema,
+    Analysis: analysisSchema,
+    Contact: contactSchema,
+    Addressing: addressingSchema,
+    MessageAnalysis: messageAnalysisSchema,
+    Participant: participantSchema,
+    EmotionalTrajectory: emotionalTrajectorySchema,
+    GenerationMetadata: generationMetadataSchema,
+    CircuitState: circuitSchema,
+    SuggestionResult: suggestionResultSchema,
+    MultipleSuggestionsResult: multipleSuggestionsResultSchema,
+    AnalyzeResult: analyzeResultSchema,
+    AnalyzeBatchResult: analyzeBatchResultSchema,
+    RewriteResult: rewriteResultSchema,
+    SummarizeResult: summarizeResultSchema,
+    TranslateResult: translateResultSchema,
+    FeedbackResult: feedbackResultSchema,
+    FeedbackStats: feedbackStatsSchema,
+    FeedbackReport: feedbackReportSchema,
+    UserPreferencesResult: userPreferencesResultSchema,
+    StatusResult: statusResultSchema,
+    Error: errorSchema,
+  };
+
+  const errorResponse = (description) => ({
+    description,
+    content: jsonContent({ $ref: '#/components/schemas/Error' }),
+  });
+
+  const refs = new Map([[messageSchema, 'Message'], [contactPreferencesSchema, 'ContactPreferences']]);
+
+  return {
+    schemas: Object.fromEntries(
+      Object.entries(schemas).map(([schemaName, schema]) => [schemaName, toOpenAPISchema(schema, refs)])
+    ),
+    responses: {
+      400: errorResponse('Requete invalide (details contient les erreurs de validation)'),
+      401: errorResponse('Authentification requise ou jeton invalide'),
+      403: errorResponse('currentUserId ne correspond pas a l\'utilisateur authentifie'),
+      404: errorResponse('Ressource inconnue'),
+      409: errorResponse('Conflit avec l\'etat de la ressource'),
+      429: errorResponse('Limite de requetes ou quota de tokens depasse (voir Retry-After)'),
+      503: errorResponse('Service IA indisponible'),
+    },
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'ID token Firebase (ou jeton local selon AUTH_VERIFIER)',
+      },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
+  };
+}
+
+function buildPaths() {
+  const noCacheParameter = {
+    name: 'Cache-Control',
+    in: 'header',
+    required: false,
+    description: 'no-cache force un nouveau calcul',
+    schema: { type: 'string' },
+  };
+
+  const healthResponse = (description, schema) => ({ description, content: jsonContent(schema) });
+
+  return {
+    '/api/ai/suggest': {
+      post: {
+        tags: ['IA'],
+        summary: 'Genere une suggestion de message',
+        description: 'Mode suggest si currentInput est vide, improve sinon. '
+          + 'Fournisseur indisponible : le mode suggest repond avec le moteur heuristique (metadata.engine).',
+        parameters: [noCacheParameter],
+        requestBody: jsonBody('SuggestionRequest'),
+        responses: {
+          200: okResponse('Suggestion generee', 'SuggestionResult'),
+          ...errorRefs(400, 401, 403, 429, 503),
+        },
+      },
+    },
+    '/api/ai/suggest/stream': {
+      post: {
+        tags: ['IA'],
+        summary: 'Genere une suggestion en streaming (Server-Sent Events)',
+        description: 'Evenements: analysis, delta ({ content }), done ({ suggestion, suggestionId, mode, metadata }), '
+          + 'error ({ code, message }).',
+        requestBody: jsonBody('SuggestionRequest'),
+        responses: {
+          200: {
+            description: 'Flux d\'evenements',
+            content: { 'text/event-stream': { schema: { type: 'string' } } },
+          },
+          ...errorRefs(400, 401, 403, 429, 503),
+        },
+      },
+    },
+    '/api/ai/analyze': {
+      post: {
+        tags: ['IA'],
+        summary: 'Analyse une conversation sans generer de suggestion',
+        parameters: [noCacheParameter],
+        requestBody: jsonBody('AnalyzeRequest'),
+        responses: {
+          200: okResponse('Analyse de la conversation', 'AnalyzeResult'),
+          ...errorRefs(400, 401, 403, 429),
+        },
+      },
+    },
+    '/api/ai/analyze/batch': {
+      post: {
+        tags: ['IA'],
+        summary: 'Analyse plusieurs conversations en une requete',
+        description: 'Chaque conversation est validee et analysee independamment : une erreur n\'echoue que sa conversation. '
+          + 'Le total des messages est borne (ANALYZE_BATCH_MAX_MESSAGES) ; sortBy=urgency place les plus urgentes en premier.',
+        parameters: [noCacheParameter],
+        requestBody: jsonBody('AnalyzeBatchRequest'),
+        responses: {
+          200: okResponse('Analyses et erreurs par conversation', 'AnalyzeBatchResult'),
+          ...errorRefs(400, 401, 429),
+        },
+      },
+    },
+    '/api/ai/suggest-multiple': {
+      post: {
+        tags: ['IA'],
+        summary: 'Genere plusieurs suggestions alternatives',
+        requestBody: jsonBody('SuggestMultipleRequest'),
+        responses: {
+          200: okResponse('Suggestions generees', 'MultipleSuggestionsResult'),
+          ...errorRefs(400, 401, 403, 429, 503),
+        },
+      },
+    },
+    '/api/ai/quick-replies': {
+      post: {
+        tags: ['IA'],
+        summary: 'Reponses rapides locales, sans appel au LLM',
+        description: 'Modeles choisis selon la reponse attendue, le ton et la relation. '
+          + 'Instantane et sans consommation de tokens (metadata.engine = heuristic).',
+        requestBody: jsonBody('QuickRepliesRequest'),
+        responses: {
+          200: okResponse('Reponses generees', 'MultipleSuggestionsResult'),
+          ...errorRefs(400, 401, 403, 429),
+        },
+      },
+    },
+    '/api/ai/rewrite': {
+      post: {
+        tags: ['IA'],
+        summary: 'Reecrit un brouillon selon des transformations ciblees',
+        description: 'Plus formel, plus court, plus chaleureux... Le contexte de la conversation est pris en compte.',
+        requestBody: jsonBody('RewriteRequest'),
+        responses: {
+          200: okResponse('Brouillon reecrit', 'RewriteResult'),
+          ...errorRefs(400, 401, 403, 429, 503),
+        },
+      },
+    },
+    '/api/ai/summarize': {
+      post: {
+        tags: ['IA'],
+        summary: 'Resume une conversation ou met a jour un resume existant',
+        description: 'Envoyer previousSummary et les seuls nouveaux messages pour une mise a jour incrementale. '
+          + 'Le resume obtenu alimente le champ summary de /api/ai/suggest.',
+        requestBody: jsonBody('SummarizeRequest'),
+        responses: {
+          200: okResponse('Resume genere', 'SummarizeResult'),
+          ...errorRefs(400, 401, 403, 429, 503),
+        },
+      },
+    },
+    '/api/ai/translate': {
+      post: {
+        tags: ['IA'],
+        summary: 'Traduit un message recu ou un brouillon en tenant compte du contexte',
+        description: 'Le ton, la relation et la formalite de la conversation guident la traduction.',
+        requestBody: jsonBody('TranslateRequest'),
+        responses: {
+          200: okResponse('Texte traduit', 'TranslateResult'),
+          ...errorRefs(400, 401, 403, 429, 503),
+        },
+      },
+    },
+    '/api/ai/feedback': {
+      post: {
+        tags: ['IA'],
+        summary: 'Enregistre le devenir d\'une suggestion',
+        description: 'accepted (envoyee telle quelle), edited (finalText requis) ou rejected. '
+          + 'Un seul retour par suggestion ; les textes ne sont pas conserves.',
+        requestBody: jsonBody('FeedbackRequest'),
+        responses: {
+          200: okResponse('Retour enregistre', 'FeedbackResult'),
+          ...errorRefs(400, 401, 403, 404, 409, 429),
+        },
+      },
+    },
+    '/api/ai/feedback/report': {
+      get: {
+        tags: ['IA'],
+        summary: 'Taux d\'acceptation et distance d\'edition des suggestions',
+        description: 'Ventile par mode, modele, ton et relation. Reserve aux cles API si l\'authentification est active.',
+        security: [{ apiKey: [] }],
+        parameters: [{
+          name: 'since',
+          in: 'query',
+          required: false,
+          description: 'Date ISO 8601 : suggestions generees depuis cette date',
+          schema: { type: 'string', format: 'date-time' },
+        }],
+        responses: {
+          200: okResponse('Rapport agrege', 'FeedbackReport'),
+          ...errorRefs(400, 401, 403, 429),
+        },
+      },
+    },
+    '/api/ai/status': {
+      get: {
+        tags: ['IA'],
+        summary: 'Statut du service IA',
+        responses: {
+          200: okResponse('Statut du fournisseur', 'StatusResult'),
+          ...errorRefs(401, 429),
+        },
+      },
+    },
+    '/api/users/{id}/preferences': {
+      parameters: [{
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'Identifiant de l\'utilisateur (uid du jeton hors cle API)',
+        schema: { type: 'string' },
+      }],
+      get: {
+        tags: ['Utilisateurs'],
+        summary: 'Preferences de generation de l\'utilisateur',
+        responses: {
+          200: okResponse('Preferences enregistrees (valeurs par defaut sinon)', 'UserPreferencesResult'),
+          ...errorRefs(401, 403, 429),
+        },
+      },
+      put: {
+        tags: ['Utilisateurs'],
+        summary: 'Remplace les preferences de generation de l\'utilisateur',
+        description: 'Appliquees a /api/ai/suggest, /suggest/stream et /suggest-multiple. '
+          + 'Les surcharges d\'un contact l\'emportent ; language dans la requete l\'emporte sur la langue preferee.',
+        requestBody: jsonBody('PreferencesRequest'),
+        responses: {
+          200: okResponse('Preferences enregistrees', 'UserPreferencesResult'),
+          ...errorRefs(400, 401, 403, 429),
+        },
+      },
+    },
+    '/health': {
+      get: {
+        tags: ['Sante'],
+        summary: 'Etat du serveur',
+        security: [],
+        responses: {
+          200: healthResponse('Serveur operationnel', {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['ok'] },
+              timestamp: { type: 'string' },
+              uptime: { type: 'number' },
+              services: {
+                type: 'object',
+                properties: {
+                  ai: { type: 'string', enum: ['available', 'unavailable'] },
+                  aiCircuit: { type: 'string', nullable: true, enum: ['closed', 'open', 'half-open'] },
+                },
+              },
+            },
+          }),
+        },
+      },
+    },
+    '/health/ready': {
+      get: {
+        tags: ['Sante'],
+        summary: 'Disponibilite (load balancers)',
+        security: [],
+        responses: {
+          200: healthResponse('Pret', {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['ready'] },
+              circuit: { $ref: '#/components/schemas/CircuitState' },
+            },
+          }),
+          503: healthResponse('Service IA indisponible ou disjoncteur ouvert', {
+            type: 'object',
+            properties: { status: { type: 'string', enum: ['not ready'] }, reason: { type: 'string' } },
+          }),
+        },
+      },
+    },
+    '/health/live': {
+      get: {
+        tags: ['Sante'],
+        summary: 'Vivacite (kubernetes)',
+        security: [],
+        responses: {
+          200: healthResponse('Processus vivant', {
+            type: 'object',
+            properties: { status: { type: 'string', enum: ['alive'] } },
+          }),
+        },
+      },
+    },
+  };
+}
+
+let cachedSpec = null;
+
+/**
+ * Construit (une seule fois) le document OpenAPI
+ * @returns {Object} - Document OpenAPI 3.0
+ */
+export function buildOpenAPISpec() {
+  if (!cachedSpec) {
+    cachedSpec = {
+      openapi: '3.0.3',
+      info: { title: name, version, description },
+      tags: [
+        { name: 'IA', description: 'Services d\'intelligence artificielle conversationnelle' },
+        { name: 'Utilisateurs', description: 'Preferences propres a chaque utilisateur' },
+        { name: 'Sante', description: 'Sante et monitoring' },
+      ],
+      security: [{ bearerAuth: [] }, { apiKey: [] }],
+      paths: buildPaths(),
+      components: buildComponents(),
+    };
+  }
+
+  return cachedSpec;
+}
+
+export default buildOpenAPISpec;
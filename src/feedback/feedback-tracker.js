@@ -0,0 +1,196 @@
+/**
+ * Suivi du devenir des suggestions : envoyee telle quelle, modifiee ou rejetee
+ * Chaque suggestion generee recoit un identifiant que le client renvoie avec son retour
+ */
+
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+import { Errors } from '../middleware/error-handler.js';
+import { levenshtein, editRatio } from '../utils/edit-distance.js';
+
+export const FEEDBACK_OUTCOMES = ['accepted', 'edited', 'rejected'];
+
+// Dimensions de ventilation du rapport (champ de l'entree -> cle du rapport)
+const REPORT_DIMENSIONS = {
+  mode: 'byMode',
+  model: 'byModel',
+  tone: 'byTone',
+  relationship: 'byRelationship',
+};
+
+/**
+ * Arrondit un taux a trois decimales
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function createBucket() {
+  return { total: 0, accepted: 0, edited: 0, rejected: 0, editDistanceSum: 0, editRatioSum: 0 };
+}
+
+function addToBucket(bucket, { outcome, editDistance, editRatio: ratio }) {
+  bucket.total++;
+  bucket[outcome]++;
+  if (outcome === 'edited') {
+    bucket.editDistanceSum += editDistance;
+    bucket.editRatioSum += ratio;
+  }
+}
+
+/**
+ * Taux d'un groupe de retours
+ * acceptanceRate : envoyees sans modification ; usageRate : envoyees, modifiees ou non
+ */
+function summarizeBucket({ total, accepted, edited, rejected, editDistanceSum, editRatioSum }) {
+  return {
+    total,
+    accepted,
+    edited,
+    rejected,
+    acceptanceRate: total > 0 ? round(accepted / total) : null,
+    usageRate: total > 0 ? round((accepted + edited) / total) : null,
+    rejectionRate: total > 0 ? round(rejected / total) : null,
+    averageEditDistance: edited > 0 ? round(editDistanceSum / edited) : null,
+    averageEditRatio: edited > 0 ? round(editRatioSum / edited) : null,
+  };
+}
+
+export class FeedbackTracker {
+  /**
+   * @param {{ get: Function, save: Function, list: Function }} store - Stockage des entrees
+   */
+  constructor(store) {
+    this.store = store;
+    this.recording = new Set(); // Suggestions dont le retour est en cours d'ecriture
+  }
+
+  /**
+   * Enregistre une suggestion generee
+   * Un echec du stockage est journalise sans faire echouer la generation
+   * @param {Object} params
+   * @param {string} params.userId - Utilisateur ayant recu la suggestion
+   * @param {string} params.suggestion - Texte suggere
+   * @param {string} params.mode - 'suggest' | 'improve'
+   * @param {ConversationAnalysis} params.analysis - Analyse de la conversation
+   * @param {Object} params.metadata - Metadonnees de la generation
+   * @returns {Promise<string>} - Identifiant de la suggestion
+   */
+  async register({ userId, suggestion, mode, analysis, metadata }) {
+    const entry = {
+      id: randomUUID(),
+      userId,
+      createdAt: new Date().toISOString(),
+      mode,
+      engine: metadata.engine,
+      // Le moteur heuristique n'a pas de modele
+      model: metadata.model || metadata.engine,
+      promptVersion: metadata.promptVersion ?? null,
+      tone: analysis?.tone ?? null,
+      relationship: analysis?.relationship ?? null,
+      // Conserve jusqu'au retour pour calculer la distance d'edition
+      suggestion,
+      feedback: null,
+    };
+
+    try {
+      await this.store.save(entry);
+    } catch (error) {
+      logger.warn('Suggestion non enregistree pour le suivi', { error: error.message });
+    }
+
+    return entry.id;
+  }
+
+  /**
+   * Suggestion enregistree pour un utilisateur
+   * @returns {Promise<Object | null>} - null si inconnue ou destinee a un autre utilisateur
+   */
+  async get(id, userId) {
+    const entry = await this.store.get(id);
+    return entry && entry.userId === userId ? entry : null;
+  }
+
+  /**
+   * Enregistre le retour sur une suggestion, une seule fois
+   * La verification et la reservation se font sans attente intermediaire : deux retours
+   * simultanes sur la meme suggestion ne peuvent pas etre enregistres tous les deux.
+   * Le texte suggere et le texte envoye ne sont pas conserves, seule la distance l'est
+   * (null si le texte suggere n'est plus disponible, ex: stockage fichier apres redemarrage)
+   * @param {string} id - Identifiant de la suggestion
+   * @param {string} userId - Utilisateur ayant recu la suggestion
+   * @param {Object} feedback
+   * @param {'accepted' | 'edited' | 'rejected'} feedback.outcome
+   * @param {string} feedback.finalText - Texte finalement envoye (outcome 'edited')
+   * @returns {Promise<Object>} - Entree mise a jour
+   * @throws {APIError} NOT_FOUND si la suggestion est inconnue, CONFLICT si un retour existe deja
+   */
+  async record(id, userId, { outcome, finalText }) {
+    const entry = await this.get(id, userId);
+    if (!entry) {
+      throw Errors.NotFound('Suggestion inconnue ou expiree');
+    }
+    if (entry.feedback || this.recording.has(id)) {
+      throw Errors.Conflict('Un retour a deja ete enregistre pour cette suggestion');
+    }
+    this.recording.add(id);
+
+    const edited = outcome === 'edited' && typeof entry.suggestion === 'string';
+    const updated = {
+      ...entry,
+      suggestion: null,
+      feedback: {
+        outcome,
+        editDistance: edited ? levenshtein(entry.suggestion, finalText) : null,
+        editRatio: edited ? round(editRatio(entry.suggestion, finalText)) : null,
+        recordedAt: new Date().toISOString(),
+      },
+    };
+
+    try {
+      await this.store.save(updated);
+    } finally {
+      // Une fois sauvegardee, l'entree porte son retour ; en cas d'echec, un nouvel essai est possible
+      this.recording.delete(id);
+    }
+    return updated;
+  }
+
+  /**
+   * Rapport agrege des retours, ventile par mode, modele, ton et relation
+   * @param {Object} options
+   * @param {Date} options.since - Ne retenir que les suggestions generees depuis cette date
+   */
+  async buildReport({ since } = {}) {
+    const entries = (await this.store.list())
+      .filter((entry) => !since || new Date(entry.createdAt) >= since);
+
+    const overall = createBucket();
+    const breakdowns = Object.fromEntries(Object.values(REPORT_DIMENSIONS).map((key) => [key, {}]));
+
+    for (const entry of entries) {
+      if (!entry.feedback) continue;
+
+      addToBucket(overall, entry.feedback);
+      for (const [field, key] of Object.entries(REPORT_DIMENSIONS)) {
+        const value = entry[field] ?? 'inconnu';
+        breakdowns[key][value] ??= createBucket();
+        addToBucket(breakdowns[key][value], entry.feedback);
+      }
+    }
+
+    return {
+      since: since?.toISOString() ?? null,
+      suggestions: entries.length,
+      feedbackRate: entries.length > 0 ? round(overall.total / entries.length) : null,
+      overall: summarizeBucket(overall),
+      ...Object.fromEntries(Object.entries(breakdowns).map(([key, buckets]) => [
+        key,
+        Object.fromEntries(Object.entries(buckets).map(([value, bucket]) => [value, summarizeBucket(bucket)])),
+      ])),
+      generatedAt: new Date().toISOString(),
+    };
+  }
+}
+
+export default FeedbackTracker;
@@ -0,0 +1,76 @@
+/**
+ * Stockage des suivis de suggestions dans un fichier JSON Lines
+ * Chaque ecriture ajoute l'etat complet de l'entree ; au chargement, la derniere
+ * ligne d'un identifiant l'emporte. Les entrees sont servies depuis la memoire.
+ * Le texte suggere n'est jamais ecrit : il reste en memoire jusqu'au retour
+ * (apres un redemarrage, la distance d'edition n'est plus calculable).
+ */
+
+import { appendFile } from 'fs/promises';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { MemoryFeedbackStore } from './memory-store.js';
+
+export class FileFeedbackStore extends MemoryFeedbackStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Chemin du fichier (cree si absent)
+   * @param {number} options.maxEntries - Nombre maximal de suggestions conservees
+   */
+  constructor({ filePath, maxEntries } = {}) {
+    super({ maxEntries });
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.pendingWrite = Promise.resolve();
+
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Charge le fichier et le compacte s'il contient surtout des etats remplaces
+   */
+  load() {
+    if (!existsSync(this.filePath)) return;
+
+    const lines = readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    let invalid = 0;
+    for (const line of lines) {
+      try {
+        this.store(JSON.parse(line));
+      } catch {
+        invalid++;
+      }
+    }
+
+    if (invalid > 0) {
+      logger.warn('Lignes de suivi illisibles ignorees', { file: this.filePath, invalid });
+    }
+
+    if (lines.length > this.entries.size * 2) {
+      writeFileSync(this.filePath, this.serialize([...this.entries.values()]));
+    }
+  }
+
+  /**
+   * Cree ou met a jour une entree, puis l'ajoute au fichier
+   * Les ecritures sont chainees pour conserver leur ordre
+   */
+  async save(entry) {
+    this.store(entry);
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => appendFile(this.filePath, this.serialize([entry])));
+    return this.pendingWrite;
+  }
+
+  /**
+   * Lignes JSON des entrees, sans le texte suggere
+   */
+  serialize(entries) {
+    return entries.map((entry) => `${JSON.stringify({ ...entry, suggestion: null })}\n`).join('');
+  }
+}
+
+export default FileFeedbackStore;
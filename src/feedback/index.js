@@ -0,0 +1,39 @@
+/**
+ * Module de suivi des retours sur les suggestions
+ * Le stockage est choisi par config.feedback.store et remplacable (tests, base externe)
+ */
+
+import config from '../config/index.js';
+import { FeedbackTracker, FEEDBACK_OUTCOMES } from './feedback-tracker.js';
+import { MemoryFeedbackStore } from './memory-store.js';
+import { FileFeedbackStore } from './file-store.js';
+
+export { FeedbackTracker, FEEDBACK_OUTCOMES, MemoryFeedbackStore, FileFeedbackStore };
+
+/**
+ * Cree le stockage correspondant au nom demande
+ * Un stockage expose get(id), save(entry) et list(), tous asynchrones
+ * @param {string} name - 'memory' | 'file'
+ */
+export function createFeedbackStore(name = config.feedback.store) {
+  switch (name) {
+    case 'memory':
+      return new MemoryFeedbackStore({ maxEntries: config.feedback.maxEntries });
+    case 'file':
+      return new FileFeedbackStore({ filePath: config.feedback.filePath, maxEntries: config.feedback.maxEntries });
+    default:
+      throw new Error(`Stockage des retours inconnu: ${name}`);
+  }
+}
+
+export const feedbackTracker = new FeedbackTracker(createFeedbackStore());
+
+/**
+ * Remplace le stockage du suivi
+ * @param {{ get: Function, save: Function, list: Function }} store
+ */
+export function setFeedbackStore(store) {
+  feedbackTracker.store = store;
+}
+
+export default feedbackTracker;
@@ -0,0 +1,54 @@
+/**
+ * Stockage des suivis de suggestions en memoire
+ * Perdu au redemarrage ; les plus anciennes entrees sont supprimees au-dela de maxEntries
+ */
+
+export class MemoryFeedbackStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Nombre maximal de suggestions conservees
+   */
+  constructor({ maxEntries = 10000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // id -> entree, dans l'ordre de creation
+  }
+
+  /**
+   * @param {string} id - Identifiant de la suggestion
+   * @returns {Promise<Object | null>}
+   */
+  async get(id) {
+    return this.entries.get(id) ?? null;
+  }
+
+  /**
+   * Cree ou met a jour une entree
+   * @param {Object} entry - Entree de suivi (voir FeedbackTracker)
+   */
+  async save(entry) {
+    this.store(entry);
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} - Entrees, de la plus ancienne a la plus recente
+   */
+  async list() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Ajout synchrone, partage avec le stockage fichier
+   */
+  store(entry) {
+    // Une mise a jour conserve la position d'origine (ordre de creation)
+    if (!this.entries.has(entry.id)) {
+      while (this.entries.size >= this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    }
+    this.entries.set(entry.id, entry);
+  }
+}
+
+export default MemoryFeedbackStore;
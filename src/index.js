@@ -7,15 +7,21 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
-import rateLimit from 'express-rate-limit';
 
 import config, { validateConfig } from './config/index.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFoundHandler } from './middleware/error-handler.js';
+import { collectHttpMetrics } from './middleware/metrics.js';
+import { requestId, REQUEST_ID_HEADER } from './middleware/request-id.js';
+import aiService from './ai/index.js';
+import { attachTypingAssistant } from './realtime/index.js';
 
 // Routes
 import aiRoutes from './routes/ai.routes.js';
+import userRoutes from './routes/users.routes.js';
 import healthRoutes from './routes/health.routes.js';
+import docsRoutes from './routes/docs.routes.js';
+import metricsRoutes from './routes/metrics.routes.js';
 
 // Valider la configuration
 validateConfig();
@@ -23,11 +29,19 @@ validateConfig();
 // Creer l'application Express
 const app = express();
 
+// Identifiant de correlation (en premier : tous les logs de la requete le portent)
+app.use(requestId);
+
 // ===== MIDDLEWARES DE SECURITE =====
 
 // Helmet pour les headers de securite
 app.use(helmet());
 
+// Metriques HTTP (toutes les requetes, y compris celles rejetees plus loin)
+if (config.metrics.enabled) {
+  app.use(collectHttpMetrics);
+}
+
 // CORS - Configuration améliorée pour le développement
 const corsOptions = {
   origin: (origin, callback) => {
@@ -66,7 +80,15 @@ const corsOptions = {
     callback(null, true);
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', REQUEST_ID_HEADER],
+  exposedHeaders: [
+    REQUEST_ID_HEADER,
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+    'X-Token-Quota-Daily-Limit', 'X-Token-Quota-Daily-Used',
+    'X-Token-Quota-Daily-Remaining', 'X-Token-Quota-Daily-Reset',
+    'X-Token-Quota-Monthly-Limit', 'X-Token-Quota-Monthly-Used',
+    'X-Token-Quota-Monthly-Remaining', 'X-Token-Quota-Monthly-Reset',
+  ],
   credentials: true,
   optionsSuccessStatus: 200, // Pour les anciens navigateurs
   maxAge: 86400, // Cache preflight pendant 24h
@@ -82,24 +104,7 @@ if (!config.isProduction) {
   });
 }
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.maxRequests,
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMITED',
-      message: 'Trop de requetes, veuillez reessayer plus tard',
-    },
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  // Ne pas appliquer le rate limit en développement pour faciliter les tests
-  skip: (req) => !config.isProduction && req.path.startsWith('/health'),
-});
-
-app.use('/api/', limiter);
+// Le rate limiting est applique par client dans les routes /api/ai (voir middleware/rate-limit.js)
 
 // ===== MIDDLEWARES UTILITAIRES =====
 
@@ -110,6 +115,7 @@ app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Logging des requetes (format dev ou combined selon l'environnement)
+// Le logger ajoute le requestId du contexte a chaque ligne
 app.use(morgan(config.isProduction ? 'combined' : 'dev', {
   stream: {
     write: (message) => logger.info(message.trim()),
@@ -123,6 +129,15 @@ app.use('/health', healthRoutes);
 
 // Routes API
 app.use('/api/ai', aiRoutes);
+app.use('/api/users', userRoutes);
+
+// Documentation (/openapi.json et /docs)
+app.use(docsRoutes);
+
+// Metriques Prometheus
+if (config.metrics.enabled) {
+  app.use('/metrics', metricsRoutes);
+}
 
 // Route racine
 app.get('/', (req, res) => {
@@ -138,14 +153,28 @@ app.get('/', (req, res) => {
     },
     endpoints: {
       health: '/health',
+      metrics: config.metrics.enabled ? '/metrics' : undefined,
       ai: {
         suggest: 'POST /api/ai/suggest',
+        suggestStream: 'POST /api/ai/suggest/stream',
         analyze: 'POST /api/ai/analyze',
+        analyzeBatch: 'POST /api/ai/analyze/batch',
+        quickReplies: 'POST /api/ai/quick-replies',
+        rewrite: 'POST /api/ai/rewrite',
+        translate: 'POST /api/ai/translate',
+        summarize: 'POST /api/ai/summarize',
         status: 'GET /api/ai/status',
         suggestMultiple: 'POST /api/ai/suggest-multiple',
+        feedback: 'POST /api/ai/feedback',
+        feedbackReport: 'GET /api/ai/feedback/report',
+        assist: config.assistant.enabled ? `WebSocket ${config.assistant.path}` : undefined,
+      },
+      users: {
+        preferences: 'GET|PUT /api/users/:id/preferences',
       },
     },
     documentation: '/docs',
+    openapi: '/openapi.json',
   });
 });
 
@@ -161,18 +190,40 @@ app.use(errorHandler);
 
 const PORT = config.port;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 Serveur demarre sur le port ${PORT}`);
   logger.info(`📍 Environnement: ${config.nodeEnv}`);
-  logger.info(`🤖 Service IA: ${config.groq.apiKey ? '✅ configuré' : '❌ non configuré'}`);
+  logger.info(`🤖 Service IA (${config.ai.provider}): ${aiService.isAvailable() ? '✅ configuré' : '❌ non configuré'}`);
+  logger.info(`🔐 Authentification: ${config.auth.enabled ? `✅ active (${config.auth.verifier})` : '⚠️ desactivee'}`);
+  logger.info(`📝 Modeles de prompts: ${config.prompts.version}${config.prompts.dir ? ` (${config.prompts.dir})` : ''}`);
+  logger.info(`✍️ Profil de style: ${config.styleProfile.enabled ? `✅ actif (${config.styleProfile.store === 'none' ? 'par requete' : `cumule, ${config.styleProfile.store}`})` : '⚠️ desactive'}`);
+  logger.info(`⚙️ Preferences utilisateur: ${config.preferences.store}${config.preferences.store === 'file' ? ` (${config.preferences.filePath})` : ''}`);
+  logger.info(`⌨️ Assistant de saisie: ${config.assistant.enabled ? `✅ ws://localhost:${PORT}${config.assistant.path} (delai ${config.assistant.debounceMs} ms)` : '⚠️ desactive'}`);
+  logger.info(`📈 Suivi des retours: ${config.feedback.store}${config.feedback.store === 'file' ? ` (${config.feedback.filePath})` : ''}`);
+  logger.info(`🕶️ Masquage des donnees personnelles: ${config.redaction.enabled ? `✅ actif (${config.redaction.types.join(', ')})` : '⚠️ desactive'}`);
+  if (config.metrics.enabled) {
+    logger.info(`📊 Metriques: /metrics ${config.metrics.token ? '(protegees par jeton)' : '(non protegees)'}`);
+    if (config.isProduction && !config.metrics.token) {
+      logger.warn('METRICS_TOKEN non defini : /metrics est accessible publiquement');
+    }
+  }
   logger.info(`🌐 CORS: ${config.nodeEnv === 'development' ? '✅ Mode développement (permissif)' : '🔒 Mode production (restrictif)'}`);
-  logger.info(`📖 Documentation: http://localhost:${PORT}/`);
+  logger.info(`📖 Documentation: http://localhost:${PORT}/docs`);
   
   if (!config.isProduction) {
     logger.info(`💡 Mode développement - Tous les localhost sont autorisés`);
   }
 });
 
+// Assistant de saisie en temps reel (WebSocket), soumis aux memes origines que CORS
+if (config.assistant.enabled) {
+  attachTypingAssistant(server, {
+    checkOrigin: (origin) => new Promise((resolve) => {
+      corsOptions.origin(origin, (error) => resolve(!error));
+    }),
+  });
+}
+
 // Gestion des erreurs non capturees
 process.on('uncaughtException', (error) => {
   logger.error('Erreur non capturee', { error: error.message, stack: error.stack });
@@ -0,0 +1,107 @@
+/**
+ * Metriques de l'application
+ * Registre unique exporte sur GET /metrics (voir routes/metrics.routes.js)
+ */
+
+import { MetricsRegistry } from '../utils/metrics.js';
+
+export const registry = new MetricsRegistry();
+
+// ===== HTTP =====
+
+export const httpRequestsTotal = registry.counter({
+  name: 'http_requests_total',
+  help: 'Nombre de requetes HTTP traitees',
+  labelNames: ['method', 'route', 'status'],
+});
+
+export const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duree de traitement des requetes HTTP',
+  labelNames: ['method', 'route', 'status'],
+});
+
+// ===== FOURNISSEUR IA =====
+
+export const providerRequestDuration = registry.histogram({
+  name: 'ai_provider_request_duration_seconds',
+  help: 'Duree des appels au fournisseur LLM (par tentative)',
+  labelNames: ['provider', 'operation', 'outcome'],
+});
+
+export const providerErrorsTotal = registry.counter({
+  name: 'ai_provider_errors_total',
+  help: 'Erreurs des appels au fournisseur LLM par type',
+  labelNames: ['provider', 'type'],
+});
+
+export const tokensTotal = registry.counter({
+  name: 'ai_tokens_total',
+  help: 'Tokens consommes par mode de generation',
+  labelNames: ['provider', 'mode'],
+});
+
+// ===== ANALYSE DE CONVERSATION =====
+
+export const analysisResultsTotal = registry.counter({
+  name: 'ai_conversation_analysis_total',
+  help: 'Distribution des resultats de l\'analyse de conversation',
+  labelNames: ['dimension', 'value'],
+});
+
+// Dimensions de ConversationAnalysis exportees (valeurs a cardinalite bornee)
+const ANALYSIS_DIMENSIONS = ['tone', 'relationship', 'emotionalTone', 'urgency', 'conversationFlow', 'language'];
+
+/**
+ * Enregistre les sorties d'une analyse de conversation
+ * A appeler une fois par requete client (routes, assistant de saisie), y compris
+ * pour une analyse servie depuis le cache
+ * @param {ConversationAnalysis | Object} analysis - Analyse ou sa forme JSON
+ */
+export function recordAnalysis(analysis) {
+  for (const dimension of ANALYSIS_DIMENSIONS) {
+    analysisResultsTotal.inc({ dimension, value: analysis[dimension] });
+  }
+}
+
+/**
+ * Enregistre les tokens consommes par une generation
+ * @param {string} provider - Nom du fournisseur
+ * @param {string} mode - 'suggest' | 'improve' | 'rewrite' | 'translate' | 'summarize'
+ * @param {number} tokens - Tokens consommes (ignore si inconnu)
+ */
+export function recordTokens(provider, mode, tokens) {
+  if (tokens > 0) {
+    tokensTotal.inc({ provider, mode }, tokens);
+  }
+}
+
+// ===== RETOURS SUR LES SUGGESTIONS =====
+
+export const suggestionFeedbackTotal = registry.counter({
+  name: 'ai_suggestion_feedback_total',
+  help: 'Retours sur les suggestions (accepted, edited, rejected)',
+  labelNames: ['mode', 'outcome'],
+});
+
+// ===== PROCESSUS =====
+
+registry.gauge({
+  name: 'process_uptime_seconds',
+  help: 'Duree depuis le demarrage du processus',
+  collect: () => process.uptime(),
+});
+
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Memoire residente du processus',
+  collect: () => process.memoryUsage().rss,
+});
+
+registry.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'Memoire du tas V8 utilisee',
+  collect: () => process.memoryUsage().heapUsed,
+});
+
+export default registry;
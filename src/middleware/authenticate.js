@@ -0,0 +1,110 @@
+/**
+ * Middleware d'authentification
+ * Verifie le jeton "Authorization: Bearer <ID token>" des appels API
+ */
+
+import { createHash } from 'crypto';
+import config from '../config/index.js';
+import { getTokenVerifier } from '../auth/index.js';
+import logger from '../utils/logger.js';
+import { safeEqual } from '../utils/safe-equal.js';
+import { Errors } from './error-handler.js';
+
+/**
+ * Extrait le jeton Bearer de l'en-tete Authorization
+ */
+function extractBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return null;
+
+  return token.trim();
+}
+
+/**
+ * Verifie le jeton et attache l'utilisateur decode a req.user
+ * Une cle API valide (en-tete X-API-Key) est acceptee a la place du jeton
+ * et identifie le client par req.apiKey.
+ * Sans effet si l'authentification est desactivee (config.auth.enabled)
+ */
+export async function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    return next();
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    // Toutes les cles sont comparees : la duree ne revele pas la cle correspondante
+    const valid = config.auth.apiKeys.reduce((found, key) => safeEqual(apiKey, key) || found, false);
+    if (!valid) {
+      return next(Errors.Unauthorized('Cle API invalide'));
+    }
+    // Ne jamais conserver la cle en clair (logs, limites)
+    req.apiKey = createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+    return next();
+  }
+
+  const token = extractBearerToken(req);
+  if (!token) {
+    return next(Errors.Unauthorized('Jeton d\'authentification manquant'));
+  }
+
+  try {
+    req.user = await getTokenVerifier().verify(token);
+    next();
+  } catch (error) {
+    logger.warn('Jeton d\'authentification refuse', {
+      error: error.message,
+      path: req.path,
+    });
+    next(Errors.Unauthorized('Jeton d\'authentification invalide ou expire'));
+  }
+}
+
+/**
+ * Verifie que le currentUserId du body correspond a l'utilisateur authentifie
+ * Les clients par cle API agissent pour le compte de n'importe quel utilisateur
+ * A placer apres authenticate et la validation du body
+ */
+export function authorizeCurrentUser(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  const { currentUserId } = req.body;
+  if (currentUserId !== undefined && currentUserId !== req.user.uid) {
+    return next(Errors.Forbidden('currentUserId ne correspond pas a l\'utilisateur authentifie'));
+  }
+
+  next();
+}
+
+/**
+ * Verifie que le parametre :id de la route designe l'utilisateur authentifie
+ * Les clients par cle API agissent pour le compte de n'importe quel utilisateur
+ * A placer apres authenticate
+ */
+export function authorizeUserParam(req, res, next) {
+  if (req.user && req.params.id !== req.user.uid) {
+    return next(Errors.Forbidden('Acces limite aux donnees de l\'utilisateur authentifie'));
+  }
+
+  next();
+}
+
+/**
+ * Reserve la route aux clients par cle API (donnees agregees de tous les utilisateurs)
+ * Sans effet si l'authentification est desactivee
+ * A placer apres authenticate
+ */
+export function requireApiKey(req, res, next) {
+  if (!config.auth.enabled || req.apiKey) {
+    return next();
+  }
+
+  next(Errors.Forbidden('Route reservee aux clients par cle API'));
+}
+
+export default authenticate;
@@ -4,15 +4,18 @@
  */
 
 import logger from '../utils/logger.js';
+import { getRequestId } from '../utils/request-context.js';
 
 /**
  * Classe d'erreur API personnalisee
  */
 export class APIError extends Error {
-  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = undefined) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details; // Informations complementaires exposees au client
+    this.headers = {}; // En-tetes HTTP a ajouter a la reponse (ex: Retry-After)
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -23,12 +26,13 @@ export class APIError extends Error {
  * Erreurs predefinies
  */
 export const Errors = {
-  BadRequest: (message = 'Requete invalide') => new APIError(message, 400, 'BAD_REQUEST'),
+  BadRequest: (message = 'Requete invalide', details) => new APIError(message, 400, 'BAD_REQUEST', details),
   Unauthorized: (message = 'Non autorise') => new APIError(message, 401, 'UNAUTHORIZED'),
   Forbidden: (message = 'Acces interdit') => new APIError(message, 403, 'FORBIDDEN'),
   NotFound: (message = 'Ressource non trouvee') => new APIError(message, 404, 'NOT_FOUND'),
-  RateLimited: (message = 'Trop de requetes') => new APIError(message, 429, 'RATE_LIMITED'),
-  AIServiceError: (message = 'Erreur du service IA') => new APIError(message, 503, 'AI_SERVICE_ERROR'),
+  Conflict: (message = 'Conflit avec l\'etat de la ressource') => new APIError(message, 409, 'CONFLICT'),
+  RateLimited: (message = 'Trop de requetes', details) => new APIError(message, 429, 'RATE_LIMITED', details),
+  AIServiceError: (message = 'Erreur du service IA', details) => new APIError(message, 503, 'AI_SERVICE_ERROR', details),
 };
 
 /**
@@ -53,21 +57,45 @@ export function errorHandler(err, req, res, next) {
   // Determiner le code de statut
   const statusCode = err.statusCode || 500;
 
+  if (err.isOperational && err.headers) {
+    res.set(err.headers);
+  }
+
   // Construire la reponse
   const response = {
     success: false,
-    error: {
-      code: err.code || 'INTERNAL_ERROR',
-      message: err.isOperational ? err.message : 'Une erreur interne est survenue',
-    },
+    error: serializeError(err),
+  };
+
+  res.status(statusCode).json(response);
+}
+
+/**
+ * Convertit une erreur en objet { code, message, requestId } expose au client
+ * Partage entre les reponses JSON et les evenements SSE
+ * Le requestId permet au support de retrouver la trace complete de la requete
+ */
+export function serializeError(err) {
+  const serialized = {
+    code: err.code || 'INTERNAL_ERROR',
+    message: err.isOperational ? err.message : 'Une erreur interne est survenue',
   };
 
+  if (err.isOperational && err.details !== undefined) {
+    serialized.details = err.details;
+  }
+
+  const requestId = getRequestId();
+  if (requestId) {
+    serialized.requestId = requestId;
+  }
+
   // En dev, inclure plus de details
   if (process.env.NODE_ENV !== 'production') {
-    response.error.stack = err.stack;
+    serialized.stack = err.stack;
   }
 
-  res.status(statusCode).json(response);
+  return serialized;
 }
 
 /**
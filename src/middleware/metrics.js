@@ -0,0 +1,57 @@
+/**
+ * Middlewares de collecte des metriques HTTP
+ */
+
+import { httpRequestsTotal, httpRequestDuration } from '../metrics/index.js';
+
+/**
+ * Memorise le prefixe de montage du routeur courant
+ * Express restaure req.baseUrl lorsqu'une erreur quitte le routeur ;
+ * a placer en tete des routeurs dont les erreurs remontent au gestionnaire global
+ */
+export function trackRoute(req, res, next) {
+  req.routeBaseUrl = req.baseUrl;
+  next();
+}
+
+/**
+ * Libelle de route a cardinalite bornee (motif Express, pas l'URL reelle)
+ */
+function getRouteLabel(req) {
+  const baseUrl = req.routeBaseUrl ?? req.baseUrl;
+
+  if (req.route) {
+    return `${baseUrl}${req.route.path === '/' && baseUrl ? '' : req.route.path}`;
+  }
+
+  // Requete rejetee avant d'atteindre une route (authentification, limite...)
+  return baseUrl || 'unmatched';
+}
+
+/**
+ * Compte les requetes et mesure leur duree par methode, route et statut
+ */
+export function collectHttpMetrics(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer();
+  let recorded = false;
+
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    const labels = {
+      method: req.method,
+      route: getRouteLabel(req),
+      status: res.statusCode,
+    };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  };
+
+  // 'close' couvre les connexions interrompues avant la fin de la reponse
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+}
+
+export default collectHttpMetrics;
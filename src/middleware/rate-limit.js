@@ -0,0 +1,138 @@
+/**
+ * Middlewares de limitation par client
+ * Limite de requetes et quotas de tokens par utilisateur authentifie ou cle API
+ */
+
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { TokenQuotaStore } from '../utils/token-quota.js';
+import { Errors } from './error-handler.js';
+
+/**
+ * Identifiant du client pour les limites
+ * Utilisateur authentifie, puis cle API, puis adresse IP en dernier recours
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+export function getClientKey(req) {
+  if (req.user?.uid) return `user:${req.user.uid}`;
+  if (req.apiKey) return `apikey:${req.apiKey}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Compteurs de requetes par client, partages entre les routes et l'assistant de saisie
+ */
+const requestCountStore = new MemoryStore();
+
+/**
+ * Limite de requetes par fenetre, par client
+ * A placer apres authenticate pour beneficier de req.user
+ */
+export const rateLimitByClient = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests,
+  store: requestCountStore,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientKey,
+  handler: (req, res, next) => {
+    const resetAt = req.rateLimit?.resetTime;
+
+    logger.warn('Limite de requetes atteinte', { client: getClientKey(req), path: req.path });
+
+    next(Errors.RateLimited('Trop de requetes, veuillez reessayer plus tard', {
+      resetAt: resetAt?.toISOString(),
+    }));
+  },
+});
+
+/**
+ * Compte une requete hors Express (ex: suggestion de l'assistant de saisie)
+ * dans la meme limite que rateLimitByClient
+ * @param {string} clientKey - Client (voir getClientKey)
+ * @returns {Promise<{ limited: boolean, resetAt: Date }>}
+ */
+export async function consumeRequest(clientKey) {
+  const { totalHits, resetTime } = await requestCountStore.increment(clientKey);
+  return { limited: totalHits > config.rateLimit.maxRequests, resetAt: resetTime };
+}
+
+/**
+ * Stockage partage des quotas de tokens
+ */
+export const tokenQuotaStore = new TokenQuotaStore({
+  daily: config.quota.dailyTokens,
+  monthly: config.quota.monthlyTokens,
+});
+
+/**
+ * Ecrit l'etat du quota dans les en-tetes de la reponse
+ */
+function setQuotaHeaders(res, state) {
+  if (res.headersSent) return;
+
+  for (const [period, label] of [['daily', 'Daily'], ['monthly', 'Monthly']]) {
+    const { limit, used, remaining, resetAt } = state[period];
+    if (limit <= 0) continue;
+
+    res.set({
+      [`X-Token-Quota-${label}-Limit`]: String(limit),
+      [`X-Token-Quota-${label}-Used`]: String(used),
+      [`X-Token-Quota-${label}-Remaining`]: String(remaining),
+      [`X-Token-Quota-${label}-Reset`]: resetAt.toISOString(),
+    });
+  }
+}
+
+/**
+ * Refuse la requete si le quota de tokens du client est epuise
+ * Expose l'etat du quota dans les en-tetes X-Token-Quota-*
+ * Une requete admise reserve config.quota.reservedTokens jusqu'a l'enregistrement
+ * de sa consommation (recordTokenUsage) ou la fin de la reponse
+ */
+export function enforceTokenQuota(req, res, next) {
+  const clientKey = getClientKey(req);
+  const state = tokenQuotaStore.getState(clientKey);
+
+  setQuotaHeaders(res, state);
+
+  if (state.exceeded) {
+    const { period, limit, resetAt } = state.exceeded;
+    const retryAfter = Math.ceil((resetAt.getTime() - Date.now()) / 1000);
+
+    logger.warn('Quota de tokens epuise', { client: clientKey, period, limit });
+
+    res.set('Retry-After', String(retryAfter));
+    return next(Errors.RateLimited(
+      `Quota de tokens ${period === 'daily' ? 'journalier' : 'mensuel'} epuise`,
+      { period, limit, resetAt: resetAt.toISOString() }
+    ));
+  }
+
+  req.releaseTokenReservation = tokenQuotaStore.reserve(clientKey, config.quota.reservedTokens);
+  res.once('close', req.releaseTokenReservation);
+
+  next();
+}
+
+/**
+ * Enregistre les tokens consommes par la requete et met a jour les en-tetes
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {number} tokens - Tokens consommes (completion.usage.total_tokens)
+ * @returns {Object} - Etat du quota apres enregistrement
+ */
+export function recordTokenUsage(req, res, tokens) {
+  const clientKey = getClientKey(req);
+  // La consommation reelle remplace l'estimation reservee
+  req.releaseTokenReservation?.();
+  tokenQuotaStore.record(clientKey, tokens);
+
+  const state = tokenQuotaStore.getState(clientKey);
+  setQuotaHeaders(res, state);
+  return state;
+}
+
+export default rateLimitByClient;
@@ -0,0 +1,29 @@
+/**
+ * Middleware d'identifiant de correlation des requetes
+ * Reprend l'en-tete X-Request-Id entrant (s'il est valide) ou en genere un,
+ * le renvoie dans la reponse et l'attache au contexte de la requete
+ */
+
+import { randomUUID } from 'crypto';
+import { runWithRequestContext } from '../utils/request-context.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Identifiant fourni par un proxy ou le client : borne pour ne pas polluer les logs
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Attribue un identifiant a la requete et execute la suite dans son contexte
+ * A placer en premier pour que tous les logs de la requete le portent
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+  req.id = id;
+  res.set(REQUEST_ID_HEADER, id);
+
+  runWithRequestContext({ requestId: id }, next);
+}
+
+export default requestId;
@@ -1,132 +1,158 @@
 /**
  * Middleware de validation des requetes
- * Valide les donnees entrantes pour les endpoints IA
+ * Moteur de schemas declaratifs et fabrique de middlewares pour les endpoints
+ *
+ * Regles supportees par un schema:
+ * - type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+ * - required: boolean - Champ obligatoire (proprietes d'un objet)
+ * - minLength / maxLength - Longueur d'une chaine
+ * - pattern: string - Expression reguliere que doit respecter une chaine
+ * - min / max - Bornes d'un nombre
+ * - minItems / maxItems - Taille d'un tableau
+ * - items: schema - Schema de chaque element d'un tableau
+ * - properties: { [nom]: schema } - Schemas des proprietes d'un objet
+ * - additionalProperties: schema - Schema des autres proprietes (objet indexe par cle)
+ * - maxProperties - Nombre maximal de proprietes d'un objet
+ * - enum: Array - Valeurs autorisees
  */
 
 import { Errors } from './error-handler.js';
 
-/**
- * Schema de validation pour la generation de suggestion
- */
-const suggestionSchema = {
-  currentInput: { type: 'string', required: false, maxLength: 2000 },
-  messages: { type: 'array', required: false, maxItems: 50 },
-  currentUserId: { type: 'string', required: true, minLength: 1 },
-  currentUserName: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+const TYPE_LABELS = {
+  string: 'une chaine',
+  number: 'un nombre',
+  integer: 'un entier',
+  boolean: 'un booleen',
+  array: 'un tableau',
+  object: 'un objet',
 };
 
 /**
- * Valide un message individuel
+ * Verifie le type d'une valeur
  */
-function validateMessage(msg, index) {
-  const errors = [];
-
-  if (!msg || typeof msg !== 'object') {
-    errors.push(`messages[${index}]: doit etre un objet`);
-    return errors;
-  }
-
-  if (!msg.content || typeof msg.content !== 'string') {
-    errors.push(`messages[${index}].content: requis et doit etre une chaine`);
-  } else if (msg.content.length > 5000) {
-    errors.push(`messages[${index}].content: trop long (max 5000 caracteres)`);
-  }
-
-  if (!msg.senderId || typeof msg.senderId !== 'string') {
-    errors.push(`messages[${index}].senderId: requis et doit etre une chaine`);
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
   }
-
-  if (!msg.senderName || typeof msg.senderName !== 'string') {
-    errors.push(`messages[${index}].senderName: requis et doit etre une chaine`);
-  }
-
-  return errors;
 }
 
 /**
- * Middleware de validation pour l'endpoint de suggestion
+ * Valide une valeur contre un schema
+ * @param {*} value - Valeur a valider
+ * @param {Object} schema - Schema declaratif
+ * @param {string} path - Chemin de la valeur (ex: 'messages[0].content')
+ * @returns {Array<{ path: string, rule: string, message: string }>}
  */
-export function validateSuggestionRequest(req, res, next) {
+export function validateValue(value, schema, path = '') {
   const errors = [];
-  const body = req.body;
+  const label = path || 'body';
+  const fail = (rule, message) => errors.push({ path: label, rule, message: `${label}: ${message}` });
 
-  // Valider currentUserId
-  if (!body.currentUserId || typeof body.currentUserId !== 'string') {
-    errors.push('currentUserId: requis et doit etre une chaine');
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail('type', `doit etre ${TYPE_LABELS[schema.type] || schema.type}`);
+    return errors;
   }
 
-  // Valider currentUserName
-  if (!body.currentUserName || typeof body.currentUserName !== 'string') {
-    errors.push('currentUserName: requis et doit etre une chaine');
-  } else if (body.currentUserName.length > 100) {
-    errors.push('currentUserName: trop long (max 100 caracteres)');
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `doit etre l'une des valeurs: ${schema.enum.join(', ')}`);
   }
 
-  // Valider currentInput (optionnel)
-  if (body.currentInput !== undefined) {
-    if (typeof body.currentInput !== 'string') {
-      errors.push('currentInput: doit etre une chaine');
-    } else if (body.currentInput.length > 2000) {
-      errors.push('currentInput: trop long (max 2000 caracteres)');
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'ne doit pas etre vide' : `trop court (min ${schema.minLength} caracteres)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `trop long (max ${schema.maxLength} caracteres)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `format invalide (attendu: ${schema.pattern})`);
     }
   }
 
-  // Valider messages (optionnel)
-  if (body.messages !== undefined) {
-    if (!Array.isArray(body.messages)) {
-      errors.push('messages: doit etre un tableau');
-    } else if (body.messages.length > 50) {
-      errors.push('messages: trop de messages (max 50)');
-    } else {
-      // Valider chaque message
-      body.messages.forEach((msg, index) => {
-        errors.push(...validateMessage(msg, index));
-      });
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      fail('min', `doit etre superieur ou egal a ${schema.min}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      fail('max', `doit etre inferieur ou egal a ${schema.max}`);
     }
   }
 
-  if (errors.length > 0) {
-    return next(Errors.BadRequest(`Validation echouee: ${errors.join('; ')}`));
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', schema.minItems === 1 ? 'au moins un element requis' : `pas assez d'elements (min ${schema.minItems})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `trop d'elements (max ${schema.maxItems})`);
+    } else if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(item, schema.items, `${path}[${index}]`));
+      });
+    }
   }
 
-  next();
-}
+  if (schema.properties && matchesType(value, 'object')) {
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      const propertyValue = value[name];
 
-/**
- * Middleware de validation pour l'analyse de conversation
- */
-export function validateAnalyzeRequest(req, res, next) {
-  const errors = [];
-  const body = req.body;
-
-  // Valider messages (requis)
-  if (!body.messages || !Array.isArray(body.messages)) {
-    errors.push('messages: requis et doit etre un tableau');
-  } else if (body.messages.length === 0) {
-    errors.push('messages: au moins un message requis');
-  } else if (body.messages.length > 100) {
-    errors.push('messages: trop de messages (max 100)');
-  } else {
-    body.messages.forEach((msg, index) => {
-      errors.push(...validateMessage(msg, index));
-    });
-  }
+      if (propertyValue === undefined || propertyValue === null) {
+        if (propertySchema.required) {
+          errors.push({ path: propertyPath, rule: 'required', message: `${propertyPath}: requis` });
+        }
+        continue;
+      }
 
-  // Valider currentUserId
-  if (!body.currentUserId || typeof body.currentUserId !== 'string') {
-    errors.push('currentUserId: requis et doit etre une chaine');
+      errors.push(...validateValue(propertyValue, propertySchema, propertyPath));
+    }
   }
 
-  // Valider currentUserName (optionnel)
-  if (body.currentUserName !== undefined && typeof body.currentUserName !== 'string') {
-    errors.push('currentUserName: doit etre une chaine');
-  }
+  if (matchesType(value, 'object') && (schema.additionalProperties || schema.maxProperties !== undefined)) {
+    const keys = Object.keys(value).filter((key) => !schema.properties?.[key]);
 
-  if (errors.length > 0) {
-    return next(Errors.BadRequest(`Validation echouee: ${errors.join('; ')}`));
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      fail('maxProperties', `trop de proprietes (max ${schema.maxProperties})`);
+    } else if (schema.additionalProperties) {
+      for (const key of keys) {
+        errors.push(...validateValue(value[key], schema.additionalProperties, path ? `${path}.${key}` : key));
+      }
+    }
   }
 
-  next();
+  return errors;
+}
+
+/**
+ * Fabrique un middleware validant req.body contre un schema
+ * @param {Object} schema - Schema declaratif du body
+ * @returns {Function} - Middleware Express
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const errors = validateValue(req.body ?? {}, schema);
+
+    if (errors.length > 0) {
+      return next(Errors.BadRequest(
+        `Validation echouee (${errors.length} erreur${errors.length > 1 ? 's' : ''})`,
+        errors
+      ));
+    }
+
+    next();
+  };
 }
 
-export default { validateSuggestionRequest, validateAnalyzeRequest };
+export default validate;
@@ -0,0 +1,30 @@
+/**
+ * Module des preferences utilisateur
+ * Le stockage est choisi par config.preferences.store et remplacable (tests, base externe)
+ */
+
+import config from '../config/index.js';
+import { createKeyValueStore } from '../storage/index.js';
+import { PreferencesService } from './preferences-service.js';
+
+export {
+  PreferencesService,
+  EMOJI_POLICIES,
+  ADDRESS_FORMS,
+  FORMALITY_LEVELS,
+  PREFERENCE_FIELDS,
+} from './preferences-service.js';
+
+export const preferencesService = new PreferencesService(
+  createKeyValueStore(config.preferences.store, { filePath: config.preferences.filePath })
+);
+
+/**
+ * Remplace le stockage des preferences
+ * @param {{ get: Function, set: Function, delete: Function }} store
+ */
+export function setPreferencesStore(store) {
+  preferencesService.store = store;
+}
+
+export default preferencesService;
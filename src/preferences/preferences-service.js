@@ -0,0 +1,95 @@
+/**
+ * Preferences explicites de l'utilisateur pour la generation
+ * Valeurs par defaut et surcharges par contact (cle = senderId) ; une preference
+ * absente (null) laisse la place au style deduit de la conversation
+ */
+
+// Politiques d'emojis : aucun, avec parcimonie, librement
+export const EMOJI_POLICIES = ['never', 'sparingly', 'freely'];
+
+// Tutoiement ou vouvoiement du destinataire
+export const ADDRESS_FORMS = ['tu', 'vous'];
+
+// Registres, memes valeurs que le ton de ConversationAnalysis
+export const FORMALITY_LEVELS = ['formel', 'neutre', 'informel'];
+
+export const PREFERENCE_FIELDS = ['language', 'maxWords', 'emojis', 'address', 'formality'];
+
+/**
+ * Ne conserve que les champs connus (null si absents)
+ */
+function pickPreferences(input = {}) {
+  return Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, input[field] ?? null]));
+}
+
+function isEmpty(preferences) {
+  return PREFERENCE_FIELDS.every((field) => preferences[field] === null);
+}
+
+export class PreferencesService {
+  /**
+   * @param {{ get: Function, set: Function, delete: Function }} store - Stockage cle-valeur (voir storage/)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Preferences vides (tout est deduit de la conversation)
+   */
+  static defaults() {
+    return { ...pickPreferences(), contacts: {} };
+  }
+
+  /**
+   * Preferences enregistrees d'un utilisateur
+   * @param {string} userId
+   * @returns {Promise<{ preferences: Object, updatedAt: string | null }>}
+   */
+  async get(userId) {
+    const saved = await this.store.get(userId);
+    return saved || { preferences: PreferencesService.defaults(), updatedAt: null };
+  }
+
+  /**
+   * Remplace les preferences d'un utilisateur
+   * Les surcharges de contact vides sont ignorees
+   * @param {string} userId
+   * @param {Object} input - Corps valide par preferencesSchema
+   * @returns {Promise<{ preferences: Object, updatedAt: string }>}
+   */
+  async replace(userId, input) {
+    const contacts = Object.fromEntries(
+      Object.entries(input.contacts || {})
+        .map(([senderId, overrides]) => [senderId, pickPreferences(overrides)])
+        .filter(([, overrides]) => !isEmpty(overrides))
+    );
+
+    const saved = {
+      preferences: { ...pickPreferences(input), contacts },
+      updatedAt: new Date().toISOString(),
+    };
+
+    await this.store.set(userId, saved);
+    return saved;
+  }
+
+  /**
+   * Preferences effectives pour un destinataire : surcharges du contact, puis valeurs par defaut
+   * @param {Object} preferences - Preferences de l'utilisateur (voir get)
+   * @param {string} contactId - senderId du destinataire (null pour un groupe)
+   * @returns {Object | null} - null si aucune preference ne s'applique
+   */
+  static resolve(preferences, contactId = null) {
+    if (!preferences) return null;
+
+    const overrides = (contactId && preferences.contacts?.[contactId]) || {};
+    const effective = Object.fromEntries(
+      PREFERENCE_FIELDS.map((field) => [field, overrides[field] ?? preferences[field] ?? null])
+    );
+
+    return isEmpty(effective) ? null : effective;
+  }
+}
+
+export default PreferencesService;
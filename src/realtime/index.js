@@ -0,0 +1,6 @@
+/**
+ * Module temps reel : assistant de saisie sur WebSocket
+ */
+
+export { TypingAssistantSession } from './typing-assistant.js';
+export { attachTypingAssistant } from './websocket-server.js';
@@ -0,0 +1,341 @@
+/**
+ * Session de l'assistant de saisie en temps reel
+ * Le client transmet le contexte une fois, puis les nouveaux messages et les
+ * modifications du brouillon ; la session renvoie des analyses et des suggestions
+ * calculees apres un delai sans modification. Independante du transport (WebSocket).
+ */
+
+import { randomUUID } from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import aiService, { PromptBuilder } from '../ai/index.js';
+import preferencesService from '../preferences/index.js';
+import feedbackTracker from '../feedback/index.js';
+import { recordAnalysis } from '../metrics/index.js';
+import { consumeRequest, tokenQuotaStore } from '../middleware/rate-limit.js';
+import { Errors } from '../middleware/error-handler.js';
+import { validateValue } from '../middleware/validate-request.js';
+import { estimateTokens } from '../utils/token-quota.js';
+import {
+  assistantStartSchema,
+  assistantMessageSchema,
+  assistantDraftSchema,
+} from '../schemas/ai.schemas.js';
+
+// Schema de chaque type de message client
+const MESSAGE_SCHEMAS = {
+  start: assistantStartSchema,
+  message: assistantMessageSchema,
+  draft: assistantDraftSchema,
+};
+
+// Messages conserves dans le contexte (meme limite que /api/ai/suggest)
+const MAX_MESSAGES = assistantStartSchema.properties.messages.maxItems;
+
+/**
+ * Erreur de validation au format du middleware validate
+ */
+function validationError(errors) {
+  return Errors.BadRequest(`Validation echouee (${errors.length} erreur${errors.length > 1 ? 's' : ''})`, errors);
+}
+
+export class TypingAssistantSession {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - Envoi d'un evenement au client : send(type, data)
+   * @param {Function} options.sendError - Envoi d'une erreur au client : sendError(error)
+   * @param {Object} options.user - Utilisateur authentifie (absent pour une cle API ou sans authentification)
+   * @param {string} options.clientKey - Client pour la limite de requetes et le quota de tokens (voir getClientKey)
+   * @param {number} options.debounceMs - Delai sans modification avant analyse et suggestion
+   */
+  constructor({
+    send, sendError, user = null, clientKey, debounceMs = config.assistant.debounceMs,
+  }) {
+    this.id = randomUUID();
+    this.send = send;
+    this.sendError = sendError;
+    this.user = user;
+    this.clientKey = clientKey;
+    this.debounceMs = debounceMs;
+
+    this.context = null; // Defini par le message start
+    this.starting = null; // Ouverture en cours (lecture des preferences)
+    this.draft = '';
+    this.timers = { analysis: null, suggestion: null };
+    this.controller = null; // Generation en cours
+    this.generation = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Traite un message brut du client
+   * Les erreurs sont renvoyees au client sans fermer la session
+   * @param {string} raw - Message JSON
+   */
+  async handle(raw) {
+    try {
+      let payload;
+      try {
+        payload = JSON.parse(raw);
+      } catch {
+        throw Errors.BadRequest('Message JSON invalide');
+      }
+
+      const schema = MESSAGE_SCHEMAS[payload?.type];
+      if (!schema) {
+        throw validationError(validateValue(payload?.type, assistantStartSchema.properties.type, 'type'));
+      }
+
+      const errors = validateValue(payload, schema);
+      if (errors.length > 0) throw validationError(errors);
+
+      if (payload.type === 'start') {
+        await this.start(payload);
+        return;
+      }
+
+      // Messages envoyes juste apres start : traites une fois la session ouverte
+      if (this.starting) await this.starting.catch(() => {});
+
+      if (!this.context) {
+        throw Errors.Conflict('Session non demarree : envoyez d\'abord un message start');
+      } else if (payload.type === 'message') {
+        this.addMessage(payload.message);
+      } else {
+        this.updateDraft(payload.draft);
+      }
+    } catch (error) {
+      this.sendError(error);
+    }
+  }
+
+  /**
+   * Ouvre la session avec le contexte de la conversation
+   */
+  async start({
+    messages = [], currentUserId, currentUserName, language, replyTo, summary, draft = '',
+  }) {
+    if (this.context || this.starting) {
+      throw Errors.Conflict('Session deja demarree');
+    }
+    if (this.user && currentUserId !== this.user.uid) {
+      throw Errors.Forbidden('currentUserId ne correspond pas a l\'utilisateur authentifie');
+    }
+    if (replyTo !== undefined && replyTo !== PromptBuilder.REPLY_TO_GROUP
+      && !messages.some((m) => m.senderId === replyTo && m.senderId !== currentUserId)) {
+      throw validationError([{
+        path: 'replyTo',
+        rule: 'participant',
+        message: 'replyTo: ne correspond a aucun interlocuteur de la conversation',
+      }]);
+    }
+
+    // Reservee avant l'attente : un second start simultane est refuse
+    this.starting = preferencesService.get(currentUserId);
+    let preferences;
+    try {
+      ({ preferences } = await this.starting);
+    } finally {
+      this.starting = null;
+    }
+    if (this.closed) return;
+
+    this.context = {
+      messages: messages.slice(-MAX_MESSAGES),
+      currentUserId,
+      currentUserName,
+      language,
+      replyTo,
+      summary,
+      preferences,
+    };
+    this.draft = draft;
+
+    logger.info('Session d\'assistant de saisie demarree', {
+      sessionId: this.id,
+      userId: currentUserId,
+      messageCount: this.context.messages.length,
+    });
+
+    this.send('ready', { sessionId: this.id, debounceMs: this.debounceMs });
+    this.schedule('analysis', () => this.runAnalysis());
+    this.schedule('suggestion', () => this.runSuggestion());
+  }
+
+  /**
+   * Ajoute un message a la conversation (recu d'un interlocuteur ou envoye par l'utilisateur)
+   * L'analyse et la suggestion en cours deviennent obsoletes
+   */
+  addMessage(message) {
+    const { content, senderId, senderName } = message;
+    this.context.messages = [...this.context.messages, { content, senderId, senderName }].slice(-MAX_MESSAGES);
+
+    this.cancelGeneration();
+    this.schedule('analysis', () => this.runAnalysis());
+    this.schedule('suggestion', () => this.runSuggestion());
+  }
+
+  /**
+   * Met a jour le brouillon ; la suggestion en cours devient obsolete
+   */
+  updateDraft(draft) {
+    if (draft === this.draft) return;
+
+    this.draft = draft;
+    this.cancelGeneration();
+    this.schedule('suggestion', () => this.runSuggestion());
+  }
+
+  /**
+   * Relance le minuteur d'une tache : elle ne s'execute qu'apres debounceMs sans modification
+   * @param {'analysis' | 'suggestion'} task
+   * @param {Function} run
+   */
+  schedule(task, run) {
+    clearTimeout(this.timers[task]);
+    this.timers[task] = setTimeout(() => {
+      this.timers[task] = null;
+      run();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Envoie l'analyse de la conversation courante
+   */
+  runAnalysis() {
+    if (this.closed) return;
+
+    const { messages, currentUserId, currentUserName } = this.context;
+    if (messages.length === 0) return;
+
+    try {
+      const analysis = aiService.analyzeConversation(messages, currentUserId, currentUserName);
+      recordAnalysis(analysis);
+      this.send('analysis', { messageCount: messages.length, analysis });
+    } catch (error) {
+      logger.error('Erreur d\'analyse de l\'assistant de saisie', { sessionId: this.id, error: error.message });
+      this.sendError(error);
+    }
+  }
+
+  /**
+   * Estimation des tokens du prompt, comptee pour une generation annulee (usage reel inconnu)
+   * Seuls les textes de la conversation sont comptes : c'est un minimum
+   */
+  estimatePromptTokens(draft) {
+    const { messages, summary } = this.context;
+    return estimateTokens([...messages.map((m) => m.content), summary || '', draft].join('\n'));
+  }
+
+  /**
+   * Genere une suggestion (brouillon vide) ou une amelioration du brouillon
+   * Une generation remplacee par une modification plus recente est annulee
+   * Chaque generation compte dans la limite de requetes du client (comme une requete REST)
+   * et dans son quota de tokens, y compris si elle est annulee
+   */
+  async runSuggestion() {
+    if (this.closed) return;
+
+    if (!aiService.isAvailable()) {
+      this.sendError(Errors.AIServiceError('Service IA temporairement indisponible'));
+      return;
+    }
+
+    const requests = await consumeRequest(this.clientKey);
+    if (this.closed) return;
+    if (requests.limited) {
+      logger.warn('Limite de requetes atteinte', { client: this.clientKey, sessionId: this.id });
+      this.sendError(Errors.RateLimited('Trop de requetes, veuillez reessayer plus tard', {
+        resetAt: requests.resetAt?.toISOString(),
+      }));
+      return;
+    }
+
+    const { exceeded } = tokenQuotaStore.getState(this.clientKey);
+    if (exceeded) {
+      const { period, limit, resetAt } = exceeded;
+      this.sendError(Errors.RateLimited(
+        `Quota de tokens ${period === 'daily' ? 'journalier' : 'mensuel'} epuise`,
+        { period, limit, resetAt: resetAt.toISOString() }
+      ));
+      return;
+    }
+
+    this.cancelGeneration();
+    const controller = new AbortController();
+    this.controller = controller;
+    const generation = ++this.generation;
+    const draft = this.draft;
+    const promptTokens = this.estimatePromptTokens(draft);
+    let providerCalled = false;
+    let recorded = false;
+
+    try {
+      const events = aiService.streamSuggestion(
+        { ...this.context, currentInput: draft },
+        { signal: controller.signal }
+      );
+
+      let analysis = null;
+      for await (const { type, data } of events) {
+        if (type === 'analysis') {
+          // Envoye juste avant l'appel au fournisseur
+          providerCalled = true;
+          analysis = data.analysis;
+          recordAnalysis(analysis);
+        }
+        if (type === 'done') {
+          // Generation terminee : tokens comptes meme si elle vient d'etre remplacee
+          tokenQuotaStore.record(this.clientKey, data.metadata.tokensUsed);
+          recorded = true;
+
+          if (!controller.signal.aborted) {
+            const suggestionId = await feedbackTracker.register({
+              userId: this.context.currentUserId,
+              suggestion: data.suggestion,
+              mode: data.mode,
+              analysis,
+              metadata: data.metadata,
+            });
+            this.send('suggestion', { generation, draft, ...data, suggestionId });
+          }
+        }
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      logger.error('Erreur de suggestion de l\'assistant de saisie', { sessionId: this.id, error: error.message });
+      this.sendError(error);
+    } finally {
+      // Generation annulee apres l'appel au fournisseur : le prompt a ete consomme
+      if (controller.signal.aborted && providerCalled && !recorded) {
+        tokenQuotaStore.record(this.clientKey, promptTokens);
+      }
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+  }
+
+  /**
+   * Annule la generation en cours (le fournisseur interrompt le flux)
+   */
+  cancelGeneration() {
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  /**
+   * Termine la session : minuteurs arretes et generation en cours annulee
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.timers.analysis);
+    clearTimeout(this.timers.suggestion);
+    this.cancelGeneration();
+  }
+}
+
+export default TypingAssistantSession;
@@ -0,0 +1,113 @@
+/**
+ * Canal WebSocket de l'assistant de saisie (config.assistant.path)
+ * Authentifie la connexion comme les routes REST puis relie chaque connexion
+ * a une TypingAssistantSession. Les messages echanges sont du JSON :
+ * - client -> serveur : { type: 'start' | 'message' | 'draft', ... }
+ * - serveur -> client : { type: 'ready' | 'analysis' | 'suggestion' | 'error', data }
+ */
+
+import { STATUS_CODES } from 'http';
+import WebSocket from 'faye-websocket';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { getClientKey } from '../middleware/rate-limit.js';
+import { Errors, serializeError } from '../middleware/error-handler.js';
+import { TypingAssistantSession } from './typing-assistant.js';
+
+// Intervalle des pings de maintien de connexion (secondes)
+const PING_INTERVAL = 30;
+
+/**
+ * Authentifie la requete d'ouverture avec le middleware des routes REST
+ * Les navigateurs ne pouvant pas definir d'en-tetes sur une connexion WebSocket,
+ * le jeton peut aussi etre passe dans le parametre access_token de l'URL
+ * @param {import('http').IncomingMessage} request
+ * @param {URL} url - URL de la requete
+ * @returns {Promise<void>} - Rejetee avec l'erreur d'authentification
+ */
+function authenticateUpgrade(request, url) {
+  const token = url.searchParams.get('access_token');
+  if (token && !request.headers.authorization) {
+    request.headers.authorization = `Bearer ${token}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    authenticate(request, null, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Refuse l'ouverture de la connexion par une reponse HTTP
+ */
+function rejectUpgrade(socket, error) {
+  const status = error.statusCode || 500;
+  const body = JSON.stringify({ success: false, error: serializeError(error) });
+
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n`
+    + 'Content-Type: application/json; charset=utf-8\r\n'
+    + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+    + 'Connection: close\r\n\r\n'
+    + body
+  );
+}
+
+/**
+ * Ouvre le canal de l'assistant de saisie sur le serveur HTTP
+ * @param {import('http').Server} server - Serveur renvoye par app.listen
+ * @param {Object} options
+ * @param {Function} options.checkOrigin - (origin) => Promise<boolean>, memes regles que CORS
+ */
+export function attachTypingAssistant(server, { checkOrigin = async () => true } = {}) {
+  server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname !== config.assistant.path || !WebSocket.isWebSocket(request)) {
+      socket.destroy();
+      return;
+    }
+
+    // Une erreur du socket (client parti pendant l'authentification) ne doit pas remonter
+    // en exception non geree
+    socket.on('error', (error) => {
+      logger.debug('Erreur du socket de l\'assistant de saisie', { error: error.message });
+    });
+
+    try {
+      // Les navigateurs n'appliquent pas CORS aux WebSockets : l'origine est verifiee ici
+      if (!(await checkOrigin(request.headers.origin))) {
+        throw Errors.Forbidden('Origine non autorisee');
+      }
+      await authenticateUpgrade(request, url);
+    } catch (error) {
+      if (!socket.destroyed) rejectUpgrade(socket, error);
+      return;
+    }
+
+    // Client deconnecte pendant la verification
+    if (socket.destroyed) return;
+
+    const ws = new WebSocket(request, socket, head, [], {
+      ping: PING_INTERVAL,
+      maxLength: config.assistant.maxPayloadBytes,
+    });
+
+    const send = (type, data) => ws.send(JSON.stringify({ type, data }));
+    const session = new TypingAssistantSession({
+      send,
+      sendError: (error) => send('error', serializeError(error)),
+      user: request.user,
+      clientKey: getClientKey({ user: request.user, apiKey: request.apiKey, ip: socket.remoteAddress }),
+    });
+
+    logger.info('Connexion a l\'assistant de saisie', { sessionId: session.id, client: session.clientKey });
+
+    ws.on('message', (event) => session.handle(event.data));
+    ws.on('close', (event) => {
+      session.close();
+      logger.info('Assistant de saisie deconnecte', { sessionId: session.id, code: event.code });
+    });
+  });
+}
+
+export default attachTypingAssistant;
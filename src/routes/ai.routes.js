@@ -1,18 +1,229 @@
 /**
  * Routes API pour les services d'intelligence artificielle
+ *
+ * Les routes exigent un en-tete "Authorization: Bearer <ID token Firebase>"
+ * (ou "X-API-Key") lorsque config.auth.enabled est actif ; le currentUserId
+ * du body doit alors correspondre a l'utilisateur authentifie.
+ * Les routes de generation sont soumises au quota de tokens du client.
  */
 
 import { Router } from 'express';
-import aiService from '../ai/index.js';
-import { asyncHandler, Errors } from '../middleware/error-handler.js';
+import config from '../config/index.js';
+import aiService, { responseCache, PromptBuilder } from '../ai/index.js';
+import feedbackTracker from '../feedback/index.js';
+import preferencesService from '../preferences/index.js';
+import { suggestionFeedbackTotal, recordAnalysis } from '../metrics/index.js';
+import {
+  asyncHandler, APIError, Errors, serializeError,
+} from '../middleware/error-handler.js';
+import { authenticate, authorizeCurrentUser, requireApiKey } from '../middleware/authenticate.js';
+import {
+  rateLimitByClient,
+  enforceTokenQuota,
+  recordTokenUsage,
+} from '../middleware/rate-limit.js';
+import { validate, validateValue } from '../middleware/validate-request.js';
+import { trackRoute } from '../middleware/metrics.js';
 import {
-  validateSuggestionRequest,
-  validateAnalyzeRequest,
-} from '../middleware/validate-request.js';
+  suggestionSchema,
+  suggestMultipleSchema,
+  analyzeSchema,
+  analyzeBatchSchema,
+  batchConversationSchema,
+  rewriteSchema,
+  summarizeSchema,
+  quickRepliesSchema,
+  translateSchema,
+  feedbackSchema,
+} from '../schemas/ai.schemas.js';
+import { findConflicts } from '../ai/rewrite-transformations.js';
 import logger from '../utils/logger.js';
+import { openEventStream } from '../utils/sse.js';
 
 const router = Router();
 
+/**
+ * Indique si le client demande un resultat frais (Cache-Control: no-cache)
+ */
+function isCacheBypassed(req) {
+  return /\b(no-cache|no-store)\b/i.test(req.get('Cache-Control') || '');
+}
+
+/**
+ * Normalise count comme avant le moteur de schemas : une chaine numerique est acceptee,
+ * une valeur hors bornes est ramenee dans 1..max et une valeur illisible vaut 3
+ * A placer avant la validation du body
+ */
+function normalizeCount(max) {
+  return (req, res, next) => {
+    if (req.body?.count !== undefined) {
+      req.body.count = Math.min(Math.max(1, parseInt(req.body.count, 10) || 3), max);
+    }
+    next();
+  };
+}
+
+/**
+ * Verifie que replyTo designe un interlocuteur de la conversation (ou 'group')
+ * A placer apres la validation du body
+ */
+function validateReplyTo(req, res, next) {
+  const { replyTo, messages = [], currentUserId } = req.body;
+  if (replyTo === undefined || replyTo === PromptBuilder.REPLY_TO_GROUP) {
+    return next();
+  }
+
+  const isContact = messages.some((m) => m.senderId === replyTo && m.senderId !== currentUserId);
+  if (!isContact) {
+    return next(Errors.BadRequest('Validation echouee (1 erreur)', [{
+      path: 'replyTo',
+      rule: 'participant',
+      message: 'replyTo: ne correspond a aucun interlocuteur de la conversation',
+    }]));
+  }
+
+  next();
+}
+
+/**
+ * Refuse les transformations contradictoires (ex: formal et casual)
+ * A placer apres la validation du body
+ */
+function validateTransformations(req, res, next) {
+  const conflicts = findConflicts(req.body.transformations);
+  if (conflicts.length > 0) {
+    return next(Errors.BadRequest(
+      `Validation echouee (${conflicts.length} erreur${conflicts.length > 1 ? 's' : ''})`,
+      conflicts.map(([a, b]) => ({
+        path: 'transformations',
+        rule: 'conflict',
+        message: `transformations: ${a} et ${b} sont incompatibles`,
+      }))
+    ));
+  }
+
+  next();
+}
+
+/**
+ * Exige le texte envoye lorsque la suggestion a ete modifiee
+ * A placer apres la validation du body
+ */
+function validateFinalText(req, res, next) {
+  const { outcome, finalText } = req.body;
+  if (outcome === 'edited' && finalText === undefined) {
+    return next(Errors.BadRequest('Validation echouee (1 erreur)', [{
+      path: 'finalText',
+      rule: 'required',
+      message: 'finalText: requis lorsque outcome vaut edited',
+    }]));
+  }
+
+  next();
+}
+
+// Ordre de tri des analyses groupees par urgence (les erreurs en dernier)
+const URGENCY_RANK = { urgent: 0, normal: 1, faible: 2 };
+
+/**
+ * Analyse une conversation d'un lot ; ses erreurs sont rendues dans son resultat
+ * @param {Object} conversation - Element de conversations (non valide)
+ * @param {string} path - Chemin de l'element dans le body (erreurs de validation)
+ * @param {Object} context
+ * @param {Object} context.user - Utilisateur authentifie (req.user)
+ * @param {Set<string>} context.seenIds - Identifiants deja traites dans le lot
+ * @param {{ remaining: number }} context.budget - Messages encore analysables, decremente
+ * @param {boolean} context.bypass - Ignorer le cache (Cache-Control: no-cache)
+ * @returns {Promise<Object>} - { id, success, analysis, metadata } ou { id, success, error }
+ */
+async function analyzeBatchConversation(conversation, path, { user, seenIds, budget, bypass }) {
+  const id = typeof conversation?.id === 'string' ? conversation.id : null;
+  const fail = (error) => ({ id, success: false, error: serializeError(error) });
+
+  const errors = validateValue(conversation, batchConversationSchema, path);
+  if (errors.length > 0) {
+    return fail(Errors.BadRequest(
+      `Validation echouee (${errors.length} erreur${errors.length > 1 ? 's' : ''})`,
+      errors
+    ));
+  }
+
+  if (seenIds.has(id)) {
+    return fail(Errors.BadRequest(`Conversation ${id} presente plusieurs fois dans le lot`));
+  }
+  seenIds.add(id);
+
+  const { messages, currentUserId, currentUserName } = conversation;
+
+  if (user && currentUserId !== user.uid) {
+    return fail(Errors.Forbidden('currentUserId ne correspond pas a l\'utilisateur authentifie'));
+  }
+
+  // Les conversations suivantes peuvent encore tenir dans le budget restant
+  if (messages.length > budget.remaining) {
+    return fail(new APIError(
+      `Budget de messages du lot depasse (${budget.remaining} restants sur ${config.analyzeBatch.maxMessages})`,
+      413,
+      'MESSAGE_BUDGET_EXCEEDED'
+    ));
+  }
+  budget.remaining -= messages.length;
+
+  const userName = currentUserName || 'Utilisateur';
+
+  try {
+    // Meme cle que /analyze : les deux endpoints partagent leurs resultats
+    const { value: analysis, cache } = await responseCache.getOrCompute(
+      'analyze',
+      { messages, currentUserId, currentUserName: userName },
+      () => aiService.analyzeConversation(messages, currentUserId, userName),
+      { bypass }
+    );
+    recordAnalysis(analysis);
+
+    return { id, success: true, analysis, metadata: { cache } };
+  } catch (error) {
+    logger.error('Erreur d\'analyse d\'une conversation du lot', { id, error: error.message });
+    return fail(error);
+  }
+}
+
+/**
+ * Trie les resultats d'un lot par urgence decroissante
+ * Ordre d'origine conserve a urgence egale ; les conversations en erreur en dernier
+ */
+function sortByUrgency(results) {
+  const rank = (result) => (result.success ? URGENCY_RANK[result.analysis.urgency] ?? 1 : Infinity);
+  return [...results].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Enregistre une suggestion generee pour le suivi des retours
+ * @returns {Promise<string>} - suggestionId a renvoyer au client
+ */
+function trackSuggestion(req, suggestion, { mode, analysis, metadata }) {
+  return feedbackTracker.register({
+    userId: req.body.currentUserId,
+    suggestion,
+    mode,
+    analysis,
+    metadata,
+  });
+}
+
+/**
+ * Ajoute un suggestionId a chaque suggestion d'un resultat multiple
+ */
+function withSuggestionIds(req, result) {
+  return Promise.all(result.suggestions.map(async (item) => ({
+    ...item,
+    suggestionId: await trackSuggestion(req, item.suggestion, result),
+  })));
+}
+
+// Authentification puis limite de requetes par client sur toutes les routes IA
+router.use(trackRoute, authenticate, rateLimitByClient);
+
 /**
  * POST /api/ai/suggest
  * Genere une suggestion de message basee sur le contexte de conversation
@@ -22,18 +233,36 @@ const router = Router();
  * - messages: Array - Messages de la conversation
  * - currentUserId: string - ID de l'utilisateur courant
  * - currentUserName: string - Nom de l'utilisateur courant
+ * - language: string (optionnel) - Langue de la reponse (defaut: langue detectee)
+ * - replyTo: string (optionnel) - senderId du participant vise ou 'group' (defaut: destinataire detecte)
+ * - summary: string (optionnel) - Resume des echanges anterieurs aux messages (voir /summarize)
+ *
+ * Les preferences enregistrees de l'utilisateur (PUT /api/users/:id/preferences)
+ * s'appliquent ; language dans le corps l'emporte sur la langue preferee.
  *
  * Response:
  * - suggestion: string - Le message suggere
+ * - suggestionId: string - Identifiant a renvoyer a POST /api/ai/feedback
  * - mode: 'suggest' | 'improve' - Le mode utilise
  * - analysis: object - Analyse de la conversation
- * - metadata: object - Informations sur le traitement
+ * - metadata: object - Informations sur le traitement (dont le statut du cache)
+ *   - engine: 'llm' | 'heuristic' - Moteur ayant produit la suggestion
+ *
+ * Si le fournisseur IA est indisponible (ou son disjoncteur ouvert), le mode
+ * suggest est servi par le moteur de reponses rapides (metadata.engine = 'heuristic').
+ * L'en-tete "Cache-Control: no-cache" force une nouvelle generation.
  */
 router.post(
   '/suggest',
-  validateSuggestionRequest,
+  enforceTokenQuota,
+  validate(suggestionSchema),
+  validateReplyTo,
+  authorizeCurrentUser,
   asyncHandler(async (req, res) => {
-    const { currentInput, messages, currentUserId, currentUserName } = req.body;
+    const {
+      currentInput, messages, currentUserId, currentUserName, language, replyTo, summary,
+    } = req.body;
+    const { preferences } = await preferencesService.get(currentUserId);
 
     logger.info('Requete de suggestion recue', {
       userId: currentUserId,
@@ -42,24 +271,180 @@ router.post(
       hasInput: !!currentInput,
     });
 
-    if (!aiService.isAvailable()) {
+    const mode = currentInput?.trim() ? 'improve' : 'suggest';
+    const heuristic = aiService.shouldUseHeuristics(mode);
+
+    if (!aiService.isAvailable() && !heuristic) {
       throw Errors.AIServiceError('Service IA temporairement indisponible');
     }
 
-    const result = await aiService.generateSuggestion({
+    const params = {
       currentInput: currentInput || '',
       messages: messages || [],
       currentUserId,
       currentUserName,
+      language,
+      replyTo,
+      summary,
+      preferences,
+    };
+
+    // Les reponses heuristiques ne sont pas mises en cache : elles
+    // masqueraient les suggestions du fournisseur une fois celui-ci retabli
+    const { value: result, cache } = heuristic
+      ? { value: await aiService.generateSuggestion(params), cache: 'bypass' }
+      : await responseCache.getOrCompute(
+        'suggest',
+        { ...params, mode, styleProfile: await aiService.getStyleProfile(params.messages, currentUserId) },
+        () => aiService.generateSuggestion(params),
+        { bypass: isCacheBypassed(req) }
+      );
+
+    // Un resultat servi depuis le cache ne consomme pas de tokens
+    if (cache !== 'hit') {
+      recordTokenUsage(req, res, result.metadata.tokensUsed);
+    }
+
+    recordAnalysis(result.analysis);
+
+    // Identifiant propre a chaque reponse, y compris depuis le cache
+    const suggestionId = await trackSuggestion(req, result.suggestion, result);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        suggestionId,
+        metadata: { ...result.metadata, cache },
+      },
     });
+  })
+);
+
+/**
+ * POST /api/ai/quick-replies
+ * Reponses rapides ("smart chips") generees localement, sans appel au LLM
+ * Instantane, deterministe et sans consommation de tokens
+ *
+ * Body:
+ * - messages: Array (optionnel) - Messages de la conversation
+ * - currentUserId: string - ID de l'utilisateur courant
+ * - currentUserName: string - Nom de l'utilisateur courant
+ * - language: string (optionnel) - Langue des reponses (fr ou en, defaut: langue detectee)
+ * - replyTo: string (optionnel) - senderId du participant vise ou 'group'
+ * - count: integer (optionnel) - Nombre de reponses (1 a 3, defaut 3)
+ *
+ * Response:
+ * - suggestions: Array<{ suggestion, suggestionId, temperature, tokensUsed }> - Reponses courtes
+ * - mode: 'suggest'
+ * - situation: { type, register, language } - Situation detectee et registre retenu
+ * - analysis: object - Analyse de la conversation
+ * - metadata: object - engine = 'heuristic'
+ */
+router.post(
+  '/quick-replies',
+  validate(quickRepliesSchema),
+  validateReplyTo,
+  authorizeCurrentUser,
+  asyncHandler(async (req, res) => {
+    const {
+      messages, currentUserId, currentUserName, language, replyTo, count,
+    } = req.body;
+
+    const result = aiService.generateQuickReplies(
+      {
+        messages: messages || [],
+        currentUserId,
+        currentUserName,
+        language,
+        replyTo,
+      },
+      count
+    );
+    recordAnalysis(result.analysis);
 
     res.json({
       success: true,
-      data: result,
+      data: {
+        ...result,
+        suggestions: await withSuggestionIds(req, result),
+      },
     });
   })
 );
 
+/**
+ * POST /api/ai/suggest/stream
+ * Genere une suggestion en streaming via Server-Sent Events
+ *
+ * Body: (meme que /suggest)
+ *
+ * Evenements:
+ * - analysis: { mode, analysis } - Analyse de la conversation, envoyee en premier
+ * - delta: { content } - Fragment de texte genere
+ * - done: { suggestion, suggestionId, mode, metadata } - Suggestion nettoyee et usage des tokens
+ * - error: { code, message } - Erreur survenue pendant le flux
+ */
+router.post(
+  '/suggest/stream',
+  enforceTokenQuota,
+  validate(suggestionSchema),
+  validateReplyTo,
+  authorizeCurrentUser,
+  asyncHandler(async (req, res) => {
+    const {
+      currentInput, messages, currentUserId, currentUserName, language, replyTo, summary,
+    } = req.body;
+    const { preferences } = await preferencesService.get(currentUserId);
+
+    logger.info('Requete de suggestion streamee recue', {
+      userId: currentUserId,
+      userName: currentUserName,
+      messageCount: messages?.length || 0,
+      hasInput: !!currentInput,
+    });
+
+    if (!aiService.isAvailable()) {
+      throw Errors.AIServiceError('Service IA temporairement indisponible');
+    }
+
+    const stream = openEventStream(res);
+
+    try {
+      const events = aiService.streamSuggestion(
+        {
+          currentInput: currentInput || '',
+          messages: messages || [],
+          currentUserId,
+          currentUserName,
+          language,
+          replyTo,
+          summary,
+          preferences,
+        },
+        { signal: stream.signal }
+      );
+
+      let analysis = null;
+      for await (const { type, data } of events) {
+        if (type === 'analysis') {
+          analysis = data.analysis;
+          recordAnalysis(analysis);
+        }
+        if (type === 'done') {
+          recordTokenUsage(req, res, data.metadata.tokensUsed);
+          data.suggestionId = await trackSuggestion(req, data.suggestion, { ...data, analysis });
+        }
+        stream.send(type, data);
+      }
+    } catch (error) {
+      stream.sendError(error);
+    } finally {
+      stream.close();
+    }
+  })
+);
+
 /**
  * POST /api/ai/analyze
  * Analyse une conversation sans generer de suggestion
@@ -70,11 +455,18 @@ router.post(
  * - currentUserName: string (optionnel) - Nom de l'utilisateur
  *
  * Response:
- * - analysis: object - Analyse complete de la conversation
+ * - analysis: object - Analyse complete de la conversation, dont :
+ *   - messages: Array - Ton, emotion, formalite et reponse attendue par message
+ *   - participants: Array - Volume, longueur moyenne, emojis et ton dominant par participant
+ *   - emotionalTrajectory: object - Evolution du ton emotionnel (start, end, trend, description)
+ * - metadata: object - Statut du cache ('hit' | 'miss' | 'bypass' | 'disabled')
+ *
+ * L'en-tete "Cache-Control: no-cache" force un nouveau calcul.
  */
 router.post(
   '/analyze',
-  validateAnalyzeRequest,
+  validate(analyzeSchema),
+  authorizeCurrentUser,
   asyncHandler(async (req, res) => {
     const { messages, currentUserId, currentUserName } = req.body;
 
@@ -83,15 +475,268 @@ router.post(
       messageCount: messages.length,
     });
 
-    const analysis = aiService.analyzeConversation(
+    const userName = currentUserName || 'Utilisateur';
+
+    const { value: analysis, cache } = await responseCache.getOrCompute(
+      'analyze',
+      { messages, currentUserId, currentUserName: userName },
+      () => aiService.analyzeConversation(messages, currentUserId, userName),
+      { bypass: isCacheBypassed(req) }
+    );
+    recordAnalysis(analysis);
+
+    res.json({
+      success: true,
+      data: {
+        analysis,
+        metadata: { cache },
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/ai/analyze/batch
+ * Analyse plusieurs conversations en une requete (badges d'humeur et d'urgence d'une boite de reception)
+ *
+ * Body:
+ * - conversations: Array (1 a 100) - Conversations a analyser, chacune avec :
+ *   - id: string - Identifiant repris dans le resultat
+ *   - messages, currentUserId, currentUserName : memes champs que /analyze
+ * - sortBy: 'input' | 'urgency' (optionnel) - Ordre des resultats (defaut: input)
+ *
+ * Response:
+ * - results: Array - Un resultat par conversation :
+ *   - { id, success: true, analysis, metadata: { cache } }
+ *   - { id, success: false, error: { code, message, details } }
+ * - metadata: object - total, analyzed, failed, messageCount, messageBudget, sortBy
+ *
+ * Chaque conversation est validee et analysee independamment : une erreur n'echoue
+ * que sa conversation. Les conversations sont admises dans l'ordre de la requete
+ * tant que le total de leurs messages tient dans config.analyzeBatch.maxMessages ;
+ * celles qui le depassent echouent avec le code MESSAGE_BUDGET_EXCEEDED.
+ * L'en-tete "Cache-Control: no-cache" force un nouveau calcul.
+ */
+router.post(
+  '/analyze/batch',
+  validate(analyzeBatchSchema),
+  asyncHandler(async (req, res) => {
+    const { conversations, sortBy = 'input' } = req.body;
+    const { maxMessages } = config.analyzeBatch;
+
+    logger.info('Requete d\'analyse groupee recue', {
+      userId: req.user?.uid,
+      conversationCount: conversations.length,
+    });
+
+    const context = {
+      user: req.user,
+      seenIds: new Set(),
+      budget: { remaining: maxMessages },
+      bypass: isCacheBypassed(req),
+    };
+
+    const results = [];
+    for (const [index, conversation] of conversations.entries()) {
+      results.push(await analyzeBatchConversation(conversation, `conversations[${index}]`, context));
+    }
+
+    const analyzed = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      data: {
+        results: sortBy === 'urgency' ? sortByUrgency(results) : results,
+        metadata: {
+          total: results.length,
+          analyzed,
+          failed: results.length - analyzed,
+          messageCount: maxMessages - context.budget.remaining,
+          messageBudget: maxMessages,
+          sortBy,
+        },
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/ai/rewrite
+ * Reecrit un brouillon selon une ou plusieurs transformations ciblees
+ *
+ * Body:
+ * - draft: string - Brouillon a reecrire
+ * - transformations: Array<string> - formal, casual, shorter, warmer, assertive,
+ *   apologetic, add_emojis, remove_emojis (1 a 4)
+ * - messages: Array (optionnel) - Messages de la conversation (contexte)
+ * - currentUserId: string - ID de l'utilisateur courant
+ * - currentUserName: string - Nom de l'utilisateur courant
+ * - language: string (optionnel) - Langue de la reponse (defaut: langue detectee)
+ *
+ * Response:
+ * - rewritten: string - Texte reecrit
+ * - original: string - Brouillon d'origine
+ * - transformations: Array<{ id, label }> - Transformations appliquees et libelles courts
+ * - analysis: object - Analyse de la conversation
+ * - metadata: object - Informations sur le traitement
+ */
+router.post(
+  '/rewrite',
+  enforceTokenQuota,
+  validate(rewriteSchema),
+  validateTransformations,
+  authorizeCurrentUser,
+  asyncHandler(async (req, res) => {
+    const {
+      draft, transformations, messages, currentUserId, currentUserName, language,
+    } = req.body;
+
+    logger.info('Requete de reecriture recue', {
+      userId: currentUserId,
+      transformations,
+      messageCount: messages?.length || 0,
+    });
+
+    if (!aiService.isAvailable()) {
+      throw Errors.AIServiceError('Service IA temporairement indisponible');
+    }
+
+    const result = await aiService.rewrite({
+      draft,
+      transformations,
+      messages: messages || [],
+      currentUserId,
+      currentUserName,
+      language,
+    });
+
+    recordTokenUsage(req, res, result.metadata.tokensUsed);
+    recordAnalysis(result.analysis);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  })
+);
+
+/**
+ * POST /api/ai/translate
+ * Traduit un message recu ou un brouillon en respectant le registre de la conversation
+ *
+ * Body:
+ * - text: string - Texte a traduire
+ * - targetLanguage: string - Langue cible (ISO 639-1)
+ * - kind: 'incoming' | 'draft' (optionnel, defaut draft) - Message recu ou brouillon
+ * - messages: Array (optionnel) - Messages de la conversation (contexte)
+ * - currentUserId: string - ID de l'utilisateur courant
+ * - currentUserName: string - Nom de l'utilisateur courant
+ *
+ * Response:
+ * - translation: string - Texte traduit
+ * - sourceLanguage: { code, confidence } - Langue source detectee parmi les langues dotees
+ *   d'un lexique ('und' si indeterminee) ; le texte est traduit dans tous les cas
+ * - targetLanguage: string - Langue cible
+ * - kind: string - Type de texte traduit
+ * - analysis: object - Analyse de la conversation
+ * - metadata: object - Informations sur le traitement
+ */
+router.post(
+  '/translate',
+  enforceTokenQuota,
+  validate(translateSchema),
+  authorizeCurrentUser,
+  asyncHandler(async (req, res) => {
+    const {
+      text, targetLanguage, kind, messages, currentUserId, currentUserName,
+    } = req.body;
+
+    logger.info('Requete de traduction recue', {
+      userId: currentUserId,
+      targetLanguage,
+      kind: kind || 'draft',
+      messageCount: messages?.length || 0,
+    });
+
+    if (!aiService.isAvailable()) {
+      throw Errors.AIServiceError('Service IA temporairement indisponible');
+    }
+
+    const result = await aiService.translate({
+      text,
+      targetLanguage,
+      kind,
+      messages: messages || [],
+      currentUserId,
+      currentUserName,
+    });
+
+    recordTokenUsage(req, res, result.metadata.tokensUsed);
+    recordAnalysis(result.analysis);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  })
+);
+
+/**
+ * POST /api/ai/summarize
+ * Resume une conversation longue, ou met a jour un resume existant
+ *
+ * Mise a jour incrementale : le client envoie le resume precedent et
+ * uniquement les messages recus depuis. Le resume obtenu est a transmettre
+ * dans le champ summary de /suggest pour conserver le contexte des longues
+ * conversations tout en n'envoyant que les messages recents.
+ *
+ * Body:
+ * - messages: Array - Messages a resumer (1 a 200)
+ * - previousSummary: string (optionnel) - Resume precedent a completer
+ * - currentUserId: string - ID de l'utilisateur courant
+ * - currentUserName: string - Nom de l'utilisateur courant
+ * - language: string (optionnel) - Langue du resume (defaut: langue detectee)
+ *
+ * Response:
+ * - summary: string - Resume de la conversation
+ * - incremental: boolean - true si previousSummary a ete mis a jour
+ * - messageCount: number - Nombre de messages integres au resume
+ * - language: string - Langue du resume
+ * - metadata: object - Informations sur le traitement
+ */
+router.post(
+  '/summarize',
+  enforceTokenQuota,
+  validate(summarizeSchema),
+  authorizeCurrentUser,
+  asyncHandler(async (req, res) => {
+    const {
+      messages, previousSummary, currentUserId, currentUserName, language,
+    } = req.body;
+
+    logger.info('Requete de resume recue', {
+      userId: currentUserId,
+      messageCount: messages.length,
+      incremental: !!previousSummary,
+    });
+
+    if (!aiService.isAvailable()) {
+      throw Errors.AIServiceError('Service IA temporairement indisponible');
+    }
+
+    const result = await aiService.summarize({
       messages,
+      previousSummary,
       currentUserId,
-      currentUserName || 'Utilisateur'
-    );
+      currentUserName,
+      language,
+    });
+
+    recordTokenUsage(req, res, result.metadata.tokensUsed);
 
     res.json({
       success: true,
-      data: { analysis },
+      data: result,
     });
   })
 );
@@ -102,14 +747,24 @@ router.post(
  *
  * Response:
  * - available: boolean - Si le service est disponible
+ * - provider: string - Le fournisseur LLM actif
  * - model: string - Le modele utilise
+ * - circuit: object - Etat du disjoncteur du fournisseur
+ * - promptVersion: string - Version des modeles de prompts
  */
 router.get('/status', (req, res) => {
+  const available = aiService.isAvailable();
+  const providerInfo = aiService.getProviderInfo();
+
   res.json({
     success: true,
     data: {
-      available: aiService.isAvailable(),
-      model: aiService.isAvailable() ? 'llama-3.1-8b-instant' : null,
+      available,
+      provider: providerInfo?.provider || null,
+      model: available ? providerInfo.model : null,
+      circuit: aiService.getCircuitState(),
+      heuristicFallback: config.ai.heuristicFallback,
+      promptVersion: config.prompts.version,
       timestamp: new Date().toISOString(),
     },
   });
@@ -120,36 +775,138 @@ router.get('/status', (req, res) => {
  * Genere plusieurs suggestions alternatives
  *
  * Body: (meme que /suggest)
- * - count: number (optionnel) - Nombre de suggestions (max 5, default 3)
+ * - count: integer (optionnel) - Nombre de suggestions (1 a 5, default 3, ramene dans les bornes)
  *
  * Response:
- * - suggestions: Array<string> - Liste de suggestions
+ * - suggestions: Array<{ suggestion, suggestionId, temperature, tokensUsed }> - Suggestions generees en parallele
+ * - mode: 'suggest' | 'improve' - Le mode utilise
+ * - analysis: object - Analyse de la conversation (calculee une seule fois)
+ * - metadata: object - Informations sur le traitement
+ *
+ * Meme repli heuristique que /suggest (metadata.engine = 'heuristic').
  */
 router.post(
   '/suggest-multiple',
-  validateSuggestionRequest,
+  enforceTokenQuota,
+  normalizeCount(suggestMultipleSchema.properties.count.max),
+  validate(suggestMultipleSchema),
+  validateReplyTo,
+  authorizeCurrentUser,
   asyncHandler(async (req, res) => {
-    const { currentInput, messages, currentUserId, currentUserName, count = 3 } = req.body;
+    const {
+      currentInput, messages, currentUserId, currentUserName, language, replyTo, summary, count = 3,
+    } = req.body;
+    const { preferences } = await preferencesService.get(currentUserId);
 
-    if (!aiService.isAvailable()) {
+    const mode = currentInput?.trim() ? 'improve' : 'suggest';
+    if (!aiService.isAvailable() && !aiService.shouldUseHeuristics(mode)) {
       throw Errors.AIServiceError('Service IA temporairement indisponible');
     }
 
-    const maxCount = Math.min(Math.max(1, parseInt(count, 10) || 3), 5);
-
-    const suggestions = await aiService.generateMultipleSuggestions(
+    const result = await aiService.generateMultipleSuggestions(
       {
         currentInput: currentInput || '',
         messages: messages || [],
         currentUserId,
         currentUserName,
+        language,
+        replyTo,
+        summary,
+        preferences,
       },
-      maxCount
+      count
     );
 
+    recordTokenUsage(req, res, result.metadata.tokensUsed);
+    recordAnalysis(result.analysis);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        suggestions: await withSuggestionIds(req, result),
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/ai/feedback
+ * Enregistre le devenir d'une suggestion (/suggest, /suggest/stream, /suggest-multiple, /quick-replies)
+ *
+ * Body:
+ * - suggestionId: string - Identifiant renvoye avec la suggestion
+ * - outcome: 'accepted' | 'edited' | 'rejected' - Envoyee telle quelle, modifiee ou non utilisee
+ * - finalText: string (requis si edited) - Texte finalement envoye
+ * - currentUserId: string - ID de l'utilisateur ayant recu la suggestion
+ *
+ * Response:
+ * - suggestionId: string
+ * - outcome: string
+ * - editDistance: number | null - Distance de Levenshtein entre suggestion et texte envoye
+ * - editRatio: number | null - Distance rapportee a la longueur (0 a 1)
+ *
+ * Un seul retour par suggestion (409 ensuite). Les textes ne sont pas conserves.
+ */
+router.post(
+  '/feedback',
+  validate(feedbackSchema),
+  validateFinalText,
+  authorizeCurrentUser,
+  asyncHandler(async (req, res) => {
+    const {
+      suggestionId, outcome, finalText, currentUserId,
+    } = req.body;
+
+    const entry = await feedbackTracker.record(suggestionId, currentUserId, { outcome, finalText });
+    const { feedback } = entry;
+    suggestionFeedbackTotal.inc({ mode: entry.mode, outcome });
+
+    logger.info('Retour sur suggestion recu', { userId: currentUserId, outcome, mode: entry.mode });
+
+    res.json({
+      success: true,
+      data: {
+        suggestionId,
+        outcome,
+        editDistance: feedback.editDistance,
+        editRatio: feedback.editRatio,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/ai/feedback/report
+ * Taux d'acceptation et distance d'edition, ventiles par mode, modele, ton et relation
+ * Reserve aux cles API lorsque l'authentification est active (donnees de tous les utilisateurs)
+ *
+ * Query:
+ * - since: string (optionnel) - Date ISO 8601 ; seules les suggestions generees depuis sont retenues
+ *
+ * Response:
+ * - suggestions: number - Suggestions generees sur la periode
+ * - feedbackRate: number | null - Part des suggestions ayant recu un retour
+ * - overall: object - total, accepted, edited, rejected, acceptanceRate, usageRate,
+ *   rejectionRate, averageEditDistance, averageEditRatio
+ * - byMode, byModel, byTone, byRelationship: object - Memes indicateurs par valeur
+ */
+router.get(
+  '/feedback/report',
+  requireApiKey,
+  asyncHandler(async (req, res) => {
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    if (since && Number.isNaN(since.getTime())) {
+      throw Errors.BadRequest('Validation echouee (1 erreur)', [{
+        path: 'since',
+        rule: 'format',
+        message: 'since: date ISO 8601 attendue',
+      }]);
+    }
+
     res.json({
       success: true,
-      data: { suggestions },
+      data: await feedbackTracker.buildReport({ since }),
     });
   })
 );
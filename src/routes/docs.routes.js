@@ -0,0 +1,27 @@
+/**
+ * Routes de documentation de l'API
+ */
+
+import { Router } from 'express';
+import { buildOpenAPISpec } from '../docs/openapi.js';
+import { renderDocsPage } from '../docs/docs-page.js';
+
+const router = Router();
+
+/**
+ * GET /openapi.json
+ * Specification OpenAPI 3 de l'API
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(buildOpenAPISpec());
+});
+
+/**
+ * GET /docs
+ * Documentation HTML autonome generee a partir de la specification
+ */
+router.get('/docs', (req, res) => {
+  res.type('html').send(renderDocsPage(buildOpenAPISpec()));
+});
+
+export default router;
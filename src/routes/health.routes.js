@@ -18,6 +18,7 @@ router.get('/', (req, res) => {
     uptime: process.uptime(),
     services: {
       ai: aiService.isAvailable() ? 'available' : 'unavailable',
+      aiCircuit: aiService.getCircuitState()?.state || null,
     },
   });
 });
@@ -28,11 +29,14 @@ router.get('/', (req, res) => {
  */
 router.get('/ready', (req, res) => {
   const isReady = aiService.isAvailable();
+  const circuit = aiService.getCircuitState();
 
-  if (isReady) {
-    res.json({ status: 'ready' });
-  } else {
+  if (!isReady) {
     res.status(503).json({ status: 'not ready', reason: 'AI service unavailable' });
+  } else if (circuit?.state === 'open') {
+    res.status(503).json({ status: 'not ready', reason: 'AI provider circuit open', circuit });
+  } else {
+    res.json({ status: 'ready', circuit });
   }
 });
 
@@ -0,0 +1,63 @@
+/**
+ * Route d'export des metriques Prometheus
+ *
+ * Protegee par "Authorization: Bearer <METRICS_TOKEN>" lorsque
+ * config.metrics.token est defini (recommande en production).
+ */
+
+import { Router } from 'express';
+import config from '../config/index.js';
+import aiService from '../ai/index.js';
+import registry from '../metrics/index.js';
+import { MetricsRegistry } from '../utils/metrics.js';
+import { safeEqual } from '../utils/safe-equal.js';
+import { Errors } from '../middleware/error-handler.js';
+import { trackRoute } from '../middleware/metrics.js';
+
+const router = Router();
+
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+
+// Etat du disjoncteur, lu au moment de l'export
+registry.gauge({
+  name: 'ai_provider_circuit_state',
+  help: 'Etat du disjoncteur du fournisseur IA (1 = etat courant)',
+  labelNames: ['provider', 'state'],
+  collect: () => {
+    const circuit = aiService.getCircuitState();
+    if (!circuit) return [];
+
+    const provider = aiService.getProviderInfo()?.provider;
+    return CIRCUIT_STATES.map((state) => ({
+      labels: { provider, state },
+      value: circuit.state === state ? 1 : 0,
+    }));
+  },
+});
+
+/**
+ * Exige le jeton de scraping s'il est configure
+ */
+function requireMetricsToken(req, res, next) {
+  const { token } = config.metrics;
+  if (!token) {
+    return next();
+  }
+
+  const [scheme, provided] = (req.headers.authorization || '').split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !provided || !safeEqual(provided.trim(), token)) {
+    return next(Errors.Unauthorized('Jeton de metriques invalide'));
+  }
+
+  next();
+}
+
+/**
+ * GET /metrics
+ * Metriques au format d'exposition Prometheus
+ */
+router.get('/', trackRoute, requireMetricsToken, (req, res) => {
+  res.type(MetricsRegistry.CONTENT_TYPE).send(registry.render());
+});
+
+export default router;
@@ -0,0 +1,79 @@
+/**
+ * Routes API des donnees propres a chaque utilisateur
+ *
+ * Memes exigences d'authentification que /api/ai : un utilisateur authentifie
+ * n'accede qu'a ses propres donnees (:id = uid du jeton), une cle API a toutes.
+ */
+
+import { Router } from 'express';
+import preferencesService from '../preferences/index.js';
+import { asyncHandler } from '../middleware/error-handler.js';
+import { authenticate, authorizeUserParam } from '../middleware/authenticate.js';
+import { rateLimitByClient } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate-request.js';
+import { trackRoute } from '../middleware/metrics.js';
+import { preferencesSchema } from '../schemas/user.schemas.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+
+router.use(trackRoute, authenticate, rateLimitByClient);
+
+/**
+ * GET /api/users/:id/preferences
+ * Preferences de generation de l'utilisateur
+ *
+ * Response:
+ * - userId: string
+ * - preferences: object - language, maxWords, emojis, address, formality (null = deduit)
+ *   et contacts (surcharges par senderId)
+ * - updatedAt: string | null - Derniere modification (null si jamais enregistrees)
+ */
+router.get(
+  '/:id/preferences',
+  authorizeUserParam,
+  asyncHandler(async (req, res) => {
+    const { preferences, updatedAt } = await preferencesService.get(req.params.id);
+
+    res.json({
+      success: true,
+      data: { userId: req.params.id, preferences, updatedAt },
+    });
+  })
+);
+
+/**
+ * PUT /api/users/:id/preferences
+ * Remplace les preferences de generation de l'utilisateur
+ * Appliquees par /api/ai/suggest, /suggest/stream et /suggest-multiple
+ *
+ * Body:
+ * - language: string (optionnel) - Langue des reponses (ISO 639-1)
+ * - maxWords: integer (optionnel) - Nombre maximal de mots (1 a 200)
+ * - emojis: 'never' | 'sparingly' | 'freely' (optionnel)
+ * - address: 'tu' | 'vous' (optionnel) - Tutoiement ou vouvoiement
+ * - formality: 'formel' | 'neutre' | 'informel' (optionnel) - Registre impose
+ * - contacts: object (optionnel) - Memes champs par senderId, prioritaires pour ce contact
+ *
+ * Response: (meme que GET)
+ */
+router.put(
+  '/:id/preferences',
+  authorizeUserParam,
+  validate(preferencesSchema),
+  asyncHandler(async (req, res) => {
+    const { preferences, updatedAt } = await preferencesService.replace(req.params.id, req.body);
+
+    logger.info('Preferences utilisateur mises a jour', {
+      userId: req.params.id,
+      contactCount: Object.keys(preferences.contacts).length,
+    });
+
+    res.json({
+      success: true,
+      data: { userId: req.params.id, preferences, updatedAt },
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,296 @@
+/**
+ * Schemas des requetes de l'API IA
+ * Source unique pour la validation (middleware/validate-request.js)
+ * et pour la specification OpenAPI (docs/openapi.js)
+ */
+
+import { TRANSFORMATION_IDS } from '../ai/rewrite-transformations.js';
+import { FEEDBACK_OUTCOMES } from '../feedback/feedback-tracker.js';
+
+/**
+ * Message de conversation
+ */
+export const messageSchema = {
+  type: 'object',
+  properties: {
+    content: { type: 'string', required: true, minLength: 1, maxLength: 5000, description: 'Texte du message' },
+    senderId: { type: 'string', required: true, minLength: 1, description: 'ID de l\'expediteur' },
+    senderName: { type: 'string', required: true, minLength: 1, description: 'Nom de l\'expediteur' },
+  },
+};
+
+/**
+ * Champs communs aux endpoints de generation
+ */
+const generationProperties = {
+  currentInput: {
+    type: 'string', required: false, maxLength: 2000,
+    description: 'Texte actuel du champ de saisie (vide = suggest, rempli = improve)',
+  },
+  messages: {
+    type: 'array', required: false, maxItems: 50, items: messageSchema,
+    description: 'Messages de la conversation, du plus ancien au plus recent',
+  },
+  currentUserId: { type: 'string', required: true, minLength: 1, description: 'ID de l\'utilisateur courant' },
+  currentUserName: {
+    type: 'string', required: true, minLength: 1, maxLength: 100,
+    description: 'Nom de l\'utilisateur courant',
+  },
+  language: {
+    type: 'string', required: false, pattern: '^[a-z]{2}$',
+    description: 'Langue de la reponse (ISO 639-1, defaut: langue detectee)',
+  },
+  replyTo: {
+    type: 'string', required: false, minLength: 1, maxLength: 128,
+    description: 'Destinataire de la reponse : senderId d\'un participant ou "group" (defaut: detecte)',
+  },
+  summary: {
+    type: 'string', required: false, maxLength: 4000,
+    description: 'Resume des echanges anterieurs aux messages envoyes (voir POST /api/ai/summarize)',
+  },
+};
+
+/**
+ * POST /api/ai/suggest et /api/ai/suggest/stream
+ */
+export const suggestionSchema = {
+  type: 'object',
+  properties: generationProperties,
+};
+
+/**
+ * POST /api/ai/suggest-multiple
+ */
+export const suggestMultipleSchema = {
+  type: 'object',
+  properties: {
+    ...generationProperties,
+    count: {
+      type: 'integer', required: false, min: 1, max: 5,
+      description: 'Nombre de suggestions (defaut: 3) ; une valeur hors bornes est ramenee entre 1 et 5',
+    },
+  },
+};
+
+/**
+ * POST /api/ai/quick-replies
+ */
+export const quickRepliesSchema = {
+  type: 'object',
+  properties: {
+    messages: generationProperties.messages,
+    currentUserId: generationProperties.currentUserId,
+    currentUserName: generationProperties.currentUserName,
+    language: generationProperties.language,
+    replyTo: generationProperties.replyTo,
+    count: { type: 'integer', required: false, min: 1, max: 3, description: 'Nombre de reponses (defaut: 3)' },
+  },
+};
+
+/**
+ * POST /api/ai/analyze
+ */
+export const analyzeSchema = {
+  type: 'object',
+  properties: {
+    messages: {
+      type: 'array', required: true, minItems: 1, maxItems: 100, items: messageSchema,
+      description: 'Messages de la conversation',
+    },
+    currentUserId: { type: 'string', required: true, minLength: 1, description: 'ID de l\'utilisateur courant' },
+    currentUserName: { type: 'string', required: false, description: 'Nom de l\'utilisateur (defaut: Utilisateur)' },
+  },
+};
+
+export const ANALYZE_BATCH_SORTS = ['input', 'urgency'];
+
+/**
+ * Conversation d'un lot POST /api/ai/analyze/batch
+ * Validee individuellement : une conversation invalide n'echoue qu'elle-meme
+ */
+export const batchConversationSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string', required: true, minLength: 1, maxLength: 200,
+      description: 'Identifiant de la conversation, repris dans le resultat',
+    },
+    ...analyzeSchema.properties,
+  },
+};
+
+/**
+ * POST /api/ai/analyze/batch
+ */
+export const analyzeBatchSchema = {
+  type: 'object',
+  properties: {
+    conversations: {
+      type: 'array', required: true, minItems: 1, maxItems: 100,
+      // Pas de type ici : un element invalide (null, nombre...) n'echoue que lui-meme
+      items: { description: 'Conversation (voir AnalyzeBatchConversation), validee individuellement' },
+      description: 'Conversations a analyser',
+    },
+    sortBy: {
+      type: 'string', required: false, enum: ANALYZE_BATCH_SORTS,
+      description: 'Ordre des resultats : input (defaut) ou urgency (plus urgentes d\'abord, erreurs en dernier)',
+    },
+  },
+};
+
+/**
+ * POST /api/ai/rewrite
+ */
+export const rewriteSchema = {
+  type: 'object',
+  properties: {
+    draft: { type: 'string', required: true, minLength: 1, maxLength: 2000, description: 'Brouillon a reecrire' },
+    transformations: {
+      type: 'array', required: true, minItems: 1, maxItems: 4,
+      items: { type: 'string', enum: TRANSFORMATION_IDS },
+      description: 'Transformations a appliquer (formal et casual, add_emojis et remove_emojis sont exclusifs)',
+    },
+    messages: generationProperties.messages,
+    currentUserId: generationProperties.currentUserId,
+    currentUserName: generationProperties.currentUserName,
+    language: generationProperties.language,
+  },
+};
+
+/**
+ * POST /api/ai/summarize
+ */
+export const summarizeSchema = {
+  type: 'object',
+  properties: {
+    messages: {
+      type: 'array', required: true, minItems: 1, maxItems: 200, items: messageSchema,
+      description: 'Messages a resumer (ceux posterieurs a previousSummary en cas de mise a jour)',
+    },
+    previousSummary: {
+      type: 'string', required: false, maxLength: 4000,
+      description: 'Resume precedent a completer avec les nouveaux messages',
+    },
+    currentUserId: generationProperties.currentUserId,
+    currentUserName: generationProperties.currentUserName,
+    language: {
+      type: 'string', required: false, pattern: '^[a-z]{2}$',
+      description: 'Langue du resume (ISO 639-1, defaut: langue detectee)',
+    },
+  },
+};
+
+/**
+ * POST /api/ai/translate
+ */
+export const translateSchema = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', required: true, minLength: 1, maxLength: 5000, description: 'Texte a traduire' },
+    targetLanguage: {
+      type: 'string', required: true, pattern: '^[a-z]{2}$',
+      description: 'Langue cible (ISO 639-1)',
+    },
+    kind: {
+      type: 'string', required: false, enum: ['incoming', 'draft'],
+      description: 'incoming = message recu, draft = brouillon de l\'utilisateur (defaut: draft)',
+    },
+    messages: generationProperties.messages,
+    currentUserId: generationProperties.currentUserId,
+    currentUserName: generationProperties.currentUserName,
+  },
+};
+
+/**
+ * POST /api/ai/feedback
+ */
+export const feedbackSchema = {
+  type: 'object',
+  properties: {
+    suggestionId: {
+      type: 'string', required: true, pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$',
+      description: 'Identifiant renvoye avec la suggestion',
+    },
+    outcome: {
+      type: 'string', required: true, enum: FEEDBACK_OUTCOMES,
+      description: 'accepted = envoyee telle quelle, edited = modifiee avant envoi, rejected = non utilisee',
+    },
+    finalText: {
+      type: 'string', required: false, minLength: 1, maxLength: 5000,
+      description: 'Texte finalement envoye (requis si outcome = edited)',
+    },
+    currentUserId: generationProperties.currentUserId,
+  },
+};
+
+/**
+ * Canal WebSocket /api/ai/assist : messages envoyes par le client
+ * Chaque message porte un type qui determine son schema
+ */
+export const ASSISTANT_MESSAGE_TYPES = ['start', 'message', 'draft'];
+
+const assistantType = {
+  type: 'string', required: true, enum: ASSISTANT_MESSAGE_TYPES,
+  description: 'start (ouvre la session), message (nouveau message), draft (brouillon modifie)',
+};
+
+const assistantDraft = {
+  ...generationProperties.currentInput,
+  description: 'Brouillon en cours de saisie (vide = suggestion de reponse, rempli = amelioration)',
+};
+
+/**
+ * start : contexte de la conversation, envoye une fois a l'ouverture
+ */
+export const assistantStartSchema = {
+  type: 'object',
+  properties: {
+    type: assistantType,
+    messages: generationProperties.messages,
+    currentUserId: generationProperties.currentUserId,
+    currentUserName: generationProperties.currentUserName,
+    language: generationProperties.language,
+    replyTo: generationProperties.replyTo,
+    summary: generationProperties.summary,
+    draft: assistantDraft,
+  },
+};
+
+/**
+ * message : message ajoute a la conversation (recu ou envoye)
+ */
+export const assistantMessageSchema = {
+  type: 'object',
+  properties: {
+    type: assistantType,
+    message: { ...messageSchema, required: true },
+  },
+};
+
+/**
+ * draft : nouveau contenu du champ de saisie
+ */
+export const assistantDraftSchema = {
+  type: 'object',
+  properties: {
+    type: assistantType,
+    draft: { ...assistantDraft, required: true },
+  },
+};
+
+export default {
+  messageSchema,
+  suggestionSchema,
+  suggestMultipleSchema,
+  quickRepliesSchema,
+  analyzeSchema,
+  batchConversationSchema,
+  analyzeBatchSchema,
+  rewriteSchema,
+  summarizeSchema,
+  translateSchema,
+  feedbackSchema,
+  assistantStartSchema,
+  assistantMessageSchema,
+  assistantDraftSchema,
+};
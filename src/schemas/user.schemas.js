@@ -0,0 +1,61 @@
+/**
+ * Schemas des requetes de l'API utilisateurs
+ * Source unique pour la validation (middleware/validate-request.js)
+ * et pour la specification OpenAPI (docs/openapi.js)
+ */
+
+import { EMOJI_POLICIES, ADDRESS_FORMS, FORMALITY_LEVELS } from '../preferences/preferences-service.js';
+
+/**
+ * Preferences applicables a toutes les conversations ou a un contact
+ * Une valeur absente ou null laisse le style deduit de la conversation
+ */
+const preferenceProperties = {
+  language: {
+    type: 'string', required: false, pattern: '^[a-z]{2}$',
+    description: 'Langue des reponses (ISO 639-1), sauf langue imposee par la requete',
+  },
+  maxWords: {
+    type: 'integer', required: false, min: 1, max: 200,
+    description: 'Nombre maximal de mots par suggestion',
+  },
+  emojis: {
+    type: 'string', required: false, enum: EMOJI_POLICIES,
+    description: 'never = aucun emoji (retires du texte genere), sparingly = un au plus, freely = librement',
+  },
+  address: {
+    type: 'string', required: false, enum: ADDRESS_FORMS,
+    description: 'Tutoiement ou vouvoiement du destinataire',
+  },
+  formality: {
+    type: 'string', required: false, enum: FORMALITY_LEVELS,
+    description: 'Registre impose a la place du ton deduit de la conversation',
+  },
+};
+
+/**
+ * Surcharges pour un contact
+ */
+export const contactPreferencesSchema = {
+  type: 'object',
+  properties: preferenceProperties,
+};
+
+/**
+ * PUT /api/users/:id/preferences
+ */
+export const preferencesSchema = {
+  type: 'object',
+  properties: {
+    ...preferenceProperties,
+    contacts: {
+      type: 'object', required: false, maxProperties: 200, additionalProperties: contactPreferencesSchema,
+      description: 'Surcharges par contact, indexees par senderId',
+    },
+  },
+};
+
+export default {
+  contactPreferencesSchema,
+  preferencesSchema,
+};
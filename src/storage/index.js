@@ -0,0 +1,29 @@
+/**
+ * Stockages cle-valeur partages par les donnees propres a chaque utilisateur
+ * Interface : get(key), set(key, value) et delete(key), tous asynchrones ;
+ * une autre implementation (Redis, base de donnees) peut etre passee aux services
+ */
+
+import { MemoryKeyValueStore } from './memory-store.js';
+import { JsonFileKeyValueStore } from './json-file-store.js';
+
+export { MemoryKeyValueStore, JsonFileKeyValueStore };
+
+/**
+ * Cree le stockage correspondant au nom demande
+ * @param {string} name - 'memory' | 'file'
+ * @param {Object} options
+ * @param {string} options.filePath - Fichier JSON (stockage 'file')
+ */
+export function createKeyValueStore(name, { filePath } = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryKeyValueStore();
+    case 'file':
+      return new JsonFileKeyValueStore({ filePath });
+    default:
+      throw new Error(`Stockage inconnu: ${name}`);
+  }
+}
+
+export default createKeyValueStore;
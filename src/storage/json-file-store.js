@@ -0,0 +1,56 @@
+/**
+ * Stockage cle-valeur dans un fichier JSON
+ * Les valeurs sont servies depuis la memoire ; chaque modification reecrit le
+ * fichier (via un fichier temporaire renomme, pour ne jamais le laisser tronque)
+ */
+
+import { writeFile, rename } from 'fs/promises';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { MemoryKeyValueStore } from './memory-store.js';
+
+export class JsonFileKeyValueStore extends MemoryKeyValueStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Chemin du fichier (cree si absent)
+   * @throws {Error} - Fichier existant illisible
+   */
+  constructor({ filePath } = {}) {
+    super();
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.pendingWrite = Promise.resolve();
+
+    mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (existsSync(this.filePath)) {
+      this.values = new Map(Object.entries(JSON.parse(readFileSync(this.filePath, 'utf8'))));
+    }
+  }
+
+  async set(key, value) {
+    await super.set(key, value);
+    return this.persist();
+  }
+
+  async delete(key) {
+    const existed = await super.delete(key);
+    if (existed) await this.persist();
+    return existed;
+  }
+
+  /**
+   * Reecrit le fichier ; les ecritures sont chainees pour conserver leur ordre
+   */
+  persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        await writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.values)));
+        await rename(tmpPath, this.filePath);
+      });
+    return this.pendingWrite;
+  }
+}
+
+export default JsonFileKeyValueStore;
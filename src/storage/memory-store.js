@@ -0,0 +1,36 @@
+/**
+ * Stockage cle-valeur en memoire (perdu au redemarrage)
+ */
+
+export class MemoryKeyValueStore {
+  constructor() {
+    this.name = 'memory';
+    this.values = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<* | null>} - null si la cle est absente
+   */
+  async get(key) {
+    return this.values.get(key) ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - Valeur serialisable en JSON
+   */
+  async set(key, value) {
+    this.values.set(key, value);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} - true si la cle existait
+   */
+  async delete(key) {
+    return this.values.delete(key);
+  }
+}
+
+export default MemoryKeyValueStore;
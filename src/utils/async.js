@@ -0,0 +1,30 @@
+/**
+ * Utilitaires asynchrones
+ */
+
+/**
+ * Attend un delai, interrompu si le signal est annule
+ * @param {number} ms - Delai en millisecondes
+ * @param {AbortSignal} signal - Signal d'annulation (optionnel)
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export default sleep;
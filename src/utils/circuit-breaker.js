@@ -0,0 +1,99 @@
+/**
+ * Disjoncteur (circuit breaker)
+ * Coupe les appels vers un service en panne et les retente apres un delai
+ */
+
+/**
+ * Etats possibles du disjoncteur
+ */
+export const CircuitState = {
+  CLOSED: 'closed', // Fonctionnement normal
+  OPEN: 'open', // Appels refuses immediatement
+  HALF_OPEN: 'half-open', // Un appel d'essai est autorise
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Echecs consecutifs avant ouverture
+   * @param {number} options.resetTimeoutMs - Duree d'ouverture avant un appel d'essai
+   */
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Indique si un appel peut etre tente maintenant
+   * Passe en demi-ouvert une fois le delai d'ouverture ecoule
+   */
+  canRequest() {
+    if (this.state === CircuitState.CLOSED) return true;
+
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) return false;
+      this.state = CircuitState.HALF_OPEN;
+    }
+
+    // Demi-ouvert : un seul appel d'essai a la fois
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Enregistre un appel reussi
+   */
+  recordSuccess() {
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Enregistre un appel en echec
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Libere l'appel d'essai sans conclure (ex: annulation par le client)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Millisecondes restantes avant le prochain appel d'essai
+   */
+  getRetryAfterMs() {
+    if (this.state !== CircuitState.OPEN) return 0;
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Etat expose pour le monitoring
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs(),
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,43 @@
+/**
+ * Distance d'edition entre deux textes
+ */
+
+/**
+ * Distance de Levenshtein (insertions, suppressions et substitutions de caracteres)
+ * Calculee sur les points de code pour ne pas couper les emojis
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  const source = Array.from(a);
+  const target = Array.from(b);
+  if (source.length === 0) return target.length;
+  if (target.length === 0) return source.length;
+
+  // Deux lignes de la matrice suffisent
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+  let current = new Array(target.length + 1);
+
+  for (let i = 1; i <= source.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[target.length];
+}
+
+/**
+ * Distance rapportee a la longueur du plus long texte
+ * @returns {number} - 0 (identiques) a 1 (entierement reecrit)
+ */
+export function editRatio(a, b) {
+  const length = Math.max(Array.from(a).length, Array.from(b).length);
+  return length === 0 ? 0 : levenshtein(a, b) / length;
+}
+
+export default levenshtein;
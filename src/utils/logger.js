@@ -5,9 +5,19 @@
 
 import winston from 'winston';
 import config from '../config/index.js';
+import { getRequestId } from './request-context.js';
 
 const { combine, timestamp, printf, colorize, errors } = winston.format;
 
+// Ajoute l'identifiant de la requete en cours (voir middleware/request-id.js)
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
 // Format personnalise pour les logs
 const logFormat = printf(({ level, message, timestamp, stack, ...metadata }) => {
   let log = `${timestamp} [${level}]: ${message}`;
@@ -29,6 +39,7 @@ const logFormat = printf(({ level, message, timestamp, stack, ...metadata }) =>
 const logger = winston.createLogger({
   level: config.isProduction ? 'info' : 'debug',
   format: combine(
+    requestIdFormat(),
     errors({ stack: true }),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     logFormat
@@ -0,0 +1,62 @@
+/**
+ * Cache LRU en memoire avec expiration
+ * Borne en nombre d'entrees, les plus anciennement utilisees sont evincees
+ */
+
+export class LRUCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Nombre maximum d'entrees
+   * @param {number} options.ttlMs - Duree de vie d'une entree en millisecondes
+   */
+  constructor({ maxEntries = 500, ttlMs = 5 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // Ordre d'insertion = ordre d'utilisation
+  }
+
+  /**
+   * Recupere une valeur (undefined si absente ou expiree)
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Remettre l'entree en tete (la plus recemment utilisee)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Enregistre une valeur et evince les entrees les moins utilisees
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export default LRUCache;
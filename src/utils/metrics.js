@@ -0,0 +1,241 @@
+/**
+ * Registre de metriques au format d'exposition Prometheus (texte 0.0.4)
+ * Implementation en processus : compteurs, histogrammes et jauges
+ */
+
+// Bornes par defaut des histogrammes de duree (secondes)
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Echappe la valeur d'un label
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formate un ensemble de labels ({a="1",b="2"})
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Formate une valeur numerique
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base commune : nom, aide et series indexees par combinaison de labels
+ */
+class Metric {
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Ne conserve que les labels declares (valeur manquante = '')
+   */
+  normalizeLabels(labels = {}) {
+    return Object.fromEntries(this.labelNames.map((label) => [label, labels[label] ?? '']));
+  }
+
+  /**
+   * Serie associee aux labels, creee a la demande
+   */
+  getSeries(labels, create) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Compteur monotone
+ */
+export class Counter extends Metric {
+  constructor(options) {
+    super(options, 'counter');
+  }
+
+  /**
+   * @param {Object} labels - Valeurs des labels
+   * @param {number} value - Increment (positif)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) return;
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Jauge dont la valeur est lue au moment de l'export
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {Object} options
+   * @param {Function} options.collect - Retourne un nombre ou [{ labels, value }]
+   */
+  constructor({ collect, ...options }) {
+    super(options, 'gauge');
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = this.header();
+    const collected = this.collect();
+    const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+
+    for (const { labels, value } of samples) {
+      if (typeof value !== 'number' || Number.isNaN(value)) continue;
+      lines.push(`${this.name}${formatLabels(this.normalizeLabels(labels))} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Histogramme a bornes fixes (cumulatives a l'export)
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {Object} options
+   * @param {Array<number>} options.buckets - Bornes superieures, croissantes
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - Valeurs des labels
+   * @param {number} value - Valeur observee
+   */
+  observe(labels, value) {
+    if (!Number.isFinite(value)) return;
+
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Demarre un chronometre ; la fonction retournee observe la duree en secondes
+   * @returns {Function} - (labels) => duree
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registre regroupant les metriques exportees
+ */
+export class MetricsRegistry {
+  static CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metrique deja enregistree: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Exporte toutes les metriques au format texte Prometheus
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Remet a zero les compteurs et histogrammes
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,35 @@
+/**
+ * Contexte de requete propage implicitement a travers les appels asynchrones
+ * Base sur AsyncLocalStorage : accessible partout sans passer req en parametre
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Execute une fonction dans un contexte de requete
+ * @param {{ requestId: string }} context - Contexte de la requete
+ * @param {Function} fn - Fonction a executer
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Contexte de la requete en cours (undefined hors requete)
+ * @returns {{ requestId: string } | undefined}
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Identifiant de correlation de la requete en cours
+ * @returns {string | undefined}
+ */
+export function getRequestId() {
+  return storage.getStore()?.requestId;
+}
+
+export default getRequestContext;
@@ -0,0 +1,19 @@
+/**
+ * Comparaison de secrets (cles API, jetons) en temps constant
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * Compare deux chaines en temps constant
+ * Les deux valeurs sont hachees : la duree ne depend pas non plus de leur longueur
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  const hash = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(hash(a), hash(b));
+}
+
+export default safeEqual;
@@ -0,0 +1,62 @@
+/**
+ * Utilitaires Server-Sent Events
+ * Ouvre un flux SSE sur une reponse Express et envoie des evenements types
+ */
+
+import { serializeError } from '../middleware/error-handler.js';
+
+/**
+ * Ouvre un flux d'evenements sur la reponse
+ * @param {import('express').Response} res - Reponse Express
+ * @returns {{ signal: AbortSignal, send: Function, sendError: Function, close: Function }}
+ */
+export function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Desactive le buffering des proxies nginx
+  });
+  res.flushHeaders();
+
+  // Le client a ferme la connexion avant la fin du flux
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const isOpen = () => !res.writableEnded && !controller.signal.aborted;
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Envoie un evenement nomme avec une charge JSON
+     */
+    send(event, data) {
+      if (!isOpen()) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * Envoie une erreur typee ({ code, message }) sous forme d'evenement 'error'
+     */
+    sendError(err) {
+      this.send('error', serializeError(err));
+    },
+
+    /**
+     * Termine le flux
+     */
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+  };
+}
+
+export default openEventStream;
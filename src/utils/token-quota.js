@@ -0,0 +1,154 @@
+/**
+ * Suivi des quotas de tokens par client
+ * Compteurs journaliers et mensuels en memoire (fenetres calendaires UTC)
+ *
+ * La consommation reelle n'est connue qu'apres la generation : chaque requete
+ * admise reserve une estimation, comptee jusqu'a l'enregistrement de sa
+ * consommation. Des requetes simultanees ne peuvent ainsi depasser le quota
+ * que de l'ecart entre l'estimation et leur consommation reelle.
+ */
+
+/**
+ * Estimation grossiere du nombre de tokens d'un texte (~4 caracteres par token)
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Identifiant et date de fin de la periode courante
+ * @param {'daily' | 'monthly'} period
+ * @param {Date} now
+ * @returns {{ id: string, resetAt: Date }}
+ */
+function currentPeriod(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'daily') {
+    return {
+      id: now.toISOString().slice(0, 10),
+      resetAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1)),
+    };
+  }
+
+  return {
+    id: now.toISOString().slice(0, 7),
+    resetAt: new Date(Date.UTC(year, month + 1, 1)),
+  };
+}
+
+/**
+ * Stockage en memoire de la consommation de tokens
+ */
+export class TokenQuotaStore {
+  /**
+   * @param {Object} limits
+   * @param {number} limits.daily - Tokens autorises par jour (0 = illimite)
+   * @param {number} limits.monthly - Tokens autorises par mois (0 = illimite)
+   */
+  constructor({ daily = 0, monthly = 0 } = {}) {
+    this.limits = { daily, monthly };
+    this.usage = new Map(); // `${period}:${periodId}:${clientKey}` -> tokens
+    this.reserved = new Map(); // clientKey -> tokens reserves par les requetes en cours
+    this.lastPurgeDay = null;
+  }
+
+  /**
+   * Etat du quota d'un client pour chaque periode
+   * @param {string} clientKey - Identifiant du client (utilisateur, cle API ou IP)
+   * @returns {{ daily: Object, monthly: Object, exceeded: Object | null }}
+   */
+  getState(clientKey, now = new Date()) {
+    const state = { exceeded: null };
+    const reserved = this.reserved.get(clientKey) || 0;
+
+    for (const period of ['daily', 'monthly']) {
+      const { id, resetAt } = currentPeriod(period, now);
+      const limit = this.limits[period];
+      const used = this.usage.get(`${period}:${id}:${clientKey}`) || 0;
+
+      state[period] = {
+        limit,
+        used,
+        reserved,
+        remaining: limit > 0 ? Math.max(0, limit - used - reserved) : null,
+        resetAt,
+      };
+
+      if (limit > 0 && used + reserved >= limit && !state.exceeded) {
+        state.exceeded = { period, ...state[period] };
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Reserve une estimation des tokens d'une requete en cours
+   * @param {string} clientKey - Identifiant du client
+   * @param {number} tokens - Tokens estimes
+   * @returns {Function} - Liberation de la reservation (sans effet au-dela du premier appel)
+   */
+  reserve(clientKey, tokens) {
+    if (!tokens || tokens <= 0) return () => {};
+
+    this.reserved.set(clientKey, (this.reserved.get(clientKey) || 0) + tokens);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      const remaining = (this.reserved.get(clientKey) || 0) - tokens;
+      if (remaining > 0) {
+        this.reserved.set(clientKey, remaining);
+      } else {
+        this.reserved.delete(clientKey);
+      }
+    };
+  }
+
+  /**
+   * Ajoute des tokens consommes au compteur du client
+   * @param {string} clientKey - Identifiant du client
+   * @param {number} tokens - Tokens consommes
+   */
+  record(clientKey, tokens, now = new Date()) {
+    if (!tokens || tokens <= 0) return;
+
+    // Nettoyer les anciennes periodes une fois par jour
+    const today = currentPeriod('daily', now).id;
+    if (today !== this.lastPurgeDay) {
+      this.purge(now);
+      this.lastPurgeDay = today;
+    }
+
+    for (const period of ['daily', 'monthly']) {
+      const { id } = currentPeriod(period, now);
+      const key = `${period}:${id}:${clientKey}`;
+      this.usage.set(key, (this.usage.get(key) || 0) + tokens);
+    }
+  }
+
+  /**
+   * Supprime les compteurs des periodes ecoulees
+   */
+  purge(now = new Date()) {
+    const active = new Set([
+      `daily:${currentPeriod('daily', now).id}`,
+      `monthly:${currentPeriod('monthly', now).id}`,
+    ]);
+
+    for (const key of this.usage.keys()) {
+      const prefix = key.slice(0, key.indexOf(':', key.indexOf(':') + 1));
+      if (!active.has(prefix)) {
+        this.usage.delete(key);
+      }
+    }
+  }
+}
+
+export default TokenQuotaStore;
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIService } from '../../src/ai/ai-service.js';
+import { ProviderError } from '../../src/ai/providers/base-provider.js';
+import { MockProvider } from '../../src/ai/providers/mock-provider.js';
+import { ResilientProvider } from '../../src/ai/providers/resilient-provider.js';
+import { CircuitState } from '../../src/utils/circuit-breaker.js';
+
+/**
+ * Mock dont on peut couper le service (erreurs 503)
+ */
+class FlakyProvider extends MockProvider {
+  constructor() {
+    super();
+    this.down = false;
+    this.calls = 0;
+  }
+
+  async createCompletion(request) {
+    this.calls++;
+    if (this.down) throw new ProviderError('HTTP 503', { provider: 'mock', status: 503 });
+    return super.createCompletion(request);
+  }
+}
+
+const PARAMS = {
+  messages: [{ senderId: 'u2', senderName: 'Alice', content: 'On se voit demain ?' }],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+function createService(base) {
+  const provider = new ResilientProvider(base, {
+    maxRetries: 0, baseDelayMs: 0, failureThreshold: 1, resetTimeoutMs: 1000,
+  });
+  return new AIService({ provider });
+}
+
+describe('AIService - repli heuristique', () => {
+  it('sert le moteur heuristique pendant l\'ouverture du disjoncteur puis revient au LLM', async (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const base = new FlakyProvider();
+    const service = createService(base);
+
+    base.down = true;
+    await assert.rejects(service.generateSuggestion(PARAMS));
+    assert.equal(service.getCircuitState().state, CircuitState.OPEN);
+
+    const fallback = await service.generateSuggestion(PARAMS);
+    assert.equal(fallback.metadata.engine, 'heuristic');
+    assert.equal(base.calls, 1);
+
+    // Delai d'ouverture ecoule : l'appel d'essai atteint le fournisseur retabli
+    now = 1000;
+    base.down = false;
+    const recovered = await service.generateSuggestion(PARAMS);
+    assert.equal(recovered.metadata.engine, 'llm');
+    assert.equal(base.calls, 2);
+    assert.equal(service.getCircuitState().state, CircuitState.CLOSED);
+  });
+
+  it('rouvre le disjoncteur si l\'appel d\'essai echoue', async (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const base = new FlakyProvider();
+    const service = createService(base);
+
+    base.down = true;
+    await assert.rejects(service.generateSuggestion(PARAMS));
+
+    now = 1000;
+    await assert.rejects(service.generateSuggestion(PARAMS));
+    assert.equal(base.calls, 2);
+    assert.equal(service.getCircuitState().state, CircuitState.OPEN);
+
+    const fallback = await service.generateSuggestion(PARAMS);
+    assert.equal(fallback.metadata.engine, 'heuristic');
+    assert.equal(base.calls, 2);
+  });
+
+  it('ne se replie pas en mode improve', async () => {
+    const base = new FlakyProvider();
+    const service = createService(base);
+
+    base.down = true;
+    await assert.rejects(service.generateSuggestion(PARAMS));
+    await assert.rejects(
+      service.generateSuggestion({ ...PARAMS, currentInput: 'ok demain' }),
+      (error) => error.code === 'AI_SERVICE_ERROR' && error.details.reason === 'circuit_open'
+    );
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationAnalyzer } from '../../src/ai/conversation-analyzer.js';
+
+function message(senderId, senderName, content) {
+  return { senderId, senderName, content };
+}
+
+const CONVERSATION = [
+  message('u2', 'Alice', 'Super soirée hier, merci ! 😊😊'),
+  message('u1', 'Bob', 'Oui génial'),
+  message('u2', 'Alice', 'Tu viens quand demain ?'),
+  message('u2', 'Alice', 'Malheureusement je suis malade, dommage 😢'),
+];
+
+function analyzeDetailed(messages, currentUserId = 'u1', currentUserName = 'Bob') {
+  return ConversationAnalyzer.analyze(messages, currentUserId, currentUserName, { detailed: true }).toJSON();
+}
+
+describe('ConversationAnalyzer - analyse detaillee', () => {
+  it('n\'ajoute l\'analyse detaillee que sur demande', () => {
+    const analysis = ConversationAnalyzer.analyze(CONVERSATION, 'u1', 'Bob').toJSON();
+
+    assert.equal(analysis.messages, undefined);
+    assert.equal(analysis.participants, undefined);
+    assert.equal(analysis.emotionalTrajectory, undefined);
+  });
+
+  it('analyse chaque message : emotion, score, formalite et reponse attendue', () => {
+    const { messages } = analyzeDetailed(CONVERSATION);
+
+    assert.equal(messages.length, CONVERSATION.length);
+    assert.deepEqual(messages.map(({ index, senderId }) => [index, senderId]), [[0, 'u2'], [1, 'u1'], [2, 'u2'], [3, 'u2']]);
+    assert.deepEqual(messages.map(({ emotion }) => emotion), ['positif', 'positif', 'neutre', 'negatif']);
+    assert.deepEqual(messages.map(({ emotionScore }) => emotionScore), [1, 1, 0, -1]);
+    assert.deepEqual(messages.map(({ expectedResponse }) => expectedResponse), [
+      'validation', 'affirmation', 'temporelle', 'affirmation',
+    ]);
+    for (const { formality } of messages) {
+      assert.ok(formality >= 0 && formality <= 1);
+    }
+  });
+
+  it('resume chaque participant, du plus actif au moins actif', () => {
+    const { participants } = analyzeDetailed(CONVERSATION);
+
+    assert.deepEqual(participants.map(({ senderId }) => senderId), ['u2', 'u1']);
+
+    const [alice, bob] = participants;
+    assert.equal(alice.isCurrentUser, false);
+    assert.equal(alice.messageCount, 3);
+    assert.equal(alice.share, 0.75);
+    assert.equal(alice.emojiRate, 1);
+    assert.equal(alice.questionCount, 1);
+    assert.equal(alice.averageLength, Math.round(
+      CONVERSATION.filter((m) => m.senderId === 'u2').reduce((sum, m) => sum + m.content.length, 0) / 3
+    ));
+
+    assert.equal(bob.isCurrentUser, true);
+    assert.equal(bob.share, 0.25);
+    assert.equal(bob.dominantEmotion, 'positif');
+  });
+
+  describe('trajectoire emotionnelle', () => {
+    it('detecte une degradation', () => {
+      const { emotionalTrajectory } = analyzeDetailed(CONVERSATION);
+
+      assert.equal(emotionalTrajectory.start, 'positif');
+      assert.equal(emotionalTrajectory.end, 'negatif');
+      assert.equal(emotionalTrajectory.trend, 'degradation');
+      assert.deepEqual(emotionalTrajectory.points, [1, 1, 0, -1]);
+    });
+
+    it('detecte une amelioration', () => {
+      const { emotionalTrajectory } = analyzeDetailed([
+        message('u2', 'Alice', 'Je suis triste, quel problème 😢'),
+        message('u1', 'Bob', 'Ah mince'),
+        message('u2', 'Alice', 'Finalement tout est parfait, merci !'),
+      ]);
+
+      assert.equal(emotionalTrajectory.trend, 'amelioration');
+      assert.equal(emotionalTrajectory.description, 'Debut negatif, evolution vers positif');
+    });
+
+    it('detecte un ton fluctuant', () => {
+      const { emotionalTrajectory } = analyzeDetailed([
+        message('u2', 'Alice', 'Super !'),
+        message('u2', 'Alice', 'Dommage...'),
+        message('u2', 'Alice', 'Génial !'),
+        message('u2', 'Alice', 'Horrible...'),
+      ]);
+
+      assert.equal(emotionalTrajectory.trend, 'fluctuant');
+    });
+
+    it('reste stable sur un seul message', () => {
+      const { emotionalTrajectory } = analyzeDetailed([message('u2', 'Alice', 'On mange ensemble ?')]);
+
+      assert.equal(emotionalTrajectory.trend, 'stable');
+      assert.equal(emotionalTrajectory.start, emotionalTrajectory.end);
+    });
+  });
+
+  it('retourne une analyse vide pour une conversation sans message', () => {
+    const analysis = ConversationAnalyzer.analyze([], 'u1', 'Bob', { detailed: true }).toJSON();
+
+    assert.equal(analysis.messageCount, 0);
+    assert.equal(analysis.conversationSummary, 'Nouvelle conversation');
+  });
+});
+
+describe('ConversationAnalyzer - conversations de groupe', () => {
+  const GROUP = [
+    message('u2', 'Alice Martin', 'Salut tout le monde !'),
+    message('u3', 'Chloé', 'Coucou, ça va ?'),
+    message('u1', 'Bob', 'On se fait un resto samedi ?'),
+    message('u3', 'Chloé', 'Carrément, à quelle heure ?'),
+  ];
+
+  it('compte les participants et analyse chaque interlocuteur', () => {
+    const analysis = ConversationAnalyzer.analyze(GROUP, 'u1', 'Bob').toJSON();
+
+    assert.equal(analysis.isGroup, true);
+    assert.equal(analysis.participantCount, 3);
+    assert.deepEqual(analysis.contacts.map(({ senderId, messageCount }) => [senderId, messageCount]), [['u2', 1], ['u3', 2]]);
+    assert.ok(analysis.contacts.every((contact) => contact.senderId !== 'u1'));
+  });
+
+  it('attribue une question posee juste apres un message de l\'utilisateur a celui-ci', () => {
+    const { addressing } = ConversationAnalyzer.analyze(GROUP, 'u1', 'Bob');
+
+    assert.deepEqual(addressing.from, { senderId: 'u3', senderName: 'Chloé' });
+    assert.equal(addressing.signal, 'question');
+    assert.equal(addressing.addressesMe, true);
+  });
+
+  it('reconnait une mention @prenom_nom', () => {
+    const { addressing } = ConversationAnalyzer.analyze([
+      ...GROUP,
+      message('u3', 'Chloé', '@alice_martin tu confirmes ?'),
+    ], 'u1', 'Bob');
+
+    assert.equal(addressing.signal, 'mention');
+    assert.deepEqual(addressing.to, [{ senderId: 'u2', senderName: 'Alice Martin' }]);
+    assert.equal(addressing.addressesMe, false);
+  });
+
+  it('reconnait un prenom cite, sans tenir compte des accents', () => {
+    const { addressing } = ConversationAnalyzer.analyze([
+      ...GROUP,
+      message('u2', 'Alice Martin', 'Chloe, tu reserves ?'),
+    ], 'u1', 'Bob');
+
+    assert.equal(addressing.signal, 'nom');
+    assert.deepEqual(addressing.to, [{ senderId: 'u3', senderName: 'Chloé' }]);
+  });
+
+  it('s\'adresse au groupe sans indice', () => {
+    const { addressing } = ConversationAnalyzer.analyze(GROUP.slice(0, 2), 'u1', 'Bob');
+
+    assert.equal(addressing.scope, 'groupe');
+    assert.equal(addressing.signal, 'aucun');
+    assert.deepEqual(addressing.to, []);
+  });
+
+  it('accepte des identifiants comme __proto__ ou constructor', () => {
+    const analysis = ConversationAnalyzer.analyze([
+      message('__proto__', 'Alice', 'Super soirée !'),
+      message('constructor', 'Chloé', 'Carrément 😊'),
+      message('__proto__', 'Alice', 'On remet ça ?'),
+    ], 'u1', 'Bob', { detailed: true }).toJSON();
+
+    assert.equal(analysis.participantCount, 3);
+    assert.deepEqual(analysis.contacts.map(({ senderId, messageCount }) => [senderId, messageCount]), [
+      ['__proto__', 2], ['constructor', 1],
+    ]);
+    assert.deepEqual(analysis.participants.map(({ senderId }) => senderId), ['__proto__', 'constructor']);
+    assert.equal(Object.getPrototypeOf(analysis.contacts[0]), Object.prototype);
+  });
+
+  it('gere une conversation ou seul l\'utilisateur a ecrit', () => {
+    const analysis = ConversationAnalyzer.analyze([
+      message('u1', 'Bob', 'Tu es la ?'),
+      message('u1', 'Bob', 'Dis-moi quand tu peux'),
+    ], 'u1', 'Bob', { detailed: true }).toJSON();
+
+    assert.equal(analysis.isGroup, false);
+    assert.equal(analysis.participantCount, 1);
+    assert.deepEqual(analysis.contacts, []);
+    assert.equal(analysis.addressing, null);
+    assert.equal(analysis.lastSpeaker, 'moi');
+    assert.deepEqual(analysis.participants.map(({ isCurrentUser }) => isCurrentUser), [true]);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LEXICONS, DEFAULT_LANGUAGE, detectLanguage, getLexicon, getLanguageName,
+} from '../../src/ai/lexicons/index.js';
+import { ConversationAnalyzer } from '../../src/ai/conversation-analyzer.js';
+
+describe('detectLanguage', () => {
+  it('reconnait le francais et l\'anglais a leurs mots outils', () => {
+    assert.deepEqual(detectLanguage('Je pense que tu as raison, on se voit demain'), { language: 'fr', confidence: 1 });
+    assert.deepEqual(detectLanguage('I think you are right, see you tomorrow'), { language: 'en', confidence: 1 });
+  });
+
+  it('mesure la confiance par la part des mots outils de la langue retenue', () => {
+    const { language, confidence } = detectLanguage('I think the meeting is fine for me, et toi ?');
+
+    assert.equal(language, 'en');
+    assert.ok(confidence > 0.5 && confidence < 1);
+  });
+
+  it('departage un texte court par ses lettres accentuees', () => {
+    assert.equal(detectLanguage('Génial').language, 'fr');
+  });
+
+  it('retombe sur la langue par defaut sans confiance pour un texte vide ou inconnu', () => {
+    assert.deepEqual(detectLanguage(''), { language: DEFAULT_LANGUAGE, confidence: 0 });
+    assert.deepEqual(detectLanguage('123 !!'), { language: DEFAULT_LANGUAGE, confidence: 0 });
+  });
+});
+
+describe('getLexicon / getLanguageName', () => {
+  it('retourne le lexique demande, le francais pour une langue sans lexique', () => {
+    assert.equal(getLexicon('en').code, 'en');
+    assert.equal(getLexicon('de').code, 'fr');
+    assert.equal(getLexicon().code, 'fr');
+  });
+
+  it('nomme les langues des prompts, y compris sans lexique', () => {
+    assert.equal(getLanguageName('en'), 'anglais');
+    assert.equal(getLanguageName('es'), 'espagnol');
+    assert.equal(getLanguageName('xx'), 'xx');
+  });
+});
+
+describe('LEXICONS', () => {
+  const [reference, ...others] = Object.values(LEXICONS);
+
+  for (const lexicon of others) {
+    it(`le lexique ${lexicon.code} a la meme structure que ${reference.code}`, () => {
+      assert.deepEqual(Object.keys(lexicon).sort(), Object.keys(reference).sort());
+      // Les categories servent d'etiquettes d'analyse : identiques d'une langue a l'autre
+      assert.deepEqual(Object.keys(lexicon.topics).sort(), Object.keys(reference.topics).sort());
+      assert.deepEqual(Object.keys(lexicon.urgency).sort(), Object.keys(reference.urgency).sort());
+      assert.deepEqual(lexicon.relationships.map(([type]) => type).sort(), reference.relationships.map(([type]) => type).sort());
+      assert.deepEqual(lexicon.questions.map(([type]) => type).sort(), reference.questions.map(([type]) => type).sort());
+    });
+  }
+
+  it('les mots outils sont en minuscules', () => {
+    for (const lexicon of Object.values(LEXICONS)) {
+      assert.ok(lexicon.stopwords.every((word) => word === word.toLowerCase()), lexicon.code);
+    }
+  });
+});
+
+describe('ConversationAnalyzer - langue', () => {
+  it('analyse une conversation anglaise avec le lexique anglais', () => {
+    const analysis = ConversationAnalyzer.analyze([
+      { senderId: 'u2', senderName: 'Alice', content: 'Hey, the meeting with the boss is urgent, can you come now?' },
+    ], 'u1', 'Bob');
+
+    assert.equal(analysis.language, 'en');
+    assert.equal(analysis.urgency, 'urgent');
+    assert.ok(analysis.topics.includes('travail'));
+  });
+});
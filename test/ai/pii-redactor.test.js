@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIIRedactor, RedactionSession, DEFAULT_PII_TYPES } from '../../src/ai/pii-redactor.js';
+
+const session = (types = DEFAULT_PII_TYPES, names = []) => new RedactionSession({ types, names });
+
+describe('RedactionSession.redact', () => {
+  it('masque les adresses email', () => {
+    assert.equal(session().redact('ecris a jean.dupont+test@mail.example.fr stp'), 'ecris a [EMAIL_1] stp');
+  });
+
+  it('ne masque que les IBAN dont la cle est valide', () => {
+    const redaction = session();
+
+    assert.equal(redaction.redact('IBAN FR76 3000 6000 0112 3456 7890 189'), 'IBAN [IBAN_1]');
+    assert.equal(redaction.redact('IBAN FR76 3000 6000 0112 3456 7890 188'), 'IBAN FR76 3000 6000 0112 3456 7890 188');
+  });
+
+  it('ne masque que les numeros de carte valides (Luhn)', () => {
+    const redaction = session();
+
+    assert.equal(redaction.redact('carte 4111 1111 1111 1111'), 'carte [CARD_1]');
+    assert.equal(redaction.redact('ref 4111 1111 1111 1112'), 'ref 4111 1111 1111 1112');
+  });
+
+  it('masque les numeros de telephone francais et internationaux', () => {
+    assert.equal(
+      session().redact('appelle le 06 12 34 56 78 ou le +33 6 12 34 56 79'),
+      'appelle le [PHONE_1] ou le [PHONE_2]'
+    );
+  });
+
+  it('masque une adresse jusqu\'a la fin du nom de voie', () => {
+    assert.equal(
+      session().redact('rdv au 12 place du Marché vers midi'),
+      'rdv au [ADDRESS_1] vers midi'
+    );
+  });
+
+  it('masque une adresse avec code postal, meme en minuscules', () => {
+    assert.equal(session().redact('j\'habite 10 rue de la paix, 75002 paris'), 'j\'habite [ADDRESS_1]');
+  });
+
+  it('n\'absorbe pas le texte libre qui suit un numero et un type de voie', () => {
+    const text = 'le 12 place du marche etait bien';
+    assert.equal(session().redact(text), text);
+  });
+
+  it('masque les noms des participants si le type name est actif', () => {
+    const redaction = session(['name'], ['Alice Martin', 'Bo']);
+
+    assert.equal(redaction.redact('Alice Martin et alice viennent'), '[NAME_1] et [NAME_2] viennent');
+    // Prenom trop court : pas masque seul
+    assert.equal(redaction.redact('Bo et Bob'), '[NAME_3] et Bob');
+  });
+
+  it('attribue le meme marqueur a une meme valeur', () => {
+    const redaction = session();
+
+    assert.equal(
+      redaction.redact('06 12 34 56 78 puis 06.12.34.56.78 et a@b.fr puis A@B.fr'),
+      '[PHONE_1] puis [PHONE_1] et [EMAIL_1] puis [EMAIL_1]'
+    );
+  });
+
+  it('ne masque rien sans type actif', () => {
+    assert.equal(new PIIRedactor({ enabled: false }).createSession().redact('a@b.fr'), 'a@b.fr');
+  });
+});
+
+describe('RedactionSession.restore', () => {
+  it('remet les valeurs d\'origine et laisse les marqueurs inconnus', () => {
+    const redaction = session();
+    redaction.redact('mail: a@b.fr');
+
+    assert.equal(redaction.restore('Ecris a [EMAIL_1] ou [EMAIL_2]'), 'Ecris a a@b.fr ou [EMAIL_2]');
+  });
+});
+
+describe('RedactionSession.createStreamRestorer', () => {
+  it('restaure un marqueur coupe entre deux fragments', () => {
+    const redaction = session();
+    redaction.redact('mail: a@b.fr');
+    const restorer = redaction.createStreamRestorer();
+
+    assert.equal(restorer.push('Ecris a [EMA'), 'Ecris a ');
+    assert.equal(restorer.push('IL_1] demain'), 'a@b.fr demain');
+    assert.equal(restorer.flush(), '');
+  });
+
+  it('ne retient pas un crochet ouvert trop ancien', () => {
+    const redaction = session();
+    redaction.redact('mail: a@b.fr');
+    const restorer = redaction.createStreamRestorer();
+
+    assert.equal(restorer.push('[note sans fin de crochet'), '[note sans fin de crochet');
+  });
+
+  it('restitue le reste retenu a la fin du flux', () => {
+    const redaction = session();
+    redaction.redact('mail: a@b.fr');
+    const restorer = redaction.createStreamRestorer();
+
+    assert.equal(restorer.push('fin [EM'), 'fin ');
+    assert.equal(restorer.flush(), '[EM');
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIService } from '../../src/ai/ai-service.js';
+import { PreferencesService } from '../../src/preferences/preferences-service.js';
+import { RecordingProvider } from '../helpers/recording-provider.js';
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+
+const USER = { currentUserId: 'u1', currentUserName: 'Bob' };
+const MESSAGES = [
+  { senderId: 'boss', senderName: 'Claire', content: 'Pouvez-vous m\'envoyer le rapport ?' },
+];
+
+/**
+ * Preferences enregistrees (forme renvoyee par PreferencesService.get)
+ */
+function preferences(defaults = {}, contacts = {}) {
+  return { ...PreferencesService.defaults(), ...defaults, contacts };
+}
+
+describe('Preferences - prompt', () => {
+  it('ajoute les consignes de longueur, d\'emojis et de tutoiement au prompt systeme', async () => {
+    const provider = new RecordingProvider();
+
+    const result = await new AIService({ provider }).generateSuggestion({
+      ...USER,
+      messages: MESSAGES,
+      preferences: preferences({ maxWords: 20, emojis: 'sparingly', address: 'tu' }),
+    });
+
+    const { system } = provider.lastPrompts;
+    assert.match(system, /PREFERENCES EXPLICITES DE Bob/);
+    assert.match(system, /- 20 mots maximum/);
+    assert.match(system, /- Un emoji au plus/);
+    assert.match(system, /- Tutoie /);
+    assert.equal(result.metadata.preferencesApplied, true);
+  });
+
+  it('applique les surcharges du contact vise', async () => {
+    const provider = new RecordingProvider();
+
+    await new AIService({ provider }).generateSuggestion({
+      ...USER,
+      messages: MESSAGES,
+      preferences: preferences({ address: 'tu' }, { boss: { address: 'vous', formality: 'formel' } }),
+    });
+
+    const { system } = provider.lastPrompts;
+    assert.match(system, /- Vouvoie .*Claire/);
+    assert.doesNotMatch(system, /Tutoie/);
+  });
+
+  it('impose la langue preferee, sauf langue demandee par la requete', async () => {
+    const provider = new RecordingProvider();
+    const service = new AIService({ provider });
+    const params = { ...USER, messages: MESSAGES, preferences: preferences({ language: 'en' }) };
+
+    await service.generateSuggestion(params);
+    assert.match(provider.lastPrompts.system, /anglais/);
+
+    await service.generateSuggestion({ ...params, language: 'es' });
+    assert.match(provider.lastPrompts.system, /espagnol/);
+    assert.doesNotMatch(provider.lastPrompts.system, /anglais/);
+  });
+
+  it('n\'ajoute aucune section sans preference', async () => {
+    const provider = new RecordingProvider();
+
+    const result = await new AIService({ provider }).generateSuggestion({
+      ...USER, messages: MESSAGES, preferences: preferences(),
+    });
+
+    assert.doesNotMatch(provider.lastPrompts.system, /PREFERENCES EXPLICITES/);
+    assert.equal(result.metadata.preferencesApplied, false);
+  });
+});
+
+describe('Preferences - emojis interdits', () => {
+  const NEVER = preferences({ emojis: 'never' });
+
+  it('retire les emojis de la suggestion generee', async () => {
+    const provider = new RecordingProvider(['Bien sûr 😊 je vous l\'envoie 👍']);
+
+    const { suggestion } = await new AIService({ provider }).generateSuggestion({
+      ...USER, messages: MESSAGES, preferences: NEVER,
+    });
+
+    assert.equal(suggestion, 'Bien sûr je vous l\'envoie');
+  });
+
+  it('retire les emojis de chaque fragment du flux', async () => {
+    const provider = new RecordingProvider(['Bien sûr 😊 je vous 👍 l\'envoie 🎉']);
+    const events = [];
+
+    for await (const event of new AIService({ provider }).streamSuggestion({
+      ...USER, messages: MESSAGES, preferences: NEVER,
+    })) {
+      events.push(event);
+    }
+
+    const deltas = events.filter(({ type }) => type === 'delta').map(({ data }) => data.content);
+    assert.ok(deltas.length > 0);
+    assert.ok(deltas.every((content) => !EMOJI.test(content)));
+    assert.equal(events.at(-1).data.suggestion, 'Bien sûr je vous l\'envoie');
+  });
+
+  it('conserve les emojis sans preference', async () => {
+    const provider = new RecordingProvider(['Bien sûr 😊']);
+
+    const { suggestion } = await new AIService({ provider }).generateSuggestion({ ...USER, messages: MESSAGES });
+
+    assert.equal(suggestion, 'Bien sûr 😊');
+  });
+
+  it('retire les emojis des suggestions heuristiques et deduplique le resultat', (t) => {
+    const service = new AIService({ provider: new RecordingProvider() });
+    const quickReplies = service.generateQuickReplies({ ...USER, messages: MESSAGES }, 3);
+    t.mock.method(service, 'generateQuickReplies', () => ({
+      ...quickReplies,
+      suggestions: ['Top 👍', 'Top', '🎉', 'Avec plaisir 😊'].map((suggestion) => ({ suggestion })),
+    }));
+
+    const { suggestions, metadata } = service.generateHeuristicSuggestions({ ...USER, messages: MESSAGES, preferences: NEVER }, 3);
+
+    assert.deepEqual(suggestions.map(({ suggestion }) => suggestion), ['Top', 'Avec plaisir']);
+    assert.equal(metadata.preferencesApplied, true);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationAnalyzer } from '../../src/ai/conversation-analyzer.js';
+import { PromptBuilder } from '../../src/ai/prompt-builder.js';
+
+function message(senderId, senderName, content) {
+  return { senderId, senderName, content };
+}
+
+const GROUP = [
+  message('u2', 'Alice', 'Salut tout le monde !'),
+  message('u3', 'Chloé', 'Quelqu\'un a vu le match ?'),
+];
+
+describe('PromptBuilder.resolveReplyTarget', () => {
+  const analysis = ConversationAnalyzer.analyze(GROUP, 'u1', 'Bob');
+
+  it('repond au groupe si replyTo vaut group', () => {
+    assert.deepEqual(PromptBuilder.resolveReplyTarget(analysis, 'group'), { scope: 'group' });
+  });
+
+  it('repond au participant designe par replyTo', () => {
+    const target = PromptBuilder.resolveReplyTarget(analysis, 'u2');
+
+    assert.equal(target.scope, 'participant');
+    assert.equal(target.contact.senderId, 'u2');
+  });
+
+  it('repond au groupe par defaut lorsque le dernier message ne s\'adresse pas a l\'utilisateur', () => {
+    assert.deepEqual(PromptBuilder.resolveReplyTarget(analysis), { scope: 'group' });
+  });
+
+  it('repond a l\'interlocuteur d\'un tete-a-tete par defaut', () => {
+    const target = PromptBuilder.resolveReplyTarget(
+      ConversationAnalyzer.analyze(GROUP.slice(0, 1), 'u1', 'Bob')
+    );
+
+    assert.equal(target.contact.senderId, 'u2');
+  });
+
+  it('ne designe personne sans message recu', () => {
+    const target = PromptBuilder.resolveReplyTarget(
+      ConversationAnalyzer.analyze([message('u1', 'Bob', 'Hello ?')], 'u1', 'Bob')
+    );
+
+    assert.equal(target, null);
+  });
+
+  it('nomme le destinataire dans le prompt systeme', () => {
+    const prompt = PromptBuilder.buildSystemPrompt('suggest', 'Bob', analysis, { replyTo: 'u3' });
+
+    assert.match(prompt, /Chloé/);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cpSync, mkdtempSync, readFileSync, rmSync, unlinkSync, writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  DEFAULT_PROMPTS_DIR, PromptTemplates, promptTemplates,
+} from '../../src/ai/prompt-templates.js';
+import { PromptBuilder } from '../../src/ai/prompt-builder.js';
+
+describe('PromptTemplates.load', () => {
+  let dir;
+
+  /**
+   * Copie la version v1 sous un nouveau nom, puis applique une modification
+   */
+  function copyVersion(version, alter = () => {}) {
+    const versionDir = path.join(dir, version);
+    cpSync(path.join(DEFAULT_PROMPTS_DIR, 'v1'), versionDir, { recursive: true });
+    alter(versionDir);
+    return versionDir;
+  }
+
+  before(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'prompts-'));
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('charge une autre version depuis un autre dossier', () => {
+    copyVersion('v2', (versionDir) => {
+      writeFileSync(path.join(versionDir, 'rewrite-user.txt'), 'V2 {{userName}}: {{draft}}\n');
+    });
+
+    const templates = PromptTemplates.load({ dir, version: 'v2' });
+
+    assert.equal(templates.version, 'v2');
+    // Le retour a la ligne final du fichier est retire
+    assert.equal(templates.render('rewrite-user', { userName: 'Bob', draft: 'ok' }), 'V2 Bob: ok');
+  });
+
+  it('refuse une version dont un modele manque', () => {
+    copyVersion('missing', (versionDir) => unlinkSync(path.join(versionDir, 'summary-user.txt')));
+
+    assert.throws(() => PromptTemplates.load({ dir, version: 'missing' }), /summary-user\.txt: fichier manquant/);
+  });
+
+  it('refuse une variable inconnue dans un modele ou un fragment', () => {
+    copyVersion('unknown', (versionDir) => {
+      writeFileSync(path.join(versionDir, 'rewrite-user.txt'), '{{draft}} {{secret}}');
+      const fragmentsFile = path.join(versionDir, 'fragments.json');
+      const fragments = JSON.parse(readFileSync(fragmentsFile, 'utf8'));
+      fragments.target.group = '{{contacts}}';
+      writeFileSync(fragmentsFile, JSON.stringify(fragments));
+    });
+
+    assert.throws(() => PromptTemplates.load({ dir, version: 'unknown' }), (error) => {
+      assert.match(error.message, /rewrite-user\.txt: variable inconnue \{\{secret\}\}/);
+      assert.match(error.message, /fragments\.json "target\.group": variable inconnue \{\{contacts\}\}/);
+      return true;
+    });
+  });
+
+  it('refuse un fragments.json invalide ou incomplet', () => {
+    copyVersion('invalid-json', (versionDir) => writeFileSync(path.join(versionDir, 'fragments.json'), '{'));
+    copyVersion('incomplete', (versionDir) => writeFileSync(path.join(versionDir, 'fragments.json'), '{"target": {}}'));
+
+    assert.throws(() => PromptTemplates.load({ dir, version: 'invalid-json' }), /fragments\.json: /);
+    assert.throws(() => PromptTemplates.load({ dir, version: 'incomplete' }), /fragment manquant "target\.group"/);
+  });
+
+  it('signale une version inexistante', () => {
+    assert.throws(() => PromptTemplates.load({ dir, version: 'v9' }), /fragments\.json: fichier manquant/);
+  });
+});
+
+describe('PromptTemplates', () => {
+  const templates = new PromptTemplates({
+    version: 'test',
+    templates: new Map([['hello', 'Bonjour {{ name }} !']]),
+    fragments: new Map([['greeting.formal', 'Madame, Monsieur {{name}}']]),
+  });
+
+  it('remplit les variables, espaces compris', () => {
+    assert.equal(templates.render('hello', { name: 'Alice' }), 'Bonjour Alice !');
+  });
+
+  it('refuse une variable manquante et un modele inconnu', () => {
+    assert.throws(() => templates.render('hello'), /Variable manquante pour hello: \{\{name\}\}/);
+    assert.throws(() => templates.render('bye'), /Modele de prompt inconnu: bye/);
+  });
+
+  it('distingue fragments obligatoires et optionnels', () => {
+    assert.equal(templates.fragment('greeting.formal', { name: 'Durand' }), 'Madame, Monsieur Durand');
+    assert.equal(templates.findFragment('greeting.casual'), null);
+    assert.throws(() => templates.fragment('greeting.casual'), /Fragment de prompt inconnu/);
+  });
+});
+
+describe('modeles par defaut', () => {
+  it('chargent la version configuree', () => {
+    assert.equal(promptTemplates.version, 'v1');
+    assert.equal(PromptBuilder.getTemplateVersion(), 'v1');
+  });
+
+  it('assemblent les fragments multilignes', () => {
+    assert.match(promptTemplates.fragment('styleGuidelines.tone.default'), /\n/);
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMProvider, ProviderError } from '../../../src/ai/providers/base-provider.js';
+import { ResilientProvider, mapProviderError } from '../../../src/ai/providers/resilient-provider.js';
+import { CircuitState } from '../../../src/utils/circuit-breaker.js';
+
+/**
+ * Fournisseur de test : chaque appel consomme l'etape suivante du scenario
+ * (une erreur a lever, ou un resultat / une liste de fragments)
+ */
+class ScriptedProvider extends LLMProvider {
+  constructor(steps) {
+    super({ name: 'test', model: 'test-model' });
+    this.steps = steps;
+    this.calls = 0;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  next() {
+    const step = this.steps[Math.min(this.calls, this.steps.length - 1)];
+    this.calls++;
+    return step;
+  }
+
+  async createCompletion() {
+    const step = this.next();
+    if (step instanceof Error) throw step;
+    return step;
+  }
+
+  async *streamCompletion() {
+    const step = this.next();
+    for (const item of step) {
+      if (item instanceof Error) throw item;
+      yield item;
+    }
+  }
+}
+
+const RESULT = { content: 'ok', tokensUsed: 3 };
+
+function httpError(status, headers) {
+  return new ProviderError(`HTTP ${status}`, { provider: 'test', status, headers });
+}
+
+function connectionError() {
+  const cause = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  return new TypeError('fetch failed', { cause });
+}
+
+function resilient(provider, options = {}) {
+  return new ResilientProvider(provider, {
+    maxRetries: 2, baseDelayMs: 0, failureThreshold: 3, ...options,
+  });
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+describe('ResilientProvider.createCompletion', () => {
+  for (const [label, error] of [
+    ['5xx', httpError(503)],
+    ['429', httpError(429)],
+    ['erreur reseau', connectionError()],
+    ['erreur de connexion marquee', new ProviderError('Connexion impossible', { connection: true })],
+  ]) {
+    it(`retente apres une erreur passagere (${label})`, async () => {
+      const provider = new ScriptedProvider([error, RESULT]);
+
+      assert.deepEqual(await resilient(provider).createCompletion({}), RESULT);
+      assert.equal(provider.calls, 2);
+    });
+  }
+
+  it('abandonne apres maxRetries nouvelles tentatives', async () => {
+    const provider = new ScriptedProvider([httpError(502)]);
+
+    await assert.rejects(resilient(provider).createCompletion({}), (error) => {
+      assert.equal(error.statusCode, 503);
+      assert.equal(error.details.reason, 'provider_unavailable');
+      return true;
+    });
+    assert.equal(provider.calls, 3);
+  });
+
+  for (const [label, error, reason] of [
+    ['4xx', httpError(400), 'provider_rejected'],
+    ['SyntaxError', new SyntaxError('Unexpected token'), 'provider_invalid_response'],
+    ['TypeError', new TypeError('x is undefined'), 'provider_invalid_response'],
+  ]) {
+    it(`ne retente pas une erreur non passagere (${label})`, async () => {
+      const provider = new ScriptedProvider([error, RESULT]);
+
+      await assert.rejects(resilient(provider).createCompletion({}), (mapped) => {
+        assert.equal(mapped.details.reason, reason);
+        return true;
+      });
+      assert.equal(provider.calls, 1);
+    });
+  }
+
+  it('ne compte que les pannes du fournisseur pour le disjoncteur', async () => {
+    const provider = new ScriptedProvider([new SyntaxError('Unexpected token')]);
+    const service = resilient(provider, { maxRetries: 0, failureThreshold: 1 });
+
+    await assert.rejects(service.createCompletion({}));
+    await assert.rejects(service.createCompletion({}));
+    assert.equal(service.breaker.state, CircuitState.CLOSED);
+
+    provider.steps = [httpError(500)];
+    await assert.rejects(service.createCompletion({}));
+    assert.equal(service.breaker.state, CircuitState.OPEN);
+  });
+
+  it('refuse les appels tant que le disjoncteur est ouvert', async () => {
+    const provider = new ScriptedProvider([httpError(500)]);
+    const service = resilient(provider, { maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 60000 });
+
+    await assert.rejects(service.createCompletion({}));
+    await assert.rejects(service.createCompletion({}), (error) => {
+      assert.equal(error.details.reason, 'circuit_open');
+      assert.equal(error.headers['Retry-After'], '60');
+      return true;
+    });
+    assert.equal(provider.calls, 1);
+  });
+
+  it('libere l\'appel d\'essai si l\'annulation survient pendant le backoff', async (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const provider = new ScriptedProvider([httpError(503)]);
+    const service = resilient(provider, { maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 1000 });
+    await assert.rejects(service.createCompletion({}));
+
+    now = 1000;
+    service.maxRetries = 1;
+    service.baseDelayMs = 60000;
+    t.mock.method(Math, 'random', () => 1);
+    const controller = new AbortController();
+    const call = service.createCompletion({ signal: controller.signal });
+    setImmediate(() => controller.abort());
+    await assert.rejects(call, { name: 'AbortError' });
+    assert.equal(service.breaker.state, CircuitState.HALF_OPEN);
+
+    provider.steps = [RESULT];
+    assert.deepEqual(await service.createCompletion({}), RESULT);
+    assert.equal(service.breaker.state, CircuitState.CLOSED);
+  });
+});
+
+describe('ResilientProvider.getRetryDelay', () => {
+  const service = resilient(new ScriptedProvider([RESULT]), { baseDelayMs: 100, maxDelayMs: 1000 });
+
+  it('borne le backoff exponentiel par maxDelayMs', (t) => {
+    t.mock.method(Math, 'random', () => 1);
+
+    assert.equal(service.getRetryDelay(httpError(503), 0), 100);
+    assert.equal(service.getRetryDelay(httpError(503), 1), 200);
+    service.maxRetries = 10;
+    assert.equal(service.getRetryDelay(httpError(503), 5), 1000);
+    service.maxRetries = 2;
+  });
+
+  it('respecte Retry-After s\'il ne depasse pas maxDelayMs', () => {
+    assert.equal(service.getRetryDelay(httpError(429, { 'retry-after': '1' }), 0), 1000);
+    assert.equal(service.getRetryDelay(httpError(429, { 'retry-after': '5' }), 0), null);
+  });
+
+  it('ne retente plus une fois maxRetries atteint', () => {
+    assert.equal(service.getRetryDelay(httpError(503), 2), null);
+  });
+});
+
+describe('ResilientProvider.streamCompletion', () => {
+  it('retente si l\'erreur survient avant le premier fragment', async () => {
+    const provider = new ScriptedProvider([[httpError(503)], [{ content: 'a' }, { content: 'b' }]]);
+
+    const chunks = await collect(resilient(provider).streamCompletion({}));
+
+    assert.deepEqual(chunks, [{ content: 'a' }, { content: 'b' }]);
+    assert.equal(provider.calls, 2);
+  });
+
+  it('ne retente pas une fois le premier fragment envoye', async () => {
+    const provider = new ScriptedProvider([[{ content: 'a' }, httpError(503)], [{ content: 'b' }]]);
+
+    await assert.rejects(collect(resilient(provider).streamCompletion({})), (error) => {
+      assert.equal(error.details.reason, 'provider_unavailable');
+      return true;
+    });
+    assert.equal(provider.calls, 1);
+  });
+
+  it('libere l\'appel d\'essai si l\'annulation survient pendant le backoff', async (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const provider = new ScriptedProvider([[httpError(503)]]);
+    const service = resilient(provider, { maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 1000 });
+    await assert.rejects(collect(service.streamCompletion({})));
+
+    now = 1000;
+    service.maxRetries = 1;
+    service.baseDelayMs = 60000;
+    t.mock.method(Math, 'random', () => 1);
+    const controller = new AbortController();
+    const call = collect(service.streamCompletion({ signal: controller.signal }));
+    setImmediate(() => controller.abort());
+    await assert.rejects(call, { name: 'AbortError' });
+
+    provider.steps = [[{ content: 'a' }]];
+    assert.deepEqual(await collect(service.streamCompletion({})), [{ content: 'a' }]);
+    assert.equal(service.breaker.state, CircuitState.CLOSED);
+  });
+});
+
+describe('mapProviderError', () => {
+  it('reporte Retry-After dans les details et les en-tetes', () => {
+    const error = mapProviderError(httpError(429, { 'retry-after': '7' }));
+
+    assert.equal(error.statusCode, 429);
+    assert.equal(error.details.retryAfter, 7);
+    assert.equal(error.headers['Retry-After'], '7');
+  });
+});
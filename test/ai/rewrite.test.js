@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIService } from '../../src/ai/ai-service.js';
+import {
+  REWRITE_TRANSFORMATIONS, TRANSFORMATION_IDS, findConflicts, getTransformationLabel,
+} from '../../src/ai/rewrite-transformations.js';
+import { RecordingProvider } from '../helpers/recording-provider.js';
+
+const PARAMS = {
+  draft: 'ok jvien demain',
+  messages: [{ senderId: 'u2', senderName: 'Alice', content: 'Tu passes au bureau demain ?' }],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+describe('rewrite-transformations', () => {
+  it('detecte les transformations contradictoires', () => {
+    assert.deepEqual(findConflicts(['formal', 'shorter', 'casual']), [['formal', 'casual']]);
+    assert.deepEqual(findConflicts(['add_emojis', 'remove_emojis', 'formal', 'casual']), [
+      ['formal', 'casual'], ['add_emojis', 'remove_emojis'],
+    ]);
+    assert.deepEqual(findConflicts(['formal', 'shorter']), []);
+  });
+
+  it('traduit les libelles, en francais par defaut', () => {
+    assert.equal(getTransformationLabel('shorter', 'en'), 'Shorter');
+    assert.equal(getTransformationLabel('shorter', 'de'), 'Plus court');
+  });
+
+  it('chaque transformation a une instruction et des libelles fr et en', () => {
+    for (const id of TRANSFORMATION_IDS) {
+      const { instruction, labels } = REWRITE_TRANSFORMATIONS[id];
+      assert.ok(instruction, id);
+      assert.ok(labels.fr && labels.en, id);
+    }
+  });
+});
+
+describe('AIService.rewrite', () => {
+  it('transmet les consignes de chaque transformation demandee, une seule fois', async () => {
+    const provider = new RecordingProvider(['Je passerai au bureau demain.']);
+    const service = new AIService({ provider });
+
+    const result = await service.rewrite({ ...PARAMS, transformations: ['formal', 'shorter', 'formal'] });
+
+    const { system, user } = provider.lastPrompts;
+    assert.equal(system.split(REWRITE_TRANSFORMATIONS.formal.instruction).length, 2);
+    assert.ok(system.includes(REWRITE_TRANSFORMATIONS.shorter.instruction));
+    assert.ok(!system.includes(REWRITE_TRANSFORMATIONS.casual.instruction));
+    assert.ok(user.includes(PARAMS.draft));
+
+    assert.equal(result.rewritten, 'Je passerai au bureau demain.');
+    assert.equal(result.original, PARAMS.draft);
+    assert.deepEqual(result.transformations, [
+      { id: 'formal', label: 'Plus formel' },
+      { id: 'shorter', label: 'Plus court' },
+    ]);
+  });
+
+  it('libelle les transformations dans la langue demandee', async () => {
+    const service = new AIService({ provider: new RecordingProvider() });
+
+    const result = await service.rewrite({ ...PARAMS, transformations: ['warmer'], language: 'en' });
+
+    assert.deepEqual(result.transformations, [{ id: 'warmer', label: 'Warmer' }]);
+  });
+
+  it('retire les emojis que le modele aurait laisses malgre remove_emojis', async () => {
+    const service = new AIService({ provider: new RecordingProvider(['Je passe demain 😊 👍']) });
+
+    const result = await service.rewrite({ ...PARAMS, transformations: ['remove_emojis'] });
+
+    assert.equal(result.rewritten, 'Je passe demain');
+  });
+});
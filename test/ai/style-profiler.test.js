@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { StyleProfiler, StyleProfileLearner } from '../../src/ai/style-profiler.js';
+import { AIService } from '../../src/ai/ai-service.js';
+import { MemoryKeyValueStore } from '../../src/storage/index.js';
+import { RecordingProvider } from '../helpers/recording-provider.js';
+
+function message(senderId, content) {
+  return { senderId, senderName: senderId === 'u1' ? 'Bob' : 'Alice', content };
+}
+
+const CONVERSATION = [
+  message('u2', 'Tu viens ce soir ?'),
+  message('u1', 'slt ! oui tkt 😂'),
+  message('u2', 'Top, on se retrouve où ?'),
+  message('u1', 'slt, devant le ciné ! bisous'),
+  message('u2', 'Ok ça marche'),
+  message('u1', 'cool, à toute 😂 bisous'),
+];
+
+describe('StyleProfiler', () => {
+  it('ne compte que les messages de l\'utilisateur', () => {
+    const counters = StyleProfiler.extract(CONVERSATION, 'u1');
+
+    assert.equal(counters.messages, 3);
+    assert.equal(counters.emojiMessages, 2);
+    assert.deepEqual(counters.emojis, { '😂': 2 });
+    assert.deepEqual(counters.abbreviations, { slt: 2, tkt: 1 });
+    assert.deepEqual(counters.greetings, { slt: 2 });
+    assert.deepEqual(counters.signOffs, { bisous: 2 });
+    assert.equal(counters.lowercaseMessages, 3);
+  });
+
+  it('ne calcule aucune empreinte sans cle', () => {
+    assert.deepEqual(StyleProfiler.extract(CONVERSATION, 'u1').seen, []);
+  });
+
+  it('resume les habitudes et ne retient une formule qu\'a partir de deux emplois', () => {
+    const profile = StyleProfiler.summarize(StyleProfiler.extract(CONVERSATION, 'u1'));
+
+    assert.equal(profile.sampleSize, 3);
+    assert.equal(profile.emojiRate, 0.67);
+    assert.deepEqual(profile.favoriteEmojis, ['😂']);
+    assert.equal(profile.abbreviationRate, 0.67);
+    assert.equal(profile.lowercaseRate, 1);
+    assert.equal(profile.capitalizationRate, 0);
+    assert.deepEqual(profile.greetings, ['slt']);
+    assert.deepEqual(profile.signOffs, ['bisous']);
+  });
+
+  it('ne produit pas de profil en dessous de MIN_MESSAGES', () => {
+    assert.equal(StyleProfiler.summarize(StyleProfiler.extract(CONVERSATION.slice(0, 4), 'u1')), null);
+  });
+
+  it('cumule et reduit les compteurs', () => {
+    const counters = StyleProfiler.extract(CONVERSATION, 'u1');
+    const merged = StyleProfiler.merge(counters, counters);
+
+    assert.equal(merged.messages, 6);
+    assert.deepEqual(merged.abbreviations, { slt: 4, tkt: 2 });
+    assert.equal(StyleProfiler.merge(null, counters), counters);
+
+    const scaled = StyleProfiler.scale(merged, 0.2);
+    assert.equal(scaled.messages, 1);
+    // Un element ramene a zero disparait
+    assert.deepEqual(scaled.abbreviations, { slt: 1 });
+  });
+
+  it('traduit le profil en traits de prompt', () => {
+    const profile = StyleProfiler.summarize(StyleProfiler.extract(CONVERSATION, 'u1'));
+    const traits = Object.fromEntries(StyleProfiler.traits(profile));
+
+    assert.deepEqual(traits['styleProfile.length.short'], { average: profile.averageLength });
+    assert.deepEqual(traits['styleProfile.emojis.frequent'], { favorites: '😂' });
+    assert.deepEqual(traits['styleProfile.abbreviations'], { examples: '"slt", "tkt"' });
+    assert.ok('styleProfile.capitalization.lowercase' in traits);
+    assert.ok('styleProfile.punctuation.exclamation' in traits);
+    assert.ok('styleProfile.punctuation.noFinalPeriod' in traits);
+    assert.deepEqual(traits['styleProfile.signOffs'], { examples: '"bisous"' });
+  });
+});
+
+describe('StyleProfileLearner', () => {
+  it('calcule le profil a chaque requete sans stockage', async () => {
+    const learner = new StyleProfileLearner();
+
+    assert.equal((await learner.getProfile(CONVERSATION, 'u1')).sampleSize, 3);
+    assert.equal((await learner.getProfile(CONVERSATION, 'u1')).sampleSize, 3);
+  });
+
+  it('ne renvoie rien lorsqu\'il est desactive', async () => {
+    assert.equal(await new StyleProfileLearner({ enabled: false }).getProfile(CONVERSATION, 'u1'), null);
+  });
+
+  it('cumule les messages sans recompter une conversation renvoyee', async () => {
+    const learner = new StyleProfileLearner({ store: new MemoryKeyValueStore() });
+
+    await learner.getProfile(CONVERSATION, 'u1');
+    const profile = await learner.getProfile([...CONVERSATION, message('u1', 'Bon je file.')], 'u1');
+
+    assert.equal(profile.sampleSize, 4);
+  });
+
+  it('recompte un message identique envoye dans un autre contexte', async () => {
+    const learner = new StyleProfileLearner({ store: new MemoryKeyValueStore() });
+
+    await learner.getProfile(CONVERSATION, 'u1');
+    const profile = await learner.getProfile([
+      message('u2', 'On se voit demain ?'),
+      message('u1', 'slt ! oui tkt 😂'),
+    ], 'u1');
+
+    assert.equal(profile.sampleSize, 4);
+  });
+
+  it('ne conserve que des empreintes a cle, sans le texte ni son simple hachage', async () => {
+    const store = new MemoryKeyValueStore();
+    await new StyleProfileLearner({ store, fingerprintKey: 'cle-de-test' }).getProfile(CONVERSATION, 'u1');
+
+    const saved = await store.get('u1');
+    const serialized = JSON.stringify(saved);
+    assert.equal(saved.seen.length, 3);
+    for (const { content } of CONVERSATION) {
+      const plainHash = createHash('sha256').update(content.trim()).digest('hex').slice(0, 16);
+      assert.equal(serialized.includes(plainHash), false);
+      assert.equal(serialized.includes(content), false);
+    }
+
+    // Une autre cle ne reconnait pas les messages deja appris
+    const other = new StyleProfileLearner({ store, fingerprintKey: 'autre-cle' });
+    assert.equal((await other.getProfile(CONVERSATION, 'u1')).sampleSize, 6);
+  });
+
+  it('se replie sur un calcul par requete si le stockage echoue', async () => {
+    const store = { get: async () => { throw new Error('stockage indisponible'); } };
+
+    assert.equal((await new StyleProfileLearner({ store }).getProfile(CONVERSATION, 'u1')).sampleSize, 3);
+  });
+});
+
+describe('Profil de style dans le prompt', () => {
+  const USER = { currentUserId: 'u1', currentUserName: 'Bob' };
+
+  it('decrit les habitudes de l\'utilisateur dans le prompt systeme', async () => {
+    const provider = new RecordingProvider(['ok']);
+
+    await new AIService({ provider }).generateSuggestion({ ...USER, messages: CONVERSATION });
+
+    const { system } = provider.lastPrompts;
+    assert.match(system, /STYLE D'ECRITURE DE Bob \(appris sur 3 de ses messages\)/);
+    assert.match(system, /Utilise des abreviations comme "slt", "tkt"/);
+    assert.match(system, /Termine souvent ses messages par "bisous"/);
+  });
+
+  it('n\'ajoute pas de section sans assez de messages de l\'utilisateur', async () => {
+    const provider = new RecordingProvider(['ok']);
+
+    await new AIService({ provider }).generateSuggestion({ ...USER, messages: CONVERSATION.slice(0, 2) });
+
+    assert.doesNotMatch(provider.lastPrompts.system, /STYLE D'ECRITURE/);
+  });
+});
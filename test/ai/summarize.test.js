@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../src/config/index.js';
+import { AIService } from '../../src/ai/ai-service.js';
+import { ResponseCache } from '../../src/ai/response-cache.js';
+import { RecordingProvider } from '../helpers/recording-provider.js';
+
+const MESSAGES = [
+  { senderId: 'u2', senderName: 'Alice', content: 'On part à Lyon samedi ?' },
+  { senderId: 'u1', senderName: 'Bob', content: 'Oui, je réserve le train' },
+];
+
+const USER = { currentUserId: 'u1', currentUserName: 'Bob' };
+
+describe('AIService.summarize', () => {
+  it('resume les messages avec une temperature basse et le budget de tokens des resumes', async () => {
+    const provider = new RecordingProvider(['Alice et Bob partent à Lyon samedi.']);
+
+    const result = await new AIService({ provider }).summarize({ ...USER, messages: MESSAGES });
+
+    assert.equal(result.summary, 'Alice et Bob partent à Lyon samedi.');
+    assert.equal(result.incremental, false);
+    assert.equal(result.messageCount, 2);
+    assert.equal(result.language, 'fr');
+
+    const [request] = provider.requests;
+    assert.equal(request.temperature, 0.3);
+    assert.equal(request.maxTokens, config.ai.summaryMaxTokens);
+    assert.match(provider.lastPrompts.user, /MESSAGES A RESUMER \(2\)/);
+    assert.ok(provider.lastPrompts.user.includes('je réserve le train'));
+  });
+
+  it('met a jour un resume precedent avec les nouveaux messages', async () => {
+    const provider = new RecordingProvider();
+
+    const result = await new AIService({ provider }).summarize({
+      ...USER,
+      messages: MESSAGES.slice(1),
+      previousSummary: 'Alice propose un week-end à Lyon.',
+    });
+
+    assert.equal(result.incremental, true);
+    assert.equal(result.messageCount, 1);
+    assert.match(provider.lastPrompts.user, /RESUME PRECEDENT:\nAlice propose un week-end à Lyon\./);
+    assert.match(provider.lastPrompts.user, /NOUVEAUX MESSAGES \(1\)/);
+  });
+
+  it('ignore un resume precedent vide', async () => {
+    const provider = new RecordingProvider();
+
+    const result = await new AIService({ provider }).summarize({ ...USER, messages: MESSAGES, previousSummary: '  ' });
+
+    assert.equal(result.incremental, false);
+    assert.doesNotMatch(provider.lastPrompts.user, /RESUME PRECEDENT/);
+  });
+
+  it('redige le resume dans la langue demandee', async () => {
+    const provider = new RecordingProvider();
+
+    const result = await new AIService({ provider }).summarize({ ...USER, messages: MESSAGES, language: 'en' });
+
+    assert.equal(result.language, 'en');
+    assert.match(provider.lastPrompts.system, /en anglais/);
+  });
+});
+
+describe('Resume dans les suggestions', () => {
+  it('place le resume en tete du contexte, avant les messages recents', async () => {
+    const provider = new RecordingProvider(['Parfait !']);
+
+    await new AIService({ provider }).generateSuggestion({
+      ...USER,
+      messages: MESSAGES,
+      summary: 'Alice et Bob organisent un week-end à Lyon.',
+    });
+
+    const { user } = provider.lastPrompts;
+    const summaryAt = user.indexOf('Alice et Bob organisent un week-end à Lyon.');
+    assert.ok(summaryAt >= 0);
+    assert.ok(summaryAt < user.indexOf('On part à Lyon samedi ?'));
+    assert.match(user, /\[RESUME DES ECHANGES PRECEDENTS\]/);
+  });
+
+  it('distingue les suggestions en cache par resume', () => {
+    const cache = new ResponseCache();
+    const params = { ...USER, messages: MESSAGES, mode: 'suggest' };
+
+    assert.notEqual(
+      cache.buildKey('suggest', { ...params, summary: 'Week-end à Lyon' }),
+      cache.buildKey('suggest', { ...params, summary: 'Week-end à Paris' })
+    );
+  });
+});
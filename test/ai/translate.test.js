@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIService } from '../../src/ai/ai-service.js';
+import { RecordingProvider } from '../helpers/recording-provider.js';
+
+const PARAMS = {
+  messages: [{ senderId: 'u2', senderName: 'Alice', content: 'tkt, on se capte plus tard' }],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+async function translate(text, targetLanguage, reply = 'traduction') {
+  const provider = new RecordingProvider([reply]);
+  const result = await new AIService({ provider }).translate({ ...PARAMS, text, targetLanguage });
+  return { result, provider };
+}
+
+describe('AIService.translate', () => {
+  it('traduit depuis la langue detectee', async () => {
+    const { result, provider } = await translate('I think you are right, see you tomorrow', 'fr', 'Je pense que tu as raison');
+
+    assert.equal(result.translation, 'Je pense que tu as raison');
+    assert.deepEqual(result.sourceLanguage, { code: 'en', confidence: 1 });
+    assert.match(provider.lastPrompts.system, /Traduis de anglais vers francais/);
+    assert.ok(provider.lastPrompts.user.includes('I think you are right, see you tomorrow'));
+  });
+
+  for (const [label, text] of [
+    ['espagnol', 'Hola, la casa de mi madre es muy bonita'],
+    ['allemand', 'Wie geht es dir heute'],
+  ]) {
+    it(`appelle le modele pour un texte ${label} pris pour du francais`, async () => {
+      const { result, provider } = await translate(text, 'fr', 'Bonjour');
+
+      // Sans lexique pour cette langue, la detection se trompe : elle n'est pas imposee au modele
+      assert.equal(result.sourceLanguage.code, 'fr');
+      assert.equal(provider.requests.length, 1);
+      assert.match(provider.lastPrompts.system, /Traduis de la langue d'origine vers francais/);
+      assert.equal(result.translation, 'Bonjour');
+      assert.equal(result.metadata.tokensUsed, 10);
+    });
+  }
+
+  it('appelle le modele meme pour un texte deja dans la langue cible', async () => {
+    const { result, provider } = await translate('Je pense que tu as raison', 'fr', 'Je pense que tu as raison');
+
+    assert.equal(provider.requests.length, 1);
+    assert.equal(result.translation, 'Je pense que tu as raison');
+  });
+
+  it('indique une langue source indeterminee sans aucun indice lexical', async () => {
+    const { result, provider } = await translate('Merhaba nasilsin', 'en');
+
+    assert.deepEqual(result.sourceLanguage, { code: 'und', confidence: 0 });
+    assert.match(provider.lastPrompts.system, /Traduis de la langue d'origine vers anglais/);
+  });
+
+  it('reprend le registre de la conversation dans le prompt', async () => {
+    const { provider } = await translate('tkt', 'en');
+
+    assert.match(provider.lastPrompts.system, /Ton general: /);
+    assert.match(provider.lastPrompts.user, /Alice/);
+  });
+});
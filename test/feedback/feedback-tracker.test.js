@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { FeedbackTracker } from '../../src/feedback/feedback-tracker.js';
+import { MemoryFeedbackStore } from '../../src/feedback/memory-store.js';
+import { FileFeedbackStore } from '../../src/feedback/file-store.js';
+
+const METADATA = { engine: 'llm', model: 'test-model', promptVersion: 'v1' };
+
+function register(tracker, overrides = {}) {
+  return tracker.register({
+    userId: 'u1',
+    suggestion: 'Oui, avec plaisir !',
+    mode: 'suggest',
+    analysis: { tone: 'amical', relationship: 'ami' },
+    metadata: METADATA,
+    ...overrides,
+  });
+}
+
+describe('FeedbackTracker', () => {
+  it('enregistre une suggestion et la retrouve pour son seul destinataire', async () => {
+    const tracker = new FeedbackTracker(new MemoryFeedbackStore());
+    const id = await register(tracker);
+
+    const entry = await tracker.get(id, 'u1');
+    assert.equal(entry.mode, 'suggest');
+    assert.equal(entry.model, 'test-model');
+    assert.equal(entry.tone, 'amical');
+    assert.equal(entry.feedback, null);
+    assert.equal(await tracker.get(id, 'u2'), null);
+  });
+
+  it('utilise le moteur comme modele pour une suggestion heuristique', async () => {
+    const tracker = new FeedbackTracker(new MemoryFeedbackStore());
+    const id = await register(tracker, { metadata: { engine: 'heuristic' } });
+
+    assert.equal((await tracker.get(id, 'u1')).model, 'heuristic');
+  });
+
+  it('calcule la distance d\'edition et oublie les textes', async () => {
+    const tracker = new FeedbackTracker(new MemoryFeedbackStore());
+    const id = await register(tracker);
+
+    const { feedback, suggestion } = await tracker.record(id, 'u1', { outcome: 'edited', finalText: 'Oui, avec joie !' });
+
+    assert.equal(suggestion, null);
+    assert.equal(feedback.outcome, 'edited');
+    assert.equal(feedback.editDistance, 6);
+    assert.equal(feedback.editRatio, 0.316);
+    assert.equal(JSON.stringify(await tracker.get(id, 'u1')).includes('joie'), false);
+  });
+
+  it('refuse une suggestion inconnue ou destinee a un autre utilisateur', async () => {
+    const tracker = new FeedbackTracker(new MemoryFeedbackStore());
+    const id = await register(tracker);
+
+    for (const [suggestionId, userId] of [['inconnue', 'u1'], [id, 'u2']]) {
+      await assert.rejects(tracker.record(suggestionId, userId, { outcome: 'accepted' }), { statusCode: 404 });
+    }
+  });
+
+  it('refuse un second retour, meme envoye simultanement', async () => {
+    const store = new MemoryFeedbackStore();
+    const tracker = new FeedbackTracker(store);
+    const id = await register(tracker);
+
+    // Sauvegarde lente : le second retour arrive avant la fin de l'ecriture du premier
+    const save = store.save.bind(store);
+    store.save = async (entry) => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return save(entry);
+    };
+
+    const results = await Promise.allSettled([
+      tracker.record(id, 'u1', { outcome: 'accepted' }),
+      tracker.record(id, 'u1', { outcome: 'rejected' }),
+    ]);
+
+    assert.equal(results[0].status, 'fulfilled');
+    assert.equal(results[1].status, 'rejected');
+    assert.equal(results[1].reason.statusCode, 409);
+    assert.equal((await tracker.get(id, 'u1')).feedback.outcome, 'accepted');
+    await assert.rejects(tracker.record(id, 'u1', { outcome: 'rejected' }), { statusCode: 409 });
+  });
+
+  it('permet un nouvel essai si l\'ecriture du retour echoue', async () => {
+    const store = new MemoryFeedbackStore();
+    const tracker = new FeedbackTracker(store);
+    const id = await register(tracker);
+
+    const save = store.save.bind(store);
+    store.save = async () => { throw new Error('disque plein'); };
+    await assert.rejects(tracker.record(id, 'u1', { outcome: 'accepted' }), /disque plein/);
+
+    store.save = save;
+    assert.equal((await tracker.record(id, 'u1', { outcome: 'accepted' })).feedback.outcome, 'accepted');
+  });
+
+  it('ne fait pas echouer la generation si le stockage echoue', async () => {
+    const tracker = new FeedbackTracker({ save: async () => { throw new Error('disque plein'); } });
+
+    assert.equal(typeof await register(tracker), 'string');
+  });
+});
+
+describe('FeedbackTracker - rapport', () => {
+  async function trackerWithFeedback() {
+    const tracker = new FeedbackTracker(new MemoryFeedbackStore());
+    const outcomes = [
+      [{}, { outcome: 'accepted' }],
+      [{}, { outcome: 'edited', finalText: 'Oui, avec joie !' }],
+      [{ mode: 'improve', analysis: { tone: 'formel', relationship: 'professionnel' } }, { outcome: 'rejected' }],
+      [{ metadata: { engine: 'heuristic' } }, { outcome: 'accepted' }],
+      [{}, null],
+    ];
+    for (const [overrides, feedback] of outcomes) {
+      const id = await register(tracker, overrides);
+      if (feedback) await tracker.record(id, 'u1', feedback);
+    }
+    return tracker;
+  }
+
+  it('agrege les taux et la distance d\'edition', async () => {
+    const report = await (await trackerWithFeedback()).buildReport();
+
+    assert.equal(report.suggestions, 5);
+    assert.equal(report.feedbackRate, 0.8);
+    assert.deepEqual(report.overall, {
+      total: 4,
+      accepted: 2,
+      edited: 1,
+      rejected: 1,
+      acceptanceRate: 0.5,
+      usageRate: 0.75,
+      rejectionRate: 0.25,
+      averageEditDistance: 6,
+      averageEditRatio: 0.316,
+    });
+  });
+
+  it('ventile par mode, modele, ton et relation', async () => {
+    const report = await (await trackerWithFeedback()).buildReport();
+
+    assert.deepEqual(Object.keys(report.byMode).sort(), ['improve', 'suggest']);
+    assert.equal(report.byMode.improve.rejectionRate, 1);
+    assert.equal(report.byModel.heuristic.total, 1);
+    assert.equal(report.byModel['test-model'].total, 3);
+    assert.equal(report.byTone.formel.total, 1);
+    assert.equal(report.byRelationship.ami.acceptanceRate, 0.667);
+  });
+
+  it('ne retient que les suggestions generees depuis la date demandee', async () => {
+    const tracker = await trackerWithFeedback();
+    const report = await tracker.buildReport({ since: new Date(Date.now() + 60_000) });
+
+    assert.equal(report.suggestions, 0);
+    assert.equal(report.feedbackRate, null);
+    assert.equal(report.overall.acceptanceRate, null);
+    assert.deepEqual(report.byMode, {});
+  });
+});
+
+describe('Stockages des retours', () => {
+  it('supprime les plus anciennes entrees au-dela de maxEntries', async () => {
+    const store = new MemoryFeedbackStore({ maxEntries: 2 });
+    for (const id of ['a', 'b', 'c']) await store.save({ id });
+    await store.save({ id: 'b', updated: true });
+
+    assert.deepEqual((await store.list()).map(({ id }) => id), ['b', 'c']);
+    assert.equal((await store.get('b')).updated, true);
+    assert.equal(await store.get('a'), null);
+  });
+
+  it('recharge les entrees du fichier sans jamais y ecrire le texte suggere', async (t) => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'feedback-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'feedback.jsonl');
+
+    const tracker = new FeedbackTracker(new FileFeedbackStore({ filePath }));
+    const id = await register(tracker);
+    assert.equal((await tracker.get(id, 'u1')).suggestion, 'Oui, avec plaisir !');
+    assert.doesNotMatch(readFileSync(filePath, 'utf8'), /plaisir/);
+
+    // Apres redemarrage, le texte suggere n'est plus disponible : pas de distance
+    const restarted = new FeedbackTracker(new FileFeedbackStore({ filePath }));
+    const { feedback } = await restarted.record(id, 'u1', { outcome: 'edited', finalText: 'Oui !' });
+    assert.equal(feedback.editDistance, null);
+
+    const reloaded = new FileFeedbackStore({ filePath });
+    assert.equal((await reloaded.get(id)).feedback.outcome, 'edited');
+  });
+});
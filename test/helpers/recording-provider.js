@@ -0,0 +1,55 @@
+/**
+ * Fournisseur de test
+ * Renvoie des reponses fixees et conserve les requetes recues (prompts envoyes)
+ */
+
+import { LLMProvider } from '../../src/ai/providers/base-provider.js';
+
+export class RecordingProvider extends LLMProvider {
+  /**
+   * @param {Array<string>} replies - Reponses successives (la derniere est repetee)
+   */
+  constructor(replies = ['ok']) {
+    super({ name: 'test', model: 'test-model' });
+    this.replies = replies;
+    this.requests = [];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Enregistre la requete et retourne la reponse correspondante
+   */
+  record(request) {
+    this.requests.push(request);
+    return this.replies[Math.min(this.requests.length, this.replies.length) - 1];
+  }
+
+  /**
+   * Prompts (systeme, utilisateur) de la derniere requete
+   */
+  get lastPrompts() {
+    const { messages } = this.requests.at(-1);
+    return {
+      system: messages.find((m) => m.role === 'system')?.content,
+      user: messages.find((m) => m.role === 'user')?.content,
+    };
+  }
+
+  async createCompletion(request) {
+    const content = this.record(request);
+    return { content, usage: { total_tokens: 10 }, model: this.model };
+  }
+
+  async *streamCompletion(request) {
+    const content = this.record(request);
+    for (const piece of content.match(/\S+\s*/g) || []) {
+      yield { content: piece };
+    }
+    yield { usage: { total_tokens: 10 } };
+  }
+}
+
+export default RecordingProvider;
@@ -0,0 +1,59 @@
+/**
+ * Serveur HTTP de test
+ * Monte un routeur de src/routes comme src/index.js, sur un port libre
+ */
+
+import { once } from 'node:events';
+import express from 'express';
+
+// Fournisseur simule, sans authentification ni limite de requetes genante
+const TEST_ENV = {
+  AI_PROVIDER: 'mock',
+  AUTH_ENABLED: 'false',
+  RATE_LIMIT_MAX: '1000',
+};
+
+/**
+ * Demarre un serveur exposant un routeur
+ * La configuration est chargee au premier import : les variables d'environnement
+ * sont donc fixees avant, et les modules de src/ importes dynamiquement
+ * @param {string} routes - Fichier du routeur dans src/routes (ex: 'ai.routes.js')
+ * @param {string} mountPath - Chemin de montage (ex: '/api/ai')
+ * @param {Object} env - Variables d'environnement propres au fichier de test
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+export async function startServer(routes, mountPath, env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+
+  const { default: router } = await import(`../../src/routes/${routes}`);
+  const { errorHandler } = await import('../../src/middleware/error-handler.js');
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+  app.use(mountPath, router);
+  app.use(errorHandler);
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * POST JSON
+ * @returns {Promise<Response>}
+ */
+export function postJson(url, body, { headers, signal } = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+}
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// La configuration est lue au premier import
+Object.assign(process.env, {
+  AUTH_ENABLED: 'true',
+  AUTH_VERIFIER: 'local',
+  AUTH_LOCAL_SECRET: 'secret-de-test',
+  API_KEYS: 'cle-serveur-1, cle-serveur-2',
+});
+
+const { authenticate, authorizeCurrentUser } = await import('../../src/middleware/authenticate.js');
+const { LocalTokenVerifier } = await import('../../src/auth/index.js');
+
+const issuer = new LocalTokenVerifier({ secret: 'secret-de-test' });
+
+/**
+ * Execute un middleware et retourne l'erreur transmise a next (undefined si aucune)
+ */
+async function run(middleware, req) {
+  let received;
+  await middleware(req, {}, (error) => { received = error; });
+  return received;
+}
+
+function request(headers = {}, body = {}) {
+  return { headers, body, path: '/suggest' };
+}
+
+describe('authenticate', () => {
+  it('refuse une requete sans jeton', async () => {
+    const error = await run(authenticate, request());
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, 'Jeton d\'authentification manquant');
+  });
+
+  it('refuse un en-tete Authorization qui n\'est pas de type Bearer', async () => {
+    const error = await run(authenticate, request({ authorization: `Basic ${issuer.sign({ sub: 'u1' })}` }));
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, 'Jeton d\'authentification manquant');
+  });
+
+  for (const [label, token] of [
+    ['mal forme', 'pas-un-jwt'],
+    ['signe avec une autre cle', new LocalTokenVerifier({ secret: 'autre-secret' }).sign({ sub: 'u1' })],
+    ['expire', issuer.sign({ sub: 'u1' }, -60)],
+    ['sans sujet', issuer.sign({})],
+  ]) {
+    it(`refuse un jeton ${label}`, async () => {
+      const req = request({ authorization: `Bearer ${token}` });
+      const error = await run(authenticate, req);
+
+      assert.equal(error.statusCode, 401);
+      assert.equal(error.code, 'UNAUTHORIZED');
+      assert.equal(error.message, 'Jeton d\'authentification invalide ou expire');
+      assert.equal(req.user, undefined);
+    });
+  }
+
+  it('attache l\'utilisateur d\'un jeton valide a req.user', async () => {
+    const req = request({ authorization: `Bearer ${issuer.sign({ sub: 'u1', email: 'bob@example.com' })}` });
+
+    assert.equal(await run(authenticate, req), undefined);
+    assert.equal(req.user.uid, 'u1');
+    assert.equal(req.user.email, 'bob@example.com');
+  });
+
+  it('accepte une cle API valide a la place du jeton', async () => {
+    const req = request({ 'x-api-key': 'cle-serveur-2' });
+
+    assert.equal(await run(authenticate, req), undefined);
+    assert.equal(req.user, undefined);
+    // Empreinte stable, jamais la cle en clair
+    assert.match(req.apiKey, /^[0-9a-f]{16}$/);
+    assert.notEqual(req.apiKey, 'cle-serveur-2');
+  });
+
+  it('refuse une cle API inconnue meme accompagnee d\'un jeton valide', async () => {
+    const req = request({
+      'x-api-key': 'cle-serveur',
+      authorization: `Bearer ${issuer.sign({ sub: 'u1' })}`,
+    });
+    const error = await run(authenticate, req);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, 'Cle API invalide');
+    assert.equal(req.apiKey, undefined);
+  });
+});
+
+describe('authorizeCurrentUser', () => {
+  it('refuse un currentUserId different de l\'utilisateur authentifie', async () => {
+    const req = request({}, { currentUserId: 'u2' });
+    req.user = { uid: 'u1' };
+
+    const error = await run(authorizeCurrentUser, req);
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(error.code, 'FORBIDDEN');
+  });
+
+  it('accepte le currentUserId de l\'utilisateur authentifie', async () => {
+    const req = request({}, { currentUserId: 'u1' });
+    req.user = { uid: 'u1' };
+
+    assert.equal(await run(authorizeCurrentUser, req), undefined);
+  });
+
+  it('laisse un client par cle API agir pour n\'importe quel utilisateur', async () => {
+    const req = request({ 'x-api-key': 'cle-serveur-1' }, { currentUserId: 'u2' });
+    await run(authenticate, req);
+
+    assert.equal(await run(authorizeCurrentUser, req), undefined);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateValue, validate } from '../../src/middleware/validate-request.js';
+
+describe('validateValue', () => {
+  it('accepte une valeur conforme', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', required: true, minLength: 1 },
+        age: { type: 'integer', min: 0 },
+      },
+    };
+
+    assert.deepEqual(validateValue({ name: 'Alice', age: 30 }, schema), []);
+  });
+
+  it('decrit chaque erreur par son chemin, sa regle et un message', () => {
+    const errors = validateValue({ name: 42 }, {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+    });
+
+    assert.deepEqual(errors, [{ path: 'name', rule: 'type', message: 'name: doit etre une chaine' }]);
+  });
+
+  it('utilise body comme chemin de la racine', () => {
+    assert.deepEqual(validateValue([], { type: 'object' }), [
+      { path: 'body', rule: 'type', message: 'body: doit etre un objet' },
+    ]);
+  });
+
+  it('verifie les types', () => {
+    const rule = (value, type) => validateValue(value, { type }, 'v').map((e) => e.rule);
+
+    assert.deepEqual(rule(1.5, 'integer'), ['type']);
+    assert.deepEqual(rule('3', 'number'), ['type']);
+    assert.deepEqual(rule(Number.NaN, 'number'), ['type']);
+    assert.deepEqual(rule(null, 'object'), ['type']);
+    assert.deepEqual(rule(3, 'integer'), []);
+    assert.deepEqual(rule(false, 'boolean'), []);
+  });
+
+  it('signale les proprietes requises absentes ou nulles', () => {
+    const schema = {
+      type: 'object',
+      properties: { a: { type: 'string', required: true }, b: { type: 'string', required: true } },
+    };
+
+    assert.deepEqual(validateValue({ b: null }, schema).map((e) => [e.path, e.rule]), [
+      ['a', 'required'],
+      ['b', 'required'],
+    ]);
+  });
+
+  it('verifie les bornes des chaines, nombres et tableaux', () => {
+    const rules = (value, schema) => validateValue(value, schema, 'v').map((e) => e.rule);
+
+    assert.deepEqual(rules('', { minLength: 1 }), ['minLength']);
+    assert.deepEqual(rules('abcd', { maxLength: 3 }), ['maxLength']);
+    assert.deepEqual(rules(0, { min: 1 }), ['min']);
+    assert.deepEqual(rules(6, { max: 5 }), ['max']);
+    assert.deepEqual(rules([], { minItems: 1 }), ['minItems']);
+    assert.deepEqual(rules([1, 2], { maxItems: 1 }), ['maxItems']);
+  });
+
+  it('verifie pattern et enum', () => {
+    assert.deepEqual(validateValue('FR', { pattern: '^[a-z]{2}$' }, 'language').map((e) => e.rule), ['pattern']);
+    assert.deepEqual(validateValue('x', { enum: ['a', 'b'] }, 'sortBy'), [
+      { path: 'sortBy', rule: 'enum', message: 'sortBy: doit etre l\'une des valeurs: a, b' },
+    ]);
+  });
+
+  it('indexe le chemin des elements de tableau et des objets imbriques', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        messages: {
+          type: 'array',
+          items: { type: 'object', properties: { content: { type: 'string', required: true } } },
+        },
+      },
+    };
+
+    const errors = validateValue({ messages: [{ content: 'ok' }, {}] }, schema);
+
+    assert.deepEqual(errors.map((e) => e.path), ['messages[1].content']);
+  });
+
+  it('ne valide pas les elements d\'un tableau trop long', () => {
+    const errors = validateValue([1, 'a', 'b'], { maxItems: 2, items: { type: 'integer' } }, 'v');
+
+    assert.deepEqual(errors.map((e) => e.rule), ['maxItems']);
+  });
+
+  it('valide les proprietes additionnelles et leur nombre', () => {
+    const schema = { type: 'object', additionalProperties: { type: 'boolean' }, maxProperties: 2 };
+
+    assert.deepEqual(validateValue({ a: true, b: 'non' }, schema).map((e) => [e.path, e.rule]), [['b', 'type']]);
+    assert.deepEqual(validateValue({ a: true, b: true, c: true }, schema).map((e) => e.rule), ['maxProperties']);
+  });
+});
+
+describe('validate', () => {
+  it('transmet une erreur 400 avec les details de validation', () => {
+    const middleware = validate({ type: 'object', properties: { id: { type: 'string', required: true } } });
+    let received;
+
+    middleware({ body: {} }, {}, (error) => { received = error; });
+
+    assert.equal(received.statusCode, 400);
+    assert.equal(received.message, 'Validation echouee (1 erreur)');
+    assert.deepEqual(received.details, [{ path: 'id', rule: 'required', message: 'id: requis' }]);
+  });
+
+  it('laisse passer un body valide', () => {
+    const middleware = validate({ type: 'object', properties: { id: { type: 'string' } } });
+    let called = false;
+
+    middleware({ body: { id: 'a' } }, {}, (error) => { called = error === undefined; });
+
+    assert.equal(called, true);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { PreferencesService } from '../../src/preferences/preferences-service.js';
+import { MemoryKeyValueStore, JsonFileKeyValueStore } from '../../src/storage/index.js';
+
+describe('PreferencesService', () => {
+  it('renvoie des preferences vides pour un utilisateur inconnu', async () => {
+    const service = new PreferencesService(new MemoryKeyValueStore());
+
+    assert.deepEqual(await service.get('u1'), { preferences: PreferencesService.defaults(), updatedAt: null });
+  });
+
+  it('ne conserve que les champs connus et ignore les surcharges vides', async () => {
+    const service = new PreferencesService(new MemoryKeyValueStore());
+
+    const { preferences, updatedAt } = await service.replace('u1', {
+      emojis: 'never',
+      couleur: 'bleu',
+      contacts: { boss: { address: 'vous' }, alice: {} },
+    });
+
+    assert.deepEqual(preferences, {
+      language: null,
+      maxWords: null,
+      emojis: 'never',
+      address: null,
+      formality: null,
+      contacts: {
+        boss: { language: null, maxWords: null, emojis: null, address: 'vous', formality: null },
+      },
+    });
+    assert.ok(!Number.isNaN(Date.parse(updatedAt)));
+    assert.deepEqual(await service.get('u1'), { preferences, updatedAt });
+  });
+
+  it('remplace entierement les preferences precedentes', async () => {
+    const service = new PreferencesService(new MemoryKeyValueStore());
+
+    await service.replace('u1', { emojis: 'never', contacts: { boss: { address: 'vous' } } });
+    const { preferences } = await service.replace('u1', { maxWords: 20 });
+
+    assert.equal(preferences.emojis, null);
+    assert.equal(preferences.maxWords, 20);
+    assert.deepEqual(preferences.contacts, {});
+  });
+
+  it('persiste les preferences dans le stockage fichier', async (t) => {
+    const dir = mkdtempSync(path.join(tmpdir(), 'preferences-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'preferences.json');
+
+    const store = new JsonFileKeyValueStore({ filePath });
+    const saved = await new PreferencesService(store).replace('u1', { language: 'en', contacts: { boss: { address: 'vous' } } });
+
+    const reloaded = new PreferencesService(new JsonFileKeyValueStore({ filePath }));
+    assert.deepEqual(await reloaded.get('u1'), saved);
+  });
+});
+
+describe('PreferencesService.resolve', () => {
+  const PREFERENCES = {
+    ...PreferencesService.defaults(),
+    emojis: 'never',
+    address: 'tu',
+    contacts: {
+      boss: {
+        language: null, maxWords: null, emojis: null, address: 'vous', formality: 'formel',
+      },
+    },
+  };
+
+  it('applique les surcharges du contact puis les valeurs par defaut', () => {
+    assert.deepEqual(PreferencesService.resolve(PREFERENCES, 'boss'), {
+      language: null, maxWords: null, emojis: 'never', address: 'vous', formality: 'formel',
+    });
+  });
+
+  it('n\'applique que les valeurs par defaut a un autre contact ou a un groupe', () => {
+    for (const contactId of ['alice', null]) {
+      const effective = PreferencesService.resolve(PREFERENCES, contactId);
+      assert.equal(effective.address, 'tu');
+      assert.equal(effective.formality, null);
+    }
+  });
+
+  it('renvoie null sans preference applicable', () => {
+    assert.equal(PreferencesService.resolve(null), null);
+    assert.equal(PreferencesService.resolve(PreferencesService.defaults(), 'boss'), null);
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+
+// La configuration est lue au premier import
+Object.assign(process.env, {
+  AI_PROVIDER: 'mock',
+  AUTH_ENABLED: 'false',
+  RATE_LIMIT_MAX: '1000',
+  QUOTA_DAILY_TOKENS: '100000',
+});
+
+const { TypingAssistantSession } = await import('../../src/realtime/typing-assistant.js');
+const { default: aiService } = await import('../../src/ai/ai-service.js');
+const { tokenQuotaStore } = await import('../../src/middleware/rate-limit.js');
+
+const DEBOUNCE_MS = 20;
+
+const START = {
+  type: 'start',
+  messages: [{ senderId: 'u2', senderName: 'Alice', content: 'Tu viens ce soir ?' }],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+let sessions = 0;
+
+/**
+ * Session reliee a un journal des evenements envoyes, fermee en fin de test
+ */
+function createSession(t, options = {}) {
+  const events = [];
+  const session = new TypingAssistantSession({
+    send: (type, data) => events.push({ type, data }),
+    sendError: (error) => events.push({ type: 'error', data: { code: error.code, message: error.message } }),
+    clientKey: `client-${++sessions}`,
+    debounceMs: DEBOUNCE_MS,
+    ...options,
+  });
+  t.after(() => session.close());
+  const send = (payload) => session.handle(JSON.stringify(payload));
+  return { session, events, send };
+}
+
+/**
+ * Attend qu'un evenement du type demande ait ete envoye
+ */
+async function waitFor(events, type, count = 1) {
+  for (let waited = 0; waited < 2000; waited += 5) {
+    const found = events.filter((event) => event.type === type);
+    if (found.length >= count) return found.at(count - 1);
+    await delay(5);
+  }
+  throw new Error(`Evenement ${type} non recu`);
+}
+
+/**
+ * Generation simulee : suit les appels et leurs signaux d'annulation
+ */
+function stubStream(t, { wait = () => Promise.resolve() } = {}) {
+  const calls = [];
+  t.mock.method(aiService, 'streamSuggestion', async function* (params, { signal }) {
+    calls.push({ params, signal });
+    yield { type: 'analysis', data: { mode: 'improve', analysis: { tone: 'neutre' } } };
+    await wait(signal);
+    if (signal.aborted) throw new Error('annulee');
+    yield {
+      type: 'done',
+      data: {
+        suggestion: `${params.currentInput} !`,
+        mode: params.currentInput ? 'improve' : 'suggest',
+        metadata: { engine: 'llm', model: 'test-model', tokensUsed: 12 },
+      },
+    };
+  });
+  return calls;
+}
+
+describe('TypingAssistantSession', () => {
+  it('ouvre la session puis envoie analyse et suggestion apres le delai', async (t) => {
+    const { session, events, send } = createSession(t);
+
+    await send(START);
+    assert.equal(events[0].type, 'ready');
+    assert.deepEqual(events[0].data, { sessionId: session.id, debounceMs: DEBOUNCE_MS });
+
+    const analysis = await waitFor(events, 'analysis');
+    assert.equal(analysis.data.messageCount, 1);
+
+    const { data } = await waitFor(events, 'suggestion');
+    assert.equal(data.mode, 'suggest');
+    assert.equal(data.generation, 1);
+    assert.equal(typeof data.suggestion, 'string');
+    assert.match(data.suggestionId, /^[0-9a-f-]{36}$/);
+  });
+
+  it('refuse les messages avant start et un message invalide', async (t) => {
+    const { session, events, send } = createSession(t);
+
+    await send({ type: 'draft', draft: 'Salut' });
+    await session.handle('{pas du json');
+    await send({ type: 'inconnu' });
+
+    assert.deepEqual(events.map(({ data }) => data.code), ['CONFLICT', 'BAD_REQUEST', 'BAD_REQUEST']);
+  });
+
+  it('refuse un second start, meme envoye avant la fin du premier', async (t) => {
+    const { session, events, send } = createSession(t);
+
+    await Promise.all([send(START), send(START)]);
+
+    // Le second start est refuse sans attendre l'ouverture du premier
+    assert.deepEqual(events.map(({ type }) => type), ['error', 'ready']);
+    assert.equal(events[0].data.code, 'CONFLICT');
+  });
+
+  it('applique un brouillon envoye juste apres start', async (t) => {
+    const calls = stubStream(t);
+    const { session, events, send } = createSession(t);
+
+    await Promise.all([send(START), send({ type: 'draft', draft: 'ok jvien' })]);
+
+    assert.ok(events.every(({ type }) => type !== 'error'));
+    const { data } = await waitFor(events, 'suggestion');
+    assert.equal(data.draft, 'ok jvien');
+    assert.equal(calls.length, 1);
+  });
+
+  it('refuse un currentUserId different de l\'utilisateur authentifie', async (t) => {
+    const { session, events, send } = createSession(t, { user: { uid: 'u2' } });
+
+    await send(START);
+
+    assert.equal(events[0].data.code, 'FORBIDDEN');
+    assert.equal(session.context, null);
+  });
+
+  it('ne genere qu\'une suggestion pour une rafale de modifications', async (t) => {
+    const calls = stubStream(t);
+    const { session, events, send } = createSession(t);
+
+    await send(START);
+    for (const draft of ['o', 'ok', 'ok j', 'ok jvien']) {
+      await send({ type: 'draft', draft });
+    }
+
+    const { data } = await waitFor(events, 'suggestion');
+    await delay(DEBOUNCE_MS * 3);
+    assert.equal(calls.length, 1);
+    assert.equal(data.draft, 'ok jvien');
+    assert.equal(events.filter(({ type }) => type === 'suggestion').length, 1);
+  });
+
+  it('annule la generation remplacee par un brouillon plus recent', async (t) => {
+    let release;
+    const blocked = new Promise((resolve) => { release = resolve; });
+    const calls = stubStream(t, {
+      // La premiere generation reste en cours jusqu'a son annulation
+      wait: (signal) => (calls.length === 1
+        ? new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }))
+        : blocked),
+    });
+    const { session, events, send } = createSession(t);
+
+    await send({ ...START, draft: 'ok' });
+    for (let waited = 0; calls.length === 0 && waited < 2000; waited += 5) await delay(5);
+
+    await send({ type: 'draft', draft: 'ok jvien' });
+    assert.equal(calls[0].signal.aborted, true);
+
+    release();
+    const { data } = await waitFor(events, 'suggestion');
+    assert.equal(data.draft, 'ok jvien');
+    assert.equal(data.generation, 2);
+    assert.equal(events.filter(({ type }) => type === 'suggestion').length, 1);
+  });
+
+  it('refuse de generer lorsque le quota de tokens est epuise', async (t) => {
+    const calls = stubStream(t);
+    const { session, events, send } = createSession(t);
+    tokenQuotaStore.record(session.clientKey, 100000);
+
+    await send(START);
+
+    const { data } = await waitFor(events, 'error');
+    assert.equal(data.code, 'RATE_LIMITED');
+    assert.match(data.message, /Quota de tokens journalier epuise/);
+    assert.equal(calls.length, 0);
+  });
+
+  it('compte les tokens d\'une generation terminee', async (t) => {
+    stubStream(t);
+    const { session, events, send } = createSession(t);
+
+    await send(START);
+    await waitFor(events, 'suggestion');
+
+    assert.equal(tokenQuotaStore.getState(session.clientKey).daily.used, 12);
+  });
+
+  it('n\'envoie plus rien une fois fermee', async (t) => {
+    const calls = stubStream(t);
+    const { session, events, send } = createSession(t);
+
+    await send(START);
+    session.close();
+    await delay(DEBOUNCE_MS * 3);
+
+    assert.deepEqual(events.map(({ type }) => type), ['ready']);
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import { randomBytes } from 'node:crypto';
+import WebSocket from 'faye-websocket';
+
+// La configuration est lue au premier import
+Object.assign(process.env, {
+  AI_PROVIDER: 'mock',
+  AUTH_ENABLED: 'true',
+  AUTH_VERIFIER: 'local',
+  AUTH_LOCAL_SECRET: 'secret-de-test',
+  API_KEYS: 'cle-serveur',
+  RATE_LIMIT_MAX: '1000',
+});
+
+const { attachTypingAssistant } = await import('../../src/realtime/websocket-server.js');
+const { LocalTokenVerifier } = await import('../../src/auth/index.js');
+const { default: config } = await import('../../src/config/index.js');
+
+const TOKEN = new LocalTokenVerifier({ secret: 'secret-de-test' }).sign({ sub: 'u1' });
+const ALLOWED_ORIGIN = 'https://app.example.com';
+
+let server;
+let port;
+// Permet a un test de suspendre la verification de l'origine
+let originGate = null;
+
+/**
+ * Demande d'ouverture brute : renvoie la reponse HTTP d'un refus
+ * @returns {Promise<{ status: number, body: Object } | { upgraded: true }>}
+ */
+function upgradeRequest(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      host: '127.0.0.1',
+      port,
+      path,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+        Origin: ALLOWED_ORIGIN,
+        ...headers,
+      },
+    });
+    request.on('response', (response) => {
+      let body = '';
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(body) }));
+    });
+    request.on('upgrade', (response, socket) => {
+      socket.destroy();
+      resolve({ upgraded: true });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Client WebSocket : file des messages recus
+ */
+async function connect(query = '', headers = {}) {
+  const ws = new WebSocket.Client(`ws://127.0.0.1:${port}${config.assistant.path}${query}`, [], {
+    headers: { Origin: ALLOWED_ORIGIN, ...headers },
+  });
+  const received = [];
+  ws.on('message', (event) => received.push(JSON.parse(event.data)));
+  await once(ws, 'open');
+
+  return {
+    send: (payload) => ws.send(JSON.stringify(payload)),
+    async next(type) {
+      for (let waited = 0; waited < 2000; waited += 5) {
+        const index = received.findIndex((message) => message.type === type);
+        if (index >= 0) return received.splice(index, 1)[0];
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      throw new Error(`Message ${type} non recu`);
+    },
+    async close() {
+      ws.close();
+      await once(ws, 'close');
+    },
+  };
+}
+
+const START = {
+  type: 'start',
+  messages: [{ senderId: 'u2', senderName: 'Alice', content: 'Tu viens ce soir ?' }],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+describe('Canal WebSocket de l\'assistant de saisie', () => {
+  before(async () => {
+    server = http.createServer((req, res) => res.end());
+    attachTypingAssistant(server, {
+      checkOrigin: async (origin) => {
+        if (originGate) await originGate;
+        return origin === ALLOWED_ORIGIN;
+      },
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    ({ port } = server.address());
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('refuse une origine non autorisee', async () => {
+    const { status, body } = await upgradeRequest(`${config.assistant.path}?access_token=${TOKEN}`, {
+      Origin: 'https://malveillant.example.com',
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.error.code, 'FORBIDDEN');
+  });
+
+  it('refuse une connexion sans identifiants ou avec un jeton invalide', async () => {
+    for (const query of ['', '?access_token=invalide']) {
+      const { status, body } = await upgradeRequest(`${config.assistant.path}${query}`);
+
+      assert.equal(status, 401);
+      assert.equal(body.error.code, 'UNAUTHORIZED');
+    }
+  });
+
+  it('ferme les connexions vers un autre chemin', async () => {
+    await assert.rejects(upgradeRequest(`/autre?access_token=${TOKEN}`), { code: 'ECONNRESET' });
+  });
+
+  it('authentifie par le parametre access_token et applique l\'utilisateur du jeton', async () => {
+    const client = await connect(`?access_token=${TOKEN}`);
+
+    client.send({ ...START, currentUserId: 'u2' });
+    assert.equal((await client.next('error')).data.code, 'FORBIDDEN');
+
+    client.send(START);
+    const ready = await client.next('ready');
+    assert.equal(ready.data.debounceMs, config.assistant.debounceMs);
+    await client.close();
+  });
+
+  it('accepte l\'en-tete Authorization et une cle API', async () => {
+    for (const headers of [{ Authorization: `Bearer ${TOKEN}` }, { 'X-API-Key': 'cle-serveur' }]) {
+      const client = await connect('', headers);
+
+      client.send(START);
+      await client.next('ready');
+      await client.close();
+    }
+  });
+
+  it('renvoie une erreur sans fermer la connexion pour un message invalide', async () => {
+    const client = await connect(`?access_token=${TOKEN}`);
+
+    client.send({ type: 'draft', draft: 'Salut' });
+    assert.equal((await client.next('error')).data.code, 'CONFLICT');
+
+    client.send(START);
+    await client.next('ready');
+    await client.close();
+  });
+
+  it('supporte la deconnexion du client pendant la verification', async () => {
+    let release;
+    originGate = new Promise((resolve) => { release = resolve; });
+
+    const request = http.request({
+      host: '127.0.0.1',
+      port,
+      path: `${config.assistant.path}?access_token=${TOKEN}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+        Origin: ALLOWED_ORIGIN,
+      },
+    });
+    request.on('error', () => {});
+    request.end();
+    await once(request, 'socket');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    request.destroy();
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    originGate = null;
+    release();
+
+    // Le serveur continue de servir les connexions suivantes
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(await upgradeRequest(`${config.assistant.path}?access_token=${TOKEN}`), { upgraded: true });
+  });
+});
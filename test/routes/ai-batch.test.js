@@ -0,0 +1,110 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai', { ANALYZE_BATCH_MAX_MESSAGES: '5' });
+
+function conversation(id, contents, overrides = {}) {
+  return {
+    id,
+    messages: contents.map((content) => ({ senderId: 'u2', senderName: 'Alice', content })),
+    currentUserId: 'u1',
+    currentUserName: 'Bob',
+    ...overrides,
+  };
+}
+
+async function analyzeBatch(body) {
+  const response = await postJson(`${server.url}/analyze/batch`, body);
+  return { status: response.status, body: await response.json() };
+}
+
+describe('POST /api/ai/analyze/batch', () => {
+  after(() => server.close());
+
+  it('analyse chaque conversation et rappelle son identifiant', async () => {
+    const { status, body } = await analyzeBatch({
+      conversations: [conversation('a', ['Salut !']), conversation('b', ['Tu viens ?', 'Dis-moi'])],
+    });
+
+    assert.equal(status, 200);
+    const { results, metadata } = body.data;
+    assert.deepEqual(results.map(({ id, success }) => [id, success]), [['a', true], ['b', true]]);
+    assert.equal(results[1].analysis.messageCount, 2);
+    assert.deepEqual(metadata, {
+      total: 2, analyzed: 2, failed: 0, messageCount: 3, messageBudget: 5, sortBy: 'input',
+    });
+  });
+
+  it('fait echouer un element invalide sans bloquer les autres', async () => {
+    const { status, body } = await analyzeBatch({
+      conversations: [5, conversation('a', ['Salut !']), null, [], { id: 'b', messages: 'x' }],
+    });
+
+    assert.equal(status, 200);
+    const { results, metadata } = body.data;
+    assert.deepEqual(results.map(({ id, success }) => [id, success]), [
+      [null, false], ['a', true], [null, false], [null, false], ['b', false],
+    ]);
+    for (const [index, result] of results.entries()) {
+      if (result.success) continue;
+      assert.equal(result.error.code, 'BAD_REQUEST');
+      assert.ok(result.error.details.every(({ path }) => path.startsWith(`conversations[${index}]`)));
+    }
+    assert.equal(metadata.analyzed, 1);
+    assert.equal(metadata.failed, 4);
+  });
+
+  it('refuse un identifiant present plusieurs fois dans le lot', async () => {
+    const { body } = await analyzeBatch({
+      conversations: [conversation('a', ['Salut !']), conversation('a', ['Coucou'])],
+    });
+
+    const [first, second] = body.data.results;
+    assert.equal(first.success, true);
+    assert.equal(second.success, false);
+    assert.equal(second.error.code, 'BAD_REQUEST');
+    assert.match(second.error.message, /presente plusieurs fois/);
+    assert.equal(body.data.metadata.messageCount, 1);
+  });
+
+  it('refuse les conversations au-dela du budget de messages, une a une', async () => {
+    const { body } = await analyzeBatch({
+      conversations: [
+        conversation('a', ['1', '2', '3']),
+        conversation('b', ['1', '2', '3']),
+        conversation('c', ['1', '2']),
+      ],
+    });
+
+    const [a, b, c] = body.data.results;
+    assert.equal(a.success, true);
+    assert.equal(b.success, false);
+    assert.equal(b.error.code, 'MESSAGE_BUDGET_EXCEEDED');
+    assert.match(b.error.message, /2 restants sur 5/);
+    // Une conversation plus petite tient encore dans le budget restant
+    assert.equal(c.success, true);
+    assert.equal(body.data.metadata.messageCount, 5);
+  });
+
+  it('trie par urgence en placant les erreurs en dernier', async () => {
+    const { body } = await analyzeBatch({
+      sortBy: 'urgency',
+      conversations: [
+        null,
+        conversation('calme', ['On se voit un de ces jours']),
+        conversation('urgent', ['Urgent, rappelle-moi tout de suite !']),
+      ],
+    });
+
+    assert.deepEqual(body.data.results.map(({ id }) => id), ['urgent', 'calme', null]);
+    assert.equal(body.data.metadata.sortBy, 'urgency');
+  });
+
+  it('refuse un lot qui n\'est pas un tableau', async () => {
+    const { status, body } = await analyzeBatch({ conversations: {} });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'BAD_REQUEST');
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai');
+const { default: feedbackTracker } = await import('../../src/feedback/index.js');
+
+const USER = { currentUserId: 'u1', currentUserName: 'Bob' };
+const MESSAGES = [{ senderId: 'u2', senderName: 'Alice', content: 'Tu viens ce soir ?' }];
+
+/**
+ * Genere une suggestion et retourne son identifiant
+ */
+async function suggest() {
+  const response = await postJson(`${server.url}/suggest`, { ...USER, messages: MESSAGES });
+  const { data } = await response.json();
+  return data;
+}
+
+function sendFeedback(body) {
+  return postJson(`${server.url}/feedback`, { currentUserId: 'u1', ...body });
+}
+
+after(() => server.close());
+
+describe('POST /api/ai/feedback', () => {
+  it('renvoie un suggestionId avec chaque suggestion', async () => {
+    const { suggestionId } = await suggest();
+    assert.match(suggestionId, /^[0-9a-f-]{36}$/);
+
+    const response = await postJson(`${server.url}/quick-replies`, { ...USER, messages: MESSAGES, count: 2 });
+    const { data } = await response.json();
+    const ids = data.suggestions.map((item) => item.suggestionId);
+    assert.equal(new Set(ids).size, 2);
+  });
+
+  it('enregistre un retour modifie avec sa distance d\'edition', async () => {
+    const { suggestionId, suggestion } = await suggest();
+
+    const response = await sendFeedback({ suggestionId, outcome: 'edited', finalText: `${suggestion} !` });
+
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.deepEqual(data, {
+      suggestionId, outcome: 'edited', editDistance: 2, editRatio: data.editRatio,
+    });
+    assert.ok(data.editRatio > 0 && data.editRatio < 1);
+  });
+
+  it('refuse un second retour sur la meme suggestion (409)', async () => {
+    const { suggestionId } = await suggest();
+
+    assert.equal((await sendFeedback({ suggestionId, outcome: 'accepted' })).status, 200);
+    const response = await sendFeedback({ suggestionId, outcome: 'rejected' });
+
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error.code, 'CONFLICT');
+  });
+
+  it('n\'accepte qu\'un retour parmi des retours simultanes', async () => {
+    const { suggestionId } = await suggest();
+
+    const statuses = (await Promise.all([
+      sendFeedback({ suggestionId, outcome: 'accepted' }),
+      sendFeedback({ suggestionId, outcome: 'rejected' }),
+      sendFeedback({ suggestionId, outcome: 'accepted' }),
+    ])).map((response) => response.status);
+
+    assert.deepEqual(statuses.sort(), [200, 409, 409]);
+  });
+
+  it('repond 404 pour une suggestion inconnue ou d\'un autre utilisateur', async () => {
+    const { suggestionId } = await suggest();
+
+    for (const body of [
+      { suggestionId: randomUUID(), outcome: 'accepted' },
+      { suggestionId, outcome: 'accepted', currentUserId: 'u2' },
+    ]) {
+      const response = await sendFeedback(body);
+      assert.equal(response.status, 404);
+    }
+  });
+
+  it('exige finalText pour un retour modifie', async () => {
+    const { suggestionId } = await suggest();
+
+    const response = await sendFeedback({ suggestionId, outcome: 'edited' });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.details[0].path, 'finalText');
+  });
+});
+
+describe('GET /api/ai/feedback/report', () => {
+  it('agrege les retours enregistres', async () => {
+    const expected = await feedbackTracker.buildReport();
+
+    const response = await fetch(`${server.url}/feedback/report`);
+
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.suggestions, expected.suggestions);
+    assert.deepEqual(data.overall, expected.overall);
+    assert.ok(data.overall.total > 0);
+    assert.ok(data.byMode.suggest);
+  });
+
+  it('refuse une date since invalide', async () => {
+    const response = await fetch(`${server.url}/feedback/report?since=hier`);
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.details[0].path, 'since');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai');
+
+const BODY = {
+  messages: [
+    { senderId: 'u2', senderName: 'Alice', content: 'Salut tout le monde !' },
+    { senderId: '__proto__', senderName: 'Chloé', content: 'On se voit samedi ?' },
+    { senderId: 'u1', senderName: 'Bob', content: 'Pourquoi pas' },
+  ],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+describe('POST /api/ai/suggest - replyTo', () => {
+  after(() => server.close());
+
+  for (const replyTo of ['u2', '__proto__', 'group']) {
+    it(`accepte replyTo = ${replyTo}`, async () => {
+      const response = await postJson(`${server.url}/suggest`, { ...BODY, replyTo });
+
+      assert.equal(response.status, 200);
+      assert.equal(typeof (await response.json()).data.suggestion, 'string');
+    });
+  }
+
+  for (const [label, replyTo] of [
+    ['un inconnu', 'u9'],
+    ['l\'utilisateur courant', 'u1'],
+    ['une propriete d\'objet', 'constructor'],
+  ]) {
+    it(`refuse un replyTo designant ${label}`, async () => {
+      const response = await postJson(`${server.url}/suggest`, { ...BODY, replyTo });
+
+      assert.equal(response.status, 400);
+      const { error } = await response.json();
+      assert.equal(error.code, 'BAD_REQUEST');
+      assert.deepEqual(error.details.map(({ path, rule }) => [path, rule]), [['replyTo', 'participant']]);
+    });
+  }
+});
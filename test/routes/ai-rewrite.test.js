@@ -0,0 +1,43 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai');
+
+const BODY = {
+  draft: 'ok jvien demain',
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+describe('POST /api/ai/rewrite', () => {
+  after(() => server.close());
+
+  it('renvoie le texte reecrit et les transformations appliquees', async () => {
+    const response = await postJson(`${server.url}/rewrite`, { ...BODY, transformations: ['formal'] });
+
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(typeof data.rewritten, 'string');
+    assert.equal(data.original, BODY.draft);
+    assert.deepEqual(data.transformations.map(({ id }) => id), ['formal']);
+  });
+
+  it('refuse des transformations contradictoires', async () => {
+    const response = await postJson(`${server.url}/rewrite`, {
+      ...BODY, transformations: ['formal', 'casual', 'add_emojis', 'remove_emojis'],
+    });
+
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.deepEqual(error.details.map(({ rule }) => rule), ['conflict', 'conflict']);
+  });
+
+  it('refuse une transformation inconnue', async () => {
+    const response = await postJson(`${server.url}/rewrite`, { ...BODY, transformations: ['poetic'] });
+
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.deepEqual(error.details.map(({ path, rule }) => [path, rule]), [['transformations[0]', 'enum']]);
+  });
+});
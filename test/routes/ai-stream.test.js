@@ -0,0 +1,151 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai');
+const { default: aiService } = await import('../../src/ai/ai-service.js');
+const { Errors } = await import('../../src/middleware/error-handler.js');
+
+const BODY = {
+  messages: [
+    { senderId: 'u2', senderName: 'Alice', content: 'Tu viens ce soir ?' },
+  ],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+const ANALYSIS = aiService.analyzeConversation(BODY.messages, 'u1', 'Bob');
+const METADATA = { provider: 'test', model: 'test-model', processingTime: 1, tokensUsed: 12 };
+
+/**
+ * Remplace la generation du service par un scenario d'evenements
+ * @param {Function} scenario - async function* (params, { signal })
+ */
+function stubStream(t, scenario) {
+  t.mock.method(aiService, 'isAvailable', () => true);
+  return t.mock.method(aiService, 'streamSuggestion', scenario);
+}
+
+/**
+ * Decoupe un flux SSE en evenements { event, data }
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const fields = Object.fromEntries(block.split('\n').map((line) => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    }));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+/**
+ * Lit le flux jusqu'au premier evenement du type demande
+ */
+async function readUntil(response, type) {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of response.body) {
+    text += decoder.decode(chunk, { stream: true });
+    if (text.includes(`event: ${type}\n`)) return;
+  }
+}
+
+describe('POST /api/ai/suggest/stream', () => {
+  after(() => server.close());
+
+  it('envoie analysis, les fragments puis done au format SSE', async (t) => {
+    const generation = stubStream(t, async function* () {
+      yield { type: 'analysis', data: { mode: 'suggest', analysis: ANALYSIS } };
+      yield { type: 'delta', data: { content: 'Oui, ' } };
+      yield { type: 'delta', data: { content: 'avec plaisir !' } };
+      yield { type: 'done', data: { suggestion: 'Oui, avec plaisir !', mode: 'suggest', metadata: METADATA } };
+    });
+
+    const response = await postJson(`${server.url}/suggest/stream`, BODY);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    assert.equal(response.headers.get('cache-control'), 'no-cache, no-transform');
+
+    const text = await response.text();
+    assert.match(text, /^event: analysis\ndata: \{.*\}\n\n/);
+    const events = parseEvents(text);
+
+    assert.deepEqual(events.map(({ event }) => event), ['analysis', 'delta', 'delta', 'done']);
+    assert.deepEqual(events[0].data, { mode: 'suggest', analysis: ANALYSIS });
+    assert.deepEqual(events.slice(1, 3).map(({ data }) => data.content), ['Oui, ', 'avec plaisir !']);
+    assert.equal(events[3].data.suggestion, 'Oui, avec plaisir !');
+    assert.deepEqual(events[3].data.metadata, METADATA);
+
+    const [params] = generation.mock.calls[0].arguments;
+    assert.equal(params.currentUserId, 'u1');
+    assert.equal(params.currentInput, '');
+  });
+
+  it('repond en JSON si la requete est invalide, avant d\'ouvrir le flux', async (t) => {
+    const generation = stubStream(t, async function* () {});
+
+    const response = await postJson(`${server.url}/suggest/stream`, { ...BODY, messages: 'x' });
+
+    assert.equal(response.status, 400);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    assert.equal((await response.json()).error.code, 'BAD_REQUEST');
+    assert.equal(generation.mock.callCount(), 0);
+  });
+
+  it('repond 503 en JSON si le service IA est indisponible', async (t) => {
+    t.mock.method(aiService, 'isAvailable', () => false);
+
+    const response = await postJson(`${server.url}/suggest/stream`, BODY);
+
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).error.code, 'AI_SERVICE_ERROR');
+  });
+
+  it('termine le flux par un evenement error si la generation echoue en cours de route', async (t) => {
+    stubStream(t, async function* () {
+      yield { type: 'analysis', data: { mode: 'suggest', analysis: ANALYSIS } };
+      yield { type: 'delta', data: { content: 'Oui ' } };
+      throw Errors.AIServiceError('Service IA temporairement indisponible');
+    });
+
+    const response = await postJson(`${server.url}/suggest/stream`, BODY);
+    assert.equal(response.status, 200);
+    const events = parseEvents(await response.text());
+
+    assert.deepEqual(events.map(({ event }) => event), ['analysis', 'delta', 'error']);
+    assert.equal(events[2].data.code, 'AI_SERVICE_ERROR');
+    assert.equal(events[2].data.message, 'Service IA temporairement indisponible');
+  });
+
+  it('ne divulgue pas le message d\'une erreur interne', async (t) => {
+    stubStream(t, async function* () {
+      yield { type: 'analysis', data: { mode: 'suggest', analysis: ANALYSIS } };
+      throw new Error('cle GROQ invalide');
+    });
+
+    const events = parseEvents(await (await postJson(`${server.url}/suggest/stream`, BODY)).text());
+
+    assert.equal(events.at(-1).event, 'error');
+    assert.equal(events.at(-1).data.code, 'INTERNAL_ERROR');
+    assert.doesNotMatch(events.at(-1).data.message, /GROQ/);
+  });
+
+  it('annule la generation lorsque le client se deconnecte', { timeout: 5000 }, async (t) => {
+    let aborted;
+    stubStream(t, async function* (params, { signal }) {
+      aborted = new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+      yield { type: 'analysis', data: { mode: 'suggest', analysis: ANALYSIS } };
+      yield { type: 'delta', data: { content: 'Oui ' } };
+      await aborted;
+    });
+
+    const controller = new AbortController();
+    const response = await postJson(`${server.url}/suggest/stream`, BODY, { signal: controller.signal });
+    await readUntil(response, 'delta');
+    controller.abort();
+
+    await aborted;
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai');
+
+const BODY = {
+  messages: [{ senderId: 'u2', senderName: 'Alice', content: 'On part à Lyon samedi ?' }],
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+describe('POST /api/ai/summarize', () => {
+  after(() => server.close());
+
+  it('renvoie le resume mis a jour', async () => {
+    const response = await postJson(`${server.url}/summarize`, { ...BODY, previousSummary: 'Alice propose un voyage.' });
+
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(typeof data.summary, 'string');
+    assert.equal(data.incremental, true);
+    assert.equal(data.messageCount, 1);
+  });
+
+  it('exige au moins un message a resumer', async () => {
+    const response = await postJson(`${server.url}/summarize`, { ...BODY, messages: [] });
+
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.deepEqual(error.details.map(({ path, rule }) => [path, rule]), [['messages', 'minItems']]);
+  });
+});
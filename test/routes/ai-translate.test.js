@@ -0,0 +1,44 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, postJson } from '../helpers/server.js';
+
+const server = await startServer('ai.routes.js', '/api/ai');
+
+const BODY = {
+  text: 'Hola, la casa de mi madre es muy bonita',
+  targetLanguage: 'fr',
+  currentUserId: 'u1',
+  currentUserName: 'Bob',
+};
+
+describe('POST /api/ai/translate', () => {
+  after(() => server.close());
+
+  it('traduit un texte dans une langue sans lexique', async () => {
+    const response = await postJson(`${server.url}/translate`, BODY);
+
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.notEqual(data.translation, BODY.text);
+    assert.equal(data.targetLanguage, 'fr');
+    assert.equal(data.kind, 'draft');
+    assert.ok(data.metadata.tokensUsed > 0);
+  });
+
+  it('valide les messages de contexte comme /suggest', async () => {
+    const response = await postJson(`${server.url}/translate`, {
+      ...BODY,
+      messages: [{ senderId: 'u2', content: 'Salut' }],
+    });
+
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.deepEqual(error.details.map(({ path, rule }) => [path, rule]), [['messages[0].senderName', 'required']]);
+  });
+
+  it('refuse une langue cible qui n\'est pas un code ISO 639-1', async () => {
+    const response = await postJson(`${server.url}/translate`, { ...BODY, targetLanguage: 'french' });
+
+    assert.equal(response.status, 400);
+  });
+});
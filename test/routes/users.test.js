@@ -0,0 +1,54 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from '../helpers/server.js';
+
+const server = await startServer('users.routes.js', '/api/users');
+
+function putPreferences(userId, body) {
+  return fetch(`${server.url}/${userId}/preferences`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('/api/users/:id/preferences', () => {
+  after(() => server.close());
+
+  it('renvoie des preferences vides pour un utilisateur sans preference', async () => {
+    const response = await fetch(`${server.url}/inconnu/preferences`);
+
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.userId, 'inconnu');
+    assert.equal(data.updatedAt, null);
+    assert.equal(data.preferences.emojis, null);
+    assert.deepEqual(data.preferences.contacts, {});
+  });
+
+  it('enregistre les preferences et les renvoie ensuite', async () => {
+    const body = {
+      emojis: 'never',
+      maxWords: 20,
+      contacts: { boss: { address: 'vous', formality: 'formel' } },
+    };
+
+    const saved = await (await putPreferences('u1', body)).json();
+    const { data } = await (await fetch(`${server.url}/u1/preferences`)).json();
+
+    assert.deepEqual(data, saved.data);
+    assert.equal(data.preferences.emojis, 'never');
+    assert.equal(data.preferences.maxWords, 20);
+    assert.equal(data.preferences.contacts.boss.address, 'vous');
+    assert.ok(data.updatedAt);
+  });
+
+  it('refuse une valeur hors des valeurs autorisees', async () => {
+    const response = await putPreferences('u1', { emojis: 'toujours', contacts: { boss: { maxWords: 0 } } });
+
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.code, 'BAD_REQUEST');
+    assert.equal(error.details.length, 2);
+  });
+});
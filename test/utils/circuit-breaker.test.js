@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitState } from '../../src/utils/circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  it('s\'ouvre apres failureThreshold echecs consecutifs', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.canRequest(), true);
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, CircuitState.OPEN);
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  it('un succes remet le compteur d\'echecs a zero', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.failures, 1);
+  });
+
+  it('passe en demi-ouvert apres resetTimeoutMs avec un seul appel d\'essai', (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure();
+    now = 400;
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.getRetryAfterMs(), 600);
+
+    now = 1000;
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, CircuitState.HALF_OPEN);
+    assert.equal(breaker.getRetryAfterMs(), 0);
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  it('se referme si l\'appel d\'essai reussit', (t) => {
+    t.mock.method(Date, 'now', () => 0);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+
+    breaker.recordFailure();
+    assert.equal(breaker.canRequest(), true);
+    breaker.recordSuccess();
+
+    assert.equal(breaker.state, CircuitState.CLOSED);
+    assert.equal(breaker.getState().openedAt, null);
+  });
+
+  it('se rouvre si l\'appel d\'essai echoue', (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 5, resetTimeoutMs: 1000 });
+
+    for (let i = 0; i < 5; i++) breaker.recordFailure();
+    now = 1000;
+    assert.equal(breaker.canRequest(), true);
+
+    breaker.recordFailure();
+    assert.equal(breaker.state, CircuitState.OPEN);
+    assert.equal(breaker.getState().openedAt, new Date(1000).toISOString());
+    assert.equal(breaker.getRetryAfterMs(), 1000);
+  });
+
+  it('release libere l\'appel d\'essai sans changer d\'etat', (t) => {
+    t.mock.method(Date, 'now', () => 0);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 0 });
+
+    breaker.recordFailure();
+    assert.equal(breaker.canRequest(), true);
+    breaker.release();
+
+    assert.equal(breaker.state, CircuitState.HALF_OPEN);
+    assert.equal(breaker.canRequest(), true);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LRUCache } from '../../src/utils/lru-cache.js';
+
+describe('LRUCache', () => {
+  it('evince l\'entree la moins recemment utilisee', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.size, 2);
+  });
+
+  it('une nouvelle ecriture rafraichit la position de l\'entree', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+
+    assert.equal(cache.get('a'), 10);
+    assert.equal(cache.get('b'), undefined);
+  });
+
+  it('expire les entrees apres ttlMs', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+
+    const cache = new LRUCache({ ttlMs: 100 });
+    cache.set('a', 1);
+
+    now = 1099;
+    assert.equal(cache.get('a'), 1);
+
+    now = 1100;
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.size, 0);
+  });
+
+  it('supprime et vide les entrees', () => {
+    const cache = new LRUCache();
+    cache.set('a', 1);
+    cache.set('b', 2);
+
+    assert.equal(cache.delete('a'), true);
+    assert.equal(cache.get('a'), undefined);
+    cache.clear();
+    assert.equal(cache.size, 0);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenQuotaStore } from '../../src/utils/token-quota.js';
+
+const NOW = new Date('2024-03-15T12:00:00Z');
+
+describe('TokenQuotaStore', () => {
+  it('cumule les tokens sur les periodes journaliere et mensuelle', () => {
+    const store = new TokenQuotaStore({ daily: 100, monthly: 1000 });
+    store.record('user:a', 30, NOW);
+    store.record('user:a', 20, NOW);
+
+    const state = store.getState('user:a', NOW);
+    assert.equal(state.daily.used, 50);
+    assert.equal(state.daily.remaining, 50);
+    assert.equal(state.monthly.used, 50);
+    assert.equal(state.exceeded, null);
+  });
+
+  it('separe les clients', () => {
+    const store = new TokenQuotaStore({ daily: 100 });
+    store.record('user:a', 80, NOW);
+
+    assert.equal(store.getState('user:b', NOW).daily.used, 0);
+  });
+
+  it('signale le premier quota depasse', () => {
+    const store = new TokenQuotaStore({ daily: 100, monthly: 1000 });
+    store.record('user:a', 100, NOW);
+
+    const { exceeded } = store.getState('user:a', NOW);
+    assert.equal(exceeded.period, 'daily');
+    assert.equal(exceeded.limit, 100);
+  });
+
+  it('repart de zero a la fenetre suivante (UTC)', () => {
+    const store = new TokenQuotaStore({ daily: 100, monthly: 1000 });
+    store.record('user:a', 100, NOW);
+
+    const tomorrow = new Date('2024-03-16T00:00:00Z');
+    const state = store.getState('user:a', tomorrow);
+    assert.equal(state.daily.used, 0);
+    assert.equal(state.monthly.used, 100);
+    assert.equal(state.exceeded, null);
+
+    assert.deepEqual(store.getState('user:a', NOW).daily.resetAt, tomorrow);
+    assert.deepEqual(store.getState('user:a', NOW).monthly.resetAt, new Date('2024-04-01T00:00:00Z'));
+  });
+
+  it('ignore les quotas nuls (illimite)', () => {
+    const store = new TokenQuotaStore();
+    store.record('user:a', 1e9, NOW);
+
+    const state = store.getState('user:a', NOW);
+    assert.equal(state.daily.remaining, null);
+    assert.equal(state.exceeded, null);
+  });
+
+  it('compte les reservations jusqu\'a leur liberation', () => {
+    const store = new TokenQuotaStore({ daily: 100 });
+    const release = store.reserve('user:a', 60);
+
+    assert.equal(store.getState('user:a', NOW).daily.remaining, 40);
+    store.reserve('user:a', 60);
+    assert.equal(store.getState('user:a', NOW).exceeded.period, 'daily');
+
+    release();
+    release();
+    assert.equal(store.getState('user:a', NOW).daily.reserved, 60);
+  });
+
+  it('purge les compteurs des periodes ecoulees', () => {
+    const store = new TokenQuotaStore({ daily: 100 });
+    store.record('user:a', 10, NOW);
+    store.record('user:a', 10, new Date('2024-04-02T00:00:00Z'));
+
+    assert.equal(store.usage.size, 2);
+  });
+});